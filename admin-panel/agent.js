@@ -0,0 +1,375 @@
+/**
+ * Techtonica node agent
+ * Runs next to a game install on another host so the panel can manage it as a node
+ * (see lib/nodes.js). The agent connects out to the panel's WebSocket endpoint with the
+ * node id and token the panel issued, owns the game process the way the panel does for
+ * its own servers and answers the panel's calls: status, start/stop/restart, logs, saves
+ * and backups. It reads the same config.json keys and environment variables as the
+ * panel (game paths, supervisor, shutdown and backup settings) plus the agent.* keys.
+ *
+ * Usage: npm run agent   (or node agent.js; TECHTONICA_ADMIN_CONFIG picks the config file)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const Database = require('better-sqlite3');
+const WebSocket = require('ws');
+const { loadConfig, prepareConfig, ConfigError } = require('./lib/config');
+const { GameSupervisor } = require('./lib/supervisor');
+const { GameCommandQueue } = require('./lib/gameCommands');
+const { EventLogTailer } = require('./lib/eventTail');
+const { BackupManager, BackupError } = require('./lib/backups');
+const { SaveLibrary } = require('./lib/saveLibrary');
+const { ModConfigFile, ModConfigError } = require('./lib/modConfig');
+const { KeyRing, EncryptionError, createDecryptStream } = require('./lib/encryption');
+const { createInstanceTables } = require('./lib/schema');
+const { CLOSE_REPLACED, CLOSE_REVOKED } = require('./lib/nodes');
+const { version: AGENT_VERSION } = require('./package.json');
+
+// The panel pings every 30 seconds; a connection that has heard nothing for this long is dead
+const PING_TIMEOUT_MS = 90000;
+const FILE_CHUNK_BYTES = 256 * 1024;
+const LOG_TYPES = ['bepinex', 'game', 'debug'];
+const MAX_LOG_LINES = 5000;
+
+class AgentError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AgentError';
+        this.status = status;
+    }
+}
+
+let CONFIG;
+try {
+    CONFIG = loadConfig();
+    const missing = ['panelUrl', 'nodeId', 'token'].filter(key => !CONFIG.agent[key]).map(key => `agent.${key}`);
+    if (missing.length) throw new ConfigError([`${missing.join(', ')} must be set to run the node agent`], CONFIG.configFile);
+    prepareConfig(CONFIG, { instance: true }).forEach(warning => console.warn(`[Config] ${warning}`));
+} catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+}
+
+let keyring = null;
+if (CONFIG.backups.encryption.keyFile) {
+    try {
+        keyring = KeyRing.open(CONFIG.backups.encryption.keyFile).keyring;
+    } catch (err) {
+        if (!(err instanceof EncryptionError)) throw err;
+        console.error(err.message);
+        process.exit(1);
+    }
+}
+
+// The agent's own database: backup records and the event log cursor. Actions come from
+// panel users the agent doesn't know, so its users table stays empty and only keeps
+// the listings' joins valid.
+fs.mkdirSync(path.dirname(CONFIG.agent.dbFile), { recursive: true });
+const db = new Database(CONFIG.agent.dbFile);
+db.pragma('foreign_keys = OFF');
+db.exec('CREATE TABLE IF NOT EXISTS users (id INTEGER PRIMARY KEY AUTOINCREMENT, username TEXT)');
+createInstanceTables(db);
+
+const gameCommands = new GameCommandQueue(CONFIG.commandDir);
+const modConfig = new ModConfigFile(CONFIG.modConfig);
+const supervisor = new GameSupervisor(CONFIG, {
+    ...CONFIG.supervisor,
+    saveWaitMs: CONFIG.shutdown.saveWaitMs,
+    shutdownTimeoutMs: CONFIG.shutdown.timeoutMs
+}, { commands: gameCommands });
+const backupManager = new BackupManager(db, {
+    backupsDir: CONFIG.backupsDir,
+    savesDir: CONFIG.wineSavesDir,
+    retention: {
+        hourly: CONFIG.backups.keepHourly,
+        daily: CONFIG.backups.keepDaily,
+        weekly: CONFIG.backups.keepWeekly,
+        preRestore: CONFIG.backups.keepPreRestore
+    },
+    minFreeBytes: CONFIG.backups.minFreeMb * 1024 * 1024,
+    keyring
+});
+// Listing and downloads only; save version history is kept for the panel's own servers
+const saveLibrary = new SaveLibrary(db, { savesDir: CONFIG.wineSavesDir, versionsDir: CONFIG.saveVersionsDir, keepVersions: 0 });
+const eventTail = new EventLogTailer(db, CONFIG.eventLog, { catchUpMs: CONFIG.events.catchUpMinutes * 60 * 1000 });
+
+function activeSave() {
+    try {
+        return modConfig.read().get('Server', 'AutoLoadSave') || '';
+    } catch (err) {
+        return '';
+    }
+}
+
+function describeStatus() {
+    const [load1, load5, load15] = os.loadavg();
+    const total = os.totalmem();
+    let disk = { total: 0, used: 0 };
+    try {
+        const stat = fs.statfsSync(CONFIG.rootDir);
+        disk = { total: stat.blocks * stat.bsize, used: (stat.blocks - stat.bfree) * stat.bsize };
+    } catch (err) { /* Root not created yet */ }
+    return {
+        server: supervisor.getStatus(),
+        address: CONFIG.publicAddress,
+        gamePort: CONFIG.gamePort,
+        activeSave: activeSave(),
+        system: {
+            memory: { total, used: total - os.freemem() },
+            cpu: { load1, load5, load15 },
+            disk
+        }
+    };
+}
+
+// Headless auto-start mode with this node's port and files, as the panel sets it before launching its own servers
+function applyAutoStartConfig(savePath) {
+    const server = { AutoStartServer: true, HeadlessMode: true, AutoLoadSlot: -1, Port: CONFIG.gamePort };
+    if (savePath) server.AutoLoadSave = savePath;
+    modConfig.update({
+        Server: server,
+        General: { EnableDirectConnect: true },
+        Admin: { CommandDirectory: CONFIG.commandDir, EventLog: CONFIG.eventLog }
+    });
+}
+
+function readStopOptions(params) {
+    const countdown = params.countdown === undefined ? CONFIG.shutdown.defaultCountdown : parseInt(params.countdown);
+    if (!Number.isInteger(countdown) || countdown < 0 || countdown > 3600) {
+        throw new AgentError('Countdown must be between 0 and 3600 seconds');
+    }
+    return { countdown, force: params.force === true, forceUnsaved: params.forceUnsaved === true };
+}
+
+function tail(file, lines) {
+    return new Promise((resolve) => {
+        execFile('tail', ['-n', String(lines), file], (err, stdout) => {
+            if (err) return resolve(['Log file not found']);
+            resolve(stdout.split('\n').filter(line => line.trim()));
+        });
+    });
+}
+
+// Calls the panel can make; each resolves to a JSON result or throws
+const methods = {
+    status: async () => describeStatus(),
+
+    'server.start': async ({ savePath = null, user = 'the panel' }) => {
+        if (supervisor.isActive()) throw new AgentError(`Server is already ${supervisor.state}`);
+        if (backupManager.restoring) throw new AgentError('A backup is being restored', 409);
+        applyAutoStartConfig(savePath);
+        supervisor.start({ reason: `started by ${user}` });
+        return { state: supervisor.state };
+    },
+
+    // Stops and restarts run in the background; their progress arrives as events
+    'server.stop': async (params) => {
+        if (!supervisor.isActive() && supervisor.state !== 'crashed') throw new AgentError('Server is not running');
+        if (supervisor.state === 'stopping') throw new AgentError('Server is already stopping', 409);
+        const { countdown, force, forceUnsaved } = readStopOptions(params);
+        supervisor.stop({ reason: `stopped by ${params.user || 'the panel'}`, countdown, force, forceUnsaved })
+            .then((result) => { if (result.aborted) console.warn(`[Agent] Stop abandoned: ${result.reason}`); })
+            .catch(err => console.error('[Agent] Stop failed:', err.message));
+        return { state: 'stopping', countdown };
+    },
+
+    'server.restart': async (params) => {
+        if (supervisor.state === 'stopping') throw new AgentError('Server is already stopping', 409);
+        const { countdown, force, forceUnsaved } = readStopOptions(params);
+        supervisor.restart({ reason: `restarted by ${params.user || 'the panel'}`, countdown, force, forceUnsaved, beforeStart: () => applyAutoStartConfig(null) })
+            .then((result) => { if (result.aborted) console.warn(`[Agent] Restart abandoned: ${result.reason}`); })
+            .catch(err => console.error('[Agent] Restart failed:', err.message));
+        return { state: 'stopping', countdown };
+    },
+
+    'server.cancelStop': async () => {
+        if (!supervisor.cancelStop()) throw new AgentError('No stop countdown in progress');
+        gameCommands.say('Scheduled shutdown cancelled');
+        return {};
+    },
+
+    logs: async ({ type = 'bepinex', lines = 200 }) => {
+        if (!LOG_TYPES.includes(type)) throw new AgentError(`Log type must be one of ${LOG_TYPES.join(', ')}`);
+        const count = Math.min(Math.max(parseInt(lines) || 200, 1), MAX_LOG_LINES);
+        const file = { bepinex: CONFIG.bepinexLog, game: CONFIG.gameLog, debug: CONFIG.debugLog }[type];
+        return { logs: await tail(file, count) };
+    },
+
+    'saves.list': async () => {
+        const active = activeSave();
+        return { saves: saveLibrary.list().map(save => ({ ...save, isActive: save.path === active })), activeSave: active };
+    },
+
+    'backups.list': async () => ({ backups: backupManager.list(), disk: backupManager.diskUsage() }),
+
+    'backups.create': async ({ notes = null }) => {
+        const backup = await backupManager.create({ type: 'manual', notes });
+        backupManager.prune().catch(err => console.error('[Backups] Retention failed:', err.message));
+        return { backup };
+    },
+
+    'backups.restore': async ({ id, files = null }) => {
+        const backup = backupManager.get(id);
+        if (!backup) throw new AgentError('Backup not found', 404);
+        if (supervisor.isActive()) throw new AgentError('Please stop the server before restoring a backup');
+        const result = await backupManager.restore(backup.id, { files });
+        backupManager.prune().catch(err => console.error('[Backups] Retention failed:', err.message));
+        return { backup, ...result };
+    }
+};
+
+// Calls answered with a file: each resolves to { filename, size, stream }
+const downloads = {
+    'saves.download': async ({ name }) => {
+        const filePath = saveLibrary.resolve(String(name || ''));
+        return { filename: path.basename(filePath), size: fs.statSync(filePath).size, stream: fs.createReadStream(filePath, { highWaterMark: FILE_CHUNK_BYTES }) };
+    },
+
+    'backups.download': async ({ id }) => {
+        const backup = backupManager.get(id);
+        if (!backup || !backup.exists) throw new AgentError('Backup not found', 404);
+        const filePath = backupManager.filePath(backup);
+        if (!backup.encryptionKey) {
+            return { filename: backup.filename, size: backup.size, stream: fs.createReadStream(filePath, { highWaterMark: FILE_CHUNK_BYTES }) };
+        }
+        // Encrypted archives leave the node decrypted, as the panel serves its own
+        if (!keyring) throw new AgentError('Backup is encrypted but no encryption key file is configured');
+        return { filename: backup.filename.replace(/\.enc$/, ''), size: null, stream: await createDecryptStream(filePath, keyring) };
+    }
+};
+
+function errorStatus(err) {
+    if (err.status) return err.status;
+    if (err instanceof BackupError || err instanceof ModConfigError || err instanceof EncryptionError) return 400;
+    return 500;
+}
+
+// Connection to the panel (reconnects with exponential backoff until the agent exits)
+let ws = null;
+let attempt = 0;
+let reconnectTimer = null;
+let pingTimer = null;
+
+function panelSocketUrl() {
+    const url = new URL(CONFIG.agent.panelUrl);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    url.pathname = `${url.pathname.replace(/\/+$/, '')}/agent`;
+    return url.toString();
+}
+
+function send(message) {
+    return new Promise((resolve, reject) => {
+        if (!ws || ws.readyState !== WebSocket.OPEN) return reject(new Error('Not connected to the panel'));
+        ws.send(JSON.stringify(message), err => (err ? reject(err) : resolve()));
+    });
+}
+
+function sendEvent(event, data) {
+    send({ type: 'event', event, data }).catch(() => { /* The panel asks for the status again when it reconnects */ });
+}
+
+async function handleCall({ id, method, params }) {
+    try {
+        if (downloads[method]) {
+            const file = await downloads[method](params || {});
+            await send({ type: 'stream', id, filename: file.filename, size: file.size });
+            for await (const chunk of file.stream) {
+                await send({ type: 'data', id, data: chunk.toString('base64') });
+            }
+            await send({ type: 'end', id });
+            return;
+        }
+        if (!methods[method]) throw new AgentError(`Unknown method ${method}`, 404);
+        await send({ type: 'result', id, result: await methods[method](params || {}) });
+    } catch (err) {
+        if (errorStatus(err) >= 500) console.error(`[Agent] ${method} failed:`, err);
+        send({ type: 'error', id, error: err.message, status: errorStatus(err) }).catch(() => { /* Disconnected */ });
+    }
+}
+
+function expectPing() {
+    clearTimeout(pingTimer);
+    pingTimer = setTimeout(() => {
+        console.warn('[Agent] No ping from the panel, reconnecting');
+        ws.terminate();
+    }, PING_TIMEOUT_MS);
+}
+
+function connect() {
+    const url = panelSocketUrl();
+    ws = new WebSocket(url, {
+        headers: { Authorization: `Bearer ${CONFIG.agent.token}`, 'X-Node-Id': CONFIG.agent.nodeId },
+        handshakeTimeout: 15000
+    });
+
+    ws.on('open', () => {
+        attempt = 0;
+        console.log(`[Agent] Connected to ${url} as node "${CONFIG.agent.nodeId}"`);
+        expectPing();
+        send({ type: 'hello', version: AGENT_VERSION, hostname: os.hostname(), platform: `${os.platform()} ${os.release()}`, status: supervisor.getStatus() })
+            .catch(err => console.error('[Agent] Hello failed:', err.message));
+    });
+    ws.on('ping', expectPing);
+    ws.on('message', (data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString());
+        } catch (err) {
+            return;
+        }
+        if (message.type === 'call') handleCall(message);
+    });
+    ws.on('error', (err) => {
+        const refused = /Unexpected server response: 401/.test(err.message);
+        console.error(`[Agent] ${refused ? 'The panel refused agent.nodeId/agent.token' : `Connection failed: ${err.message}`}`);
+    });
+    ws.on('close', (code, reason) => {
+        clearTimeout(pingTimer);
+        // Told to go away (token rotated, node removed, or another agent took over): wait the longest
+        const dropped = code === CLOSE_REPLACED || code === CLOSE_REVOKED;
+        if (dropped) console.warn(`[Agent] Disconnected by the panel: ${reason.toString() || code}`);
+        const maxMs = CONFIG.agent.reconnectMaxSeconds * 1000;
+        const delay = dropped ? maxMs : Math.min(1000 * 2 ** attempt, maxMs);
+        attempt++;
+        reconnectTimer = setTimeout(connect, delay);
+    });
+}
+
+// Forward the game's lifecycle to the panel
+supervisor.on('state', status => sendEvent('state', status));
+['shutdownPhase', 'crash', 'crashLoop', 'autoRestart'].forEach(event => supervisor.on(event, data => sendEvent(event, data)));
+
+supervisor.attach().then(() => {
+    eventTail.start();
+    setInterval(() => {
+        let entries;
+        try {
+            entries = eventTail.poll();
+        } catch (err) {
+            console.error('[Events] Failed to read event log:', err.message);
+            return;
+        }
+        for (const { event, stale } of entries) {
+            if (stale) continue;
+            supervisor.handleGameEvent(event);
+            sendEvent('gameEvent', event);
+        }
+    }, CONFIG.events.pollIntervalMs);
+    connect();
+}).catch((err) => {
+    // Without the event log the agent cannot follow its game; exit so the service manager retries
+    console.error('[Agent] Could not start watching the game:', err.message);
+    process.exit(1);
+});
+
+// The game keeps running without the agent; a restarted agent adopts it again
+['SIGINT', 'SIGTERM'].forEach(signal => process.on(signal, () => {
+    clearTimeout(reconnectTimer);
+    supervisor.detach();
+    if (ws) ws.close(1001, 'Agent shutting down');
+    setTimeout(() => process.exit(0), 500);
+}));
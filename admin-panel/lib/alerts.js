@@ -0,0 +1,480 @@
+/**
+ * Alert rules
+ * User-defined rules checked against a snapshot of the panel's metrics and game state
+ * (see evaluate()). A rule's condition has to hold for `forMinutes` before it fires;
+ * it then opens one alert per rule and instance (host rules have no instance), which
+ * stays firing until the condition clears and is then resolved. Repeated evaluations
+ * never open a second alert for the same rule and instance.
+ *
+ * Rule types:
+ *   metric      - a metric compared with a threshold, e.g. game memory above 6000 MB
+ *   server_down - the game is not running while it should be: it crashed (fires at once),
+ *                 or is still starting or loading forMinutes after it was started (a
+ *                 manual stop is fine)
+ *   no_events   - the game is running but has written no events for forMinutes
+ *
+ * Every alert that fires or resolves is reported with a 'change' event ({ kind, alert,
+ * rule }). Notifications go out through the 'notify' event (the same, kind being firing,
+ * repeat or resolved), which the panel routes to the rule's webhooks. Silences
+ * hold back notifications for matching alerts until they end; alerts themselves still
+ * fire and resolve, and a firing alert that was never announced is announced once its
+ * silence is over. Only alerts that were announced are announced as resolved.
+ *
+ * Rules, alerts and silences live in the panel database; timestamps are ISO 8601 UTC.
+ */
+
+const { EventEmitter } = require('events');
+
+// Metrics a rule can watch. Host metrics are checked once for the panel's host, the
+// others for each instance the rule covers.
+const METRICS = {
+    cpu: { label: 'Game CPU', unit: '%' },
+    memory_percent: { label: 'Game memory', unit: '%' },
+    memory_mb: { label: 'Game memory (RSS)', unit: ' MB' },
+    players: { label: 'Players online', unit: '' },
+    backup_age_hours: { label: 'Newest backup age', unit: ' h' },
+    host_load: { label: 'Host load (1 min)', unit: '', host: true },
+    host_memory_percent: { label: 'Host memory', unit: '%', host: true },
+    host_disk_percent: { label: 'Host disk', unit: '%', host: true }
+};
+
+const TYPES = ['metric', 'server_down', 'no_events'];
+const OPERATORS = ['>', '<'];
+const SEVERITIES = ['warning', 'critical'];
+
+// States in which a game that isn't running is still meant to be up; every start passes
+// through the coming-up ones, so they only count forMinutes after the game was started
+const CRASHED_STATE = 'crashed';
+const COMING_UP_STATES = ['starting', 'loading'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_MINUTES = 7 * 24 * 60;
+const MAX_SILENCE_MINUTES = 30 * 24 * 60;
+
+class AlertError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'AlertError';
+        this.status = status;
+    }
+}
+
+function formatNumber(value) {
+    return String(Math.round(value * 100) / 100);
+}
+
+class AlertManager extends EventEmitter {
+    /**
+     * options:
+     *   instanceExists: (id) => boolean, used to check a rule's instance
+     */
+    constructor(db, { instanceExists = () => true } = {}) {
+        super();
+        this.db = db;
+        this.instanceExists = instanceExists;
+        // When each rule's condition started holding, by `${ruleId}:${instanceId}`
+        this.pending = new Map();
+    }
+
+    // --- Rules ---
+
+    // hiddenInstances: ids of instances whose rules (and alerts and silences below) are left out
+    listRules({ hiddenInstances = [] } = {}) {
+        return this.db.prepare(`
+            SELECT * FROM alert_rules WHERE instance_id IS NULL OR instance_id NOT IN (SELECT value FROM json_each(?))
+            ORDER BY name COLLATE NOCASE
+        `).all(JSON.stringify(hiddenInstances)).map(row => this._formatRule(row));
+    }
+
+    getRule(id) {
+        const row = this.db.prepare('SELECT * FROM alert_rules WHERE id = ?').get(id);
+        if (!row) throw new AlertError('Alert rule not found', 404);
+        return this._formatRule(row);
+    }
+
+    /**
+     * Add a rule { name, type, instanceId?, metric?, operator?, threshold?, forMinutes?,
+     * severity?, webhookIds?, repeatMinutes?, enabled? }. An empty webhookIds sends its
+     * notifications to every webhook subscribed to alert events.
+     */
+    createRule(data, userId = null) {
+        const rule = this._validateRule(data);
+        const now = new Date().toISOString();
+        const result = this.db.prepare(`
+            INSERT INTO alert_rules (name, type, instance_id, metric, operator, threshold, for_minutes, severity,
+                webhook_ids, repeat_minutes, enabled, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(
+            rule.name, rule.type, rule.instanceId, rule.metric, rule.operator, rule.threshold, rule.forMinutes, rule.severity,
+            JSON.stringify(rule.webhookIds), rule.repeatMinutes, rule.enabled ? 1 : 0, userId, now, now
+        );
+        return this.getRule(result.lastInsertRowid);
+    }
+
+    updateRule(id, data) {
+        const existing = this.getRule(id);
+        const rule = this._validateRule({ ...existing, ...data });
+        this.db.prepare(`
+            UPDATE alert_rules SET name = ?, type = ?, instance_id = ?, metric = ?, operator = ?, threshold = ?, for_minutes = ?,
+                severity = ?, webhook_ids = ?, repeat_minutes = ?, enabled = ?, updated_at = ?
+            WHERE id = ?
+        `).run(
+            rule.name, rule.type, rule.instanceId, rule.metric, rule.operator, rule.threshold, rule.forMinutes, rule.severity,
+            JSON.stringify(rule.webhookIds), rule.repeatMinutes, rule.enabled ? 1 : 0, new Date().toISOString(), id
+        );
+        // A changed condition starts over
+        this._clearPending(id);
+        return this.getRule(id);
+    }
+
+    // Delete a rule; its open alerts are resolved without a notification
+    deleteRule(id) {
+        const rule = this.getRule(id);
+        const now = new Date().toISOString();
+        this.db.prepare("UPDATE alerts SET state = 'resolved', resolved_at = ? WHERE rule_id = ? AND state = 'firing'").run(now, id);
+        this.db.prepare('DELETE FROM alert_silences WHERE rule_id = ?').run(id);
+        this.db.prepare('DELETE FROM alert_rules WHERE id = ?').run(id);
+        this._clearPending(id);
+        return rule;
+    }
+
+    // Drop a deleted webhook from the rules that notify it; returns the rules changed
+    forgetWebhook(webhookId) {
+        const changed = [];
+        for (const rule of this.listRules()) {
+            if (!rule.webhookIds.includes(webhookId)) continue;
+            const webhookIds = rule.webhookIds.filter(id => id !== webhookId);
+            this.db.prepare('UPDATE alert_rules SET webhook_ids = ?, updated_at = ? WHERE id = ?')
+                .run(JSON.stringify(webhookIds), new Date().toISOString(), rule.id);
+            changed.push({ ...rule, webhookIds });
+        }
+        return changed;
+    }
+
+    // --- Alerts ---
+
+    /**
+     * Alerts, newest first. state: firing | resolved | all
+     */
+    listAlerts({ state = 'all', limit = 100, hiddenInstances = [] } = {}) {
+        const rows = this.db.prepare(`
+            SELECT a.*, r.name as rule_name, r.severity FROM alerts a LEFT JOIN alert_rules r ON a.rule_id = r.id
+            WHERE (? = 'all' OR a.state = ?)
+              AND (a.instance_id IS NULL OR a.instance_id NOT IN (SELECT value FROM json_each(?)))
+            ORDER BY a.state = 'firing' DESC, a.started_at DESC LIMIT ?
+        `).all(state, state, JSON.stringify(hiddenInstances), limit);
+        const silences = this._activeSilences(new Date());
+        return rows.map(row => this._formatAlert(row, silences));
+    }
+
+    // --- Silences ---
+
+    listSilences({ includeExpired = false, hiddenInstances = [] } = {}) {
+        const hidden = JSON.stringify(hiddenInstances);
+        return this.db.prepare(`
+            SELECT s.*, r.name as rule_name, u.username as created_by_username FROM alert_silences s
+            LEFT JOIN alert_rules r ON s.rule_id = r.id LEFT JOIN users u ON s.created_by = u.id
+            WHERE (? OR s.ends_at > ?)
+              AND (s.instance_id IS NULL OR s.instance_id NOT IN (SELECT value FROM json_each(?)))
+              AND (r.instance_id IS NULL OR r.instance_id NOT IN (SELECT value FROM json_each(?)))
+            ORDER BY s.ends_at DESC
+        `).all(includeExpired ? 1 : 0, new Date().toISOString(), hidden, hidden).map(row => this._formatSilence(row));
+    }
+
+    /**
+     * Hold back notifications for `minutes` { ruleId?, instanceId?, minutes, reason? }.
+     * Without a rule or an instance it matches every alert.
+     */
+    createSilence(data, userId = null) {
+        const ruleId = data.ruleId === undefined || data.ruleId === null || data.ruleId === '' ? null : this.getRule(data.ruleId).id;
+        const instanceId = this._validateInstance(data.instanceId);
+        const minutes = Number(data.minutes);
+        if (!Number.isInteger(minutes) || minutes < 1 || minutes > MAX_SILENCE_MINUTES) {
+            throw new AlertError(`Silences last 1 to ${MAX_SILENCE_MINUTES} minutes`);
+        }
+        const reason = String(data.reason || '').trim().slice(0, 500);
+        const now = new Date();
+        const result = this.db.prepare(`
+            INSERT INTO alert_silences (rule_id, instance_id, reason, starts_at, ends_at, created_by, created_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(ruleId, instanceId, reason, now.toISOString(), new Date(now.getTime() + minutes * 60000).toISOString(), userId, now.toISOString());
+        return this.listSilences({ includeExpired: true }).find(silence => silence.id === result.lastInsertRowid);
+    }
+
+    // End a silence now
+    expireSilence(id) {
+        const now = new Date().toISOString();
+        const result = this.db.prepare('UPDATE alert_silences SET ends_at = ? WHERE id = ? AND ends_at > ?').run(now, id, now);
+        if (!result.changes) throw new AlertError('Silence not found or already over', 404);
+    }
+
+    // --- Evaluation ---
+
+    /**
+     * Check every enabled rule against a snapshot:
+     *   { host: { host_load, host_memory_percent, host_disk_percent },
+     *     instances: [{ id, name, state, startSeconds, quietSeconds, values: { cpu, memory_mb, ... } }] }
+     * A metric that is missing from the snapshot (say no backups yet) never matches.
+     */
+    evaluate(snapshot, now = new Date()) {
+        const rules = this.db.prepare('SELECT * FROM alert_rules WHERE enabled = 1').all().map(row => this._formatRule(row));
+        const seen = new Set();
+
+        for (const rule of rules) {
+            for (const target of this._targets(rule, snapshot)) {
+                const key = `${rule.id}:${target.instanceId || ''}`;
+                seen.add(key);
+                const open = this._openAlert(rule.id, target.instanceId);
+                const check = this._check(rule, target);
+
+                if (!check.active) {
+                    this.pending.delete(key);
+                    if (open) this._resolve(open, rule, now);
+                    continue;
+                }
+                if (!this.pending.has(key)) this.pending.set(key, now.getTime());
+                if (open) {
+                    this.db.prepare('UPDATE alerts SET value = ?, message = ? WHERE id = ?').run(check.value, check.message, open.id);
+                    continue;
+                }
+                // no_events and server_down wait for their period in the condition itself
+                const heldMs = now.getTime() - this.pending.get(key);
+                if (rule.type === 'no_events' || rule.type === 'server_down' || heldMs >= rule.forMinutes * 60000) {
+                    this.db.prepare(`
+                        INSERT INTO alerts (rule_id, instance_id, state, value, message, started_at) VALUES (?, ?, 'firing', ?, ?, ?)
+                    `).run(rule.id, target.instanceId, check.value, check.message, now.toISOString());
+                    const alert = this._formatAlert({ ...this._openAlert(rule.id, target.instanceId), rule_name: rule.name, severity: rule.severity }, []);
+                    this.emit('change', { kind: 'firing', rule, alert });
+                }
+            }
+        }
+
+        // Alerts whose rule was disabled or whose instance is gone end quietly
+        for (const alert of this.db.prepare("SELECT * FROM alerts WHERE state = 'firing'").all()) {
+            if (!seen.has(`${alert.rule_id}:${alert.instance_id || ''}`)) {
+                this.db.prepare("UPDATE alerts SET state = 'resolved', resolved_at = ? WHERE id = ?").run(now.toISOString(), alert.id);
+            }
+        }
+        for (const key of this.pending.keys()) {
+            if (!seen.has(key)) this.pending.delete(key);
+        }
+
+        this._notifyFiring(rules, now);
+    }
+
+    _targets(rule, snapshot) {
+        if (rule.type === 'metric' && METRICS[rule.metric].host) {
+            return [{ instanceId: null, name: 'host', value: snapshot.host[rule.metric] }];
+        }
+        return snapshot.instances
+            .filter(instance => !rule.instanceId || instance.id === rule.instanceId)
+            .map(instance => ({
+                instanceId: instance.id,
+                name: instance.name,
+                state: instance.state,
+                startSeconds: instance.startSeconds,
+                quietSeconds: instance.quietSeconds,
+                value: rule.type === 'metric' ? instance.values[rule.metric] : undefined
+            }));
+    }
+
+    // { active, value, message } for one rule and target
+    _check(rule, target) {
+        switch (rule.type) {
+            case 'metric': {
+                const metric = METRICS[rule.metric];
+                const value = Number(target.value);
+                if (target.value === undefined || target.value === null || !Number.isFinite(value)) return { active: false };
+                const active = rule.operator === '>' ? value > rule.threshold : value < rule.threshold;
+                const where = metric.host ? '' : ` on ${target.name}`;
+                return {
+                    active,
+                    value,
+                    message: `${metric.label}${where} is ${formatNumber(value)}${metric.unit} (${rule.operator} ${formatNumber(rule.threshold)}${metric.unit})`
+                };
+            }
+            case 'server_down': {
+                if (target.state === CRASHED_STATE) return { active: true, value: null, message: `${target.name} crashed and is not running` };
+                const minutes = Math.floor((target.startSeconds || 0) / 60);
+                return {
+                    active: COMING_UP_STATES.includes(target.state) && target.startSeconds >= rule.forMinutes * 60,
+                    value: null,
+                    message: `${target.name} is still ${target.state} ${minutes} minutes after it was started`
+                };
+            }
+            case 'no_events': {
+                const minutes = Math.floor((target.quietSeconds || 0) / 60);
+                return {
+                    active: target.state === 'running' && target.quietSeconds >= rule.forMinutes * 60,
+                    value: minutes,
+                    message: `${target.name} has written no game events for ${minutes} minutes`
+                };
+            }
+        }
+        return { active: false };
+    }
+
+    _resolve(row, rule, now) {
+        const silenced = this._formatAlert(row, this._activeSilences(now)).silenced;
+        this.db.prepare("UPDATE alerts SET state = 'resolved', resolved_at = ? WHERE id = ?").run(now.toISOString(), row.id);
+        const alert = this._formatAlert({ ...this._alertRow(row.id), rule_name: rule.name, severity: rule.severity }, []);
+        this.emit('change', { kind: 'resolved', rule, alert });
+        if (row.notified_at && !silenced) {
+            this.emit('notify', { kind: 'resolved', rule, alert });
+        }
+    }
+
+    // Announce firing alerts that are due: never announced (and not silenced), or due a repeat
+    _notifyFiring(rules, now) {
+        const byId = new Map(rules.map(rule => [rule.id, rule]));
+        const silences = this._activeSilences(now);
+        for (const row of this.db.prepare("SELECT * FROM alerts WHERE state = 'firing'").all()) {
+            const rule = byId.get(row.rule_id);
+            if (!rule) continue;
+            const alert = this._formatAlert({ ...row, rule_name: rule.name, severity: rule.severity }, silences);
+            if (alert.silenced) continue;
+            const repeatDue = row.notified_at && rule.repeatMinutes > 0 &&
+                now.getTime() - new Date(row.notified_at).getTime() >= rule.repeatMinutes * 60000;
+            if (row.notified_at && !repeatDue) continue;
+            this.db.prepare('UPDATE alerts SET notified_at = ? WHERE id = ?').run(now.toISOString(), row.id);
+            this.emit('notify', { kind: row.notified_at ? 'repeat' : 'firing', rule, alert: { ...alert, notifiedAt: now.toISOString() } });
+        }
+    }
+
+    _openAlert(ruleId, instanceId) {
+        return this.db.prepare(`
+            SELECT * FROM alerts WHERE rule_id = ? AND instance_id IS ? AND state = 'firing'
+        `).get(ruleId, instanceId);
+    }
+
+    _alertRow(id) {
+        return this.db.prepare('SELECT * FROM alerts WHERE id = ?').get(id);
+    }
+
+    _activeSilences(now) {
+        const at = now.toISOString();
+        return this.db.prepare('SELECT * FROM alert_silences WHERE starts_at <= ? AND ends_at > ?').all(at, at);
+    }
+
+    _clearPending(ruleId) {
+        for (const key of this.pending.keys()) {
+            if (key.startsWith(`${ruleId}:`)) this.pending.delete(key);
+        }
+    }
+
+    _validateInstance(value) {
+        if (value === undefined || value === null || value === '') return null;
+        const id = String(value);
+        if (!this.instanceExists(id)) throw new AlertError(`Unknown instance: ${id}`);
+        return id;
+    }
+
+    _validateRule(data) {
+        const name = String(data.name || '').trim();
+        if (!name) throw new AlertError('Rule name required');
+        if (name.length > MAX_NAME_LENGTH || /[\r\n]/.test(name)) throw new AlertError(`Rule names are single lines of at most ${MAX_NAME_LENGTH} characters`);
+        if (!TYPES.includes(data.type)) throw new AlertError(`type must be one of ${TYPES.join(', ')}`);
+
+        const rule = {
+            name,
+            type: data.type,
+            instanceId: this._validateInstance(data.instanceId),
+            metric: null,
+            operator: null,
+            threshold: null,
+            forMinutes: Number(data.forMinutes ?? 0),
+            severity: data.severity || 'warning',
+            repeatMinutes: Number(data.repeatMinutes ?? 0),
+            enabled: data.enabled === undefined ? true : Boolean(data.enabled),
+            webhookIds: []
+        };
+
+        if (rule.type === 'metric') {
+            if (!METRICS[data.metric]) throw new AlertError(`metric must be one of ${Object.keys(METRICS).join(', ')}`);
+            if (!OPERATORS.includes(data.operator)) throw new AlertError(`operator must be ${OPERATORS.join(' or ')}`);
+            const threshold = Number(data.threshold);
+            if (data.threshold === '' || data.threshold === null || !Number.isFinite(threshold)) throw new AlertError('threshold must be a number');
+            Object.assign(rule, { metric: data.metric, operator: data.operator, threshold });
+            if (METRICS[rule.metric].host) rule.instanceId = null;
+        }
+        if (!Number.isInteger(rule.forMinutes) || rule.forMinutes < 0 || rule.forMinutes > MAX_MINUTES) {
+            throw new AlertError(`forMinutes must be a whole number of minutes from 0 to ${MAX_MINUTES}`);
+        }
+        if (rule.type === 'no_events' && rule.forMinutes < 1) throw new AlertError('no_events rules need forMinutes of at least 1');
+        // Every start spends a while starting and loading, which must not count as down
+        if (rule.type === 'server_down' && rule.forMinutes < 1) throw new AlertError('server_down rules need forMinutes of at least 1');
+        if (!SEVERITIES.includes(rule.severity)) throw new AlertError(`severity must be one of ${SEVERITIES.join(', ')}`);
+        if (!Number.isInteger(rule.repeatMinutes) || rule.repeatMinutes < 0 || rule.repeatMinutes > MAX_MINUTES) {
+            throw new AlertError(`repeatMinutes must be a whole number of minutes from 0 (never) to ${MAX_MINUTES}`);
+        }
+
+        if (!Array.isArray(data.webhookIds || [])) throw new AlertError('webhookIds must be a list');
+        for (const value of data.webhookIds || []) {
+            const id = Number(value);
+            if (!this.db.prepare('SELECT 1 FROM webhooks WHERE id = ?').get(id)) throw new AlertError(`Unknown webhook: ${value}`);
+            if (!rule.webhookIds.includes(id)) rule.webhookIds.push(id);
+        }
+        return rule;
+    }
+
+    _formatRule(row) {
+        let webhookIds = [];
+        try {
+            webhookIds = JSON.parse(row.webhook_ids || '[]');
+        } catch (err) { /* Keep empty */ }
+        return {
+            id: row.id,
+            name: row.name,
+            type: row.type,
+            instanceId: row.instance_id || null,
+            metric: row.metric || null,
+            operator: row.operator || null,
+            threshold: row.threshold,
+            forMinutes: row.for_minutes,
+            severity: row.severity,
+            webhookIds,
+            repeatMinutes: row.repeat_minutes,
+            enabled: Boolean(row.enabled),
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    _formatAlert(row, silences) {
+        const silence = row.state === 'firing' ? silences.find(s =>
+            (s.rule_id === null || s.rule_id === row.rule_id) && (s.instance_id === null || s.instance_id === row.instance_id)
+        ) : null;
+        return {
+            id: row.id,
+            ruleId: row.rule_id,
+            ruleName: row.rule_name || null,
+            severity: row.severity || null,
+            instanceId: row.instance_id || null,
+            state: row.state,
+            value: row.value,
+            message: row.message,
+            startedAt: row.started_at,
+            resolvedAt: row.resolved_at || null,
+            notifiedAt: row.notified_at || null,
+            silenced: Boolean(silence),
+            silencedUntil: silence ? silence.ends_at : null
+        };
+    }
+
+    _formatSilence(row) {
+        return {
+            id: row.id,
+            ruleId: row.rule_id,
+            ruleName: row.rule_name || null,
+            instanceId: row.instance_id || null,
+            reason: row.reason || '',
+            startsAt: row.starts_at,
+            endsAt: row.ends_at,
+            active: row.starts_at <= new Date().toISOString() && row.ends_at > new Date().toISOString(),
+            createdBy: row.created_by_username || null,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = { AlertManager, AlertError, METRICS, TYPES };
@@ -0,0 +1,630 @@
+/**
+ * Save backups
+ * Zips the game's saves directory in-process and records each archive in the
+ * `backups` table together with a SHA-256 manifest of the files it contains. The
+ * manifest is also stored inside the archive (backup-manifest.json) so a copy of the
+ * zip can be checked on its own.
+ *
+ * Restores are staged: files are extracted and checked against the manifest in a
+ * scratch directory next to the saves, and only then moved into place. Every restore
+ * first takes a 'pre-restore' backup of the current saves, so it can be undone by
+ * restoring that snapshot.
+ *
+ * Retention is grandfather-father-son for scheduled backups: the newest backup in
+ * each of the last N hours, N days and N ISO weeks is kept and the rest are removed.
+ * Pre-restore snapshots keep the newest N. Manual and imported backups are never pruned.
+ *
+ * With a key ring (see encryption.js) new archives are stored encrypted as
+ * backup-*.zip.enc and decrypted to a scratch file whenever they are read.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { ZipWriter, readZipEntries, openZipEntry, hashZipEntry, extractZipEntry, isSafePath } = require('./zip');
+const { encryptFile, decryptFile, isEncrypted, fileKeyId, rewrapFile } = require('./encryption');
+
+const BACKUP_TYPES = ['manual', 'scheduled', 'pre-restore', 'imported'];
+const MANIFEST_NAME = 'backup-manifest.json';
+// Clutter that archivers and file browsers add, never part of a save
+const JUNK_FILES = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+const HOUR_MS = 60 * 60 * 1000;
+
+class BackupError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'BackupError';
+    }
+}
+
+// backups.created_at is SQLite CURRENT_TIMESTAMP (UTC, no zone marker)
+function parseCreatedAt(value) {
+    return new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+// Retention buckets, in local time like the scheduler
+function hourKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()} ${date.getHours()}`;
+}
+
+function dayKey(date) {
+    return `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+}
+
+// ISO week: weeks start on Monday and belong to the year of their Thursday
+function weekKey(date) {
+    const thursday = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 3 - ((date.getDay() + 6) % 7));
+    const dayOfYear = Math.round((thursday - new Date(thursday.getFullYear(), 0, 1)) / (24 * HOUR_MS));
+    return `${thursday.getFullYear()}-W${Math.floor(dayOfYear / 7) + 1}`;
+}
+
+/**
+ * Work out where the saves are inside an uploaded archive. Accepts a zip of this
+ * panel's own backups, of the Windows saves folder itself or its contents, or of any
+ * folder above it (e.g. AppData/LocalLow/Fire Hose Games/Techtonica).
+ * Returns { layout, root, files: [{ entry, path }], ignored: [names] } where path is
+ * relative to the saves directory.
+ */
+function detectSaveLayout(entries) {
+    const files = entries.filter(entry => !entry.isDirectory);
+    const isPanelBackup = files.some(entry => entry.name === MANIFEST_NAME);
+
+    // The folder holding the saves is the last "saves" directory above the first .dat file
+    let root = '';
+    const firstSave = files.find(entry => /\.dat$/i.test(entry.name) && !JUNK_FILES.test(entry.name));
+    if (!isPanelBackup && firstSave) {
+        const parts = firstSave.name.split('/').slice(0, -1);
+        const savesIndex = parts.map(part => part.toLowerCase()).lastIndexOf('saves');
+        if (savesIndex !== -1) root = parts.slice(0, savesIndex + 1).join('/') + '/';
+    }
+
+    const result = { layout: isPanelBackup ? 'panel-backup' : root ? 'saves-folder' : 'flat', root, files: [], ignored: [] };
+    for (const entry of files) {
+        if (entry.name === MANIFEST_NAME || JUNK_FILES.test(entry.name) || !entry.name.startsWith(root) || !isSafePath(entry.name)) {
+            if (entry.name !== MANIFEST_NAME) result.ignored.push(entry.name);
+            continue;
+        }
+        result.files.push({ entry, path: entry.name.slice(root.length) });
+    }
+    return result;
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const sha = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => sha.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(sha.digest('hex')));
+    });
+}
+
+class BackupManager {
+    /**
+     * options:
+     *   backupsDir, savesDir
+     *   retention:     { hourly, daily, weekly, preRestore } counts
+     *   minFreeBytes:  refuse to create a backup that would leave less free space than this
+     *   keyring:       encrypt new archives with this KeyRing (null stores them as plain zips)
+     */
+    constructor(db, { backupsDir, savesDir, retention = {}, minFreeBytes = 0, keyring = null }) {
+        this.db = db;
+        this.backupsDir = backupsDir;
+        this.savesDir = savesDir;
+        this.retention = { hourly: 24, daily: 7, weekly: 4, preRestore: 5, ...retention };
+        this.minFreeBytes = minFreeBytes;
+        this.keyring = keyring;
+        this.restoring = false;
+        this.rewrapping = false;
+    }
+
+    list() {
+        return this.db.prepare(`
+            SELECT b.*, u.username as created_by_username
+            FROM backups b LEFT JOIN users u ON b.created_by = u.id
+            ORDER BY b.created_at DESC, b.id DESC
+        `).all().map(row => this._format(row));
+    }
+
+    // One backup including its manifest
+    get(id) {
+        const row = this.db.prepare(`
+            SELECT b.*, u.username as created_by_username
+            FROM backups b LEFT JOIN users u ON b.created_by = u.id WHERE b.id = ?
+        `).get(id);
+        if (!row) return null;
+        return { ...this._format(row), manifest: row.manifest ? JSON.parse(row.manifest) : null };
+    }
+
+    filePath(backup) {
+        return path.join(this.backupsDir, path.basename(backup.filename));
+    }
+
+    /**
+     * Zip the saves directory (or sourceDir). Resolves to the new backup (as returned by get()).
+     */
+    async create({ type = 'manual', userId = null, notes = null, sourceDir = this.savesDir } = {}) {
+        if (!BACKUP_TYPES.includes(type)) {
+            throw new BackupError(`Unknown backup type "${type}"`);
+        }
+
+        const files = this._listSaveFiles(sourceDir);
+        if (!files.length) {
+            throw new BackupError(`No save files found in ${sourceDir}`);
+        }
+        // Deflate never grows save data by much, so the uncompressed total is a safe estimate
+        this._checkDiskSpace(files.reduce((sum, file) => sum + file.size, 0));
+
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const base = type === 'manual' ? `backup-${timestamp}` : `backup-${timestamp}-${type}`;
+        const filename = this.keyring ? `${base}.zip.enc` : `${base}.zip`;
+        const finalPath = path.join(this.backupsDir, filename);
+        const partialPath = path.join(this.backupsDir, `${base}.zip.partial`);
+        let keyId = null;
+
+        const zip = new ZipWriter(partialPath);
+        let archive;
+        const manifest = [];
+        try {
+            for (const file of files) {
+                const entry = await zip.addFile(file.name, file.path);
+                manifest.push({ path: entry.name, size: entry.size, sha256: entry.sha256, mtime: entry.mtime });
+            }
+            await zip.addBuffer(MANIFEST_NAME, JSON.stringify({
+                version: 1,
+                createdAt: new Date().toISOString(),
+                type,
+                files: manifest
+            }, null, 2));
+            archive = await zip.close();
+            if (this.keyring) {
+                // The plain zip only lives until it has been encrypted
+                const encrypted = await encryptFile(partialPath, finalPath, this.keyring);
+                await fs.promises.unlink(partialPath);
+                archive = { size: encrypted.size, sha256: encrypted.sha256 };
+                keyId = encrypted.keyId;
+            } else {
+                await fs.promises.rename(partialPath, finalPath);
+            }
+        } catch (err) {
+            await zip.abort();
+            throw err;
+        }
+
+        const result = this.db.prepare(`
+            INSERT INTO backups (filename, size, type, created_by, notes, sha256, manifest, file_count, encryption_key)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(filename, archive.size, type, userId, notes || null, archive.sha256, JSON.stringify(manifest), manifest.length, keyId);
+
+        return this.get(result.lastInsertRowid);
+    }
+
+    /**
+     * Record an archive that is already in the backups directory (e.g. fetched back
+     * from off-site storage) under its own filename. Type and manifest are read from
+     * the backup-manifest.json inside it. Resolves to the new backup.
+     */
+    async adopt(filename, { userId = null, notes = null } = {}) {
+        const name = path.basename(filename);
+        const filePath = path.join(this.backupsDir, name);
+        if (this.db.prepare('SELECT id FROM backups WHERE filename = ?').get(name)) {
+            throw new BackupError(`A backup named ${name} already exists`);
+        }
+
+        let info = null;
+        try {
+            info = await this._withArchive(filePath, async zipPath => {
+                const entry = (await readZipEntries(zipPath)).find(e => e.name === MANIFEST_NAME);
+                if (!entry) return null;
+                const chunks = [];
+                for await (const chunk of await openZipEntry(zipPath, entry)) chunks.push(chunk);
+                return JSON.parse(Buffer.concat(chunks).toString('utf8'));
+            });
+        } catch (err) {
+            throw new BackupError(`${name} is not a readable backup: ${err.message}`);
+        }
+        if (!info || !Array.isArray(info.files)) {
+            throw new BackupError(`${name} has no backup manifest`);
+        }
+
+        const type = BACKUP_TYPES.includes(info.type) ? info.type : 'imported';
+        const { size } = await fs.promises.stat(filePath);
+        const result = this.db.prepare(`
+            INSERT INTO backups (filename, size, type, created_by, notes, sha256, manifest, file_count, encryption_key)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(name, size, type, userId, notes, await hashFile(filePath), JSON.stringify(info.files), info.files.length, await fileKeyId(filePath));
+        return this.get(result.lastInsertRowid);
+    }
+
+    /**
+     * Re-check an archive: whole-file SHA-256, then every file against the manifest
+     * (size, SHA-256 and the zip's own CRC). Backups made before manifests existed get
+     * the CRC check only. The outcome is stored on the backup row.
+     * Resolves to { ok, checkedFiles, errors }.
+     */
+    async verify(id) {
+        const backup = this.get(id);
+        if (!backup) throw new BackupError('Backup not found');
+
+        const errors = [];
+        let checkedFiles = 0;
+        const filePath = this.filePath(backup);
+
+        if (!fs.existsSync(filePath)) {
+            errors.push('Archive file is missing');
+        } else {
+            if (backup.sha256 && await hashFile(filePath) !== backup.sha256) {
+                errors.push('Archive checksum does not match the recorded SHA-256');
+            }
+
+            try {
+                await this._withArchive(filePath, async zipPath => {
+                    let entries = [];
+                    try {
+                        entries = (await readZipEntries(zipPath)).filter(entry => !entry.isDirectory);
+                    } catch (err) {
+                        errors.push(err.message);
+                    }
+
+                    const expected = new Map((backup.manifest || []).map(file => [file.path, file]));
+                    for (const entry of entries) {
+                        if (entry.name === MANIFEST_NAME) continue;
+                        const file = expected.get(entry.name);
+                        if (backup.manifest && !file) {
+                            errors.push(`${entry.name}: not in manifest`);
+                            continue;
+                        }
+                        expected.delete(entry.name);
+                        try {
+                            const { size, sha256 } = await hashZipEntry(zipPath, entry);
+                            checkedFiles++;
+                            if (file && (size !== file.size || sha256 !== file.sha256)) {
+                                errors.push(`${entry.name}: contents do not match manifest`);
+                            }
+                        } catch (err) {
+                            errors.push(err.message);
+                        }
+                    }
+                    if (entries.length) {
+                        for (const name of expected.keys()) errors.push(`${name}: missing from archive`);
+                    }
+                });
+            } catch (err) {
+                // Decryption failed (wrong key or a damaged/tampered file)
+                errors.push(err.message);
+            }
+        }
+
+        const ok = errors.length === 0;
+        this.db.prepare(`
+            UPDATE backups SET verified_at = ?, verify_status = ?, verify_error = ? WHERE id = ?
+        `).run(new Date().toISOString(), ok ? 'ok' : 'failed', ok ? null : errors.slice(0, 10).join('; '), backup.id);
+
+        return { ok, checkedFiles, errors };
+    }
+
+    /**
+     * Compare an archive with the current saves without changing anything.
+     * Each file is one of:
+     *   added     - only in the backup (restoring creates it)
+     *   removed   - only in the current saves (a full restore deletes it)
+     *   changed   - in both, with different contents
+     *   unchanged - in both, identical
+     * Resolves to { files: [{ path, status, backup, current }], summary }.
+     */
+    async preview(id) {
+        const backup = this.get(id);
+        if (!backup) throw new BackupError('Backup not found');
+        const entries = await this._withArchive(this.filePath(backup), zipPath => this._restorableEntries(zipPath));
+        const manifest = new Map((backup.manifest || []).map(file => [file.path, file]));
+        const current = new Map(this._listSaveFiles().map(file => [file.name, file]));
+
+        const files = [];
+        for (const entry of entries) {
+            const known = manifest.get(entry.name);
+            const backupSide = { size: entry.size, mtime: known ? known.mtime : entry.mtime };
+            const existing = current.get(entry.name);
+            current.delete(entry.name);
+            if (!existing) {
+                files.push({ path: entry.name, status: 'added', backup: backupSide, current: null });
+                continue;
+            }
+
+            const stat = fs.statSync(existing.path);
+            const currentSide = { size: stat.size, mtime: stat.mtime.toISOString() };
+            let same = stat.size === entry.size;
+            if (same && known) {
+                same = await hashFile(existing.path) === known.sha256;
+            } else if (same) {
+                // No manifest (older backup): zip times have two-second resolution
+                same = Math.abs(stat.mtime - new Date(entry.mtime)) < 2000;
+            }
+            files.push({ path: entry.name, status: same ? 'unchanged' : 'changed', backup: backupSide, current: currentSide });
+        }
+        for (const file of current.values()) {
+            const stat = fs.statSync(file.path);
+            files.push({ path: file.name, status: 'removed', backup: null, current: { size: stat.size, mtime: stat.mtime.toISOString() } });
+        }
+
+        files.sort((a, b) => a.path.localeCompare(b.path));
+        const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+        files.forEach(file => summary[file.status]++);
+        return { backup: { id: backup.id, filename: backup.filename, createdAt: backup.createdAt }, files, summary };
+    }
+
+    /**
+     * Restore a backup into the saves directory, after snapshotting the current saves.
+     *   files: paths to restore (others are left alone); omit to make the saves
+     *          directory an exact copy of the backup, deleting files it doesn't contain
+     * Resolves to { snapshot, restored, removed } where snapshot is the pre-restore
+     * backup (null if there were no saves to keep).
+     */
+    async restore(id, { files = null, userId = null } = {}) {
+        const backup = this.get(id);
+        if (!backup) throw new BackupError('Backup not found');
+        if (this.restoring) throw new BackupError('Another restore is in progress');
+        if (this.rewrapping) throw new BackupError('Backups are being re-encrypted with a new key; try again when that is done');
+
+        this.restoring = true;
+        const staging = `${this.savesDir}.restoring`;
+        try {
+            // Extract and check everything before touching the live saves
+            const entries = await this._withArchive(this.filePath(backup), async zipPath => {
+                let selected = await this._restorableEntries(zipPath);
+                if (files) {
+                    const wanted = new Set(files);
+                    const unknown = files.filter(name => !selected.some(entry => entry.name === name));
+                    if (unknown.length) throw new BackupError(`Not in this backup: ${unknown.join(', ')}`);
+                    selected = selected.filter(entry => wanted.has(entry.name));
+                    if (!selected.length) throw new BackupError('No files selected');
+                }
+
+                await fs.promises.rm(staging, { recursive: true, force: true });
+                await fs.promises.mkdir(staging, { recursive: true });
+                const manifest = new Map((backup.manifest || []).map(file => [file.path, file]));
+                for (const entry of selected) {
+                    const dest = path.join(staging, entry.name);
+                    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+                    const { sha256 } = await extractZipEntry(zipPath, entry, dest);
+                    const known = manifest.get(entry.name);
+                    if (known && known.sha256 !== sha256) {
+                        throw new BackupError(`${entry.name} does not match the backup's manifest`);
+                    }
+                }
+                return selected;
+            });
+
+            const snapshot = this._listSaveFiles().length
+                ? await this.create({ type: 'pre-restore', userId, notes: `Before restoring ${backup.filename}` })
+                : null;
+
+            let removed = [];
+            if (files) {
+                for (const entry of entries) {
+                    const dest = path.join(this.savesDir, entry.name);
+                    await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+                    await fs.promises.rename(path.join(staging, entry.name), dest);
+                }
+                await fs.promises.rm(staging, { recursive: true, force: true });
+            } else {
+                const restoredNames = new Set(entries.map(entry => entry.name));
+                removed = this._listSaveFiles().map(file => file.name).filter(name => !restoredNames.has(name));
+                const previous = `${this.savesDir}.previous`;
+                await fs.promises.rm(previous, { recursive: true, force: true });
+                const hadSaves = fs.existsSync(this.savesDir);
+                if (hadSaves) await fs.promises.rename(this.savesDir, previous);
+                try {
+                    await fs.promises.rename(staging, this.savesDir);
+                } catch (err) {
+                    if (hadSaves) await fs.promises.rename(previous, this.savesDir);
+                    throw err;
+                }
+                await fs.promises.rm(previous, { recursive: true, force: true });
+            }
+
+            return { snapshot, restored: entries.map(entry => entry.name), removed };
+        } catch (err) {
+            await fs.promises.rm(staging, { recursive: true, force: true }).catch(() => {});
+            throw err;
+        } finally {
+            this.restoring = false;
+        }
+    }
+
+    /**
+     * Register an uploaded zip as an 'imported' backup. The saves are located inside
+     * it (see detectSaveLayout), checked, and re-packed in this panel's format with a
+     * manifest. Resolves to { backup, layout, ignored }.
+     */
+    async importArchive(zipPath, { userId = null, notes = null } = {}) {
+        let entries;
+        try {
+            entries = await readZipEntries(zipPath);
+        } catch (err) {
+            throw new BackupError(`Not a usable zip file: ${err.message}`);
+        }
+        const layout = detectSaveLayout(entries);
+        if (!layout.files.some(file => /\.dat$/i.test(file.path))) {
+            throw new BackupError('No Techtonica saves (.dat files) found in the archive');
+        }
+        const totalSize = layout.files.reduce((sum, file) => sum + file.entry.size, 0);
+        this._checkDiskSpace(totalSize * 2);
+
+        const staging = path.join(this.backupsDir, `.import-${Date.now()}`);
+        try {
+            for (const file of layout.files) {
+                const dest = path.join(staging, file.path);
+                await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+                await extractZipEntry(zipPath, file.entry, dest);
+            }
+            const backup = await this.create({ type: 'imported', userId, notes, sourceDir: staging });
+            return { backup, layout: layout.layout, ignored: layout.ignored };
+        } finally {
+            await fs.promises.rm(staging, { recursive: true, force: true });
+        }
+    }
+
+    async remove(id) {
+        const backup = this.db.prepare('SELECT * FROM backups WHERE id = ?').get(id);
+        if (!backup) return null;
+        await fs.promises.unlink(this.filePath(backup)).catch(err => {
+            if (err.code !== 'ENOENT') throw err;
+        });
+        this.db.prepare('DELETE FROM backups WHERE id = ?').run(backup.id);
+        return backup;
+    }
+
+    /**
+     * Apply the retention policy. Returns the removed backups.
+     */
+    async prune() {
+        const rows = this.db.prepare(`
+            SELECT * FROM backups WHERE type IN ('scheduled', 'pre-restore') ORDER BY created_at DESC, id DESC
+        `).all();
+        const keep = new Set();
+
+        const scheduled = rows.filter(row => row.type === 'scheduled');
+        const tiers = [[hourKey, this.retention.hourly], [dayKey, this.retention.daily], [weekKey, this.retention.weekly]];
+        for (const [bucketOf, count] of tiers) {
+            const buckets = new Set();
+            for (const row of scheduled) {
+                const bucket = bucketOf(parseCreatedAt(row.created_at));
+                if (buckets.has(bucket)) continue;
+                if (buckets.size >= count) break;
+                buckets.add(bucket);
+                keep.add(row.id);
+            }
+        }
+
+        rows.filter(row => row.type === 'pre-restore').slice(0, this.retention.preRestore).forEach(row => keep.add(row.id));
+
+        const removed = [];
+        for (const row of rows) {
+            if (keep.has(row.id)) continue;
+            await this.remove(row.id);
+            removed.push(row);
+        }
+        return removed;
+    }
+
+    // Number, total size and newest creation time of the backups of each type
+    stats() {
+        return this.db.prepare('SELECT type, COUNT(*) as count, COALESCE(SUM(size), 0) as bytes, MAX(created_at) as newest FROM backups GROUP BY type').all()
+            .map(row => ({ type: row.type, count: row.count, bytes: row.bytes, newest: parseCreatedAt(row.newest) }));
+    }
+
+    // Free space on the backups volume and the space backups take up
+    diskUsage() {
+        const stat = fs.statfsSync(this.backupsDir);
+        const { used } = this.db.prepare('SELECT COALESCE(SUM(size), 0) as used FROM backups').get();
+        return { free: stat.bavail * stat.bsize, total: stat.blocks * stat.bsize, backups: used, minFree: this.minFreeBytes };
+    }
+
+    /**
+     * Re-wrap every encrypted backup with the key ring's current key (after a rotation).
+     * Resolves to { rewrapped, current, failed: [{ filename, error }] }.
+     */
+    async rewrapAll() {
+        const result = { rewrapped: 0, current: 0, failed: [] };
+        if (!this.keyring) return result;
+        if (this.restoring) throw new BackupError('A restore is in progress');
+        // Restores read the archives being rewritten, so they wait until this is done
+        this.rewrapping = true;
+        try {
+            for (const row of this.db.prepare('SELECT * FROM backups WHERE encryption_key IS NOT NULL').all()) {
+                const filePath = this.filePath(row);
+                if (!fs.existsSync(filePath)) continue;
+                try {
+                    if (await rewrapFile(filePath, this.keyring)) {
+                        this.db.prepare('UPDATE backups SET encryption_key = ?, sha256 = ? WHERE id = ?')
+                            .run(this.keyring.currentId, await hashFile(filePath), row.id);
+                        result.rewrapped++;
+                    } else {
+                        result.current++;
+                    }
+                } catch (err) {
+                    result.failed.push({ filename: row.filename, error: err.message });
+                }
+            }
+        } finally {
+            this.rewrapping = false;
+        }
+        return result;
+    }
+
+    // Run fn with a plain zip of the archive, decrypting it to a scratch file first if needed
+    async _withArchive(filePath, fn) {
+        if (!fs.existsSync(filePath)) throw new BackupError('Backup file not found');
+        if (!await isEncrypted(filePath)) return fn(filePath);
+        if (!this.keyring) throw new BackupError('Backup is encrypted but no encryption key file is configured');
+
+        const scratch = path.join(this.backupsDir, `.decrypted-${crypto.randomBytes(6).toString('hex')}.zip`);
+        try {
+            await decryptFile(filePath, scratch, this.keyring);
+            return await fn(scratch);
+        } finally {
+            await fs.promises.rm(scratch, { force: true });
+        }
+    }
+
+    // Save files in an archive (not directories or the manifest), refusing unsafe paths
+    async _restorableEntries(zipPath) {
+        const entries = (await readZipEntries(zipPath)).filter(entry => !entry.isDirectory && entry.name !== MANIFEST_NAME);
+        const unsafe = entries.find(entry => !isSafePath(entry.name));
+        if (unsafe) throw new BackupError(`Backup contains an unsafe path: ${unsafe.name}`);
+        return entries;
+    }
+
+    _checkDiskSpace(estimatedBytes) {
+        const { free } = this.diskUsage();
+        if (free - estimatedBytes < this.minFreeBytes) {
+            const mb = bytes => `${Math.round(bytes / (1024 * 1024))} MB`;
+            throw new BackupError(`Not enough disk space for a backup: ${mb(free)} free, need about ${mb(estimatedBytes)} plus ${mb(this.minFreeBytes)} reserve`);
+        }
+    }
+
+    // Every file under the saves directory, as paths relative to it
+    _listSaveFiles(dir = this.savesDir) {
+        const files = [];
+        const walk = (dir, base) => {
+            for (const name of fs.readdirSync(dir)) {
+                const fullPath = path.join(dir, name);
+                const relPath = base ? `${base}/${name}` : name;
+                const stat = fs.statSync(fullPath);
+                if (stat.isDirectory()) {
+                    walk(fullPath, relPath);
+                } else if (stat.isFile()) {
+                    files.push({ name: relPath, path: fullPath, size: stat.size });
+                }
+            }
+        };
+        if (fs.existsSync(dir)) walk(dir, '');
+        return files;
+    }
+
+    _format(row) {
+        return {
+            id: row.id,
+            filename: row.filename,
+            size: row.size,
+            type: row.type,
+            notes: row.notes,
+            createdBy: row.created_by,
+            createdByUsername: row.created_by_username || null,
+            createdAt: parseCreatedAt(row.created_at).toISOString(),
+            sha256: row.sha256 || null,
+            fileCount: row.file_count ?? null,
+            verifiedAt: row.verified_at || null,
+            verifyStatus: row.verify_status || null,
+            verifyError: row.verify_error || null,
+            encryptionKey: row.encryption_key || null,
+            remoteKey: row.remote_key || null,
+            remoteStatus: row.remote_status || null,
+            remoteError: row.remote_error || null,
+            remoteUploadedAt: row.remote_uploaded_at || null,
+            exists: fs.existsSync(this.filePath(row))
+        };
+    }
+}
+
+module.exports = { BackupManager, BackupError, BACKUP_TYPES, MANIFEST_NAME, detectSaveLayout };
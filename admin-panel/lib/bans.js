@@ -0,0 +1,140 @@
+/**
+ * Player bans
+ * Bans live in the `bans` table, keyed by player name and/or address. Every change
+ * rewrites the ban file the dedicated server mod reads, so banned players are
+ * rejected by the game itself on connect (address) or when identified (name).
+ *
+ * Ban file format - one active ban per line, tab separated:
+ *   name <TAB> address <TAB> expires (ISO 8601 UTC, empty = permanent) <TAB> reason
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// SQLite DATETIME ("YYYY-MM-DD HH:MM:SS", UTC) -> ISO 8601
+function toIso(sqliteDate) {
+    return sqliteDate ? sqliteDate.replace(' ', 'T') + 'Z' : null;
+}
+
+// Tabs and newlines would break the line format
+function clean(value) {
+    return String(value || '').replace(/[\t\r\n]+/g, ' ').trim();
+}
+
+class BanList {
+    constructor(db, banFile) {
+        this.db = db;
+        this.banFile = banFile;
+    }
+
+    /**
+     * All bans, newest first. Inactive ones (expired or revoked) only when asked for.
+     */
+    list({ includeInactive = false } = {}) {
+        const rows = this.db.prepare(`
+            SELECT b.*, u.username as issued_by_name, r.username as revoked_by_name,
+                   (b.revoked_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > datetime('now'))) as active
+            FROM bans b
+            LEFT JOIN users u ON b.issued_by = u.id
+            LEFT JOIN users r ON b.revoked_by = r.id
+            ${includeInactive ? '' : "WHERE b.revoked_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > datetime('now'))"}
+            ORDER BY b.created_at DESC, b.id DESC
+        `).all();
+        return rows.map(row => this._format(row));
+    }
+
+    get(id) {
+        const row = this.db.prepare(`
+            SELECT b.*, (b.revoked_at IS NULL AND (b.expires_at IS NULL OR b.expires_at > datetime('now'))) as active
+            FROM bans b WHERE b.id = ?
+        `).get(id);
+        return row ? this._format(row) : null;
+    }
+
+    /**
+     * Add a ban. durationMinutes of 0/null makes it permanent.
+     * Returns the new ban; throws on invalid input.
+     */
+    add({ playerName, address, reason, durationMinutes = null, issuedBy = null }) {
+        const name = clean(playerName);
+        const addr = clean(address);
+        if (!name && !addr) {
+            throw new Error('A player name or address is required');
+        }
+        if (durationMinutes !== null && durationMinutes !== undefined) {
+            if (!Number.isInteger(durationMinutes) || durationMinutes < 0) {
+                throw new Error('Duration must be a whole number of minutes');
+            }
+        }
+
+        const expiresModifier = durationMinutes ? `+${durationMinutes} minutes` : null;
+        const result = this.db.prepare(`
+            INSERT INTO bans (player_name, address, reason, issued_by, expires_at)
+            VALUES (?, ?, ?, ?, CASE WHEN ? IS NULL THEN NULL ELSE datetime('now', ?) END)
+        `).run(name || null, addr || null, clean(reason) || null, issuedBy, expiresModifier, expiresModifier);
+
+        this.writeFile();
+        return this.get(result.lastInsertRowid);
+    }
+
+    // Lift a ban early; returns false if it was not active
+    revoke(id, revokedBy = null) {
+        const result = this.db.prepare(`
+            UPDATE bans SET revoked_at = datetime('now'), revoked_by = ?
+            WHERE id = ? AND revoked_at IS NULL
+        `).run(revokedBy, id);
+        if (result.changes === 0) return false;
+        this.writeFile();
+        return true;
+    }
+
+    // Active ban matching either the player's name (case-insensitive) or address
+    findActive({ name, address }) {
+        const row = this.db.prepare(`
+            SELECT * FROM bans
+            WHERE revoked_at IS NULL AND (expires_at IS NULL OR expires_at > datetime('now'))
+              AND ((player_name IS NOT NULL AND lower(player_name) = lower(?))
+                OR (address IS NOT NULL AND address = ?))
+            ORDER BY id DESC LIMIT 1
+        `).get(clean(name), clean(address));
+        return row ? this._format({ ...row, active: 1 }) : null;
+    }
+
+    /**
+     * Rewrite the mod's ban file from the active bans (write then rename so the
+     * mod never reads a partial file).
+     */
+    writeFile() {
+        const lines = [
+            '# Managed by the Techtonica admin panel - edits are overwritten',
+            '# name\taddress\texpires\treason'
+        ];
+        for (const ban of this.list()) {
+            lines.push([ban.playerName, ban.address, ban.expiresAt, ban.reason].map(clean).join('\t'));
+        }
+
+        fs.mkdirSync(path.dirname(this.banFile), { recursive: true });
+        const tmpPath = `${this.banFile}.tmp`;
+        fs.writeFileSync(tmpPath, lines.join('\n') + '\n');
+        fs.renameSync(tmpPath, this.banFile);
+    }
+
+    _format(row) {
+        return {
+            id: row.id,
+            playerName: row.player_name,
+            address: row.address,
+            reason: row.reason,
+            issuedBy: row.issued_by,
+            issuedByName: row.issued_by_name || null,
+            createdAt: toIso(row.created_at),
+            expiresAt: toIso(row.expires_at),
+            permanent: !row.expires_at,
+            revokedAt: toIso(row.revoked_at),
+            revokedByName: row.revoked_by_name || null,
+            active: Boolean(row.active)
+        };
+    }
+}
+
+module.exports = { BanList };
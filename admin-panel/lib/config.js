@@ -0,0 +1,347 @@
+/**
+ * Admin panel configuration loader
+ * Merges built-in defaults, an optional JSON config file and environment variables,
+ * then validates the result before the panel starts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Default install root: the directory that contains admin-panel/
+const DEFAULT_ROOT = path.resolve(__dirname, '..', '..');
+
+// Default location of the optional config file (override with TECHTONICA_ADMIN_CONFIG)
+const DEFAULT_CONFIG_FILE = path.resolve(__dirname, '..', 'config.json');
+
+// Every supported setting. Order matters: derived defaults may read keys defined above them.
+//   type:    'path' (absolute filesystem path), 'string', 'int', 'bool' or 'list'
+//   env:     environment variable that overrides the file/default value
+//   default: literal value or function of the settings resolved so far
+//   dir:     directory is created at startup if missing
+//   instance: differs per game server instance (see instanceConfig and lib/instances.js);
+//             'inherit' when an instance that doesn't set it shares the panel's value
+const SCHEMA = {
+    rootDir: { type: 'path', instance: true, env: 'TECHTONICA_ROOT', default: DEFAULT_ROOT },
+    gameDir: { type: 'path', instance: true, env: 'TECHTONICA_GAME_DIR', default: c => path.join(c.rootDir, 'game/Techtonica') },
+    winePrefix: { type: 'path', instance: true, env: 'TECHTONICA_WINE_PREFIX', default: c => path.join(c.rootDir, 'wine') },
+    wineUser: { type: 'string', instance: 'inherit', env: 'TECHTONICA_WINE_USER', default: () => process.env.USER || 'steam' },
+    wineSavesDir: {
+        type: 'path', instance: true,
+        env: 'TECHTONICA_WINE_SAVES_DIR',
+        default: c => path.join(c.winePrefix, 'drive_c/users', c.wineUser, 'AppData/LocalLow/Fire Hose Games/Techtonica/saves')
+    },
+    display: { type: 'string', instance: 'inherit', env: 'TECHTONICA_DISPLAY', default: ':98', pattern: /^[\w.-]*:\d+(\.\d+)?$/ },
+    bepinexLog: { type: 'path', instance: true, env: 'TECHTONICA_BEPINEX_LOG', default: c => path.join(c.gameDir, 'BepInEx/LogOutput.log') },
+    debugLog: { type: 'path', instance: true, env: 'TECHTONICA_DEBUG_LOG', default: c => path.join(c.rootDir, 'debug.log') },
+    gameLog: { type: 'path', instance: true, env: 'TECHTONICA_GAME_LOG', default: c => path.join(c.gameDir, 'game.log') },
+    wineOutputLog: { type: 'path', instance: true, env: 'TECHTONICA_WINE_OUTPUT_LOG', default: c => path.join(c.rootDir, 'wine-output.log') },
+    eventLog: { type: 'path', instance: true, env: 'TECHTONICA_EVENT_LOG', default: c => path.join(c.rootDir, 'events.log') },
+    commandDir: { type: 'path', instance: true, env: 'TECHTONICA_COMMAND_DIR', default: c => path.join(c.rootDir, 'commands'), dir: true },
+    banFile: { type: 'path', instance: true, env: 'TECHTONICA_BAN_FILE', default: c => path.join(c.rootDir, 'bans.txt') },
+    modConfig: {
+        type: 'path', instance: true,
+        env: 'TECHTONICA_MOD_CONFIG',
+        default: c => path.join(c.gameDir, 'BepInEx/config/com.community.techtonicadedicatedserver.cfg')
+    },
+    savesDir: { type: 'path', instance: true, env: 'TECHTONICA_SAVES_DIR', default: c => path.join(c.rootDir, 'saves') },
+    backupsDir: { type: 'path', instance: true, env: 'TECHTONICA_BACKUPS_DIR', default: c => path.join(c.rootDir, 'backups'), dir: true },
+    saveVersionsDir: { type: 'path', instance: true, env: 'TECHTONICA_SAVE_VERSIONS_DIR', default: c => path.join(c.rootDir, 'save-versions'), dir: true },
+    uploadsDir: { type: 'path', instance: true, env: 'TECHTONICA_UPLOADS_DIR', default: c => path.join(c.rootDir, 'uploads'), dir: true },
+    dbFile: { type: 'path', env: 'ADMIN_DB_FILE', default: path.resolve(__dirname, '..', 'data', 'admin.db') },
+    dbBackupDir: { type: 'path', env: 'ADMIN_DB_BACKUP_DIR', default: c => path.join(path.dirname(c.dbFile), 'backups'), dir: true },
+    port: { type: 'int', env: 'ADMIN_PORT', default: 6969, min: 1, max: 65535 },
+    host: { type: 'string', env: 'ADMIN_HOST', default: '0.0.0.0' },
+    basePath: { type: 'string', env: 'ADMIN_BASE_PATH', default: '/techtonica-admin', pattern: /^(\/[\w.-]+)*$/ },
+    sslCert: { type: 'path', env: 'ADMIN_SSL_CERT', default: '', optional: true },
+    sslKey: { type: 'path', env: 'ADMIN_SSL_KEY', default: '', optional: true },
+    sessionSecret: { type: 'string', env: 'SESSION_SECRET', default: 'techtonica-admin-secret-2024-fixed' },
+    gamePort: { type: 'int', instance: true, env: 'TECHTONICA_GAME_PORT', default: 6968, min: 1, max: 65535 },
+    publicAddress: { type: 'string', instance: true, env: 'TECHTONICA_PUBLIC_ADDRESS', default: c => `localhost:${c.gamePort}` },
+    // How the game process is controlled (see lib/processBackends.js)
+    processBackend: { type: 'string', instance: 'inherit', env: 'TECHTONICA_PROCESS_BACKEND', default: 'wine', pattern: /^(wine|supervisord|docker)$/ },
+    'supervisord.serverUrl': { type: 'string', env: 'TECHTONICA_SUPERVISORD_URL', default: 'unix:///var/run/supervisor.sock', pattern: /^(unix:\/\/\/\S+|https?:\/\/[^\s/]+(\/\S*)?)$/ },
+    'supervisord.username': { type: 'string', env: 'TECHTONICA_SUPERVISORD_USERNAME', default: '' },
+    'supervisord.password': { type: 'string', env: 'TECHTONICA_SUPERVISORD_PASSWORD', default: '' },
+    'supervisord.program': { type: 'string', instance: true, env: 'TECHTONICA_SUPERVISORD_PROGRAM', default: 'techtonica', pattern: /^[\w.:-]+$/ },
+    'docker.socketPath': { type: 'path', env: 'TECHTONICA_DOCKER_SOCKET', default: '/var/run/docker.sock' },
+    'docker.container': { type: 'string', instance: true, env: 'TECHTONICA_DOCKER_CONTAINER', default: 'techtonica-server', pattern: /^[\w.-]+$/ },
+    'discord.clientId': { type: 'string', env: 'DISCORD_CLIENT_ID', default: '' },
+    'discord.clientSecret': { type: 'string', env: 'DISCORD_CLIENT_SECRET', default: '' },
+    'discord.callbackUrl': { type: 'string', env: 'DISCORD_CALLBACK_URL', default: '' },
+    'discord.scopes': { type: 'list', env: 'DISCORD_SCOPES', default: ['identify'] },
+    'supervisor.autoRestart': { type: 'bool', env: 'TECHTONICA_AUTO_RESTART', default: true },
+    'supervisor.backoffBaseMs': { type: 'int', env: 'TECHTONICA_RESTART_BACKOFF_MS', default: 5000, min: 0 },
+    'supervisor.backoffMaxMs': { type: 'int', env: 'TECHTONICA_RESTART_BACKOFF_MAX_MS', default: 300000, min: 0 },
+    'supervisor.crashLoopLimit': { type: 'int', env: 'TECHTONICA_CRASH_LOOP_LIMIT', default: 5, min: 1 },
+    'supervisor.crashLoopWindowMs': { type: 'int', env: 'TECHTONICA_CRASH_LOOP_WINDOW_MS', default: 900000, min: 1000 },
+    'shutdown.defaultCountdown': { type: 'int', env: 'TECHTONICA_STOP_COUNTDOWN', default: 0, min: 0, max: 3600 },
+    'shutdown.saveWaitMs': { type: 'int', env: 'TECHTONICA_STOP_SAVE_WAIT_MS', default: 15000, min: 0 },
+    'shutdown.timeoutMs': { type: 'int', env: 'TECHTONICA_STOP_TIMEOUT_MS', default: 120000, min: 1000 },
+    'events.pollIntervalMs': { type: 'int', env: 'TECHTONICA_EVENT_POLL_MS', default: 5000, min: 250 },
+    'events.catchUpMinutes': { type: 'int', env: 'TECHTONICA_EVENT_CATCHUP_MINUTES', default: 60, min: 0 },
+    'backups.keepHourly': { type: 'int', env: 'TECHTONICA_BACKUP_KEEP_HOURLY', default: 24, min: 0 },
+    'backups.keepDaily': { type: 'int', env: 'TECHTONICA_BACKUP_KEEP_DAILY', default: 7, min: 0 },
+    'backups.keepWeekly': { type: 'int', env: 'TECHTONICA_BACKUP_KEEP_WEEKLY', default: 4, min: 0 },
+    'backups.keepPreRestore': { type: 'int', env: 'TECHTONICA_BACKUP_KEEP_PRE_RESTORE', default: 5, min: 0 },
+    'backups.minFreeMb': { type: 'int', env: 'TECHTONICA_BACKUP_MIN_FREE_MB', default: 512, min: 0 },
+    'backups.importMaxMb': { type: 'int', env: 'TECHTONICA_BACKUP_IMPORT_MAX_MB', default: 1024, min: 1 },
+    'backups.remote.enabled': { type: 'bool', env: 'TECHTONICA_BACKUP_S3_ENABLED', default: false },
+    'backups.remote.endpoint': { type: 'string', env: 'TECHTONICA_BACKUP_S3_ENDPOINT', default: '', pattern: /^(https?:\/\/[^\s/]+(\/\S*)?)?$/ },
+    'backups.remote.region': { type: 'string', env: 'TECHTONICA_BACKUP_S3_REGION', default: 'us-east-1' },
+    'backups.remote.bucket': { type: 'string', env: 'TECHTONICA_BACKUP_S3_BUCKET', default: '' },
+    'backups.remote.prefix': { type: 'string', env: 'TECHTONICA_BACKUP_S3_PREFIX', default: 'techtonica-backups/' },
+    'backups.remote.accessKeyId': { type: 'string', env: 'TECHTONICA_BACKUP_S3_ACCESS_KEY_ID', default: '' },
+    'backups.remote.secretAccessKey': { type: 'string', env: 'TECHTONICA_BACKUP_S3_SECRET_ACCESS_KEY', default: '' },
+    'backups.remote.pathStyle': { type: 'bool', env: 'TECHTONICA_BACKUP_S3_PATH_STYLE', default: true },
+    'backups.remote.keepDays': { type: 'int', env: 'TECHTONICA_BACKUP_S3_KEEP_DAYS', default: 30, min: 0 },
+    'saves.keepVersions': { type: 'int', env: 'TECHTONICA_SAVE_KEEP_VERSIONS', default: 20, min: 0 },
+    'saves.versionPollSeconds': { type: 'int', env: 'TECHTONICA_SAVE_VERSION_POLL_SECONDS', default: 60, min: 5 },
+    'configHistory.keepVersions': { type: 'int', env: 'TECHTONICA_CONFIG_KEEP_VERSIONS', default: 100, min: 1 },
+    'uploads.maxSaveMb': { type: 'int', env: 'TECHTONICA_UPLOAD_MAX_SAVE_MB', default: 1024, min: 1 },
+    'uploads.chunkMb': { type: 'int', env: 'TECHTONICA_UPLOAD_CHUNK_MB', default: 8, min: 1, max: 256 },
+    'uploads.expireHours': { type: 'int', env: 'TECHTONICA_UPLOAD_EXPIRE_HOURS', default: 24, min: 1 },
+    'backups.encryption.keyFile': { type: 'path', env: 'TECHTONICA_BACKUP_KEY_FILE', default: '', optional: true },
+    'metrics.token': { type: 'string', env: 'ADMIN_METRICS_TOKEN', default: '' },
+    'metrics.sampleSeconds': { type: 'int', env: 'ADMIN_METRICS_SAMPLE_SECONDS', default: 60, min: 5, max: 300 },
+    'metrics.keepRawHours': { type: 'int', env: 'ADMIN_METRICS_KEEP_RAW_HOURS', default: 24, min: 1 },
+    'metrics.keepFiveMinuteDays': { type: 'int', env: 'ADMIN_METRICS_KEEP_5M_DAYS', default: 30, min: 1 },
+    'metrics.keepHourlyDays': { type: 'int', env: 'ADMIN_METRICS_KEEP_HOURLY_DAYS', default: 365, min: 1 },
+    'alerts.evaluateSeconds': { type: 'int', env: 'ADMIN_ALERTS_EVALUATE_SECONDS', default: 30, min: 5, max: 600 },
+    'webhooks.timeoutSeconds': { type: 'int', env: 'ADMIN_WEBHOOK_TIMEOUT_SECONDS', default: 10, min: 1, max: 120 },
+    'webhooks.maxAttempts': { type: 'int', env: 'ADMIN_WEBHOOK_MAX_ATTEMPTS', default: 6, min: 1, max: 50 },
+    'webhooks.retryBaseSeconds': { type: 'int', env: 'ADMIN_WEBHOOK_RETRY_BASE_SECONDS', default: 10, min: 1 },
+    'webhooks.retryMaxSeconds': { type: 'int', env: 'ADMIN_WEBHOOK_RETRY_MAX_SECONDS', default: 3600, min: 1 },
+    'webhooks.disableAfterFailures': { type: 'int', env: 'ADMIN_WEBHOOK_DISABLE_AFTER_FAILURES', default: 10, min: 0 },
+    'webhooks.keepDeliveryDays': { type: 'int', env: 'ADMIN_WEBHOOK_KEEP_DELIVERY_DAYS', default: 14, min: 1 },
+    'nodes.callTimeoutSeconds': { type: 'int', env: 'ADMIN_NODE_CALL_TIMEOUT_SECONDS', default: 30, min: 1, max: 3600 },
+    // Read by the node agent (agent.js) only
+    'agent.panelUrl': { type: 'string', env: 'AGENT_PANEL_URL', default: '', pattern: /^(https?:\/\/[^\s/]+(\/\S*)?)?$/ },
+    'agent.nodeId': { type: 'string', env: 'AGENT_NODE_ID', default: '', pattern: /^([a-z0-9][a-z0-9-]{0,31})?$/ },
+    'agent.token': { type: 'string', env: 'AGENT_TOKEN', default: '' },
+    'agent.dbFile': { type: 'path', env: 'AGENT_DB_FILE', default: c => path.join(path.dirname(c.dbFile), 'agent.db') },
+    'agent.reconnectMaxSeconds': { type: 'int', env: 'AGENT_RECONNECT_MAX_SECONDS', default: 60, min: 1, max: 3600 }
+};
+
+class ConfigError extends Error {
+    constructor(problems, source) {
+        super(`Invalid admin panel configuration${source ? ` (${source})` : ''}:\n  - ${problems.join('\n  - ')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+// Read a dotted key ("discord.clientId") from a nested object
+function getNested(obj, key) {
+    return key.split('.').reduce((o, k) => (o && typeof o === 'object' ? o[k] : undefined), obj);
+}
+
+function setNested(obj, key, value) {
+    const parts = key.split('.');
+    let target = obj;
+    for (const part of parts.slice(0, -1)) {
+        target[part] = target[part] || {};
+        target = target[part];
+    }
+    target[parts[parts.length - 1]] = value;
+}
+
+function readConfigFile(file) {
+    if (!fs.existsSync(file)) return {};
+    try {
+        const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+        if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+            throw new Error('top level must be a JSON object');
+        }
+        return parsed;
+    } catch (err) {
+        throw new ConfigError([`Could not read config file ${file}: ${err.message}`]);
+    }
+}
+
+// Coerce a raw value (env strings are always strings) to the schema type.
+// Returns { value } on success or { error } with a human readable message.
+function coerce(key, spec, raw, source) {
+    const where = `${key} (from ${source})`;
+    switch (spec.type) {
+        case 'int': {
+            const value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+            if (!Number.isInteger(value)) return { error: `${where} must be an integer, got ${JSON.stringify(raw)}` };
+            if (spec.min !== undefined && value < spec.min) return { error: `${where} must be >= ${spec.min}, got ${value}` };
+            if (spec.max !== undefined && value > spec.max) return { error: `${where} must be <= ${spec.max}, got ${value}` };
+            return { value };
+        }
+        case 'bool': {
+            if (typeof raw === 'boolean') return { value: raw };
+            const str = String(raw).trim().toLowerCase();
+            if (['1', 'true', 'yes', 'on'].includes(str)) return { value: true };
+            if (['0', 'false', 'no', 'off'].includes(str)) return { value: false };
+            return { error: `${where} must be a boolean, got ${JSON.stringify(raw)}` };
+        }
+        case 'list': {
+            if (Array.isArray(raw)) return { value: raw.map(String) };
+            if (typeof raw === 'string') return { value: raw.split(',').map(s => s.trim()).filter(Boolean) };
+            return { error: `${where} must be a list or comma separated string` };
+        }
+        case 'path': {
+            if (typeof raw !== 'string') return { error: `${where} must be a path string` };
+            if (raw === '' && spec.optional) return { value: '' };
+            if (!path.isAbsolute(raw)) return { error: `${where} must be an absolute path, got "${raw}"` };
+            return { value: path.normalize(raw) };
+        }
+        default: {
+            if (typeof raw !== 'string' && typeof raw !== 'number') return { error: `${where} must be a string` };
+            const value = String(raw);
+            if (spec.pattern && !spec.pattern.test(value)) return { error: `${where} has invalid format: "${value}"` };
+            return { value };
+        }
+    }
+}
+
+/**
+ * Build the panel configuration.
+ * Precedence (highest first): environment variables, config file, built-in defaults.
+ * Throws ConfigError listing every problem found.
+ */
+function loadConfig({ env = process.env, file } = {}) {
+    const configFile = file || env.TECHTONICA_ADMIN_CONFIG || DEFAULT_CONFIG_FILE;
+    const fileValues = readConfigFile(configFile);
+
+    const flat = {};
+    const problems = [];
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        let raw;
+        let source;
+        if (spec.env && env[spec.env] !== undefined && env[spec.env] !== '') {
+            raw = env[spec.env];
+            source = `env ${spec.env}`;
+        } else if (getNested(fileValues, key) !== undefined) {
+            raw = getNested(fileValues, key);
+            source = path.basename(configFile);
+        } else {
+            raw = typeof spec.default === 'function' ? spec.default(flat) : spec.default;
+            source = 'default';
+        }
+
+        const result = coerce(key, spec, raw, source);
+        if (result.error) {
+            problems.push(result.error);
+            // Keep going with the default so derived keys still resolve
+            const fallback = typeof spec.default === 'function' ? spec.default(flat) : spec.default;
+            flat[key] = fallback;
+        } else {
+            flat[key] = result.value;
+        }
+    }
+
+    // Unknown keys in the config file are almost always typos
+    const known = new Set(Object.keys(SCHEMA).map(k => k.split('.')[0]));
+    for (const key of Object.keys(fileValues)) {
+        if (!known.has(key)) problems.push(`Unknown setting "${key}" in ${path.basename(configFile)}`);
+    }
+
+    if (Boolean(flat.sslCert) !== Boolean(flat.sslKey)) {
+        problems.push('sslCert and sslKey must be set together');
+    }
+    // A key stored next to the backups it protects protects nothing
+    const keyFile = flat['backups.encryption.keyFile'];
+    if (keyFile) {
+        const dataDirs = [flat.backupsDir, flat.dbBackupDir, path.dirname(flat.dbFile)];
+        const inside = dataDirs.find(dir => keyFile.startsWith(dir + path.sep));
+        if (inside) problems.push(`backups.encryption.keyFile must be outside the data and backup directories (it is inside ${inside})`);
+    }
+    if (flat['backups.remote.enabled']) {
+        const missing = ['endpoint', 'bucket', 'accessKeyId', 'secretAccessKey'].filter(key => !flat[`backups.remote.${key}`]);
+        if (missing.length) problems.push(`backups.remote is enabled but ${missing.map(key => `backups.remote.${key}`).join(', ')} not set`);
+    }
+
+    if (problems.length) throw new ConfigError(problems, configFile);
+
+    const config = { configFile };
+    for (const [key, value] of Object.entries(flat)) setNested(config, key, value);
+    return config;
+}
+
+/**
+ * Configuration of one game server instance: the panel's configuration with the
+ * settings marked instance taken from `values` or, where not given, derived from the
+ * instance's rootDir the way the panel's own defaults are (environment variables are
+ * not read). Throws ConfigError listing every problem.
+ */
+function instanceConfig(base, values = {}) {
+    const flat = {};
+    const problems = [];
+
+    for (const key of Object.keys(values)) {
+        if (!SCHEMA[key] || !SCHEMA[key].instance) problems.push(`"${key}" cannot be set per instance`);
+    }
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        if (!spec.instance) {
+            flat[key] = getNested(base, key);
+            continue;
+        }
+        const given = values[key] !== undefined && values[key] !== null && values[key] !== '';
+        let raw = values[key];
+        if (!given) {
+            if (spec.instance === 'inherit') raw = getNested(base, key);
+            else raw = typeof spec.default === 'function' ? spec.default(flat) : spec.default;
+        }
+        const result = coerce(key, spec, raw, given ? 'instance settings' : 'default');
+        if (result.error) problems.push(result.error);
+        flat[key] = result.error ? raw : result.value;
+    }
+
+    if (problems.length) throw new ConfigError(problems, 'instance settings');
+
+    const config = { configFile: base.configFile };
+    for (const [key, value] of Object.entries(flat)) setNested(config, key, value);
+    return config;
+}
+
+/**
+ * Create writable directories and report settings that point at missing paths.
+ * With instance, only an instance's own settings are checked (see instanceConfig).
+ * Returns a list of warnings; throws ConfigError when a required directory can't be created.
+ */
+function prepareConfig(config, { instance = false } = {}) {
+    const problems = [];
+    const warnings = [];
+
+    for (const [key, spec] of Object.entries(SCHEMA)) {
+        if (!spec.dir || (instance && !spec.instance)) continue;
+        const dir = getNested(config, key);
+        try {
+            fs.mkdirSync(dir, { recursive: true });
+        } catch (err) {
+            problems.push(`${key}: cannot create directory ${dir} (${err.code || err.message})`);
+        }
+    }
+
+    for (const key of ['gameDir', 'winePrefix']) {
+        if (!fs.existsSync(config[key])) warnings.push(`${key} does not exist yet: ${config[key]}`);
+    }
+    if (instance) {
+        if (problems.length) throw new ConfigError(problems, 'instance settings');
+        return warnings;
+    }
+
+    const dbDir = path.dirname(config.dbFile);
+    try {
+        fs.mkdirSync(dbDir, { recursive: true });
+    } catch (err) {
+        problems.push(`dbFile: cannot create directory ${dbDir} (${err.code || err.message})`);
+    }
+    if (config.sslCert) {
+        for (const key of ['sslCert', 'sslKey']) {
+            if (!fs.existsSync(config[key])) warnings.push(`${key} not found, falling back to HTTP: ${config[key]}`);
+        }
+    }
+    if (!config.discord.clientId || !config.discord.clientSecret) {
+        warnings.push('Discord OAuth is not configured (discord.clientId / discord.clientSecret); Discord login is disabled');
+    }
+
+    if (problems.length) throw new ConfigError(problems, config.configFile);
+    return warnings;
+}
+
+module.exports = { loadConfig, prepareConfig, instanceConfig, ConfigError, SCHEMA, getNested };
@@ -0,0 +1,246 @@
+/**
+ * Mod config history
+ * Keeps every state of the mod's .cfg as a version (the full text, who wrote it and
+ * how), so any two versions can be compared and the file rolled back to an earlier
+ * one. The file is stored whole in the database; it is a few kilobytes at most.
+ *
+ * Call capture() after each write the panel makes. Edits made outside the panel (by
+ * hand or by the mod writing new settings) are picked up the next time anything is
+ * captured and recorded with the source 'external', so the author of each version is
+ * never guessed.
+ */
+
+const crypto = require('crypto');
+const { BepInExConfig } = require('./modConfig');
+
+// Unchanged lines shown around each change in a diff
+const DIFF_CONTEXT = 3;
+// Line pairs compared before giving up on a line-by-line diff (the file is then shown
+// as removed and re-added)
+const MAX_DIFF_CELLS = 4000000;
+
+class ConfigHistoryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ConfigHistoryError';
+        this.status = status;
+    }
+}
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+function splitLines(text) {
+    const lines = text.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+}
+
+// Line diff (longest common subsequence) as [{ type: 'same'|'added'|'removed', text }]
+function diffLines(before, after) {
+    let start = 0;
+    while (start < before.length && start < after.length && before[start] === after[start]) start++;
+    let endBefore = before.length;
+    let endAfter = after.length;
+    while (endBefore > start && endAfter > start && before[endBefore - 1] === after[endAfter - 1]) {
+        endBefore--;
+        endAfter--;
+    }
+    const a = before.slice(start, endBefore);
+    const b = after.slice(start, endAfter);
+    const same = text => ({ type: 'same', text });
+    const middle = [];
+
+    if ((a.length + 1) * (b.length + 1) > MAX_DIFF_CELLS) {
+        a.forEach(text => middle.push({ type: 'removed', text }));
+        b.forEach(text => middle.push({ type: 'added', text }));
+    } else {
+        // lengths[i][j]: common lines of a[i..] and b[j..]
+        const width = b.length + 1;
+        const lengths = new Uint32Array((a.length + 1) * width);
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                lengths[i * width + j] = a[i] === b[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+        let i = 0;
+        let j = 0;
+        while (i < a.length || j < b.length) {
+            if (i < a.length && j < b.length && a[i] === b[j]) {
+                middle.push(same(a[i]));
+                i++;
+                j++;
+            } else if (i < a.length && (j === b.length || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+                middle.push({ type: 'removed', text: a[i++] });
+            } else {
+                middle.push({ type: 'added', text: b[j++] });
+            }
+        }
+    }
+    return [...before.slice(0, start).map(same), ...middle, ...before.slice(endBefore).map(same)];
+}
+
+/**
+ * Group a line diff into unified-diff style hunks with a few lines of context:
+ * [{ oldStart, newStart, lines: [{ type, text, oldLine, newLine }] }]
+ */
+function toHunks(lines) {
+    let oldLine = 1;
+    let newLine = 1;
+    const numbered = lines.map(line => ({
+        ...line,
+        oldLine: line.type === 'added' ? null : oldLine++,
+        newLine: line.type === 'removed' ? null : newLine++
+    }));
+
+    const hunks = [];
+    let current = null;
+    numbered.forEach((line, index) => {
+        if (line.type === 'same') return;
+        const from = Math.max(0, index - DIFF_CONTEXT);
+        if (current && from <= current.end) {
+            current.end = index + 1;
+        } else {
+            current = { start: from, end: index + 1 };
+            hunks.push(current);
+        }
+    });
+    return hunks.map(({ start, end }) => {
+        const slice = numbered.slice(start, Math.min(numbered.length, end + DIFF_CONTEXT));
+        const first = slice[0];
+        return {
+            oldStart: first.oldLine ?? numbered.slice(0, start).filter(line => line.oldLine).length + 1,
+            newStart: first.newLine ?? numbered.slice(0, start).filter(line => line.newLine).length + 1,
+            lines: slice
+        };
+    });
+}
+
+// Settings whose values differ: [{ section, key, from, to }] (null where not set)
+function diffSettings(before, after) {
+    const a = new BepInExConfig(before).toObject();
+    const b = new BepInExConfig(after).toObject();
+    const changes = [];
+    for (const section of new Set([...Object.keys(a), ...Object.keys(b)])) {
+        const keys = new Set([...Object.keys(a[section] || {}), ...Object.keys(b[section] || {})]);
+        for (const key of keys) {
+            const from = a[section]?.[key] ?? null;
+            const to = b[section]?.[key] ?? null;
+            if (from !== to) changes.push({ section, key, from, to });
+        }
+    }
+    return changes;
+}
+
+class ConfigHistory {
+    /**
+     * options:
+     *   configFile:    ModConfigFile whose states are recorded
+     *   keepVersions:  newest versions kept; older ones are deleted
+     */
+    constructor(db, { configFile, keepVersions = 100 }) {
+        this.db = db;
+        this.configFile = configFile;
+        this.keepVersions = keepVersions;
+    }
+
+    /**
+     * Record the file as it is now, unless it matches the newest version. Returns the
+     * new version, or null if there was nothing to record.
+     */
+    capture({ source = 'external', userId = null, summary = null } = {}) {
+        if (!this.configFile.exists()) return null;
+        const content = this.configFile.read().toString();
+        const hash = sha256(content);
+        const latest = this.db.prepare('SELECT sha256 FROM config_versions ORDER BY id DESC LIMIT 1').get();
+        if (latest && latest.sha256 === hash) return null;
+
+        const result = this.db.prepare(`
+            INSERT INTO config_versions (content, sha256, source, summary, created_by, created_at) VALUES (?, ?, ?, ?, ?, ?)
+        `).run(content, hash, source, summary, userId, new Date().toISOString());
+        this._prune();
+        return this.get(result.lastInsertRowid, { content: false });
+    }
+
+    // Versions newest first, without their content
+    list() {
+        return this.db.prepare(`
+            SELECT v.id, v.sha256, v.source, v.summary, v.created_by, v.created_at, length(CAST(v.content AS BLOB)) as size, u.username as created_by_username
+            FROM config_versions v LEFT JOIN users u ON v.created_by = u.id
+            ORDER BY v.id DESC
+        `).all().map(row => this._format(row));
+    }
+
+    get(id, { content = true } = {}) {
+        const row = this.db.prepare(`
+            SELECT v.*, length(CAST(v.content AS BLOB)) as size, u.username as created_by_username
+            FROM config_versions v LEFT JOIN users u ON v.created_by = u.id
+            WHERE v.id = ?
+        `).get(id);
+        if (!row) throw new ConfigHistoryError('Config version not found', 404);
+        const version = this._format(row);
+        if (content) version.content = row.content;
+        return version;
+    }
+
+    /**
+     * Compare two versions; 'current' stands for the file on disk. Returns
+     * { from, to, hunks, settings } where hunks is a line diff with context and
+     * settings lists the values that differ.
+     */
+    diff(fromId, toId = 'current') {
+        const load = id => {
+            if (id !== 'current') return this.get(id);
+            if (!this.configFile.exists()) throw new ConfigHistoryError('The mod config file does not exist', 404);
+            return { id: 'current', content: this.configFile.read().toString() };
+        };
+        const from = load(fromId);
+        const to = load(toId);
+        const strip = ({ content, ...version }) => version;
+        return {
+            from: strip(from),
+            to: strip(to),
+            hunks: toHunks(diffLines(splitLines(from.content), splitLines(to.content))),
+            settings: diffSettings(from.content, to.content)
+        };
+    }
+
+    /**
+     * Write a version back to the file. The current file is captured first so the
+     * rollback can itself be undone. The old text is validated like any other write
+     * (ModConfigError if the current schema rejects it). Returns the new version.
+     */
+    rollback(id, { userId = null } = {}) {
+        const target = this.get(id);
+        this.capture();
+        if (this.configFile.exists() && this.configFile.read().toString() === target.content) {
+            throw new ConfigHistoryError(`The config already matches version ${id}`, 409);
+        }
+        this.configFile.replace(target.content);
+        return this.capture({ source: 'rollback', userId, summary: `Rolled back to version ${id}` });
+    }
+
+    _prune() {
+        this.db.prepare(`
+            DELETE FROM config_versions WHERE id IN (SELECT id FROM config_versions ORDER BY id DESC LIMIT -1 OFFSET ?)
+        `).run(this.keepVersions);
+    }
+
+    _format(row) {
+        return {
+            id: row.id,
+            sha256: row.sha256,
+            size: row.size,
+            source: row.source,
+            summary: row.summary,
+            createdBy: row.created_by,
+            createdByUsername: row.created_by_username || null,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = { ConfigHistory, ConfigHistoryError };
@@ -0,0 +1,189 @@
+/**
+ * Cron expressions
+ * Standard five-field cron ("minute hour day-of-month month day-of-week") evaluated in
+ * the panel's local time zone, plus the usual @hourly/@daily/... shortcuts and a
+ * one-shot form "@at <ISO date>" for tasks that should run once.
+ *
+ * Supported per field: *, numbers, ranges (1-5), steps (*\/15, 0-30/5), lists (1,15),
+ * month names (jan-dec) and day names (sun-sat, 7 is also Sunday). As in Vixie cron,
+ * when both day-of-month and day-of-week are restricted a day matching either runs.
+ */
+
+const MACROS = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'] },
+    { name: 'day of week', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'] }
+];
+
+// Give up looking for a next run after this many years (e.g. "0 0 31 2 *" never matches)
+const SEARCH_YEARS = 5;
+
+class CronError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CronError';
+    }
+}
+
+function parseValue(text, field) {
+    const lower = text.toLowerCase();
+    if (field.names) {
+        const index = field.names.indexOf(lower);
+        if (index !== -1) return index + (field.name === 'month' ? 1 : 0);
+    }
+    if (!/^\d+$/.test(text)) {
+        throw new CronError(`Invalid ${field.name} value "${text}"`);
+    }
+    const value = parseInt(text, 10);
+    if (value < field.min || value > field.max) {
+        throw new CronError(`${field.name} value ${value} is outside ${field.min}-${field.max}`);
+    }
+    return value;
+}
+
+function parseField(text, field) {
+    const values = new Set();
+    for (const part of text.split(',')) {
+        const [rangeText, stepText] = part.split('/');
+        let step = 1;
+        if (stepText !== undefined) {
+            if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+                throw new CronError(`Invalid ${field.name} step "${stepText}"`);
+            }
+            step = parseInt(stepText, 10);
+        }
+
+        let start;
+        let end;
+        if (rangeText === '*') {
+            start = field.min;
+            end = field.max;
+        } else if (rangeText.includes('-')) {
+            const [from, to] = rangeText.split('-');
+            start = parseValue(from, field);
+            end = parseValue(to, field);
+            if (end < start) throw new CronError(`Invalid ${field.name} range "${rangeText}"`);
+        } else {
+            start = parseValue(rangeText, field);
+            // "5/15" means from 5 to the end in steps of 15
+            end = stepText !== undefined ? field.max : start;
+        }
+
+        for (let value = start; value <= end; value += step) {
+            values.add(value);
+        }
+    }
+    return values;
+}
+
+/**
+ * Parse an expression into matchers. Throws CronError with a readable message.
+ */
+function parseCron(expression) {
+    const text = String(expression || '').trim();
+    if (!text) throw new CronError('Schedule is empty');
+
+    if (text.toLowerCase().startsWith('@at ')) {
+        const at = new Date(text.slice(4).trim());
+        if (Number.isNaN(at.getTime())) throw new CronError(`Invalid date in "${text}"`);
+        return { expression: text, once: at };
+    }
+
+    const expanded = MACROS[text.toLowerCase()] || text;
+    const parts = expanded.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new CronError(`Expected 5 fields (minute hour day month weekday), got ${parts.length}`);
+    }
+
+    const [minutes, hours, days, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+    if (weekdays.has(7)) weekdays.add(0);
+
+    return {
+        expression: text,
+        minutes,
+        hours,
+        days,
+        months,
+        weekdays,
+        // Vixie cron: a restricted field is one that does not start with "*"
+        dayRestricted: !parts[2].startsWith('*'),
+        weekdayRestricted: !parts[4].startsWith('*')
+    };
+}
+
+function dayMatches(cron, date) {
+    const dom = cron.days.has(date.getDate());
+    const dow = cron.weekdays.has(date.getDay());
+    if (cron.dayRestricted && cron.weekdayRestricted) return dom || dow;
+    if (cron.dayRestricted) return dom;
+    if (cron.weekdayRestricted) return dow;
+    return true;
+}
+
+/**
+ * The first time strictly after `after` that the expression matches, or null if
+ * there is none (a one-shot in the past, or an impossible date).
+ */
+function nextRun(expression, after = new Date()) {
+    const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+    if (cron.once) {
+        return cron.once > after ? new Date(cron.once) : null;
+    }
+
+    const date = new Date(after.getTime());
+    date.setSeconds(0, 0);
+    date.setMinutes(date.getMinutes() + 1);
+    const limit = new Date(after.getTime());
+    limit.setFullYear(limit.getFullYear() + SEARCH_YEARS);
+
+    while (date <= limit) {
+        if (!cron.months.has(date.getMonth() + 1)) {
+            date.setMonth(date.getMonth() + 1, 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!dayMatches(cron, date)) {
+            date.setDate(date.getDate() + 1);
+            date.setHours(0, 0, 0, 0);
+            continue;
+        }
+        if (!cron.hours.has(date.getHours())) {
+            date.setHours(date.getHours() + 1, 0, 0, 0);
+            continue;
+        }
+        if (!cron.minutes.has(date.getMinutes())) {
+            date.setMinutes(date.getMinutes() + 1, 0, 0);
+            continue;
+        }
+        return date;
+    }
+    return null;
+}
+
+// The next `count` run times, for previews
+function upcomingRuns(expression, count = 5, after = new Date()) {
+    const cron = parseCron(expression);
+    const runs = [];
+    let from = after;
+    while (runs.length < count) {
+        const next = nextRun(cron, from);
+        if (!next) break;
+        runs.push(next);
+        from = next;
+    }
+    return runs;
+}
+
+module.exports = { parseCron, nextRun, upcomingRuns, CronError };
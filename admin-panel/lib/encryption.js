@@ -0,0 +1,309 @@
+/**
+ * Backup encryption
+ * Envelope encryption for backup files at rest. Every file gets its own random data
+ * key and is encrypted with AES-256-GCM; the data key is stored in the file's header,
+ * wrapped (also with AES-256-GCM) by the current master key from the key file.
+ * Rotating the master key rewrites only that fixed-size header, never the data.
+ *
+ * File layout:
+ *   magic "TTBKENC1" (8) | key id (8) | wrap IV (12) | wrapped data key (32) | wrap tag (16)
+ *   | data IV (12) | ciphertext | data tag (16)
+ *
+ * The key file keeps every master key ever used (old ones marked retired), so copies
+ * made before a rotation, such as off-site ones, can still be decrypted.
+ *
+ * Also a command line tool for when the panel is not running:
+ *   node lib/encryption.js decrypt <key file> <encrypted file> <output file>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, PassThrough } = require('stream');
+const { pipeline } = require('stream/promises');
+
+const MAGIC = Buffer.from('TTBKENC1');
+const KEY_ID_BYTES = 8;
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+const TAG_BYTES = 16;
+// Offsets of the header fields that a rotation rewrites (key id .. wrap tag)
+const WRAP_START = MAGIC.length;
+const WRAP_END = WRAP_START + KEY_ID_BYTES + IV_BYTES + KEY_BYTES + TAG_BYTES;
+const HEADER_BYTES = WRAP_END + IV_BYTES;
+
+class EncryptionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'EncryptionError';
+    }
+}
+
+/**
+ * Master keys, kept in a JSON file readable only by the panel's user:
+ *   { "version": 1, "current": "<id>", "keys": [{ "id", "key" (base64), "createdAt", "retiredAt" }] }
+ */
+class KeyRing {
+    constructor(keyFile, data) {
+        this.keyFile = keyFile;
+        this.data = data;
+    }
+
+    /**
+     * Load the key file, creating it with a fresh key if it does not exist.
+     * Returns { keyring, created }.
+     */
+    static open(keyFile) {
+        if (!fs.existsSync(keyFile)) {
+            const keyring = new KeyRing(keyFile, { version: 1, current: null, keys: [] });
+            keyring._addKey();
+            fs.mkdirSync(path.dirname(keyFile), { recursive: true, mode: 0o700 });
+            keyring.save();
+            return { keyring, created: true };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+        } catch (err) {
+            throw new EncryptionError(`Could not read encryption key file ${keyFile}: ${err.message}`);
+        }
+        if (!data || !Array.isArray(data.keys) || !data.keys.some(key => key.id === data.current)) {
+            throw new EncryptionError(`Encryption key file ${keyFile} has no current key`);
+        }
+        for (const key of data.keys) {
+            if (!/^[0-9a-f]{16}$/.test(key.id) || Buffer.from(key.key || '', 'base64').length !== KEY_BYTES) {
+                throw new EncryptionError(`Encryption key file ${keyFile} has an invalid key entry`);
+            }
+        }
+        return { keyring: new KeyRing(keyFile, data), created: false };
+    }
+
+    get currentId() {
+        return this.data.current;
+    }
+
+    key(id) {
+        const entry = this.data.keys.find(key => key.id === id);
+        if (!entry) throw new EncryptionError(`Encryption key ${id} is not in ${this.keyFile}`);
+        return Buffer.from(entry.key, 'base64');
+    }
+
+    list() {
+        return this.data.keys.map(key => ({
+            id: key.id,
+            createdAt: key.createdAt,
+            retiredAt: key.retiredAt || null,
+            current: key.id === this.data.current
+        }));
+    }
+
+    // Make a new current key (the old one is kept, retired). Returns the new key id.
+    rotate() {
+        const previous = this.data.keys.find(key => key.id === this.data.current);
+        if (previous) previous.retiredAt = new Date().toISOString();
+        const id = this._addKey();
+        this.save();
+        return id;
+    }
+
+    save() {
+        const tmp = `${this.keyFile}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+        fs.renameSync(tmp, this.keyFile);
+    }
+
+    _addKey() {
+        const id = crypto.randomBytes(KEY_ID_BYTES).toString('hex');
+        this.data.keys.push({ id, key: crypto.randomBytes(KEY_BYTES).toString('base64'), createdAt: new Date().toISOString(), retiredAt: null });
+        this.data.current = id;
+        return id;
+    }
+}
+
+function wrapKey(dataKey, keyring) {
+    const keyId = Buffer.from(keyring.currentId, 'hex');
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keyring.key(keyring.currentId), iv);
+    cipher.setAAD(Buffer.concat([MAGIC, keyId]));
+    const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+    return Buffer.concat([keyId, iv, wrapped, cipher.getAuthTag()]);
+}
+
+function unwrapKey(header, keyring) {
+    let offset = WRAP_START;
+    const take = bytes => header.subarray(offset, (offset += bytes));
+    const keyId = take(KEY_ID_BYTES);
+    const iv = take(IV_BYTES);
+    const wrapped = take(KEY_BYTES);
+    const tag = take(TAG_BYTES);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', keyring.key(keyId.toString('hex')), iv);
+    decipher.setAAD(Buffer.concat([MAGIC, keyId]));
+    decipher.setAuthTag(tag);
+    try {
+        return Buffer.concat([decipher.update(wrapped), decipher.final()]);
+    } catch (err) {
+        throw new EncryptionError(`Could not unwrap the file key with key ${keyId.toString('hex')} (wrong key or damaged header)`);
+    }
+}
+
+async function readHeader(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const { size } = await handle.stat();
+        const header = Buffer.alloc(HEADER_BYTES);
+        const { bytesRead } = await handle.read(header, 0, HEADER_BYTES, 0);
+        if (bytesRead < HEADER_BYTES || !header.subarray(0, MAGIC.length).equals(MAGIC)) return null;
+        if (size < HEADER_BYTES + TAG_BYTES) throw new EncryptionError(`${path.basename(filePath)} is truncated`);
+        const tag = Buffer.alloc(TAG_BYTES);
+        await handle.read(tag, 0, TAG_BYTES, size - TAG_BYTES);
+        return { header, tag, size, keyId: header.subarray(WRAP_START, WRAP_START + KEY_ID_BYTES).toString('hex') };
+    } finally {
+        await handle.close();
+    }
+}
+
+// True if the file starts with the encrypted-backup header
+async function isEncrypted(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const magic = Buffer.alloc(MAGIC.length);
+        const { bytesRead } = await handle.read(magic, 0, MAGIC.length, 0);
+        return bytesRead === MAGIC.length && magic.equals(MAGIC);
+    } finally {
+        await handle.close();
+    }
+}
+
+// Id of the master key a file is wrapped with, or null for a plain file
+async function fileKeyId(filePath) {
+    const info = await readHeader(filePath);
+    return info ? info.keyId : null;
+}
+
+/**
+ * Encrypt a readable stream into destPath (via a temporary file).
+ * Resolves to { keyId, size, sha256 } of the encrypted file.
+ */
+async function encryptStream(source, destPath, keyring) {
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+    cipher.setAAD(MAGIC);
+    const header = Buffer.concat([MAGIC, wrapKey(dataKey, keyring), iv]);
+
+    const sha = crypto.createHash('sha256');
+    let size = 0;
+    const partial = `${destPath}.partial`;
+    try {
+        await pipeline(source, cipher, async function* (ciphertext) {
+            const emit = chunk => {
+                sha.update(chunk);
+                size += chunk.length;
+                return chunk;
+            };
+            yield emit(header);
+            for await (const chunk of ciphertext) yield emit(chunk);
+            yield emit(cipher.getAuthTag());
+        }, fs.createWriteStream(partial, { mode: 0o600 }));
+        await fs.promises.rename(partial, destPath);
+    } catch (err) {
+        await fs.promises.rm(partial, { force: true });
+        throw err;
+    }
+    return { keyId: keyring.currentId, size, sha256: sha.digest('hex') };
+}
+
+function encryptFile(srcPath, destPath, keyring) {
+    return encryptStream(fs.createReadStream(srcPath), destPath, keyring);
+}
+
+function encryptBuffer(data, destPath, keyring) {
+    return encryptStream(Readable.from([data]), destPath, keyring);
+}
+
+/**
+ * Plaintext of an encrypted file as a stream. The authentication tag can only be
+ * checked at the end, so the stream errors there if the file was tampered with;
+ * callers that act on the contents should use decryptFile() instead.
+ */
+async function createDecryptStream(filePath, keyring) {
+    const info = await readHeader(filePath);
+    if (!info) throw new EncryptionError(`${path.basename(filePath)} is not an encrypted backup`);
+    const decipher = crypto.createDecipheriv('aes-256-gcm', unwrapKey(info.header, keyring), info.header.subarray(WRAP_END, HEADER_BYTES));
+    decipher.setAAD(MAGIC);
+    decipher.setAuthTag(info.tag);
+
+    const input = fs.createReadStream(filePath, { start: HEADER_BYTES, end: info.size - TAG_BYTES - 1 });
+    const output = new PassThrough();
+    input.on('error', err => output.destroy(err));
+    decipher.on('error', err => output.destroy(/authenticate/.test(err.message)
+        ? new EncryptionError(`${path.basename(filePath)} failed authentication (damaged or tampered with)`)
+        : err));
+    output.on('close', () => input.destroy());
+    input.pipe(decipher).pipe(output);
+    return output;
+}
+
+// Decrypt to destPath (via a temporary file); rejects if the file fails authentication
+async function decryptFile(srcPath, destPath, keyring) {
+    const partial = `${destPath}.partial`;
+    try {
+        await pipeline(await createDecryptStream(srcPath, keyring), fs.createWriteStream(partial, { mode: 0o600 }));
+        await fs.promises.rename(partial, destPath);
+    } catch (err) {
+        await fs.promises.rm(partial, { force: true });
+        throw err;
+    }
+}
+
+/**
+ * Re-wrap a file's data key with the current master key, rewriting only the header.
+ * Resolves to true if the file changed, false if it was already current.
+ */
+async function rewrapFile(filePath, keyring) {
+    const info = await readHeader(filePath);
+    if (!info) throw new EncryptionError(`${path.basename(filePath)} is not an encrypted backup`);
+    if (info.keyId === keyring.currentId) return false;
+
+    const wrapped = wrapKey(unwrapKey(info.header, keyring), keyring);
+    const handle = await fs.promises.open(filePath, 'r+');
+    try {
+        await handle.write(wrapped, 0, wrapped.length, WRAP_START);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    return true;
+}
+
+module.exports = {
+    KeyRing,
+    EncryptionError,
+    isEncrypted,
+    fileKeyId,
+    encryptStream,
+    encryptFile,
+    encryptBuffer,
+    createDecryptStream,
+    decryptFile,
+    rewrapFile
+};
+
+if (require.main === module) {
+    const [command, keyFile, input, output] = process.argv.slice(2);
+    if (command !== 'decrypt' || !output) {
+        console.error('Usage: node lib/encryption.js decrypt <key file> <encrypted file> <output file>');
+        process.exit(2);
+    }
+    if (!fs.existsSync(keyFile)) {
+        console.error(`Key file not found: ${keyFile}`);
+        process.exit(1);
+    }
+    decryptFile(input, output, KeyRing.open(keyFile).keyring)
+        .then(() => console.log(`Decrypted ${input} -> ${output}`))
+        .catch(err => {
+            console.error(err.message);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,208 @@
+/**
+ * events.log tailer
+ * Reads the mod's JSON-lines event log incrementally from a byte offset that is
+ * persisted in the `event_cursors` table, so each event is processed once even
+ * across panel restarts.
+ *
+ * - Partial lines (the mod mid-write) are left for the next poll.
+ * - Truncation (size below the cursor) and replacement (different inode, or the
+ *   first line no longer matching) restart reading from the top of the file.
+ * - On the first poll after startup, events older than the catch-up window are
+ *   marked stale: callers should record them but not fire notifications for them.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+
+const READ_CHUNK_BYTES = 1024 * 1024;
+// The first line (up to this many bytes) identifies the file; it never changes once written
+const HEAD_BYTES = 256;
+
+class EventLogTailer {
+    /**
+     * name identifies the cursor row (one per log file).
+     * catchUpMs: on startup, missed events newer than this are replayed as live.
+     */
+    constructor(db, filePath, { name = 'events', catchUpMs = 60 * 60 * 1000 } = {}) {
+        this.db = db;
+        this.filePath = filePath;
+        this.name = name;
+        this.catchUpMs = catchUpMs;
+        this.cursor = null;
+        this.startedAt = null;
+        this.firstPoll = true;
+        this.newCursor = false;
+    }
+
+    hasCursor() {
+        return Boolean(this._loadCursor());
+    }
+
+    /**
+     * Position the tailer. Without a saved cursor it starts at the end of the file
+     * (nothing to replay) unless fromStart is set.
+     */
+    start({ fromStart = false } = {}) {
+        this.startedAt = Date.now();
+        this.cursor = this._loadCursor();
+        if (this.cursor) return;
+
+        this.newCursor = true;
+        const stat = this._stat();
+        this.cursor = {
+            inode: stat ? String(stat.ino) : null,
+            offset: stat && !fromStart ? this._lastNewlineBefore(stat.size) : 0,
+            headHash: stat ? this._headHash() : null,
+            lastTimestamp: null
+        };
+        this._saveCursor();
+    }
+
+    /**
+     * Read everything appended since the last poll.
+     * Returns [{ event, stale }] in file order.
+     */
+    poll() {
+        if (!this.cursor) this.start();
+        const firstPoll = this.firstPoll;
+        this.firstPoll = false;
+
+        const stat = this._stat();
+        if (!stat) return [];
+        this._checkRotation(stat);
+        if (stat.size <= this.cursor.offset) return [];
+
+        const staleBefore = this.startedAt - this.catchUpMs;
+        const results = [];
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            let offset = this.cursor.offset;
+            let pending = Buffer.alloc(0);
+            while (offset < stat.size) {
+                const length = Math.min(READ_CHUNK_BYTES, stat.size - offset);
+                const chunk = Buffer.alloc(length);
+                const bytesRead = fs.readSync(fd, chunk, 0, length, offset);
+                if (bytesRead === 0) break;
+                offset += bytesRead;
+
+                const data = pending.length ? Buffer.concat([pending, chunk.subarray(0, bytesRead)]) : chunk.subarray(0, bytesRead);
+                const lastNewline = data.lastIndexOf(0x0a);
+                if (lastNewline === -1) {
+                    pending = data;
+                    continue;
+                }
+
+                for (const line of data.subarray(0, lastNewline).toString('utf8').split('\n')) {
+                    const event = this._parse(line);
+                    if (!event) continue;
+                    // Without a saved cursor there is no telling what was already handled, so nothing is replayed
+                    const stale = firstPoll && (this.newCursor || !(new Date(event.timestamp).getTime() >= staleBefore));
+                    results.push({ event, stale });
+                    if (event.timestamp) this.cursor.lastTimestamp = event.timestamp;
+                }
+                pending = data.subarray(lastNewline + 1);
+            }
+            // Only whole lines are consumed; a trailing partial line is re-read next time
+            this.cursor.offset = offset - pending.length;
+        } finally {
+            fs.closeSync(fd);
+        }
+
+        this._saveCursor();
+        return results;
+    }
+
+    getCursor() {
+        return this.cursor ? { ...this.cursor } : null;
+    }
+
+    _checkRotation(stat) {
+        const inode = String(stat.ino);
+        let reason = null;
+        if (this.cursor.inode && this.cursor.inode !== inode) {
+            reason = 'file replaced';
+        } else if (stat.size < this.cursor.offset) {
+            reason = 'file truncated';
+        } else if (this.cursor.headHash && this.cursor.offset > 0) {
+            const headHash = this._headHash();
+            if (headHash && headHash !== this.cursor.headHash) reason = 'file rewritten';
+        }
+
+        if (reason) {
+            console.log(`[Events] ${this.filePath}: ${reason}, reading from the start`);
+            this.cursor.offset = 0;
+            this.cursor.headHash = null;
+        }
+        this.cursor.inode = inode;
+        if (!this.cursor.headHash) this.cursor.headHash = this._headHash();
+    }
+
+    _parse(line) {
+        if (!line.trim()) return null;
+        try {
+            const event = JSON.parse(line);
+            return event && typeof event === 'object' && event.type ? event : null;
+        } catch (e) {
+            return null; // Skip invalid lines
+        }
+    }
+
+    _stat() {
+        try {
+            return fs.statSync(this.filePath);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Hash of the first line, or null while that line is still being written
+    _headHash() {
+        try {
+            const fd = fs.openSync(this.filePath, 'r');
+            try {
+                const head = Buffer.alloc(HEAD_BYTES);
+                const bytesRead = fs.readSync(fd, head, 0, HEAD_BYTES, 0);
+                const newline = head.subarray(0, bytesRead).indexOf(0x0a);
+                if (newline === -1 && bytesRead < HEAD_BYTES) return null;
+                const end = newline === -1 ? HEAD_BYTES : newline;
+                return crypto.createHash('sha1').update(head.subarray(0, end)).digest('hex');
+            } finally {
+                fs.closeSync(fd);
+            }
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Offset just past the last complete line, so starting "at the end" skips nothing half-written
+    _lastNewlineBefore(size) {
+        if (size === 0) return 0;
+        const length = Math.min(size, 64 * 1024);
+        const fd = fs.openSync(this.filePath, 'r');
+        try {
+            const tail = Buffer.alloc(length);
+            fs.readSync(fd, tail, 0, length, size - length);
+            const lastNewline = tail.lastIndexOf(0x0a);
+            return lastNewline === -1 ? size - length : size - length + lastNewline + 1;
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    _loadCursor() {
+        const row = this.db.prepare('SELECT * FROM event_cursors WHERE name = ?').get(this.name);
+        if (!row) return null;
+        return { inode: row.inode, offset: row.offset, headHash: row.head_hash, lastTimestamp: row.last_timestamp };
+    }
+
+    _saveCursor() {
+        this.db.prepare(`
+            INSERT INTO event_cursors (name, inode, offset, head_hash, last_timestamp, updated_at)
+            VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(name) DO UPDATE SET inode = excluded.inode, offset = excluded.offset,
+                head_hash = excluded.head_hash, last_timestamp = excluded.last_timestamp, updated_at = CURRENT_TIMESTAMP
+        `).run(this.name, this.cursor.inode, this.cursor.offset, this.cursor.headHash, this.cursor.lastTimestamp);
+    }
+}
+
+module.exports = { EventLogTailer };
@@ -0,0 +1,132 @@
+/**
+ * Game command queue
+ * Hands ds.* console commands to the dedicated server mod. Each command is written
+ * as its own file in the command directory; the mod polls the directory, runs the
+ * command, deletes the file and writes the captured log output to
+ * responses/<id>.json so callers can wait for the result of their command.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const RESPONSE_POLL_MS = 250;
+// Responses nobody waited for (fire-and-forget sends) are removed after this long
+const RESPONSE_MAX_AGE_MS = 10 * 60 * 1000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class GameCommandQueue {
+    constructor(commandDir, { responseTimeoutMs = 10000 } = {}) {
+        this.commandDir = commandDir;
+        this.responseDir = path.join(commandDir, 'responses');
+        this.responseTimeoutMs = responseTimeoutMs;
+    }
+
+    /**
+     * Queue a command line such as "ds.say Server restarting in 5 minutes".
+     * Returns the command id.
+     */
+    send(command) {
+        const line = String(command || '').replace(/[\r\n]+/g, ' ').trim();
+        if (!line) throw new Error('Command is empty');
+
+        fs.mkdirSync(this.commandDir, { recursive: true });
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const payload = JSON.stringify({ id, command: line, issuedAt: new Date().toISOString() });
+
+        // Write then rename so the mod never sees a half-written file
+        const tmpPath = path.join(this.commandDir, `${id}.tmp`);
+        fs.writeFileSync(tmpPath, payload);
+        fs.renameSync(tmpPath, path.join(this.commandDir, `${id}.cmd`));
+        return id;
+    }
+
+    // Broadcast a chat/log message to players via ds.say
+    say(message) {
+        return this.send(`ds.say ${message}`);
+    }
+
+    /**
+     * Queue a command and wait for the mod's response.
+     * Resolves to { id, command, status, output, finishedAt } where status is one of
+     *   ok | error | unknown  - reported by the mod
+     *   undelivered           - the mod never picked the command up (it was withdrawn)
+     *   timeout               - picked up, but no response arrived in time
+     */
+    async execute(command, { timeoutMs = this.responseTimeoutMs } = {}) {
+        this._pruneResponses();
+        const id = this.send(command);
+        const responsePath = path.join(this.responseDir, `${id}.json`);
+        const deadline = Date.now() + timeoutMs;
+
+        while (Date.now() < deadline) {
+            await sleep(RESPONSE_POLL_MS);
+            const response = this._takeResponse(responsePath);
+            if (response) {
+                return {
+                    id,
+                    command: response.command,
+                    status: response.status || 'ok',
+                    output: Array.isArray(response.output) ? response.output : [],
+                    finishedAt: response.finishedAt || new Date().toISOString()
+                };
+            }
+        }
+
+        // Don't leave it queued: it would otherwise run whenever the game next starts
+        const withdrawn = this._withdraw(id);
+        return { id, command, status: withdrawn ? 'undelivered' : 'timeout', output: [], finishedAt: null };
+    }
+
+    // Drop queued commands and stale responses (called before the game starts)
+    purge() {
+        for (const dir of [this.commandDir, this.responseDir]) {
+            let files = [];
+            try { files = fs.readdirSync(dir); } catch (e) { continue; }
+            for (const file of files) {
+                if (/\.(cmd|tmp|json)$/.test(file)) {
+                    try { fs.unlinkSync(path.join(dir, file)); } catch (e) { /* already gone */ }
+                }
+            }
+        }
+    }
+
+    _takeResponse(responsePath) {
+        let raw;
+        try {
+            raw = fs.readFileSync(responsePath, 'utf8');
+        } catch (e) {
+            return null;
+        }
+        try { fs.unlinkSync(responsePath); } catch (e) { /* already gone */ }
+        try {
+            return JSON.parse(raw);
+        } catch (e) {
+            return { status: 'error', output: [`Unreadable response from mod: ${e.message}`] };
+        }
+    }
+
+    _withdraw(id) {
+        try {
+            fs.unlinkSync(path.join(this.commandDir, `${id}.cmd`));
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    _pruneResponses() {
+        let files = [];
+        try { files = fs.readdirSync(this.responseDir); } catch (e) { return; }
+        const cutoff = Date.now() - RESPONSE_MAX_AGE_MS;
+        for (const file of files) {
+            const filePath = path.join(this.responseDir, file);
+            try {
+                if (fs.statSync(filePath).mtimeMs < cutoff) fs.unlinkSync(filePath);
+            } catch (e) { /* raced with another reader */ }
+        }
+    }
+}
+
+module.exports = { GameCommandQueue };
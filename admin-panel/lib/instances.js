@@ -0,0 +1,229 @@
+/**
+ * Game server instances
+ * One panel can run several Techtonica servers on the same host, each with its own
+ * install, Wine prefix, port, display, mod config, saves, backups and logs. An
+ * instance stores only the settings it overrides (the config.js keys marked
+ * instance); the rest are derived from its rootDir the way the panel's own defaults
+ * are. The 'default' instance is the panel's own configuration (config.json and the
+ * environment) and always exists.
+ *
+ * Access: a user has their panel role on every instance unless they are given a role
+ * for that instance, which may be higher, lower or 'none'. Users without one cannot
+ * see a restricted instance at all. Owners always have full access.
+ */
+
+const { instanceConfig, ConfigError, SCHEMA, getNested } = require('./config');
+
+const DEFAULT_INSTANCE = 'default';
+const NO_ACCESS = 'none';
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MAX_NAME_LENGTH = 64;
+const MAX_DESCRIPTION_LENGTH = 500;
+// Every server needs its own port and files; two instances may not share these
+const UNIQUE_SETTINGS = [
+    'gamePort', 'gameDir', 'winePrefix', 'modConfig', 'eventLog', 'commandDir', 'banFile',
+    'wineSavesDir', 'backupsDir', 'saveVersionsDir', 'uploadsDir'
+];
+// ...and two instances run by the same supervisord or Docker may not share its program or container
+const BACKEND_TARGETS = { supervisord: 'supervisord.program', docker: 'docker.container' };
+const INSTANCE_SETTINGS = Object.keys(SCHEMA).filter(key => SCHEMA[key].instance);
+
+class InstanceError extends Error {
+    constructor(message, status = 400, problems = []) {
+        super(message);
+        this.name = 'InstanceError';
+        this.status = status;
+        this.problems = problems;
+    }
+}
+
+class InstanceRegistry {
+    /**
+     * options:
+     *   baseConfig:  the panel's configuration (the default instance's)
+     *   roles:       role names an instance role may be set to
+     */
+    constructor(db, { baseConfig, roles }) {
+        this.db = db;
+        this.baseConfig = baseConfig;
+        this.roles = roles;
+        db.prepare(`
+            INSERT OR IGNORE INTO instances (id, name, settings, created_at, updated_at) VALUES (?, 'Default', '{}', ?, ?)
+        `).run(DEFAULT_INSTANCE, new Date().toISOString(), new Date().toISOString());
+    }
+
+    list() {
+        return this.db.prepare(`
+            SELECT i.*, u.username as created_by_username FROM instances i
+            LEFT JOIN users u ON i.created_by = u.id
+            ORDER BY i.id != ?, i.name COLLATE NOCASE
+        `).all(DEFAULT_INSTANCE).map(row => this._format(row));
+    }
+
+    get(id) {
+        const row = this.db.prepare(`
+            SELECT i.*, u.username as created_by_username FROM instances i
+            LEFT JOIN users u ON i.created_by = u.id
+            WHERE i.id = ?
+        `).get(id);
+        if (!row) throw new InstanceError('Instance not found', 404);
+        return this._format(row);
+    }
+
+    // The panel configuration an instance runs with
+    configFor(instance) {
+        if (instance.id === DEFAULT_INSTANCE) return this.baseConfig;
+        return instanceConfig(this.baseConfig, instance.settings);
+    }
+
+    /**
+     * Add an instance { id, name, description?, restricted?, settings: { rootDir, ... } }.
+     * Throws InstanceError (409 when the id, name or one of its ports or paths is taken).
+     */
+    create(data, userId = null) {
+        const id = String(data.id || '').trim().toLowerCase();
+        if (!ID_PATTERN.test(id)) {
+            throw new InstanceError('Instance id must be 1-32 lowercase letters, digits or hyphens, starting with a letter or digit');
+        }
+        if (this.db.prepare('SELECT 1 FROM instances WHERE id = ?').get(id)) {
+            throw new InstanceError(`An instance with id "${id}" already exists`, 409);
+        }
+        const instance = this._validate({ ...data, id });
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO instances (id, name, description, settings, restricted, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(id, instance.name, instance.description, JSON.stringify(instance.settings), instance.restricted ? 1 : 0, userId, now, now);
+        return this.get(id);
+    }
+
+    // Change an instance (fields not given are kept). The default instance's settings
+    // come from the panel configuration and cannot be changed here.
+    update(id, data) {
+        const existing = this.get(id);
+        if (existing.isDefault && data.settings !== undefined) {
+            throw new InstanceError("The default instance's settings come from the panel configuration (config.json or the environment)");
+        }
+        const instance = this._validate({ ...existing, ...data });
+        this.db.prepare(`
+            UPDATE instances SET name = ?, description = ?, settings = ?, restricted = ?, updated_at = ? WHERE id = ?
+        `).run(instance.name, instance.description, JSON.stringify(instance.settings), instance.restricted ? 1 : 0, new Date().toISOString(), id);
+        return this.get(id);
+    }
+
+    // Forget an instance and its roles (its files and database are left on disk)
+    remove(id) {
+        const instance = this.get(id);
+        if (instance.isDefault) throw new InstanceError('The default instance cannot be removed');
+        this.db.prepare('DELETE FROM instance_roles WHERE instance_id = ?').run(id);
+        this.db.prepare('DELETE FROM instances WHERE id = ?').run(id);
+        return instance;
+    }
+
+    // The role a user has on an instance, or null if they may not see it
+    roleFor(user, instanceId) {
+        if (user.role === 'owner') return 'owner';
+        const row = this.db.prepare('SELECT role FROM instance_roles WHERE instance_id = ? AND user_id = ?').get(instanceId, user.id);
+        if (row) return row.role === NO_ACCESS ? null : row.role;
+        const instance = this.db.prepare('SELECT restricted FROM instances WHERE id = ?').get(instanceId);
+        return instance && !instance.restricted ? user.role : null;
+    }
+
+    // Users given a role for an instance
+    members(id) {
+        this.get(id);
+        return this.db.prepare(`
+            SELECT r.user_id, r.role, u.username, u.role as panel_role FROM instance_roles r
+            JOIN users u ON r.user_id = u.id
+            WHERE r.instance_id = ? ORDER BY u.username COLLATE NOCASE
+        `).all(id).map(row => ({ userId: row.user_id, username: row.username, role: row.role, panelRole: row.panel_role }));
+    }
+
+    // Give a user a role on an instance ('none' to keep them out); null removes it
+    setRole(id, userId, role) {
+        this.get(id);
+        if (!this.db.prepare('SELECT 1 FROM users WHERE id = ?').get(userId)) throw new InstanceError('User not found', 404);
+        if (role === null) {
+            this.db.prepare('DELETE FROM instance_roles WHERE instance_id = ? AND user_id = ?').run(id, userId);
+            return;
+        }
+        if (role !== NO_ACCESS && !this.roles.includes(role)) {
+            throw new InstanceError(`Role must be one of ${[...this.roles, NO_ACCESS].join(', ')}`);
+        }
+        this.db.prepare(`
+            INSERT INTO instance_roles (instance_id, user_id, role) VALUES (?, ?, ?)
+            ON CONFLICT(instance_id, user_id) DO UPDATE SET role = excluded.role
+        `).run(id, userId, role);
+    }
+
+    _validate(data) {
+        const name = String(data.name || '').trim();
+        if (!name) throw new InstanceError('Instance name required');
+        if (name.length > MAX_NAME_LENGTH || /[\r\n]/.test(name)) throw new InstanceError(`Instance names are single lines of at most ${MAX_NAME_LENGTH} characters`);
+        const clash = this.db.prepare('SELECT id FROM instances WHERE name = ? COLLATE NOCASE AND id != ?').get(name, data.id);
+        if (clash) throw new InstanceError(`An instance named "${name}" already exists`, 409);
+        const description = String(data.description || '').trim();
+        if (description.length > MAX_DESCRIPTION_LENGTH) throw new InstanceError(`Descriptions are limited to ${MAX_DESCRIPTION_LENGTH} characters`);
+
+        const settings = data.settings || {};
+        if (typeof settings !== 'object' || Array.isArray(settings)) throw new InstanceError('settings must be an object of panel settings');
+        if (data.id === DEFAULT_INSTANCE) {
+            return { name, description, settings: {}, restricted: Boolean(data.restricted) };
+        }
+        if (!settings.rootDir) throw new InstanceError('settings.rootDir is required: every instance needs its own directory');
+
+        let config;
+        try {
+            config = instanceConfig(this.baseConfig, settings);
+        } catch (err) {
+            if (!(err instanceof ConfigError)) throw err;
+            throw new InstanceError(`Invalid instance settings: ${err.problems.join('; ')}`, 400, err.problems);
+        }
+        if (config.gamePort === this.baseConfig.port) {
+            throw new InstanceError(`Port ${config.gamePort} is the admin panel's own port`, 409);
+        }
+        for (const other of this.list()) {
+            if (other.id === data.id) continue;
+            const otherConfig = this.configFor(other);
+            const shared = UNIQUE_SETTINGS.filter(key => config[key] === otherConfig[key]);
+            const target = BACKEND_TARGETS[config.processBackend];
+            if (target && otherConfig.processBackend === config.processBackend && getNested(config, target) === getNested(otherConfig, target)) {
+                shared.push(target);
+            }
+            if (shared.length) {
+                throw new InstanceError(`Instance "${other.name}" already uses the same ${shared.join(', ')}`, 409);
+            }
+        }
+        return { name, description, settings, restricted: Boolean(data.restricted) };
+    }
+
+    _format(row) {
+        let settings;
+        try {
+            settings = JSON.parse(row.settings || '{}');
+        } catch (err) {
+            settings = {};
+        }
+        const instance = {
+            id: row.id,
+            name: row.name,
+            description: row.description || '',
+            isDefault: row.id === DEFAULT_INSTANCE,
+            restricted: Boolean(row.restricted),
+            settings,
+            createdBy: row.created_by_username || null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+        // What the instance resolves to, so every port and path can be checked at a glance
+        try {
+            const config = this.configFor(instance);
+            instance.resolved = Object.fromEntries(INSTANCE_SETTINGS.map(key => [key, getNested(config, key)]));
+        } catch (err) {
+            instance.resolved = null;
+        }
+        return instance;
+    }
+}
+
+module.exports = { InstanceRegistry, InstanceError, DEFAULT_INSTANCE, NO_ACCESS };
@@ -0,0 +1,200 @@
+/**
+ * Prometheus metrics
+ * A small registry of counters, gauges and histograms rendered in the Prometheus text
+ * exposition format (version 0.0.4), for GET /metrics.
+ *
+ * Counters and histograms are updated as things happen. Gauges describe the present:
+ * they are emptied before every scrape and filled in by the collectors registered with
+ * addCollector(), so a series whose subject has gone (a removed instance) disappears.
+ * A counter created with { collected: true } is treated the same way, for totals kept
+ * elsewhere (such as a process's CPU time) that a collector reads.
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// Default histogram buckets in seconds, for HTTP request durations
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const NAME_PATTERN = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatValue(value) {
+    if (Number.isNaN(value)) return 'NaN';
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (!entries.length) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+class Metric {
+    constructor(name, help, type, labelNames = [], { collected = type === 'gauge' } = {}) {
+        if (!NAME_PATTERN.test(name)) throw new Error(`Invalid metric name: ${name}`);
+        this.name = name;
+        this.help = help;
+        this.type = type;
+        this.labelNames = labelNames;
+        this.collected = collected;
+        this.values = new Map();
+    }
+
+    // Labels in declaration order; every declared label must be given
+    _labels(labels = {}) {
+        const ordered = {};
+        for (const name of this.labelNames) {
+            if (labels[name] === undefined || labels[name] === null) throw new Error(`${this.name}: label "${name}" missing`);
+            ordered[name] = String(labels[name]);
+        }
+        return ordered;
+    }
+
+    _key(labels) {
+        return JSON.stringify(Object.values(labels));
+    }
+
+    reset() {
+        this.values.clear();
+    }
+
+    _header() {
+        return `# HELP ${this.name} ${this.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}\n# TYPE ${this.name} ${this.type}\n`;
+    }
+
+    render() {
+        let text = this._header();
+        for (const { labels, value } of this.values.values()) {
+            text += `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`;
+        }
+        return text;
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames, options) {
+        super(name, help, 'counter', labelNames, options);
+    }
+
+    inc(labels = {}, amount = 1) {
+        const ordered = this._labels(labels);
+        const key = this._key(ordered);
+        const current = this.values.get(key);
+        this.values.set(key, { labels: ordered, value: (current ? current.value : 0) + amount });
+    }
+
+    // For collected counters: the total as read at scrape time
+    set(labels = {}, value) {
+        const ordered = this._labels(labels);
+        this.values.set(this._key(ordered), { labels: ordered, value });
+    }
+}
+
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super(name, help, 'gauge', labelNames);
+    }
+
+    set(labels = {}, value) {
+        const ordered = this._labels(labels);
+        this.values.set(this._key(ordered), { labels: ordered, value: Number(value) });
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super(name, help, 'histogram', labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels = {}, value) {
+        const ordered = this._labels(labels);
+        const key = this._key(ordered);
+        let series = this.values.get(key);
+        if (!series) {
+            series = { labels: ordered, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+            this.values.set(key, series);
+        }
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    render() {
+        let text = this._header();
+        for (const { labels, counts, sum, count } of this.values.values()) {
+            this.buckets.forEach((bound, i) => {
+                text += `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}\n`;
+            });
+            text += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}\n`;
+            text += `${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}\n`;
+            text += `${this.name}_count${formatLabels(labels)} ${count}\n`;
+        }
+        return text;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = new Map();
+        this.collectors = [];
+        this.rendering = Promise.resolve();
+    }
+
+    counter(name, help, labelNames = [], { collected = false } = {}) {
+        return this._register(new Counter(name, help, labelNames, { collected }));
+    }
+
+    gauge(name, help, labelNames = []) {
+        return this._register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        return this._register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    // fn() (may be async) sets gauges and collected counters for the scrape in progress
+    addCollector(fn) {
+        this.collectors.push(fn);
+    }
+
+    /**
+     * Run the collectors and render every metric. A collector that fails is logged
+     * and skipped so the other metrics are still exported. Scrapes run one at a time,
+     * as the collected values are shared between them.
+     */
+    render() {
+        const result = this.rendering.then(() => this._render());
+        this.rendering = result.catch(() => {});
+        return result;
+    }
+
+    async _render() {
+        for (const metric of this.metrics.values()) {
+            if (metric.collected) metric.reset();
+        }
+        for (const collector of this.collectors) {
+            try {
+                await collector();
+            } catch (err) {
+                console.error('[Metrics] Collector failed:', err.message);
+            }
+        }
+        return [...this.metrics.values()].map(metric => metric.render()).join('');
+    }
+
+    _register(metric) {
+        if (this.metrics.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+        this.metrics.set(metric.name, metric);
+        return metric;
+    }
+}
+
+module.exports = { MetricsRegistry, CONTENT_TYPE, DEFAULT_BUCKETS };
@@ -0,0 +1,166 @@
+/**
+ * Metrics history
+ * Keeps the game process, host and player samples taken by the panel in
+ * `metrics_samples` so the dashboard charts survive reloads and can show long-term
+ * trends. Samples are stored raw and rolled up into 5-minute and hourly buckets; each
+ * resolution is pruned on its own retention (by default raw for a day, 5-minute for a
+ * month and hourly for a year).
+ *
+ * Rows are keyed by resolution and bucket start in Unix seconds, so bucketing is plain
+ * integer arithmetic in SQL. A rolled-up row averages the rows it covers, weighted by
+ * how many samples each holds, and keeps the peaks of CPU, memory and players.
+ */
+
+const RESOLUTIONS = {
+    raw: { seconds: 0 },
+    '5m': { seconds: 5 * 60, source: 'raw' },
+    '1h': { seconds: 60 * 60, source: '5m' }
+};
+
+// Most points "auto" returns before it moves to a coarser resolution
+const AUTO_MAX_POINTS = 1500;
+
+class MetricsHistoryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MetricsHistoryError';
+        this.status = status;
+    }
+}
+
+function toUnix(date) {
+    return Math.floor(date.getTime() / 1000);
+}
+
+class MetricsHistory {
+    /**
+     * options:
+     *   sampleSeconds     - interval between raw samples, used to pick a resolution
+     *   keepRawHours      - how long raw samples are kept
+     *   keepFiveMinuteDays, keepHourlyDays - retention of the rollups
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.sampleSeconds = options.sampleSeconds || 60;
+        this.retention = {
+            raw: (options.keepRawHours ?? 24) * 3600,
+            '5m': (options.keepFiveMinuteDays ?? 30) * 86400,
+            '1h': (options.keepHourlyDays ?? 365) * 86400
+        };
+    }
+
+    /**
+     * Store one sample, then bring the rollups up to date and prune old rows.
+     * sample: { up, cpu, memoryPercent, memoryBytes, players, hostLoad, hostMemoryPercent }
+     */
+    record(sample, at = new Date()) {
+        const ts = toUnix(at);
+        const value = name => (Number.isFinite(Number(sample[name])) ? Number(sample[name]) : 0);
+        const record = this.db.transaction(() => {
+            this.db.prepare(`
+                INSERT OR REPLACE INTO metrics_samples
+                    (resolution, ts, samples, up, cpu, cpu_max, memory_percent, memory_bytes, memory_bytes_max,
+                     players, players_max, host_load, host_memory_percent)
+                VALUES ('raw', ?, 1, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `).run(
+                ts, sample.up ? 1 : 0, value('cpu'), value('cpu'), value('memoryPercent'),
+                value('memoryBytes'), value('memoryBytes'), value('players'), value('players'),
+                value('hostLoad'), value('hostMemoryPercent')
+            );
+            this.rollup(at);
+            this.prune(at);
+        });
+        record();
+    }
+
+    // Roll every complete bucket that isn't rolled up yet into the coarser resolutions
+    rollup(now = new Date()) {
+        for (const [resolution, { seconds, source }] of Object.entries(RESOLUTIONS)) {
+            if (!source) continue;
+            const end = Math.floor(toUnix(now) / seconds) * seconds;
+            const latest = this.db.prepare('SELECT MAX(ts) as ts FROM metrics_samples WHERE resolution = ?').get(resolution).ts;
+            const start = latest === null ? 0 : latest + seconds;
+            if (start >= end) continue;
+            this.db.prepare(`
+                INSERT OR REPLACE INTO metrics_samples
+                    (resolution, ts, samples, up, cpu, cpu_max, memory_percent, memory_bytes, memory_bytes_max,
+                     players, players_max, host_load, host_memory_percent)
+                SELECT ?, ts - ts % ? AS bucket, SUM(samples),
+                    SUM(up * samples) / SUM(samples),
+                    SUM(cpu * samples) / SUM(samples), MAX(cpu_max),
+                    SUM(memory_percent * samples) / SUM(samples),
+                    SUM(memory_bytes * samples) / SUM(samples), MAX(memory_bytes_max),
+                    SUM(players * samples) / SUM(samples), MAX(players_max),
+                    SUM(host_load * samples) / SUM(samples),
+                    SUM(host_memory_percent * samples) / SUM(samples)
+                FROM metrics_samples
+                WHERE resolution = ? AND ts >= ? AND ts < ?
+                GROUP BY bucket
+            `).run(resolution, seconds, source, start, end);
+        }
+    }
+
+    prune(now = new Date()) {
+        const ts = toUnix(now);
+        const remove = this.db.prepare('DELETE FROM metrics_samples WHERE resolution = ? AND ts < ?');
+        for (const resolution of Object.keys(RESOLUTIONS)) {
+            remove.run(resolution, ts - this.retention[resolution]);
+        }
+    }
+
+    /**
+     * The finest resolution that still covers `from` and gives at most
+     * AUTO_MAX_POINTS points over the range.
+     */
+    pickResolution(from, to, now = new Date()) {
+        const span = toUnix(to) - toUnix(from);
+        const age = toUnix(now) - toUnix(from);
+        for (const [resolution, { seconds }] of Object.entries(RESOLUTIONS)) {
+            const step = seconds || this.sampleSeconds;
+            if (age <= this.retention[resolution] && span / step <= AUTO_MAX_POINTS) return resolution;
+        }
+        return '1h';
+    }
+
+    /**
+     * Points between two dates at a resolution (raw, 5m, 1h or auto).
+     * Returns { resolution, intervalSeconds, from, to, points }.
+     */
+    query({ from, to, resolution = 'auto' }) {
+        if (resolution === 'auto') {
+            resolution = this.pickResolution(from, to);
+        } else if (!RESOLUTIONS[resolution]) {
+            throw new MetricsHistoryError(`resolution must be one of auto, ${Object.keys(RESOLUTIONS).join(', ')}`);
+        }
+        const rows = this.db.prepare(`
+            SELECT * FROM metrics_samples WHERE resolution = ? AND ts >= ? AND ts <= ? ORDER BY ts
+        `).all(resolution, toUnix(from), toUnix(to));
+        return {
+            resolution,
+            intervalSeconds: RESOLUTIONS[resolution].seconds || this.sampleSeconds,
+            from: from.toISOString(),
+            to: to.toISOString(),
+            points: rows.map(row => this._formatPoint(row))
+        };
+    }
+
+    _formatPoint(row) {
+        const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+        return {
+            time: new Date(row.ts * 1000).toISOString(),
+            samples: row.samples,
+            up: round(row.up, 3),
+            cpu: round(row.cpu),
+            cpuMax: round(row.cpu_max),
+            memoryPercent: round(row.memory_percent),
+            memoryMB: round(row.memory_bytes / 1048576, 1),
+            memoryMaxMB: round(row.memory_bytes_max / 1048576, 1),
+            players: round(row.players),
+            playersMax: row.players_max,
+            hostLoad: round(row.host_load),
+            hostMemoryPercent: round(row.host_memory_percent)
+        };
+    }
+}
+
+module.exports = { MetricsHistory, MetricsHistoryError, RESOLUTIONS };
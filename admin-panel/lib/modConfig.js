@@ -0,0 +1,379 @@
+/**
+ * Mod config file (BepInEx .cfg)
+ * Reads and edits the dedicated server mod's config without losing what is in it:
+ * comments, setting descriptions, "# Default value" hints, blank lines and the order
+ * of sections and keys all survive a round trip, and changing a value rewrites only
+ * that line.
+ *
+ * MOD_CONFIG_SCHEMA mirrors the Config.Bind calls in the mod's Plugin.cs, so values
+ * can be type- and range-checked before anything is written. Values are handled the
+ * way BepInEx reads them: strings are backslash-escaped in the file, except for
+ * Windows paths written unescaped (BepInEx reads "C:\saves" literally).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HEADER = '## Settings file was created by plugin Techtonica Dedicated Server';
+const INT32_MIN = -2147483648;
+const INT32_MAX = 2147483647;
+// Same test BepInEx uses to leave unescaped Windows paths alone
+const WINDOWS_PATH = /^"?\w:\\(?!\\)(?!.+\\\\)/;
+const ESCAPES = { '0': '\0', a: '\x07', b: '\b', t: '\t', n: '\n', v: '\v', f: '\f', r: '\r', "'": "'", '\\': '\\', '"': '"' };
+const TYPE_NAMES = { bool: 'Boolean', int: 'Int32', string: 'String' };
+
+/**
+ * Settings the mod binds. min/max are inclusive; pattern (a regex source) applies to
+ * non-empty strings. The mod itself declares no ranges, so the ones here are what
+ * it can actually use. The Admin paths default to BepInEx/admin under wherever the
+ * game is installed, so they have no fixed default here (null); the panel writes each
+ * instance's own paths before it starts the game.
+ */
+const MOD_CONFIG_SCHEMA = [
+    { section: 'General', key: 'EnableDirectConnect', type: 'bool', default: true, description: 'Enable direct IP connections (bypasses Steam lobbies)' },
+    { section: 'Server', key: 'Port', type: 'int', default: 6968, min: 1, max: 65535, description: 'Port for the dedicated server to listen on' },
+    { section: 'Server', key: 'MaxPlayers', type: 'int', default: 16, min: 1, max: 128, description: 'Maximum number of players allowed on the server' },
+    { section: 'Server', key: 'Password', type: 'string', default: '', description: 'Server password (leave empty for no password)' },
+    { section: 'Server', key: 'HeadlessMode', type: 'bool', default: false, description: 'Run in headless mode (no graphics, for dedicated servers)' },
+    { section: 'Server', key: 'AutoStartServer', type: 'bool', default: false, description: 'Automatically start the server when the game loads' },
+    {
+        section: 'Server', key: 'AutoLoadSave', type: 'string', default: '', pattern: '\\.dat$', patternMessage: 'must be the path of a .dat save file',
+        description: 'Path to a save file to auto-load on startup (e.g., /saves/world1/save.dat). Leave empty to use AutoLoadSlot instead.'
+    },
+    { section: 'Server', key: 'AutoLoadSlot', type: 'int', default: -1, min: -1, max: INT32_MAX, description: 'Save slot number to auto-load on startup (-1 = disabled, 0+ = slot number)' },
+    { section: 'Client', key: 'ConnectAddress', type: 'string', default: '51.81.155.59:6968', description: 'Default server address to connect to (ip:port). Used by F8 hotkey.' },
+    { section: 'Server', key: 'PublicAddress', type: 'string', default: 'certifriedmultitool.com:6968', description: 'Public address shown in logs and Discord webhooks. Set to your domain or public IP.' },
+    { section: 'Admin', key: 'CommandDirectory', type: 'string', default: null, description: 'Directory polled for ds.* commands queued by the web admin panel. Leave empty to disable.' },
+    { section: 'Admin', key: 'BanFile', type: 'string', default: null, description: 'Ban list written by the web admin panel. Banned players are disconnected on connect. Leave empty to disable.' },
+    { section: 'Admin', key: 'EventLog', type: 'string', default: null, description: 'File server events (starts, stops, player connects) are appended to for the web admin panel. Give each server on a host its own file.' }
+];
+
+class ModConfigError extends Error {
+    constructor(message, status = 400, problems = []) {
+        super(message);
+        this.name = 'ModConfigError';
+        this.status = status;
+        this.problems = problems;
+    }
+}
+
+function schemaFor(section, key) {
+    return MOD_CONFIG_SCHEMA.find(field => field.section === section && field.key === key) || null;
+}
+
+function escapeValue(text) {
+    let out = '';
+    for (const c of text) {
+        const code = Object.keys(ESCAPES).find(name => ESCAPES[name] === c);
+        out += code ? `\\${code}` : c;
+    }
+    return out;
+}
+
+// Throws on an escape sequence BepInEx does not understand
+function unescapeValue(text) {
+    if (WINDOWS_PATH.test(text)) return text;
+    let out = '';
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] !== '\\') {
+            out += text[i];
+            continue;
+        }
+        const next = text[++i];
+        if (next === undefined || !(next in ESCAPES)) {
+            throw new Error(next === undefined ? 'ends with a lone backslash' : `has an unknown escape sequence \\${next}`);
+        }
+        out += ESCAPES[next];
+    }
+    return out;
+}
+
+// The value as written to the file
+function encodeValue(field, value) {
+    if (field && field.type === 'bool') return String(value).toLowerCase();
+    const text = String(value);
+    return field && field.type !== 'string' ? text : escapeValue(text);
+}
+
+// The value as the mod sees it (strings unescaped); raw text if it cannot be decoded
+function decodeValue(field, raw) {
+    if (field && field.type !== 'string') return raw;
+    try {
+        return unescapeValue(raw);
+    } catch (err) {
+        return raw;
+    }
+}
+
+// Problem with a raw value from the file, or null
+function checkValue(field, raw) {
+    if (field.type === 'bool') {
+        return /^(true|false)$/i.test(raw) ? null : 'must be true or false';
+    }
+    if (field.type === 'int') {
+        const value = /^[+-]?\d+$/.test(raw) ? Number(raw) : NaN;
+        if (!Number.isInteger(value) || value < INT32_MIN || value > INT32_MAX) return 'must be a whole number';
+        if (field.min !== undefined && value < field.min) return `must be at least ${field.min}`;
+        if (field.max !== undefined && value > field.max) return `must be at most ${field.max}`;
+        return null;
+    }
+    let value;
+    try {
+        value = unescapeValue(raw);
+    } catch (err) {
+        return err.message;
+    }
+    if (field.pattern && value && !new RegExp(field.pattern, 'i').test(value)) return field.patternMessage;
+    return null;
+}
+
+/**
+ * Problem with a value about to be set (as the mod should see it), e.g.
+ * "Server.Port must be at most 65535", or null. Settings the mod does not bind pass.
+ */
+function checkSetting(section, key, value) {
+    const field = schemaFor(section, key);
+    if (!field) return null;
+    const message = checkValue(field, encodeValue(field, value));
+    return message ? `${section}.${key} ${message}` : null;
+}
+
+/**
+ * Check that settings are { section: { key: value } } with usable names and plain
+ * values; with values: true each value is also checked against the schema. Throws
+ * ModConfigError on the first problem.
+ */
+function validateSettings(settings, { values = true } = {}) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        throw new ModConfigError('Config must be an object of sections');
+    }
+    for (const [section, entries] of Object.entries(settings)) {
+        if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+            throw new ModConfigError(`Section ${section} must be an object of settings`);
+        }
+        if (!/^[^[\]\r\n]+$/.test(section)) throw new ModConfigError(`Invalid section name: ${section}`);
+        for (const [key, value] of Object.entries(entries)) {
+            if (!/^[^=#[\]\r\n]+$/.test(key) || key.trim() !== key) throw new ModConfigError(`Invalid setting name: ${section}.${key}`);
+            if (value === null || typeof value === 'object') throw new ModConfigError(`${section}.${key} must be a string, number or boolean`);
+            const problem = values && checkSetting(section, key, value);
+            if (problem) throw new ModConfigError(problem);
+        }
+    }
+}
+
+function parseLine(text, section) {
+    const trimmed = text.trim();
+    if (!trimmed || trimmed.startsWith('#')) return { kind: 'comment' };
+    if (trimmed.startsWith('[') && trimmed.endsWith(']')) return { kind: 'section', section: trimmed.slice(1, -1).trim() };
+    const eq = trimmed.indexOf('=');
+    if (eq === -1) return { kind: 'invalid' };
+    return { kind: 'entry', section, key: trimmed.slice(0, eq).trim(), value: trimmed.slice(eq + 1).trim() };
+}
+
+/**
+ * One .cfg file held as its original lines. Edits replace or insert whole lines, so
+ * toString() gives back the input byte for byte apart from the settings changed.
+ */
+class BepInExConfig {
+    constructor(text = '') {
+        this.bom = text.startsWith('\uFEFF') ? '\uFEFF' : '';
+        const body = text.slice(this.bom.length);
+        this.eol = body.includes('\r\n') ? '\r\n' : '\n';
+        this.raw = body.split(/\r?\n/);
+        this._index();
+    }
+
+    // Re-read every line: [{ kind, section, key?, value?, line }] (line is 1-based;
+    // section is the one the line is in, '' before the first header)
+    _index() {
+        let section = '';
+        this.lines = this.raw.map((text, i) => {
+            const parsed = parseLine(text, section);
+            if (parsed.kind === 'section') section = parsed.section;
+            return { section, ...parsed, line: i + 1 };
+        });
+    }
+
+    entries() {
+        return this.lines.filter(line => line.kind === 'entry');
+    }
+
+    // BepInEx keeps the last of duplicated keys
+    _find(section, key) {
+        const matches = this.entries().filter(line => line.section === section && line.key === key);
+        return matches[matches.length - 1] || null;
+    }
+
+    has(section, key) {
+        return Boolean(this._find(section, key));
+    }
+
+    get(section, key) {
+        const entry = this._find(section, key);
+        return entry ? decodeValue(schemaFor(section, key), entry.value) : undefined;
+    }
+
+    /**
+     * Set a value (given as the mod should see it; strings are escaped here). An
+     * existing key keeps its line and spacing; a new key is added to the end of its
+     * section with the description, type and default comments BepInEx writes, and a
+     * missing section is added to the end of the file. Returns true if anything changed.
+     */
+    set(section, key, value) {
+        const field = schemaFor(section, key);
+        const encoded = encodeValue(field, value);
+        const entry = this._find(section, key);
+        if (entry) {
+            if (entry.value === encoded) return false;
+            const prefix = /^[^=]*=[ \t]*/.exec(this.raw[entry.line - 1])[0];
+            this.raw[entry.line - 1] = `${prefix}${encoded}`;
+            this._index();
+            return true;
+        }
+
+        const block = [''];
+        if (field) {
+            block.push(`## ${field.description}`, `# Setting type: ${TYPE_NAMES[field.type]}`);
+            if (field.default !== null) block.push(`# Default value: ${encodeValue(field, field.default)}`);
+        }
+        block.push(`${key} = ${encoded}`);
+
+        const header = this.lines.find(line => line.kind === 'section' && line.section === section);
+        if (header) {
+            const inSection = this.lines.filter(line => line.section === section && line.kind === 'entry');
+            const after = inSection.length ? inSection[inSection.length - 1].line : header.line;
+            this.raw.splice(after, 0, ...block);
+        } else {
+            // Keep the file's trailing newline after the new section
+            const end = this.raw[this.raw.length - 1] === '' ? this.raw.length - 1 : this.raw.length;
+            const gap = end > 0 && this.raw[end - 1].trim() ? [''] : [];
+            this.raw.splice(end, 0, ...gap, `[${section}]`, ...block, '');
+        }
+        this._index();
+        return true;
+    }
+
+    // { section: { key: value } } with decoded values; later duplicates win
+    toObject() {
+        const config = {};
+        for (const line of this.lines) {
+            if (line.kind === 'section') config[line.section] = config[line.section] || {};
+            if (line.kind === 'entry' && line.section) {
+                config[line.section] = config[line.section] || {};
+                config[line.section][line.key] = decodeValue(schemaFor(line.section, line.key), line.value);
+            }
+        }
+        return config;
+    }
+
+    /**
+     * Check every line against the schema. Returns
+     * [{ severity: 'error'|'warning', section, key, line, message }]. Errors are values
+     * the mod would reject or misread; warnings are things it ignores.
+     */
+    validate() {
+        const problems = [];
+        const add = (severity, line, message) => problems.push({ severity, section: line.section || null, key: line.key || null, line: line.line, message });
+        const seen = new Set();
+        for (const line of this.lines) {
+            if (line.kind === 'invalid') {
+                add('warning', line, 'Not a setting, section or comment; BepInEx ignores this line');
+                continue;
+            }
+            if (line.kind !== 'entry') continue;
+            if (!line.section) {
+                add('warning', line, `${line.key} is outside any [section]`);
+                continue;
+            }
+            const id = `${line.section}.${line.key}`;
+            if (seen.has(id)) add('warning', line, `${id} is set more than once; the last value wins`);
+            seen.add(id);
+
+            const field = schemaFor(line.section, line.key);
+            if (!field) {
+                add('warning', line, `${id} is not a setting the mod reads`);
+                continue;
+            }
+            const message = checkValue(field, line.value);
+            if (message) add('error', line, `${id} ${message}`);
+        }
+        return problems;
+    }
+
+    toString() {
+        return this.bom + this.raw.join(this.eol);
+    }
+}
+
+// "Invalid mod config: Server.Port must be at most 65535 (and 1 more)"
+function invalidConfigError(errors) {
+    const more = errors.length > 1 ? ` (and ${errors.length - 1} more)` : '';
+    return new ModConfigError(`Invalid mod config: ${errors[0].message}${more}`, 400, errors);
+}
+
+class ModConfigFile {
+    constructor(filePath) {
+        this.filePath = filePath;
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    // The current file, or an empty one (just the header) if the mod has not written it yet
+    read() {
+        if (!this.exists()) return new BepInExConfig(`${HEADER}\n\n`);
+        return new BepInExConfig(fs.readFileSync(this.filePath, 'utf8'));
+    }
+
+    /**
+     * Apply { section: { key: value } } to the file, keeping everything else as it is.
+     * Throws ModConfigError (with problems) before writing if a changed value is
+     * invalid. Returns the "Section.Key" names that actually changed; the file is only
+     * written when there are any.
+     */
+    update(changes) {
+        // Values are checked below, against the lines they end up on
+        validateSettings(changes, { values: false });
+        const doc = this.read();
+        const changed = [];
+        for (const [section, values] of Object.entries(changes)) {
+            for (const [key, value] of Object.entries(values)) {
+                if (doc.set(section, key, value)) changed.push(`${section}.${key}`);
+            }
+        }
+
+        const errors = doc.validate().filter(problem => problem.severity === 'error' && changed.includes(`${problem.section}.${problem.key}`));
+        if (errors.length) throw invalidConfigError(errors);
+        if (changed.length) this._write(doc.toString());
+        return changed;
+    }
+
+    /**
+     * Replace the whole file with text (the raw editor). Throws ModConfigError if
+     * anything in it is invalid; warnings are returned and do not block the write.
+     */
+    replace(text) {
+        if (typeof text !== 'string') throw new ModConfigError('Config text required');
+        const problems = new BepInExConfig(text).validate();
+        const errors = problems.filter(problem => problem.severity === 'error');
+        if (errors.length) throw invalidConfigError(errors);
+        this._write(text);
+        return problems;
+    }
+
+    // Write then rename so the mod never reads a half-written file
+    _write(text) {
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tmpPath, text);
+            fs.renameSync(tmpPath, this.filePath);
+        } catch (err) {
+            fs.rmSync(tmpPath, { force: true });
+            throw new ModConfigError(`Failed to write mod config: ${err.message}`, 500);
+        }
+    }
+}
+
+module.exports = { ModConfigFile, BepInExConfig, ModConfigError, MOD_CONFIG_SCHEMA, checkSetting, validateSettings };
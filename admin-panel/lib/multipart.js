@@ -0,0 +1,175 @@
+/**
+ * Streaming multipart/form-data reader
+ * Parses a request body as it arrives: the first file part is written straight to
+ * disk and small text fields are collected, so an upload never has to fit in memory.
+ * Further file parts are ignored.
+ */
+
+const fs = require('fs');
+const { once } = require('events');
+
+const MAX_HEADER_BYTES = 16 * 1024;
+
+class MultipartError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'MultipartError';
+        this.status = status;
+    }
+}
+
+function getBoundary(contentType = '') {
+    if (!/^multipart\/form-data/i.test(contentType)) return null;
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType);
+    return match ? match[1] || match[2] : null;
+}
+
+// Content-Disposition of one part: { field, filename } (filename undefined for text fields)
+function parsePartHeaders(text) {
+    const disposition = text.split('\r\n').find(line => /^content-disposition:/i.test(line)) || '';
+    const param = name => {
+        const match = new RegExp(`;\\s*${name}="((?:[^"\\\\]|\\\\.)*)"`, 'i').exec(disposition);
+        return match ? match[1].replace(/\\(.)/g, '$1') : undefined;
+    };
+    return { field: param('name') || '', filename: param('filename') };
+}
+
+/**
+ * Read a multipart body. The first file part is streamed to destPath, up to
+ * maxFileBytes (MultipartError with status 413 beyond that); on any error destPath
+ * is removed and the rest of the body is discarded.
+ * Resolves to { file: { field, filename, size } | null, fields: { name: value } }.
+ */
+function receiveMultipart(req, { destPath, maxFileBytes, maxFieldBytes = 64 * 1024 }) {
+    const boundary = getBoundary(req.headers['content-type']);
+    if (!boundary) return Promise.reject(new MultipartError('Must be multipart/form-data with a boundary'));
+
+    const delimiter = Buffer.from(`\r\n--${boundary}`);
+    // Start with a CRLF so the first boundary matches the same pattern as the rest
+    let buffer = Buffer.from('\r\n');
+    let state = 'preamble';
+    let part = null;
+    let out = null;
+    let file = null;
+    const fields = {};
+
+    const writeData = async data => {
+        if (!data.length || part.skip) return;
+        part.size += data.length;
+        if (part.isFile) {
+            if (part.size > maxFileBytes) {
+                throw new MultipartError(`File is larger than the ${Math.round(maxFileBytes / (1024 * 1024))} MB limit`, 413);
+            }
+            if (!out.write(data)) await once(out, 'drain');
+        } else {
+            if (part.size > maxFieldBytes) throw new MultipartError(`Field "${part.field}" is too large`, 413);
+            part.chunks.push(data);
+        }
+    };
+
+    const startPart = headers => {
+        const { field, filename } = parsePartHeaders(headers);
+        if (filename === undefined) {
+            part = { field, size: 0, chunks: [] };
+        } else if (!file) {
+            file = { field, filename, size: 0 };
+            out = fs.createWriteStream(destPath, { flags: 'wx' });
+            part = { field, size: 0, isFile: true };
+        } else {
+            part = { field, size: 0, skip: true };
+        }
+    };
+
+    const endPart = async () => {
+        if (part.isFile) {
+            file.size = part.size;
+            out.end();
+            await once(out, 'close');
+        } else if (!part.skip) {
+            fields[part.field] = Buffer.concat(part.chunks).toString('utf8');
+        }
+        part = null;
+    };
+
+    const parse = async chunk => {
+        buffer = Buffer.concat([buffer, chunk]);
+        for (;;) {
+            if (state === 'preamble' || state === 'body') {
+                const index = buffer.indexOf(delimiter);
+                if (index === -1) {
+                    // Hold back enough bytes to catch a delimiter split across chunks
+                    const safe = buffer.length - (delimiter.length - 1);
+                    if (safe > 0) {
+                        if (state === 'body') await writeData(buffer.subarray(0, safe));
+                        buffer = buffer.subarray(safe);
+                    }
+                    return;
+                }
+                if (state === 'body') {
+                    await writeData(buffer.subarray(0, index));
+                    await endPart();
+                }
+                buffer = buffer.subarray(index + delimiter.length);
+                state = 'boundary';
+            } else if (state === 'boundary') {
+                if (buffer.length < 2) return;
+                if (buffer[0] === 0x2d && buffer[1] === 0x2d) {
+                    state = 'done';
+                    return;
+                }
+                const eol = buffer.indexOf('\r\n');
+                if (eol === -1) return;
+                buffer = buffer.subarray(eol + 2);
+                state = 'headers';
+            } else if (state === 'headers') {
+                const end = buffer.indexOf('\r\n\r\n');
+                if (end === -1) {
+                    if (buffer.length > MAX_HEADER_BYTES) throw new MultipartError('Multipart part headers are too large');
+                    return;
+                }
+                startPart(buffer.subarray(0, end).toString('utf8'));
+                buffer = buffer.subarray(end + 4);
+                state = 'body';
+            } else {
+                // Epilogue after the closing boundary is ignored
+                buffer = Buffer.alloc(0);
+                return;
+            }
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        let failed = false;
+        const fail = async err => {
+            if (failed) return;
+            failed = true;
+            req.removeListener('data', onData);
+            req.resume();
+            if (out) {
+                out.destroy();
+                await fs.promises.rm(destPath, { force: true });
+            }
+            reject(err);
+        };
+        // Pausing holds back further data but not 'end', so 'end' waits for the last chunk's parse
+        let parsing = Promise.resolve();
+        const onData = chunk => {
+            req.pause();
+            parsing = parse(chunk).then(() => req.resume());
+            parsing.catch(fail);
+        };
+        req.on('data', onData);
+        req.on('error', fail);
+        req.on('aborted', () => fail(new MultipartError('Upload was interrupted')));
+        req.on('end', () => parsing.then(() => {
+            if (failed) return;
+            if (state !== 'done') {
+                fail(new MultipartError('Upload ended before the multipart body was complete'));
+                return;
+            }
+            resolve({ file, fields });
+        }, () => { /* Already failed */ }));
+    });
+}
+
+module.exports = { receiveMultipart, MultipartError, getBoundary };
@@ -0,0 +1,373 @@
+/**
+ * Remote nodes
+ * A node is another host running a game server next to the node agent (agent.js). The
+ * agent connects out to the panel over a WebSocket, so the node needs no open port of
+ * its own, and authenticates with its node id and the token the panel issued when the
+ * node was added (only a hash of the token is stored). The panel then calls the agent
+ * to start and stop the game, read its status and logs, and list, back up, restore and
+ * download its saves.
+ *
+ * Messages are JSON:
+ *   panel -> agent  { type: 'call', id, method, params }
+ *   agent -> panel  { type: 'hello', version, hostname, platform, status }
+ *                   { type: 'result', id, result } or { type: 'error', id, error, status }
+ *                   { type: 'event', event, data } (the game's state, shutdown phases, crashes)
+ *                   { type: 'stream', id, filename, size }, then { type: 'data', id, data }
+ *                   with base64 chunks and { type: 'end', id } (file downloads)
+ *
+ * Events: 'connected' (node), 'disconnected' (node, reason), 'event' ({ node, event, data }).
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const { PassThrough } = require('stream');
+const { WebSocketServer } = require('ws');
+
+const ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MAX_NAME_LENGTH = 64;
+const MAX_DESCRIPTION_LENGTH = 500;
+// Calls and file chunks are small; anything bigger is not from an agent
+const MAX_MESSAGE_BYTES = 4 * 1024 * 1024;
+
+// Close codes telling the agent it was dropped on purpose (it waits longest before reconnecting)
+const CLOSE_REPLACED = 4000;
+const CLOSE_REVOKED = 4001;
+
+class NodeError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'NodeError';
+        this.status = status;
+    }
+}
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function newToken() {
+    return crypto.randomBytes(32).toString('base64url');
+}
+
+class NodeHub extends EventEmitter {
+    /**
+     * options:
+     *   paths:         URL paths agents connect to
+     *   callTimeoutMs: how long a call waits for the agent's answer
+     *   heartbeatMs:   how often connections are pinged (one missed pong drops them)
+     */
+    constructor(db, { paths = ['/agent'], callTimeoutMs = 30000, heartbeatMs = 30000 } = {}) {
+        super();
+        this.db = db;
+        this.paths = paths;
+        this.callTimeoutMs = callTimeoutMs;
+        this.heartbeatMs = heartbeatMs;
+        this.connections = new Map();
+        this.nextCallId = 1;
+        this.heartbeat = null;
+        this.wss = new WebSocketServer({ noServer: true, maxPayload: MAX_MESSAGE_BYTES });
+    }
+
+    // Accept agent connections on the panel's HTTP(S) server
+    attach(server) {
+        server.on('upgrade', (req, socket, head) => {
+            const { pathname } = new URL(req.url, 'http://localhost');
+            if (!this.paths.includes(pathname)) return;
+
+            const node = this._authenticate(req);
+            if (!node) {
+                socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\nContent-Length: 0\r\n\r\n');
+                return;
+            }
+            this.wss.handleUpgrade(req, socket, head, ws => this._accept(node, ws, req));
+        });
+        this.heartbeat = setInterval(() => this._ping(), this.heartbeatMs);
+        this.heartbeat.unref();
+    }
+
+    close() {
+        clearInterval(this.heartbeat);
+        for (const id of [...this.connections.keys()]) this.disconnect(id, 1001, 'Panel shutting down');
+    }
+
+    list() {
+        return this.db.prepare(`
+            SELECT n.*, u.username as created_by_username FROM nodes n
+            LEFT JOIN users u ON n.created_by = u.id
+            ORDER BY n.name COLLATE NOCASE
+        `).all().map(row => this._format(row));
+    }
+
+    get(id) {
+        const row = this.db.prepare(`
+            SELECT n.*, u.username as created_by_username FROM nodes n
+            LEFT JOIN users u ON n.created_by = u.id
+            WHERE n.id = ?
+        `).get(id);
+        if (!row) throw new NodeError('Node not found', 404);
+        return this._format(row);
+    }
+
+    /**
+     * Add a node { id, name, description? }. Resolves to { node, token }; the token is
+     * what the agent authenticates with and cannot be shown again.
+     */
+    create(data, userId = null) {
+        const id = String(data.id || '').trim().toLowerCase();
+        if (!ID_PATTERN.test(id)) {
+            throw new NodeError('Node id must be 1-32 lowercase letters, digits or hyphens, starting with a letter or digit');
+        }
+        if (this.db.prepare('SELECT 1 FROM nodes WHERE id = ?').get(id)) {
+            throw new NodeError(`A node with id "${id}" already exists`, 409);
+        }
+        const node = this._validate({ ...data, id });
+        const token = newToken();
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO nodes (id, name, description, token_hash, created_by, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(id, node.name, node.description, hashToken(token), userId, now, now);
+        return { node: this.get(id), token };
+    }
+
+    update(id, data) {
+        const existing = this.get(id);
+        const node = this._validate({ ...existing, ...data });
+        this.db.prepare('UPDATE nodes SET name = ?, description = ?, updated_at = ? WHERE id = ?')
+            .run(node.name, node.description, new Date().toISOString(), id);
+        return this.get(id);
+    }
+
+    // Issue a new token; the agent connected with the old one is dropped
+    rotateToken(id) {
+        this.get(id);
+        const token = newToken();
+        this.db.prepare('UPDATE nodes SET token_hash = ?, updated_at = ? WHERE id = ?').run(hashToken(token), new Date().toISOString(), id);
+        this.disconnect(id, CLOSE_REVOKED, 'Token rotated');
+        return token;
+    }
+
+    remove(id) {
+        const node = this.get(id);
+        this.disconnect(id, CLOSE_REVOKED, 'Node removed');
+        this.db.prepare('DELETE FROM nodes WHERE id = ?').run(id);
+        return node;
+    }
+
+    isConnected(id) {
+        return this.connections.has(id);
+    }
+
+    disconnect(id, code = 1000, reason = '') {
+        const connection = this.connections.get(id);
+        if (connection) connection.ws.close(code, reason);
+    }
+
+    /**
+     * Call a method on a node's agent. Resolves to its result; rejects with NodeError
+     * (404 unknown node, 503 not connected, 504 no answer in time, or the agent's own
+     * status for a failed call).
+     */
+    call(id, method, params = {}, { timeoutMs = this.callTimeoutMs } = {}) {
+        return this._request(id, method, params, timeoutMs, false);
+    }
+
+    /**
+     * Call a method that answers with a file. Resolves to { filename, size, stream }
+     * once the agent starts sending it.
+     */
+    download(id, method, params = {}, { timeoutMs = this.callTimeoutMs } = {}) {
+        return this._request(id, method, params, timeoutMs, true);
+    }
+
+    async _request(id, method, params, timeoutMs, stream) {
+        this.get(id);
+        const connection = this.connections.get(id);
+        if (!connection) throw new NodeError(`Node "${id}" is not connected`, 503);
+
+        const callId = this.nextCallId++;
+        return new Promise((resolve, reject) => {
+            const timer = setTimeout(() => {
+                connection.pending.delete(callId);
+                reject(new NodeError(`Node "${id}" did not answer ${method} in time`, 504));
+            }, timeoutMs);
+            connection.pending.set(callId, { resolve, reject, timer, stream });
+            connection.ws.send(JSON.stringify({ type: 'call', id: callId, method, params }), (err) => {
+                if (!err) return;
+                clearTimeout(timer);
+                connection.pending.delete(callId);
+                reject(new NodeError(`Could not reach node "${id}": ${err.message}`, 503));
+            });
+        });
+    }
+
+    _authenticate(req) {
+        const id = String(req.headers['x-node-id'] || '');
+        const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+        if (!id || !match) return null;
+        const row = this.db.prepare('SELECT id, token_hash FROM nodes WHERE id = ?').get(id);
+        if (!row) return null;
+        const expected = Buffer.from(row.token_hash, 'hex');
+        const given = Buffer.from(hashToken(match[1]), 'hex');
+        return crypto.timingSafeEqual(expected, given) ? row : null;
+    }
+
+    _accept(node, ws, req) {
+        // One connection per node: a restarted agent replaces the one that has not timed out yet
+        this.disconnect(node.id, CLOSE_REPLACED, 'Replaced by a new connection');
+
+        const connection = {
+            ws,
+            id: node.id,
+            address: req.headers['x-forwarded-for']?.split(',')[0].trim() || req.socket.remoteAddress,
+            connectedAt: new Date().toISOString(),
+            agent: null,
+            status: null,
+            alive: true,
+            pending: new Map(),
+            streams: new Map()
+        };
+        this.connections.set(node.id, connection);
+        this.db.prepare('UPDATE nodes SET last_address = ?, last_seen_at = ? WHERE id = ?').run(connection.address, connection.connectedAt, node.id);
+
+        ws.on('pong', () => { connection.alive = true; });
+        ws.on('message', (data, isBinary) => {
+            connection.alive = true;
+            if (!isBinary) this._onMessage(connection, data.toString());
+        });
+        ws.on('error', err => console.error(`[Nodes] Connection of ${node.id} failed:`, err.message));
+        ws.on('close', (code, reason) => this._onClose(connection, code, reason.toString()));
+    }
+
+    _onMessage(connection, text) {
+        let message;
+        try {
+            message = JSON.parse(text);
+        } catch (err) {
+            return;
+        }
+        const pending = connection.pending.get(message.id);
+
+        switch (message.type) {
+            case 'hello':
+                connection.agent = {
+                    version: String(message.version || ''),
+                    hostname: String(message.hostname || ''),
+                    platform: String(message.platform || '')
+                };
+                connection.status = message.status || null;
+                this.db.prepare('UPDATE nodes SET agent = ? WHERE id = ?').run(JSON.stringify(connection.agent), connection.id);
+                this.emit('connected', this.get(connection.id));
+                break;
+            case 'event':
+                if (message.event === 'state') connection.status = message.data;
+                this.emit('event', { node: this.get(connection.id), event: message.event, data: message.data });
+                break;
+            case 'result':
+                if (!pending || pending.stream) break;
+                this._settle(connection, message.id);
+                pending.resolve(message.result);
+                break;
+            case 'error': {
+                const error = new NodeError(String(message.error || 'Agent error'), message.status || 500);
+                const stream = connection.streams.get(message.id);
+                if (stream) {
+                    connection.streams.delete(message.id);
+                    stream.destroy(error);
+                } else if (pending) {
+                    this._settle(connection, message.id);
+                    pending.reject(error);
+                }
+                break;
+            }
+            case 'stream': {
+                if (!pending || !pending.stream) break;
+                this._settle(connection, message.id);
+                const stream = new PassThrough();
+                connection.streams.set(message.id, stream);
+                pending.resolve({ filename: String(message.filename || 'download'), size: message.size ?? null, stream });
+                break;
+            }
+            case 'data': {
+                // Chunks of a download the browser has given up on are dropped
+                const stream = connection.streams.get(message.id);
+                if (stream && !stream.destroyed) stream.write(Buffer.from(String(message.data || ''), 'base64'));
+                break;
+            }
+            case 'end':
+                connection.streams.get(message.id)?.end();
+                connection.streams.delete(message.id);
+                break;
+        }
+    }
+
+    _settle(connection, callId) {
+        clearTimeout(connection.pending.get(callId).timer);
+        connection.pending.delete(callId);
+    }
+
+    _onClose(connection, code, reason) {
+        const error = new NodeError(`Node "${connection.id}" disconnected`, 503);
+        for (const { reject, timer } of connection.pending.values()) {
+            clearTimeout(timer);
+            reject(error);
+        }
+        for (const stream of connection.streams.values()) stream.destroy(error);
+        connection.pending.clear();
+        connection.streams.clear();
+
+        // A replaced connection closes after its successor is registered
+        if (this.connections.get(connection.id) !== connection) return;
+        this.connections.delete(connection.id);
+        const row = this.db.prepare('SELECT id FROM nodes WHERE id = ?').get(connection.id);
+        if (!row) return;
+        this.db.prepare('UPDATE nodes SET last_seen_at = ? WHERE id = ?').run(new Date().toISOString(), connection.id);
+        this.emit('disconnected', this.get(connection.id), reason || `code ${code}`);
+    }
+
+    _ping() {
+        for (const connection of this.connections.values()) {
+            if (!connection.alive) {
+                connection.ws.terminate();
+                continue;
+            }
+            connection.alive = false;
+            connection.ws.ping();
+        }
+    }
+
+    _validate(data) {
+        const name = String(data.name || '').trim();
+        if (!name) throw new NodeError('Node name required');
+        if (name.length > MAX_NAME_LENGTH || /[\r\n]/.test(name)) throw new NodeError(`Node names are single lines of at most ${MAX_NAME_LENGTH} characters`);
+        const clash = this.db.prepare('SELECT id FROM nodes WHERE name = ? COLLATE NOCASE AND id != ?').get(name, data.id);
+        if (clash) throw new NodeError(`A node named "${name}" already exists`, 409);
+        const description = String(data.description || '').trim();
+        if (description.length > MAX_DESCRIPTION_LENGTH) throw new NodeError(`Descriptions are limited to ${MAX_DESCRIPTION_LENGTH} characters`);
+        return { name, description };
+    }
+
+    _format(row) {
+        const connection = this.connections.get(row.id);
+        let agent = null;
+        try {
+            agent = row.agent ? JSON.parse(row.agent) : null;
+        } catch (err) { /* Keep null */ }
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description || '',
+            connected: Boolean(connection),
+            connectedAt: connection ? connection.connectedAt : null,
+            address: connection ? connection.address : row.last_address || null,
+            lastSeenAt: connection ? new Date().toISOString() : row.last_seen_at || null,
+            agent: connection?.agent || agent,
+            // The game's last reported state (null while the agent is offline)
+            server: connection ? connection.status : null,
+            createdBy: row.created_by_username || null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = { NodeHub, NodeError, CLOSE_REPLACED, CLOSE_REVOKED };
@@ -0,0 +1,283 @@
+/**
+ * Player sessions
+ * Turns the mod's player_connect / player_identified / player_disconnect events into
+ * rows in `player_sessions` (one row per connection) and answers the playtime and
+ * usage questions the dashboard asks: who is online, per-player totals, daily unique
+ * players and peak concurrency over a date range.
+ *
+ * All timestamps in the table are ISO 8601 UTC strings so they sort and compare as text.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function toIso(value) {
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function secondsBetween(from, to) {
+    return Math.max(0, Math.round((new Date(to) - new Date(from)) / 1000));
+}
+
+// Sessions that never got a name are counted by address so they still show up in totals
+function identityOf(session) {
+    return session.player_name || (session.address ? `address:${session.address}` : `connection:${session.connection_id}`);
+}
+
+class PlayerSessions {
+    constructor(db) {
+        this.db = db;
+    }
+
+    isEmpty() {
+        return !this.db.prepare('SELECT 1 FROM player_sessions LIMIT 1').get();
+    }
+
+    /**
+     * Apply one game event. Unrelated event types are ignored.
+     */
+    ingest(event) {
+        const at = toIso(event.timestamp);
+        if (!at) return;
+        const connectionId = event.connectionId !== undefined ? String(event.connectionId) : null;
+
+        switch (event.type) {
+            case 'player_connect':
+                if (connectionId === null) return;
+                // A reused connection id means we missed the disconnect
+                this._close(connectionId, at, 'superseded');
+                this.db.prepare(`
+                    INSERT OR IGNORE INTO player_sessions (connection_id, address, connected_at)
+                    VALUES (?, ?, ?)
+                `).run(connectionId, event.address || null, at);
+                break;
+
+            case 'player_identified':
+                if (connectionId === null) return;
+                this.db.prepare(`
+                    UPDATE player_sessions SET player_name = ?, identified_at = ?
+                    WHERE connection_id = ? AND disconnected_at IS NULL
+                `).run(event.name || null, at, connectionId);
+                break;
+
+            case 'player_disconnect':
+                if (connectionId === null) return;
+                this._close(connectionId, at, 'disconnect');
+                break;
+
+            case 'server_start':
+            case 'server_stop':
+                // Nobody survives a server restart
+                this.closeAll(at, event.type);
+                break;
+        }
+    }
+
+    // End every open session, e.g. when the game process goes away
+    closeAll(at = new Date().toISOString(), reason = 'server_stop') {
+        const open = this.db.prepare('SELECT id, connected_at FROM player_sessions WHERE disconnected_at IS NULL').all();
+        const update = this.db.prepare(`
+            UPDATE player_sessions SET disconnected_at = ?, duration_seconds = ?, end_reason = ? WHERE id = ?
+        `);
+        const closeAll = this.db.transaction(() => {
+            for (const session of open) {
+                update.run(at, secondsBetween(session.connected_at, at), reason, session.id);
+            }
+        });
+        closeAll();
+        return open.length;
+    }
+
+    _close(connectionId, at, reason) {
+        const session = this.db.prepare(`
+            SELECT id, connected_at FROM player_sessions WHERE connection_id = ? AND disconnected_at IS NULL
+        `).get(connectionId);
+        if (!session) return;
+        this.db.prepare(`
+            UPDATE player_sessions SET disconnected_at = ?, duration_seconds = ?, end_reason = ? WHERE id = ?
+        `).run(at, secondsBetween(session.connected_at, at), reason, session.id);
+    }
+
+    // Open sessions, oldest first
+    online() {
+        return this.db.prepare(`
+            SELECT * FROM player_sessions WHERE disconnected_at IS NULL ORDER BY connected_at
+        `).all().map(row => this._formatSession(row));
+    }
+
+    /**
+     * Per-player totals for identified players.
+     * sort: playtime | lastSeen | firstSeen | sessions | name
+     */
+    players({ search = '', sort = 'lastSeen', limit = 50, offset = 0 } = {}) {
+        const orderBy = {
+            playtime: 'total_seconds DESC',
+            lastSeen: 'last_seen DESC',
+            firstSeen: 'first_seen ASC',
+            sessions: 'sessions DESC',
+            name: 'player_name COLLATE NOCASE ASC'
+        }[sort] || 'last_seen DESC';
+
+        const now = new Date().toISOString();
+        const where = search ? 'AND player_name LIKE ?' : '';
+        const params = search ? [`%${search}%`] : [];
+
+        const total = this.db.prepare(`
+            SELECT COUNT(DISTINCT player_name) as count FROM player_sessions WHERE player_name IS NOT NULL ${where}
+        `).get(...params).count;
+
+        const rows = this.db.prepare(`
+            SELECT player_name,
+                   COUNT(*) as sessions,
+                   MIN(connected_at) as first_seen,
+                   MAX(COALESCE(disconnected_at, ?)) as last_seen,
+                   SUM(COALESCE(duration_seconds, CAST((julianday(?) - julianday(connected_at)) * 86400 AS INTEGER))) as total_seconds,
+                   MAX(disconnected_at IS NULL) as online
+            FROM player_sessions
+            WHERE player_name IS NOT NULL ${where}
+            GROUP BY player_name
+            ORDER BY ${orderBy}
+            LIMIT ? OFFSET ?
+        `).all(now, now, ...params, limit, offset);
+
+        return { total, players: rows.map(row => this._formatPlayer(row)) };
+    }
+
+    // Totals plus recent sessions for one player (name match is case-insensitive)
+    player(name, { limit = 50 } = {}) {
+        const now = new Date().toISOString();
+        const summary = this.db.prepare(`
+            SELECT player_name,
+                   COUNT(*) as sessions,
+                   MIN(connected_at) as first_seen,
+                   MAX(COALESCE(disconnected_at, ?)) as last_seen,
+                   SUM(COALESCE(duration_seconds, CAST((julianday(?) - julianday(connected_at)) * 86400 AS INTEGER))) as total_seconds,
+                   MAX(disconnected_at IS NULL) as online
+            FROM player_sessions
+            WHERE player_name = ? COLLATE NOCASE
+            GROUP BY player_name COLLATE NOCASE
+        `).get(now, now, name);
+        if (!summary) return null;
+
+        const sessions = this.db.prepare(`
+            SELECT * FROM player_sessions WHERE player_name = ? COLLATE NOCASE
+            ORDER BY connected_at DESC LIMIT ?
+        `).all(name, limit);
+
+        return { ...this._formatPlayer(summary), recentSessions: sessions.map(row => this._formatSession(row)) };
+    }
+
+    // Sessions that overlap [from, to), newest first
+    sessions({ from, to, player = null, limit = 100, offset = 0 }) {
+        const filter = player ? 'AND player_name = ? COLLATE NOCASE' : '';
+        const params = [toIso(to), toIso(from), ...(player ? [player] : [])];
+        const total = this.db.prepare(`
+            SELECT COUNT(*) as count FROM player_sessions
+            WHERE connected_at < ? AND (disconnected_at IS NULL OR disconnected_at >= ?) ${filter}
+        `).get(...params).count;
+        const rows = this.db.prepare(`
+            SELECT * FROM player_sessions
+            WHERE connected_at < ? AND (disconnected_at IS NULL OR disconnected_at >= ?) ${filter}
+            ORDER BY connected_at DESC LIMIT ? OFFSET ?
+        `).all(...params, limit, offset);
+        return { total, sessions: rows.map(row => this._formatSession(row)) };
+    }
+
+    /**
+     * Usage over [from, to): unique players overall and per UTC day, peak concurrent
+     * players overall and per day, and total playtime inside the range.
+     */
+    stats({ from, to }) {
+        const rangeStart = new Date(from).getTime();
+        const rangeEnd = Math.min(new Date(to).getTime(), Date.now());
+        const rows = this.db.prepare(`
+            SELECT connection_id, player_name, address, connected_at, disconnected_at FROM player_sessions
+            WHERE connected_at < ? AND (disconnected_at IS NULL OR disconnected_at >= ?)
+        `).all(toIso(to), toIso(from));
+
+        const days = new Map();
+        for (let day = Math.floor(rangeStart / DAY_MS) * DAY_MS; day < new Date(to).getTime(); day += DAY_MS) {
+            days.set(day, { date: new Date(day).toISOString().slice(0, 10), players: new Set(), peak: 0 });
+        }
+
+        const unique = new Set();
+        const edges = [];
+        let playtimeSeconds = 0;
+
+        for (const row of rows) {
+            const start = Math.max(new Date(row.connected_at).getTime(), rangeStart);
+            const end = Math.min(row.disconnected_at ? new Date(row.disconnected_at).getTime() : Date.now(), rangeEnd);
+            if (end < start) continue;
+
+            const identity = identityOf(row);
+            unique.add(identity);
+            playtimeSeconds += Math.round((end - start) / 1000);
+            edges.push({ at: start, delta: 1 }, { at: end, delta: -1 });
+
+            for (let day = Math.floor(start / DAY_MS) * DAY_MS; day <= end; day += DAY_MS) {
+                const bucket = days.get(day);
+                if (bucket) bucket.players.add(identity);
+            }
+        }
+
+        // Sweep the connect/disconnect edges; at equal times process leaves before joins
+        edges.sort((a, b) => a.at - b.at || a.delta - b.delta);
+        let current = 0;
+        let peak = { players: 0, at: null };
+        for (const edge of edges) {
+            current += edge.delta;
+            const bucket = days.get(Math.floor(edge.at / DAY_MS) * DAY_MS);
+            if (bucket && current > bucket.peak) bucket.peak = current;
+            if (current > peak.players) peak = { players: current, at: new Date(edge.at).toISOString() };
+        }
+
+        // A day that starts with players already online peaks at least at that level
+        current = 0;
+        let edgeIndex = 0;
+        for (const [day, bucket] of days) {
+            while (edgeIndex < edges.length && edges[edgeIndex].at < day) {
+                current += edges[edgeIndex++].delta;
+            }
+            if (current > bucket.peak) bucket.peak = current;
+        }
+
+        return {
+            from: toIso(from),
+            to: toIso(to),
+            uniquePlayers: unique.size,
+            sessions: rows.length,
+            playtimeSeconds,
+            peak,
+            daily: [...days.values()].map(bucket => ({ date: bucket.date, uniquePlayers: bucket.players.size, peakPlayers: bucket.peak }))
+        };
+    }
+
+    _formatSession(row) {
+        const end = row.disconnected_at || new Date().toISOString();
+        return {
+            id: row.id,
+            connectionId: row.connection_id,
+            name: row.player_name,
+            address: row.address,
+            connectedAt: row.connected_at,
+            identifiedAt: row.identified_at,
+            disconnectedAt: row.disconnected_at,
+            durationSeconds: row.duration_seconds ?? secondsBetween(row.connected_at, end),
+            endReason: row.end_reason,
+            online: !row.disconnected_at
+        };
+    }
+
+    _formatPlayer(row) {
+        return {
+            name: row.player_name,
+            sessions: row.sessions,
+            firstSeen: row.first_seen,
+            lastSeen: row.last_seen,
+            totalSeconds: row.total_seconds || 0,
+            online: Boolean(row.online)
+        };
+    }
+}
+
+module.exports = { PlayerSessions };
@@ -0,0 +1,435 @@
+/**
+ * Process-control backends
+ * How the game is started, found and stopped. GameSupervisor keeps the lifecycle
+ * (states, graceful shutdown, crash restarts) and leaves these steps to a backend:
+ *
+ *   wine        spawns `wine Techtonica.exe` itself and kills its process group
+ *   supervisord a [program:...] of supervisord, driven through its XML-RPC interface
+ *   docker      a container, driven through the Docker Engine API on its Unix socket
+ *
+ * Every backend has:
+ *   launch({ args, env, onExit })
+ *                          start the game; resolves to { pid, child }. A backend that
+ *                          spawns the game itself returns its ChildProcess and calls
+ *                          onExit(code, signal, error) when it ends; the others return
+ *                          child null and are polled through isAlive()
+ *   find()                 resolves to { pid, uptime } while the game runs, else null
+ *   isAlive(pid)           whether the game started as pid is still running
+ *   kill(pid)              stop the game now and resolve once it is gone
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { spawn, exec, execFile } = require('child_process');
+
+const BACKENDS = ['wine', 'supervisord', 'docker'];
+const REQUEST_TIMEOUT_MS = 30000;
+const KILL_TIMEOUT_MS = 30000;
+
+// supervisord process states (supervisor.states.ProcessStates)
+const SUPERVISORD_RUNNING = ['STARTING', 'RUNNING'];
+// supervisord fault codes (supervisor.xmlrpc.Faults)
+const FAULT_ALREADY_STARTED = 60;
+const FAULT_NOT_RUNNING = 70;
+
+class BackendError extends Error {
+    constructor(message, status = 502) {
+        super(message);
+        this.name = 'BackendError';
+        this.status = status;
+    }
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Poll find() until the game is gone or timeoutMs passes
+async function waitUntilGone(backend, timeoutMs, extraCheck = null) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const [game, busy] = await Promise.all([backend.find(), extraCheck ? extraCheck() : false]);
+        if (!game && !busy) return true;
+        await sleep(500);
+    }
+    return false;
+}
+
+// Wine prefix a process runs in (WINEPREFIX from its environment, ~/.wine without
+// one), or null if its environment can't be read
+function processWinePrefix(pid) {
+    try {
+        const entry = fs.readFileSync(`/proc/${pid}/environ`, 'utf8').split('\0').find(line => line.startsWith('WINEPREFIX='));
+        return path.resolve(entry ? entry.slice('WINEPREFIX='.length) : path.join(os.homedir(), '.wine'));
+    } catch (err) {
+        return null;
+    }
+}
+
+// Find a live Techtonica.exe process (excluding defunct/zombie processes). With
+// winePrefix, games running in another prefix are skipped so servers sharing the host
+// are told apart; one whose prefix can't be read still counts.
+function findGameProcess(winePrefix = null) {
+    return new Promise((resolve) => {
+        exec('ps -eo pid,etimes,args | grep "Techtonica.exe" | grep -v grep | grep -v defunct', (err, stdout) => {
+            const found = (stdout || '').trim().split('\n').filter(Boolean).map((line) => {
+                const parts = line.trim().split(/\s+/);
+                return { pid: parseInt(parts[0]) || null, uptime: parseInt(parts[1]) || 0 };
+            }).find((proc) => {
+                if (!winePrefix) return true;
+                const prefix = processWinePrefix(proc.pid);
+                return prefix === null || prefix === path.resolve(winePrefix);
+            });
+            resolve(found || null);
+        });
+    });
+}
+
+function isPidAlive(pid) {
+    if (!pid) return false;
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (err) {
+        return err.code === 'EPERM';
+    }
+}
+
+// Runs the game directly under Wine in its own process group
+class WineBackend {
+    constructor(config) {
+        this.name = 'wine';
+        this.config = config;
+        this.launchOptions = true;
+    }
+
+    describe() {
+        return `wine in ${this.config.winePrefix}`;
+    }
+
+    async launch({ args = [], env = {}, onExit = () => {} } = {}) {
+        const logFd = fs.openSync(this.config.wineOutputLog, 'w');
+        try {
+            const child = spawn('wine', ['Techtonica.exe', '-batchmode', '-logfile', this.config.gameLog, ...args], {
+                cwd: this.config.gameDir,
+                env: {
+                    ...process.env,
+                    ...env,
+                    WINEPREFIX: this.config.winePrefix,
+                    WINEDLLOVERRIDES: 'winhttp=n,b',
+                    DISPLAY: this.config.display
+                },
+                // Own process group so the game survives a panel restart and can be killed as a unit
+                detached: true,
+                stdio: ['ignore', logFd, logFd]
+            });
+            child.unref();
+            child.on('error', err => onExit(null, null, err.message));
+            child.on('exit', (code, signal) => onExit(code, signal));
+            return { pid: child.pid || null, child };
+        } finally {
+            fs.closeSync(logFd);
+        }
+    }
+
+    find() {
+        return findGameProcess(this.config.winePrefix);
+    }
+
+    async isAlive(pid) {
+        return isPidAlive(pid);
+    }
+
+    /**
+     * Hard kill: the process group, then every Wine process in this prefix, then wait
+     * for the game port to be released.
+     */
+    async kill(pid) {
+        if (pid) {
+            try { process.kill(-pid, 'SIGKILL'); } catch (e) {
+                try { process.kill(pid, 'SIGKILL'); } catch (e2) { /* already gone */ }
+            }
+        }
+
+        await new Promise((resolve) => {
+            execFile('wineserver', ['-k'], { env: { ...process.env, WINEPREFIX: this.config.winePrefix } }, () => resolve());
+        });
+
+        if (!(await waitUntilGone(this, KILL_TIMEOUT_MS, () => this._isGamePortBusy()))) {
+            console.warn('[Supervisor] Game process or port still present after kill timeout');
+        }
+    }
+
+    _isGamePortBusy() {
+        return new Promise((resolve) => {
+            exec(`ss -ulnp | grep ":${this.config.gamePort} "`, (err, stdout) => resolve(Boolean((stdout || '').trim())));
+        });
+    }
+}
+
+// Helper: Escape text for an XML element
+function escapeXml(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function unescapeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&#(\d+);/g, (m, code) => String.fromCharCode(parseInt(code))).replace(/&amp;/g, '&');
+}
+
+function encodeXmlRpcValue(value) {
+    if (typeof value === 'boolean') return `<boolean>${value ? 1 : 0}</boolean>`;
+    if (Number.isInteger(value)) return `<int>${value}</int>`;
+    return `<string>${escapeXml(value)}</string>`;
+}
+
+// Parse an XML-RPC methodResponse into its value; a <fault> becomes { fault: { faultCode, faultString } }
+function parseXmlRpcResponse(xml) {
+    const tokens = xml.replace(/<\?[^>]*\?>/g, '').match(/<\/?[\w.]+\s*\/?>|[^<]+/g) || [];
+    let pos = 0;
+
+    // Build a tree of { name, children, text } from the tokens of one element
+    function element() {
+        const open = tokens[pos++];
+        const name = open.replace(/[<>/\s]/g, '');
+        const node = { name, children: [], text: '' };
+        if (open.endsWith('/>')) return node;
+        while (pos < tokens.length) {
+            const token = tokens[pos];
+            if (token.startsWith('</')) {
+                pos++;
+                return node;
+            }
+            if (token.startsWith('<')) node.children.push(element());
+            else {
+                node.text += unescapeXml(token);
+                pos++;
+            }
+        }
+        return node;
+    }
+
+    function value(node) {
+        const typed = node.children[0];
+        if (!typed) return node.text;
+        switch (typed.name) {
+            case 'int':
+            case 'i4':
+            case 'i8':
+                return parseInt(typed.text);
+            case 'double':
+                return parseFloat(typed.text);
+            case 'boolean':
+                return typed.text.trim() === '1';
+            case 'array':
+                return (typed.children[0]?.children || []).map(value);
+            case 'struct':
+                return Object.fromEntries(typed.children.map((member) => {
+                    const name = member.children.find(c => c.name === 'name');
+                    const memberValue = member.children.find(c => c.name === 'value');
+                    return [name ? name.text : '', memberValue ? value(memberValue) : null];
+                }));
+            case 'nil':
+                return null;
+            default:
+                return typed.text;
+        }
+    }
+
+    while (pos < tokens.length && !tokens[pos].startsWith('<')) pos++;
+    if (pos >= tokens.length) throw new BackendError('Empty XML-RPC response');
+    const root = element();
+    const body = root.children[0];
+    if (!body) throw new BackendError('Malformed XML-RPC response');
+    if (body.name === 'fault') return { fault: value(body.children[0]) };
+    const param = body.children[0]?.children[0];
+    return { value: param ? value(param) : null };
+}
+
+// Controls a [program:...] of supervisord through its XML-RPC interface
+// (serverUrl: unix:///path/to/supervisor.sock or http://host:port)
+class SupervisordBackend {
+    constructor(config) {
+        this.name = 'supervisord';
+        this.config = config;
+        this.program = config.supervisord.program;
+        this.launchOptions = false;
+        const url = config.supervisord.serverUrl;
+        if (url.startsWith('unix://')) {
+            this.request = { socketPath: url.slice('unix://'.length), path: '/RPC2' };
+        } else {
+            const parsed = new URL(url);
+            this.request = {
+                protocol: parsed.protocol,
+                hostname: parsed.hostname,
+                port: parsed.port || undefined,
+                path: parsed.pathname === '/' ? '/RPC2' : parsed.pathname
+            };
+        }
+        const { username, password } = config.supervisord;
+        if (username) this.request.auth = `${username}:${password}`;
+    }
+
+    describe() {
+        return `supervisord program "${this.program}"`;
+    }
+
+    async launch() {
+        try {
+            await this.call('supervisor.startProcess', [this.program, true]);
+        } catch (err) {
+            // supervisord may have restarted it on its own already; adopt that run
+            if (err.faultCode !== FAULT_ALREADY_STARTED) throw err;
+        }
+        const game = await this.find();
+        if (!game) throw new BackendError(`supervisord did not keep "${this.program}" running`);
+        return { pid: game.pid, child: null };
+    }
+
+    async find() {
+        const info = await this.call('supervisor.getProcessInfo', [this.program]);
+        if (!SUPERVISORD_RUNNING.includes(info.statename) || !info.pid) return null;
+        return { pid: info.pid, uptime: Math.max(0, info.now - info.start) };
+    }
+
+    async isAlive() {
+        return Boolean(await this.find());
+    }
+
+    // stopProcess (not a signal) so supervisord's own autorestart leaves it stopped
+    async kill() {
+        try {
+            await this.call('supervisor.stopProcess', [this.program, true]);
+        } catch (err) {
+            if (err.faultCode !== FAULT_NOT_RUNNING) throw err;
+        }
+        if (!(await waitUntilGone(this, KILL_TIMEOUT_MS))) {
+            console.warn(`[Supervisor] supervisord still reports "${this.program}" running after kill timeout`);
+        }
+    }
+
+    call(method, params = []) {
+        const body = `<?xml version="1.0"?><methodCall><methodName>${method}</methodName><params>` +
+            params.map(param => `<param><value>${encodeXmlRpcValue(param)}</value></param>`).join('') +
+            '</params></methodCall>';
+        const transport = this.request.protocol === 'https:' ? https : http;
+        return new Promise((resolve, reject) => {
+            const req = transport.request({
+                ...this.request,
+                method: 'POST',
+                headers: { 'Content-Type': 'text/xml', 'Content-Length': Buffer.byteLength(body) },
+                timeout: REQUEST_TIMEOUT_MS
+            }, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => { data += chunk; });
+                res.on('end', () => {
+                    if (res.statusCode === 401) return reject(new BackendError('supervisord refused supervisord.username/supervisord.password'));
+                    if (res.statusCode !== 200) return reject(new BackendError(`supervisord answered ${method} with HTTP ${res.statusCode}`));
+                    try {
+                        const result = parseXmlRpcResponse(data);
+                        if (result.fault) {
+                            const err = new BackendError(`supervisord: ${result.fault.faultString}`, result.fault.faultCode === 10 ? 404 : 502);
+                            err.faultCode = result.fault.faultCode;
+                            return reject(err);
+                        }
+                        resolve(result.value);
+                    } catch (err) {
+                        reject(err);
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new BackendError(`supervisord did not answer ${method}`, 504)));
+            req.on('error', err => reject(err instanceof BackendError ? err : new BackendError(`Cannot reach supervisord at ${this.config.supervisord.serverUrl}: ${err.message}`)));
+            req.end(body);
+        });
+    }
+}
+
+// Controls a container through the Docker Engine API on its Unix socket
+class DockerBackend {
+    constructor(config) {
+        this.name = 'docker';
+        this.config = config;
+        this.container = config.docker.container;
+        this.launchOptions = false;
+    }
+
+    describe() {
+        return `docker container "${this.container}"`;
+    }
+
+    async launch() {
+        // 304: already running (its restart policy may have brought it back); adopt that run
+        await this.call('POST', `/containers/${encodeURIComponent(this.container)}/start`, [204, 304]);
+        const game = await this.find();
+        if (!game) throw new BackendError(`Container "${this.container}" exited right after starting`);
+        return { pid: game.pid, child: null };
+    }
+
+    async find() {
+        const { State: state } = await this.call('GET', `/containers/${encodeURIComponent(this.container)}/json`, [200]);
+        if (!state || !state.Running || state.Restarting) return null;
+        return { pid: state.Pid || null, uptime: Math.max(0, Math.floor((Date.now() - Date.parse(state.StartedAt)) / 1000)) };
+    }
+
+    async isAlive() {
+        return Boolean(await this.find());
+    }
+
+    // A stop without grace time: the graceful part has already been done through the
+    // mod, and a stopped container is kept down whatever its restart policy (304: not running)
+    async kill() {
+        await this.call('POST', `/containers/${encodeURIComponent(this.container)}/stop?t=0`, [204, 304]);
+        if (!(await waitUntilGone(this, KILL_TIMEOUT_MS))) {
+            console.warn(`[Supervisor] Container "${this.container}" still running after kill timeout`);
+        }
+    }
+
+    call(method, apiPath, expected) {
+        return new Promise((resolve, reject) => {
+            const req = http.request({
+                socketPath: this.config.docker.socketPath,
+                path: apiPath,
+                method,
+                headers: { Host: 'docker' },
+                timeout: REQUEST_TIMEOUT_MS
+            }, (res) => {
+                let data = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => { data += chunk; });
+                res.on('end', () => {
+                    let body = null;
+                    try { body = data ? JSON.parse(data) : null; } catch (err) { /* Plain-text error */ }
+                    if (expected.includes(res.statusCode)) return resolve(body);
+                    const message = (body && body.message) || data.trim() || `HTTP ${res.statusCode}`;
+                    const status = res.statusCode === 404 ? 404 : res.statusCode === 409 ? 409 : 502;
+                    reject(new BackendError(`Docker: ${message}`, status));
+                });
+            });
+            req.on('timeout', () => req.destroy(new BackendError(`Docker did not answer ${method} ${apiPath}`, 504)));
+            req.on('error', err => reject(err instanceof BackendError ? err : new BackendError(`Cannot reach Docker at ${this.config.docker.socketPath}: ${err.message}`)));
+            req.end();
+        });
+    }
+}
+
+// The backend an instance's configuration selects (processBackend)
+function createBackend(config) {
+    switch (config.processBackend) {
+        case 'supervisord': return new SupervisordBackend(config);
+        case 'docker': return new DockerBackend(config);
+        default: return new WineBackend(config);
+    }
+}
+
+module.exports = {
+    createBackend,
+    WineBackend,
+    SupervisordBackend,
+    DockerBackend,
+    BackendError,
+    BACKENDS,
+    findGameProcess
+};
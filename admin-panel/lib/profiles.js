@@ -0,0 +1,271 @@
+/**
+ * Server profiles
+ * A profile is a named preset for the game server (a vanilla world, a modded test
+ * world, an event world): mod config values, the save the mod auto-loads
+ * (Server.AutoLoadSave) and launch options, which are extra arguments for
+ * Techtonica.exe and extra environment variables for Wine.
+ *
+ * Activating a profile writes its values into the mod config through the server's
+ * applySettings callback (settings it does not mention are left as they are) and
+ * makes its launch options the ones the game is started with. Like any config change
+ * it takes effect the next time the game starts. The active profile is remembered
+ * in server_config under 'profiles.active'.
+ *
+ * Events: 'activated' (profile).
+ */
+
+const { EventEmitter } = require('events');
+const { validateSettings } = require('./modConfig');
+
+const ACTIVE_KEY = 'profiles.active';
+const MAX_NAME_LENGTH = 64;
+const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_ARGS = 32;
+const MAX_ARG_LENGTH = 256;
+const MAX_ENV = 32;
+// Set by the supervisor for every launch; a profile cannot replace them
+const RESERVED_ARGS = ['-batchmode', '-logfile'];
+// Unity player options a profile may add. A flag maps to null, or to the pattern its
+// value (the next argument) must match. Anything else could point the game at
+// other files, so it is refused.
+const ALLOWED_ARGS = {
+    '-nographics': null,
+    '-screen-width': /^\d{1,5}$/,
+    '-screen-height': /^\d{1,5}$/,
+    '-screen-fullscreen': /^[01]$/,
+    '-screen-quality': /^[A-Za-z0-9 ]{1,32}$/,
+    '-window-mode': /^(exclusive|borderless|windowed)$/,
+    '-popupwindow': null,
+    '-monitor': /^\d{1,2}$/,
+    '-adapter': /^\d{1,2}$/,
+    '-force-d3d11': null,
+    '-force-d3d12': null,
+    '-force-vulkan': null,
+    '-force-glcore': null,
+    '-disable-gpu-skinning': null
+};
+// Wine and graphics driver tuning. Names like LD_PRELOAD, PATH or WINELOADER would let
+// a profile run any program, so only these are passed on. Variables matched by a
+// prefix cannot hold a path.
+const ALLOWED_ENV = ['WINEDEBUG', 'WINEESYNC', 'WINEFSYNC', 'WINE_LARGE_ADDRESS_AWARE'];
+const ALLOWED_ENV_PREFIXES = ['DXVK_', 'VKD3D_', 'MESA_'];
+
+class ProfileError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'ProfileError';
+        this.status = status;
+    }
+}
+
+// { args: [], env: {} } with every entry checked; throws ProfileError
+function normalizeLaunch(launch) {
+    if (launch === undefined || launch === null) return { args: [], env: {} };
+    if (typeof launch !== 'object' || Array.isArray(launch)) throw new ProfileError('launch must be an object of { args, env }');
+
+    const args = launch.args === undefined ? [] : launch.args;
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) throw new ProfileError('launch.args must be an array of strings');
+    if (args.length > MAX_ARGS) throw new ProfileError(`A profile can have at most ${MAX_ARGS} launch arguments`);
+    for (let i = 0; i < args.length; i++) {
+        const arg = args[i];
+        if (!arg || arg.length > MAX_ARG_LENGTH || /[\0\r\n]/.test(arg)) throw new ProfileError(`Invalid launch argument: ${arg.slice(0, 40)}`);
+        const flag = arg.toLowerCase();
+        if (RESERVED_ARGS.includes(flag)) throw new ProfileError(`${arg} is set by the panel and cannot be changed by a profile`);
+        if (!Object.prototype.hasOwnProperty.call(ALLOWED_ARGS, flag)) {
+            throw new ProfileError(`${arg.slice(0, 40)} is not an allowed launch argument (allowed: ${Object.keys(ALLOWED_ARGS).join(', ')})`);
+        }
+        const pattern = ALLOWED_ARGS[flag];
+        if (pattern) {
+            const value = args[++i];
+            if (value === undefined || !pattern.test(value)) throw new ProfileError(`${arg} must be followed by a valid value`);
+        }
+    }
+
+    const env = launch.env === undefined ? {} : launch.env;
+    if (!env || typeof env !== 'object' || Array.isArray(env)) throw new ProfileError('launch.env must be an object of { NAME: value }');
+    if (Object.keys(env).length > MAX_ENV) throw new ProfileError(`A profile can set at most ${MAX_ENV} environment variables`);
+    const normalizedEnv = {};
+    for (const [name, value] of Object.entries(env)) {
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) throw new ProfileError(`Invalid environment variable name: ${name}`);
+        const prefixed = ALLOWED_ENV_PREFIXES.some(prefix => name.startsWith(prefix));
+        if (!ALLOWED_ENV.includes(name) && !prefixed) {
+            throw new ProfileError(`${name} is not an allowed environment variable (allowed: ${ALLOWED_ENV.join(', ')}, ${ALLOWED_ENV_PREFIXES.map(prefix => prefix + '*').join(', ')})`);
+        }
+        if (value === null || typeof value === 'object' || /[\0\r\n]/.test(String(value))) {
+            throw new ProfileError(`Environment variable ${name} must be a single-line value`);
+        }
+        if (prefixed && /[/\\]/.test(String(value))) throw new ProfileError(`Environment variable ${name} cannot hold a path`);
+        normalizedEnv[name] = String(value);
+    }
+    return { args, env: normalizedEnv };
+}
+
+class ProfileManager extends EventEmitter {
+    /**
+     * options:
+     *   applySettings: (settings, { profile, userId }) => void; writes
+     *                  { section: { key: value } } to the mod config, throwing if it is invalid
+     *   saveExists:    (savePath) => true if the save file is there
+     */
+    constructor(db, { applySettings, saveExists = () => true }) {
+        super();
+        this.db = db;
+        this.applySettings = applySettings;
+        this.saveExists = saveExists;
+    }
+
+    list() {
+        const activeId = this._activeId();
+        return this.db.prepare(`
+            SELECT p.*, u.username as created_by_username FROM server_profiles p
+            LEFT JOIN users u ON p.created_by = u.id
+            ORDER BY p.name COLLATE NOCASE
+        `).all().map(row => this._format(row, activeId));
+    }
+
+    get(id) {
+        const row = this.db.prepare(`
+            SELECT p.*, u.username as created_by_username FROM server_profiles p
+            LEFT JOIN users u ON p.created_by = u.id
+            WHERE p.id = ?
+        `).get(id);
+        if (!row) throw new ProfileError('Profile not found', 404);
+        return this._format(row, this._activeId());
+    }
+
+    // The active profile, or null
+    active() {
+        const id = this._activeId();
+        if (!id) return null;
+        try {
+            return this.get(id);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    // Launch options the game should start with: the active profile's, or none.
+    // Checked again here since the profile may have been saved under older rules.
+    launchOptions() {
+        const profile = this.active();
+        return profile ? normalizeLaunch(profile.launch) : { args: [], env: {} };
+    }
+
+    create(data, userId = null) {
+        const profile = this._validate(data);
+        this._checkName(profile.name);
+        const now = new Date().toISOString();
+        const result = this.db.prepare(`
+            INSERT INTO server_profiles (name, description, settings, save_path, launch, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(profile.name, profile.description, JSON.stringify(profile.settings), profile.save,
+            JSON.stringify(profile.launch), userId, now, now);
+        return this.get(result.lastInsertRowid);
+    }
+
+    update(id, data) {
+        const existing = this.get(id);
+        const profile = this._validate({ ...existing, ...data });
+        this._checkName(profile.name, id);
+        this.db.prepare(`
+            UPDATE server_profiles SET name = ?, description = ?, settings = ?, save_path = ?, launch = ?, updated_at = ? WHERE id = ?
+        `).run(profile.name, profile.description, JSON.stringify(profile.settings), profile.save,
+            JSON.stringify(profile.launch), new Date().toISOString(), id);
+        return this.get(id);
+    }
+
+    clone(id, name, userId = null) {
+        const source = this.get(id);
+        return this.create({ ...source, name }, userId);
+    }
+
+    remove(id) {
+        this.get(id);
+        if (this._activeId() === id) this.db.prepare('DELETE FROM server_config WHERE key = ?').run(ACTIVE_KEY);
+        this.db.prepare('DELETE FROM server_profiles WHERE id = ?').run(id);
+    }
+
+    /**
+     * Write the profile into the mod config and make it the active one. Nothing is
+     * changed if its save is missing or a value is rejected. Returns the profile.
+     */
+    activate(id, { userId = null } = {}) {
+        const profile = this.get(id);
+        if (profile.save && !this.saveExists(profile.save)) {
+            throw new ProfileError(`The profile's save file no longer exists: ${profile.save}`, 409);
+        }
+        const settings = { ...profile.settings };
+        if (profile.save) settings['Server'] = { ...(settings['Server'] || {}), AutoLoadSave: profile.save };
+        this.applySettings(settings, { profile, userId });
+
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO server_config (key, value, updated_at, updated_by) VALUES (?, ?, ?, ?)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at, updated_by = excluded.updated_by
+        `).run(ACTIVE_KEY, String(id), now, userId);
+        this.db.prepare('UPDATE server_profiles SET last_activated_at = ? WHERE id = ?').run(now, id);
+
+        const activated = this.get(id);
+        this.emit('activated', activated);
+        return activated;
+    }
+
+    _activeId() {
+        const row = this.db.prepare('SELECT value FROM server_config WHERE key = ?').get(ACTIVE_KEY);
+        return row ? parseInt(row.value) : null;
+    }
+
+    _checkName(name, exceptId = null) {
+        const clash = this.db.prepare('SELECT id FROM server_profiles WHERE name = ? COLLATE NOCASE AND id != ?').get(name, exceptId ?? -1);
+        if (clash) throw new ProfileError(`A profile named "${name}" already exists`, 409);
+    }
+
+    _validate(data) {
+        const name = String(data.name || '').trim();
+        if (!name) throw new ProfileError('Profile name required');
+        if (name.length > MAX_NAME_LENGTH || /[\r\n]/.test(name)) throw new ProfileError(`Profile names are single lines of at most ${MAX_NAME_LENGTH} characters`);
+        const description = String(data.description || '').trim();
+        if (description.length > MAX_DESCRIPTION_LENGTH) throw new ProfileError(`Descriptions are limited to ${MAX_DESCRIPTION_LENGTH} characters`);
+
+        const settings = data.settings || {};
+        try {
+            validateSettings(settings);
+        } catch (err) {
+            throw new ProfileError(err.message);
+        }
+        if (settings['Server'] && 'AutoLoadSave' in settings['Server']) {
+            throw new ProfileError("Set the profile's save with save, not Server.AutoLoadSave");
+        }
+
+        const save = data.save ? String(data.save) : null;
+        if (save) {
+            try {
+                validateSettings({ Server: { AutoLoadSave: save } });
+            } catch (err) {
+                throw new ProfileError('save must be the path of a .dat save file');
+            }
+        }
+        return { name, description, settings, save, launch: normalizeLaunch(data.launch) };
+    }
+
+    _format(row, activeId) {
+        const parse = (text, fallback) => {
+            try { return JSON.parse(text); } catch (err) { return fallback; }
+        };
+        return {
+            id: row.id,
+            name: row.name,
+            description: row.description || '',
+            settings: parse(row.settings, {}),
+            save: row.save_path || null,
+            launch: parse(row.launch, { args: [], env: {} }),
+            active: row.id === activeId,
+            lastActivatedAt: row.last_activated_at || null,
+            createdBy: row.created_by_username || null,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = { ProfileManager, ProfileError };
@@ -0,0 +1,209 @@
+/**
+ * Off-site backup replication
+ * Copies save backups to S3-compatible object storage so they survive the loss of the
+ * game server's disk. Uploads run one at a time in the background; each backup row
+ * records the object key and how the upload went (the remote_* columns).
+ *
+ * Remote copies outlive local retention: deleting or pruning a local backup leaves
+ * its copy in the bucket. Remote retention removes copies older than keepDays on its
+ * own, always keeping the newest one.
+ *
+ * Events: 'uploaded' (backup), 'failed' ({ backup, error }).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { fileKeyId } = require('./encryption');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Plain and encrypted backup archives
+const BACKUP_FILE = /\.zip(\.enc)?$/;
+
+class ReplicationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ReplicationError';
+    }
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const sha = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => sha.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(sha.digest('hex')));
+    });
+}
+
+class BackupReplicator extends EventEmitter {
+    /**
+     * options:
+     *   backups:   BackupManager
+     *   client:    S3Client, or null when replication is not configured
+     *   prefix:    key prefix inside the bucket ("techtonica/" puts backups in a folder)
+     *   keepDays:  remote retention; 0 keeps every copy
+     */
+    constructor(db, { backups, client = null, prefix = '', keepDays = 30 }) {
+        super();
+        this.db = db;
+        this.backups = backups;
+        this.client = client;
+        this.prefix = prefix && !prefix.endsWith('/') ? `${prefix}/` : prefix;
+        this.keepDays = keepDays;
+        this.queueTail = Promise.resolve();
+    }
+
+    get enabled() {
+        return Boolean(this.client);
+    }
+
+    keyFor(filename) {
+        return `${this.prefix}${path.basename(filename)}`;
+    }
+
+    /**
+     * Upload a backup in the background, after any uploads already queued.
+     * Resolves when it is done; never rejects (failures are recorded on the backup).
+     */
+    queue(id) {
+        if (!this.enabled) return Promise.resolve();
+        this.db.prepare("UPDATE backups SET remote_status = 'pending', remote_error = NULL WHERE id = ?").run(id);
+        this.queueTail = this.queueTail.then(() => this.replicate(id)).catch(() => { /* recorded on the row */ });
+        return this.queueTail;
+    }
+
+    // Re-queue uploads that were pending or running when the panel stopped
+    resume() {
+        if (!this.enabled) return;
+        const rows = this.db.prepare("SELECT id FROM backups WHERE remote_status IN ('pending', 'uploading') ORDER BY id").all();
+        rows.forEach(row => this.queue(row.id));
+    }
+
+    /**
+     * Upload one backup now. Resolves to the updated backup; throws on failure
+     * (after recording it on the row and emitting 'failed').
+     */
+    async replicate(id) {
+        if (!this.enabled) throw new ReplicationError('Off-site replication is not configured');
+        const backup = this.backups.get(id);
+        if (!backup) throw new ReplicationError('Backup not found');
+
+        const key = this.keyFor(backup.filename);
+        this.db.prepare("UPDATE backups SET remote_key = ?, remote_status = 'uploading', remote_error = NULL WHERE id = ?").run(key, id);
+        try {
+            if (!backup.exists) throw new ReplicationError('Backup file is missing');
+            const filePath = this.backups.filePath(backup);
+            const sha256 = backup.sha256 || await hashFile(filePath);
+            const { size } = await fs.promises.stat(filePath);
+            await this.client.putObject(key, filePath, {
+                sha256,
+                size,
+                metadata: { type: backup.type, 'created-at': backup.createdAt }
+            });
+
+            const head = await this.client.headObject(key);
+            if (!head || head.size !== size) {
+                throw new ReplicationError(`Remote copy has the wrong size (${head ? head.size : 'missing'}, expected ${size})`);
+            }
+            this.db.prepare("UPDATE backups SET remote_status = 'uploaded', remote_uploaded_at = ? WHERE id = ?")
+                .run(new Date().toISOString(), id);
+        } catch (err) {
+            this.db.prepare("UPDATE backups SET remote_status = 'failed', remote_error = ? WHERE id = ?").run(err.message, id);
+            this.emit('failed', { backup, error: err });
+            throw err;
+        }
+
+        const uploaded = this.backups.get(id);
+        this.emit('uploaded', uploaded);
+        try {
+            await this.prune();
+        } catch (err) {
+            console.error('[Replication] Remote retention failed:', err.message);
+        }
+        return uploaded;
+    }
+
+    /**
+     * Backups in the bucket, newest first, matched to local backups by filename:
+     * [{ key, filename, size, lastModified, backupId, local }]
+     */
+    async listRemote() {
+        if (!this.enabled) throw new ReplicationError('Off-site replication is not configured');
+        const objects = (await this.client.listObjects(this.prefix)).filter(object => BACKUP_FILE.test(object.key));
+        const local = new Map(this.backups.list().map(backup => [backup.filename, backup]));
+        return objects
+            .map(object => {
+                const filename = object.key.slice(this.prefix.length);
+                const backup = local.get(filename);
+                return {
+                    key: object.key,
+                    filename,
+                    size: object.size,
+                    lastModified: object.lastModified.toISOString(),
+                    backupId: backup ? backup.id : null,
+                    local: Boolean(backup && backup.exists)
+                };
+            })
+            .sort((a, b) => b.lastModified.localeCompare(a.lastModified));
+    }
+
+    /**
+     * Remote retention: delete copies older than keepDays, keeping the newest.
+     * Resolves to the removed objects.
+     */
+    async prune() {
+        if (!this.enabled || !this.keepDays) return [];
+        const cutoff = Date.now() - this.keepDays * DAY_MS;
+        const expired = (await this.listRemote()).slice(1).filter(object => new Date(object.lastModified).getTime() < cutoff);
+        for (const object of expired) {
+            await this.client.deleteObject(object.key);
+            this.db.prepare("UPDATE backups SET remote_status = 'expired' WHERE remote_key = ?").run(object.key);
+        }
+        return expired;
+    }
+
+    /**
+     * Make a remote copy available locally so it can be restored. Uses the local file
+     * if it is still there; otherwise downloads it, checks the SHA-256 recorded at
+     * upload and (if the local backup was deleted) records it as a backup again.
+     * Resolves to the local backup.
+     */
+    async fetch(key, { userId = null } = {}) {
+        if (!this.enabled) throw new ReplicationError('Off-site replication is not configured');
+        const filename = key.slice(this.prefix.length);
+        if (!key.startsWith(this.prefix) || !BACKUP_FILE.test(filename) || filename !== path.basename(filename)) {
+            throw new ReplicationError(`Not a backup key: ${key}`);
+        }
+
+        const existing = this.backups.list().find(backup => backup.filename === filename);
+        if (existing && existing.exists) return this.backups.get(existing.id);
+
+        const head = await this.client.headObject(key);
+        if (!head) throw new ReplicationError(`${key} is not in the bucket`);
+        this.backups._checkDiskSpace(head.size);
+
+        const filePath = path.join(this.backups.backupsDir, filename);
+        await this.client.getObject(key, filePath);
+        // A copy uploaded before a key rotation differs from the re-wrapped local file
+        // in its header, so trust the checksum recorded with the upload first
+        const expected = head.metadata.sha256 || (existing && existing.sha256);
+        const sha256 = await hashFile(filePath);
+        if (expected && sha256 !== expected) {
+            await fs.promises.rm(filePath, { force: true });
+            throw new ReplicationError(`Downloaded copy of ${key} does not match its SHA-256`);
+        }
+
+        const backup = existing
+            ? this.backups.get(existing.id)
+            : await this.backups.adopt(filename, { userId, notes: `Downloaded from off-site copy ${key}` });
+        this.db.prepare(`
+            UPDATE backups SET sha256 = ?, encryption_key = ?, remote_key = ?, remote_status = 'uploaded', remote_error = NULL, remote_uploaded_at = ? WHERE id = ?
+        `).run(sha256, await fileKeyId(filePath), key, head.lastModified ? head.lastModified.toISOString() : null, backup.id);
+        return this.backups.get(backup.id);
+    }
+}
+
+module.exports = { BackupReplicator, ReplicationError };
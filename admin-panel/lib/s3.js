@@ -0,0 +1,234 @@
+/**
+ * Minimal S3 client
+ * Just the object operations off-site backups need (put, get, head, delete, list),
+ * signed with AWS Signature Version 4. Works with AWS S3 and S3-compatible stores
+ * such as MinIO, Backblaze B2 or Cloudflare R2.
+ *
+ * Uploads stream from disk and are signed with the file's SHA-256, which the backup
+ * engine already knows, so the store rejects an object that arrives corrupted.
+ * Path-style addressing (endpoint/bucket/key) is the default because most
+ * self-hosted stores expect it; set pathStyle: false for virtual-hosted buckets.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const EMPTY_SHA256 = crypto.createHash('sha256').update('').digest('hex');
+
+class S3Error extends Error {
+    constructor(message, { status = null, code = null } = {}) {
+        super(message);
+        this.name = 'S3Error';
+        this.status = status;
+        this.code = code;
+    }
+}
+
+function hmac(key, data) {
+    return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+// RFC 3986 encoding as SigV4 requires (encodeURIComponent leaves !'()* alone)
+function uriEncode(value, keepSlash = false) {
+    const encoded = encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+    return keepSlash ? encoded.replace(/%2F/g, '/') : encoded;
+}
+
+function decodeXml(text) {
+    return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+}
+
+function xmlValue(xml, tag) {
+    const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+    return match ? decodeXml(match[1]) : null;
+}
+
+/**
+ * Sign a request in place (adds Authorization, x-amz-date, x-amz-content-sha256).
+ * request: { method, host, path (already URI-encoded), query: {}, headers: {}, payloadHash }
+ */
+function signRequest(request, { accessKeyId, secretAccessKey, region, service = 's3', date = new Date() }) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const day = amzDate.slice(0, 8);
+    const headers = { ...request.headers, host: request.host, 'x-amz-date': amzDate };
+    if (service === 's3') headers['x-amz-content-sha256'] = request.payloadHash;
+
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map(name => `${name}:${String(lower[name]).trim().replace(/\s+/g, ' ')}\n`).join('');
+    const signedHeaders = names.join(';');
+    const canonicalQuery = Object.keys(request.query || {}).sort()
+        .map(key => `${uriEncode(key)}=${uriEncode(String(request.query[key]))}`).join('&');
+
+    const canonicalRequest = [request.method, request.path, canonicalQuery, canonicalHeaders, signedHeaders, request.payloadHash].join('\n');
+    const scope = `${day}/${region}/${service}/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, crypto.createHash('sha256').update(canonicalRequest).digest('hex')].join('\n');
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretAccessKey}`, day), region), service), 'aws4_request');
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    headers.authorization = `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+    return { headers, query: canonicalQuery };
+}
+
+class S3Client {
+    /**
+     * options: endpoint (e.g. https://s3.eu-west-1.amazonaws.com or http://minio:9000),
+     *          region, bucket, accessKeyId, secretAccessKey, pathStyle, timeoutMs
+     */
+    constructor({ endpoint, region = 'us-east-1', bucket, accessKeyId, secretAccessKey, pathStyle = true, timeoutMs = 60000 }) {
+        if (!endpoint || !bucket) throw new S3Error('S3 endpoint and bucket are required');
+        this.endpoint = new URL(endpoint);
+        this.region = region;
+        this.bucket = bucket;
+        this.credentials = { accessKeyId, secretAccessKey };
+        this.pathStyle = pathStyle;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * Upload a file. sha256 (hex) is the file's checksum; it signs the payload and is
+     * kept as object metadata. Resolves to { etag }.
+     */
+    async putObject(key, filePath, { sha256, size, metadata = {} } = {}) {
+        const length = size ?? (await fs.promises.stat(filePath)).size;
+        const headers = { 'content-length': length, 'content-type': 'application/zip' };
+        for (const [name, value] of Object.entries({ sha256, ...metadata })) {
+            if (value !== undefined && value !== null) headers[`x-amz-meta-${name.toLowerCase()}`] = String(value);
+        }
+        const res = await this._request({
+            method: 'PUT',
+            key,
+            headers,
+            payloadHash: sha256 || 'UNSIGNED-PAYLOAD',
+            body: fs.createReadStream(filePath)
+        });
+        return { etag: res.headers.etag || null };
+    }
+
+    /**
+     * Download an object to destPath (written to a temporary file, then renamed).
+     * Resolves to { size, metadata }.
+     */
+    async getObject(key, destPath) {
+        const res = await this._request({ method: 'GET', key, stream: true });
+        const partial = `${destPath}.partial`;
+        try {
+            await pipeline(res, fs.createWriteStream(partial));
+            await fs.promises.rename(partial, destPath);
+        } catch (err) {
+            await fs.promises.rm(partial, { force: true });
+            throw err;
+        }
+        return { size: Number(res.headers['content-length']) || null, metadata: this._metadata(res.headers) };
+    }
+
+    // Object size and metadata, or null if it does not exist
+    async headObject(key) {
+        try {
+            const res = await this._request({ method: 'HEAD', key });
+            return {
+                size: Number(res.headers['content-length']),
+                lastModified: res.headers['last-modified'] ? new Date(res.headers['last-modified']) : null,
+                metadata: this._metadata(res.headers)
+            };
+        } catch (err) {
+            if (err instanceof S3Error && err.status === 404) return null;
+            throw err;
+        }
+    }
+
+    async deleteObject(key) {
+        await this._request({ method: 'DELETE', key });
+    }
+
+    /**
+     * Every object under prefix: [{ key, size, lastModified, etag }], following
+     * continuation tokens.
+     */
+    async listObjects(prefix = '') {
+        const objects = [];
+        let token = null;
+        do {
+            const query = { 'list-type': 2, prefix };
+            if (token) query['continuation-token'] = token;
+            const res = await this._request({ method: 'GET', key: '', query });
+            const xml = res.body.toString('utf8');
+            for (const [, block] of xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)) {
+                objects.push({
+                    key: xmlValue(block, 'Key'),
+                    size: Number(xmlValue(block, 'Size')),
+                    lastModified: new Date(xmlValue(block, 'LastModified')),
+                    etag: xmlValue(block, 'ETag')
+                });
+            }
+            token = xmlValue(xml, 'IsTruncated') === 'true' ? xmlValue(xml, 'NextContinuationToken') : null;
+        } while (token);
+        return objects;
+    }
+
+    _metadata(headers) {
+        const metadata = {};
+        for (const [name, value] of Object.entries(headers)) {
+            if (name.startsWith('x-amz-meta-')) metadata[name.slice('x-amz-meta-'.length)] = value;
+        }
+        return metadata;
+    }
+
+    // Resolves to the response; buffered (res.body) unless stream is set
+    _request({ method, key, query = {}, headers = {}, payloadHash = EMPTY_SHA256, body = null, stream = false }) {
+        const basePath = this.endpoint.pathname.replace(/\/$/, '');
+        const objectPath = uriEncode(key, true);
+        const host = this.pathStyle ? this.endpoint.host : `${this.bucket}.${this.endpoint.host}`;
+        const requestPath = this.pathStyle ? `${basePath}/${uriEncode(this.bucket)}/${objectPath}` : `${basePath}/${objectPath}`;
+
+        const signed = signRequest({ method, host, path: requestPath, query, headers, payloadHash }, {
+            ...this.credentials,
+            region: this.region
+        });
+        const transport = this.endpoint.protocol === 'https:' ? https : http;
+
+        return new Promise((resolve, reject) => {
+            const req = transport.request({
+                method,
+                protocol: this.endpoint.protocol,
+                hostname: this.endpoint.hostname,
+                port: this.endpoint.port || undefined,
+                path: signed.query ? `${requestPath}?${signed.query}` : requestPath,
+                headers: signed.headers,
+                timeout: this.timeoutMs
+            }, res => {
+                if (stream && res.statusCode < 300) return resolve(res);
+
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('error', reject);
+                res.on('end', () => {
+                    res.body = Buffer.concat(chunks);
+                    if (res.statusCode < 300) return resolve(res);
+                    const text = res.body.toString('utf8');
+                    const code = xmlValue(text, 'Code');
+                    const message = xmlValue(text, 'Message') || `HTTP ${res.statusCode}`;
+                    reject(new S3Error(`${method} ${key || this.bucket} failed: ${code ? `${code}: ` : ''}${message}`, {
+                        status: res.statusCode,
+                        code
+                    }));
+                });
+            });
+            req.on('timeout', () => req.destroy(new S3Error(`${method} ${key || this.bucket} timed out`)));
+            req.on('error', err => reject(err instanceof S3Error ? err : new S3Error(`${method} ${key || this.bucket} failed: ${err.message}`)));
+
+            if (body && typeof body.pipe === 'function') {
+                body.on('error', err => req.destroy(err));
+                body.pipe(req);
+            } else {
+                req.end(body || undefined);
+            }
+        });
+    }
+}
+
+module.exports = { S3Client, S3Error, signRequest };
@@ -0,0 +1,396 @@
+/**
+ * Save library
+ * Notes, tags and version history for the game's .dat saves, which are identified by
+ * their path relative to the saves directory ("world.dat", "slot1/world.dat").
+ *
+ * The panel polls the saves for changes. Whenever a save's contents differ from its
+ * newest version a copy is stored in versionsDir, so when the game overwrites a save
+ * the state before it is already kept and one world can be rolled back without
+ * touching the others. Copies are content-addressed (<sha256>.dat): a rollback, a
+ * clone or two identical saves share one file. A save that changes while it is being
+ * copied is skipped and picked up on the next poll, so no torn copy is recorded.
+ *
+ * Events: 'version' ({ name, version }).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { isSafePath } = require('./zip');
+
+const SAVE_NAME = /^[\w.-]+(\/[\w.-]+)*\.dat$/;
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 32;
+const MAX_NOTES_LENGTH = 2000;
+
+class SaveLibraryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SaveLibraryError';
+        this.status = status;
+    }
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const sha = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => sha.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(sha.digest('hex')));
+    });
+}
+
+// Trimmed, de-duplicated tags; throws on anything unusable
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) throw new SaveLibraryError('tags must be an array of strings');
+    const result = [];
+    for (const tag of tags) {
+        const value = String(tag).trim();
+        if (!value) continue;
+        if (value.length > MAX_TAG_LENGTH) throw new SaveLibraryError(`Tags are limited to ${MAX_TAG_LENGTH} characters`);
+        if (!result.some(existing => existing.toLowerCase() === value.toLowerCase())) result.push(value);
+    }
+    if (result.length > MAX_TAGS) throw new SaveLibraryError(`A save can have at most ${MAX_TAGS} tags`);
+    return result;
+}
+
+class SaveLibrary extends EventEmitter {
+    /**
+     * options:
+     *   savesDir:      the game's saves directory
+     *   versionsDir:   where version copies are kept
+     *   keepVersions:  versions kept per save; 0 turns versioning off
+     */
+    constructor(db, { savesDir, versionsDir, keepVersions = 20 }) {
+        super();
+        this.db = db;
+        this.savesDir = savesDir;
+        this.versionsDir = versionsDir;
+        this.keepVersions = keepVersions;
+        this.queueTail = Promise.resolve();
+    }
+
+    get versioning() {
+        return this.keepVersions > 0;
+    }
+
+    /**
+     * Every save with its metadata, newest first:
+     * [{ name, path, size, modified, notes, tags, versionCount, lastVersionAt }]
+     */
+    list() {
+        const meta = new Map(this.db.prepare('SELECT * FROM save_meta').all().map(row => [row.name, row]));
+        const versions = new Map(this.db.prepare(`
+            SELECT save_name, COUNT(*) as count, MAX(created_at) as last FROM save_versions GROUP BY save_name
+        `).all().map(row => [row.save_name, row]));
+
+        return this._saveFiles()
+            .map(file => {
+                const row = meta.get(file.name);
+                const history = versions.get(file.name);
+                return {
+                    ...file,
+                    notes: row ? row.notes || '' : '',
+                    tags: row && row.tags ? JSON.parse(row.tags) : [],
+                    versionCount: history ? history.count : 0,
+                    lastVersionAt: history ? history.last : null
+                };
+            })
+            .sort((a, b) => b.modified - a.modified);
+    }
+
+    // Absolute path of an existing save; throws for names outside the saves directory
+    resolve(name) {
+        const filePath = this._pathFor(name);
+        if (!fs.existsSync(filePath)) throw new SaveLibraryError('Save file not found', 404);
+        return filePath;
+    }
+
+    setMeta(name, { notes, tags }, userId = null) {
+        this.resolve(name);
+        const current = this.getMeta(name);
+        const next = {
+            notes: notes === undefined ? current.notes : String(notes ?? ''),
+            tags: tags === undefined ? current.tags : normalizeTags(tags)
+        };
+        if (next.notes.length > MAX_NOTES_LENGTH) throw new SaveLibraryError(`Notes are limited to ${MAX_NOTES_LENGTH} characters`);
+
+        this.db.prepare(`
+            INSERT INTO save_meta (name, notes, tags, updated_by, updated_at) VALUES (?, ?, ?, ?, ?)
+            ON CONFLICT(name) DO UPDATE SET notes = excluded.notes, tags = excluded.tags,
+                updated_by = excluded.updated_by, updated_at = excluded.updated_at
+        `).run(name, next.notes, JSON.stringify(next.tags), userId, new Date().toISOString());
+        return this.getMeta(name);
+    }
+
+    getMeta(name) {
+        const row = this.db.prepare('SELECT * FROM save_meta WHERE name = ?').get(name);
+        return { name, notes: row ? row.notes || '' : '', tags: row && row.tags ? JSON.parse(row.tags) : [] };
+    }
+
+    /**
+     * Rename a save; its notes, tags and history move with it.
+     * Resolves to { name, path }.
+     */
+    async rename(name, newName) {
+        const from = this.resolve(name);
+        const to = this._newPath(newName);
+        return this._serialize(async () => {
+            await fs.promises.mkdir(path.dirname(to), { recursive: true });
+            await fs.promises.rename(from, to);
+            this.db.transaction(() => {
+                this._forget(newName);
+                this.db.prepare('UPDATE save_meta SET name = ? WHERE name = ?').run(newName, name);
+                this.db.prepare('UPDATE save_versions SET save_name = ? WHERE save_name = ?').run(newName, name);
+            })();
+            await this._collectGarbage();
+            return { name: newName, path: to };
+        });
+    }
+
+    /**
+     * Copy a save under a new name, with its notes and tags. The copy's history starts
+     * with the cloned state. Resolves to { name, path }.
+     */
+    async clone(name, newName, { userId = null } = {}) {
+        const from = this.resolve(name);
+        const to = this._newPath(newName);
+        await this._serialize(async () => {
+            await fs.promises.mkdir(path.dirname(to), { recursive: true });
+            const partial = `${to}.partial`;
+            try {
+                await fs.promises.copyFile(from, partial);
+                await fs.promises.rename(partial, to);
+            } catch (err) {
+                await fs.promises.rm(partial, { force: true });
+                throw err;
+            }
+            this._forget(newName);
+            this.db.prepare(`
+                INSERT INTO save_meta (name, notes, tags, updated_by, updated_at)
+                SELECT ?, notes, tags, ?, ? FROM save_meta WHERE name = ?
+            `).run(newName, userId, new Date().toISOString(), name);
+            await this._capture(newName, to, { source: 'clone', userId });
+        });
+        return { name: newName, path: to };
+    }
+
+    // Delete a save together with its notes, tags and history
+    async remove(name) {
+        const filePath = this.resolve(name);
+        await this._serialize(async () => {
+            await fs.promises.unlink(filePath);
+            this.db.transaction(() => this._forget(name))();
+            await this._collectGarbage();
+        });
+    }
+
+    // A save's versions, newest first
+    history(name) {
+        this._pathFor(name);
+        return this.db.prepare(`
+            SELECT v.*, u.username as created_by_username
+            FROM save_versions v LEFT JOIN users u ON v.created_by = u.id
+            WHERE v.save_name = ? ORDER BY v.id DESC
+        `).all(name).map(row => this._formatVersion(row));
+    }
+
+    getVersion(name, id) {
+        const row = this.db.prepare(`
+            SELECT v.*, u.username as created_by_username
+            FROM save_versions v LEFT JOIN users u ON v.created_by = u.id
+            WHERE v.save_name = ? AND v.id = ?
+        `).get(name, id);
+        if (!row) throw new SaveLibraryError('Version not found', 404);
+        return this._formatVersion(row);
+    }
+
+    versionPath(version) {
+        return path.join(this.versionsDir, `${version.sha256}.dat`);
+    }
+
+    /**
+     * Record a save's current contents if they differ from its newest version.
+     * source: 'detected' (changed on disk), 'upload', 'clone' or 'rollback'.
+     * Resolves to the new version, or null if nothing changed.
+     */
+    capture(name, { source = 'detected', userId = null } = {}) {
+        const filePath = this.resolve(name);
+        return this._serialize(() => this._capture(name, filePath, { source, userId }));
+    }
+
+    // Look for saves that changed since the last scan. Resolves to the new versions.
+    scan() {
+        return this._serialize(async () => {
+            const created = [];
+            for (const file of this._saveFiles()) {
+                try {
+                    const version = await this._capture(file.name, file.path, { source: 'detected' });
+                    if (version) created.push(version);
+                } catch (err) {
+                    if (err.code !== 'ENOENT') console.error(`[Saves] Could not record a version of ${file.name}:`, err.message);
+                }
+            }
+            return created;
+        });
+    }
+
+    /**
+     * Put a version back in place of the save. The current contents are recorded
+     * first, so the rollback can itself be undone.
+     * Resolves to { restored (the version rolled back to), version (recorded after) }.
+     */
+    async rollback(name, versionId, { userId = null } = {}) {
+        const filePath = this.resolve(name);
+        const restored = this.getVersion(name, versionId);
+        const source = this.versionPath(restored);
+        if (!fs.existsSync(source)) throw new SaveLibraryError('The copy for this version is missing', 410);
+
+        return this._serialize(async () => {
+            await this._capture(name, filePath, { source: 'detected', userId });
+            const partial = `${filePath}.partial`;
+            try {
+                await fs.promises.copyFile(source, partial);
+                await fs.promises.rename(partial, filePath);
+            } catch (err) {
+                await fs.promises.rm(partial, { force: true });
+                throw err;
+            }
+            const version = await this._capture(name, filePath, { source: 'rollback', userId });
+            return { restored, version };
+        });
+    }
+
+    async _capture(name, filePath, { source, userId = null }) {
+        if (!this.versioning) return null;
+        const before = await fs.promises.stat(filePath);
+        const latest = this.db.prepare('SELECT * FROM save_versions WHERE save_name = ? ORDER BY id DESC LIMIT 1').get(name);
+        const mtime = before.mtime.toISOString();
+        if (latest && latest.size === before.size && latest.mtime === mtime) return null;
+
+        await fs.promises.mkdir(this.versionsDir, { recursive: true });
+        const scratch = path.join(this.versionsDir, `.capture-${crypto.randomBytes(6).toString('hex')}`);
+        try {
+            await fs.promises.copyFile(filePath, scratch);
+            const after = await fs.promises.stat(filePath);
+            if (after.size !== before.size || after.mtimeMs !== before.mtimeMs) return null;
+
+            const sha256 = await hashFile(scratch);
+            if (latest && latest.sha256 === sha256) {
+                // Touched but not changed: remember the new mtime so it is not hashed again
+                this.db.prepare('UPDATE save_versions SET mtime = ? WHERE id = ?').run(mtime, latest.id);
+                return null;
+            }
+            const blob = path.join(this.versionsDir, `${sha256}.dat`);
+            if (!fs.existsSync(blob)) await fs.promises.rename(scratch, blob);
+
+            const { lastInsertRowid } = this.db.prepare(`
+                INSERT INTO save_versions (save_name, sha256, size, mtime, source, created_by, created_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `).run(name, sha256, before.size, mtime, source, userId, new Date().toISOString());
+            await this._prune(name);
+
+            const version = this.getVersion(name, lastInsertRowid);
+            this.emit('version', { name, version });
+            return version;
+        } finally {
+            await fs.promises.rm(scratch, { force: true });
+        }
+    }
+
+    // Drop the notes, tags and history recorded under a name (a deleted save, or one
+    // removed outside the panel whose name is being reused)
+    _forget(name) {
+        this.db.prepare('DELETE FROM save_meta WHERE name = ?').run(name);
+        this.db.prepare('DELETE FROM save_versions WHERE save_name = ?').run(name);
+    }
+
+    // Keep the newest keepVersions versions of a save
+    async _prune(name) {
+        const old = this.db.prepare('SELECT id FROM save_versions WHERE save_name = ? ORDER BY id DESC LIMIT -1 OFFSET ?')
+            .all(name, this.keepVersions);
+        if (!old.length) return;
+        const remove = this.db.prepare('DELETE FROM save_versions WHERE id = ?');
+        this.db.transaction(() => old.forEach(row => remove.run(row.id)))();
+        await this._collectGarbage();
+    }
+
+    // Remove copies no version refers to any more
+    async _collectGarbage() {
+        const used = new Set(this.db.prepare('SELECT DISTINCT sha256 FROM save_versions').all().map(row => row.sha256));
+        let files = [];
+        try {
+            files = await fs.promises.readdir(this.versionsDir);
+        } catch (err) {
+            return;
+        }
+        for (const file of files) {
+            if (file.endsWith('.dat') && !used.has(file.slice(0, -'.dat'.length))) {
+                await fs.promises.rm(path.join(this.versionsDir, file), { force: true });
+            }
+        }
+    }
+
+    // One operation on the saves at a time (scans, captures, renames, rollbacks)
+    _serialize(fn) {
+        const result = this.queueTail.then(fn);
+        this.queueTail = result.catch(() => { /* Reported to the caller */ });
+        return result;
+    }
+
+    _pathFor(name) {
+        if (typeof name !== 'string' || !name.endsWith('.dat') || !isSafePath(name)) {
+            throw new SaveLibraryError('Invalid save name', 403);
+        }
+        return path.join(this.savesDir, name);
+    }
+
+    // Path for a new save name, which must not exist yet. The game may use any name,
+    // but names given through the panel stick to a safe character set.
+    _newPath(name) {
+        if (typeof name !== 'string' || !SAVE_NAME.test(name) || !isSafePath(name)) {
+            throw new SaveLibraryError('Save names may use letters, numbers, _ . - and / for folders, and must end in .dat');
+        }
+        const filePath = this._pathFor(name);
+        if (fs.existsSync(filePath)) throw new SaveLibraryError(`A save named ${name} already exists`, 409);
+        return filePath;
+    }
+
+    _saveFiles() {
+        const files = [];
+        const walk = (dir, base) => {
+            for (const name of fs.readdirSync(dir)) {
+                const fullPath = path.join(dir, name);
+                const relPath = base ? `${base}/${name}` : name;
+                try {
+                    const stat = fs.statSync(fullPath);
+                    if (stat.isDirectory()) {
+                        walk(fullPath, relPath);
+                    } else if (stat.isFile() && name.endsWith('.dat')) {
+                        files.push({ name: relPath, path: fullPath, size: stat.size, modified: stat.mtime });
+                    }
+                } catch (err) { /* Removed while listing */ }
+            }
+        };
+        if (fs.existsSync(this.savesDir)) walk(this.savesDir, '');
+        return files;
+    }
+
+    _formatVersion(row) {
+        return {
+            id: row.id,
+            name: row.save_name,
+            sha256: row.sha256,
+            size: row.size,
+            modified: row.mtime,
+            source: row.source,
+            createdBy: row.created_by,
+            createdByUsername: row.created_by_username || null,
+            createdAt: row.created_at
+        };
+    }
+}
+
+module.exports = { SaveLibrary, SaveLibraryError };
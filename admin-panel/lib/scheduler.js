@@ -0,0 +1,293 @@
+/**
+ * Task scheduler
+ * Runs rows from `scheduled_tasks` on their cron schedule. Each task type maps to a
+ * handler supplied by the server (backup, restart, announcement, ...); the scheduler
+ * owns timing, the players-online policy and bookkeeping (next_run, last_run, last
+ * result, and one `scheduled_task_runs` row per attempt).
+ *
+ * Runs missed while the panel was down are not made up: on startup each task is
+ * rescheduled from the current time.
+ *
+ * Players-online policy (when_players_online):
+ *   run   - run regardless
+ *   skip  - skip this occurrence and wait for the next one
+ *   defer - retry every few minutes until the server is empty, running anyway
+ *           once max_defer_minutes have passed
+ *
+ * Events: 'run' ({ task, run }) after every attempt, including skips.
+ */
+
+const { EventEmitter } = require('events');
+const { parseCron, nextRun, CronError } = require('./cron');
+
+const PLAYER_POLICIES = ['run', 'skip', 'defer'];
+const DEFER_RETRY_MS = 5 * 60 * 1000;
+
+class SchedulerError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'SchedulerError';
+        this.status = status;
+    }
+}
+
+class TaskScheduler extends EventEmitter {
+    /**
+     * handlers:      { [type]: async (options, task) => resultMessage }
+     *                (or { skipped: true, message } when there was nothing to do)
+     * playersOnline: () => number of connected players
+     */
+    constructor(db, { handlers, playersOnline, tickMs = 15000 } = {}) {
+        super();
+        this.db = db;
+        this.handlers = handlers || {};
+        this.playersOnline = playersOnline || (() => 0);
+        this.tickMs = tickMs;
+        this.running = new Set();
+        this.timer = null;
+    }
+
+    get types() {
+        return Object.keys(this.handlers);
+    }
+
+    start() {
+        const now = new Date();
+        for (const task of this.db.prepare('SELECT * FROM scheduled_tasks').all()) {
+            this._reschedule(task, now, { keepDeferred: false });
+        }
+        this.timer = setInterval(() => this._tick(), this.tickMs);
+        this.timer.unref();
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    list() {
+        return this.db.prepare(`
+            SELECT t.*, u.username as created_by_username FROM scheduled_tasks t
+            LEFT JOIN users u ON t.created_by = u.id
+            ORDER BY t.enabled DESC, t.next_run IS NULL, t.next_run
+        `).all().map(task => this._format(task));
+    }
+
+    get(id) {
+        const task = this.db.prepare('SELECT * FROM scheduled_tasks WHERE id = ?').get(id);
+        return task ? this._format(task) : null;
+    }
+
+    runs(taskId, limit = 20) {
+        return this.db.prepare(`
+            SELECT r.*, u.username as triggered_by_username FROM scheduled_task_runs r
+            LEFT JOIN users u ON r.triggered_by = u.id
+            WHERE r.task_id = ? ORDER BY r.id DESC LIMIT ?
+        `).all(taskId, limit);
+    }
+
+    /**
+     * Create a task. Throws CronError / Error with a user-facing message on bad input.
+     */
+    create(data, userId = null) {
+        const task = this._validate(data);
+        const result = this.db.prepare(`
+            INSERT INTO scheduled_tasks (name, type, schedule, options, enabled, when_players_online, max_defer_minutes, created_by)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(task.name, task.type, task.schedule, JSON.stringify(task.options), task.enabled ? 1 : 0,
+            task.whenPlayersOnline, task.maxDeferMinutes, userId);
+        const row = this.db.prepare('SELECT * FROM scheduled_tasks WHERE id = ?').get(result.lastInsertRowid);
+        this._reschedule(row, new Date(), { keepDeferred: false });
+        return this.get(row.id);
+    }
+
+    update(id, data) {
+        const existing = this.get(id);
+        if (!existing) return null;
+        const task = this._validate({ ...existing, ...data });
+        this.db.prepare(`
+            UPDATE scheduled_tasks SET name = ?, type = ?, schedule = ?, options = ?, enabled = ?,
+                when_players_online = ?, max_defer_minutes = ?, deferred_since = NULL
+            WHERE id = ?
+        `).run(task.name, task.type, task.schedule, JSON.stringify(task.options), task.enabled ? 1 : 0,
+            task.whenPlayersOnline, task.maxDeferMinutes, id);
+        this._reschedule(this.db.prepare('SELECT * FROM scheduled_tasks WHERE id = ?').get(id), new Date(), { keepDeferred: false });
+        return this.get(id);
+    }
+
+    remove(id) {
+        this.db.prepare('DELETE FROM scheduled_task_runs WHERE task_id = ?').run(id);
+        return this.db.prepare('DELETE FROM scheduled_tasks WHERE id = ?').run(id).changes > 0;
+    }
+
+    /**
+     * Run a task immediately, ignoring its schedule and player policy. Throws at once
+     * if the task does not exist or a run of it has not finished yet; otherwise
+     * resolves to the run record.
+     */
+    runNow(id, userId = null) {
+        const task = this.db.prepare('SELECT * FROM scheduled_tasks WHERE id = ?').get(id);
+        if (!task) throw new SchedulerError('Task not found', 404);
+        if (this.running.has(task.id)) throw new SchedulerError('Task is already running', 409);
+        return this._execute(task, { trigger: 'manual', userId });
+    }
+
+    _validate(data) {
+        const name = String(data.name || '').trim();
+        const type = String(data.type || '');
+        const schedule = String(data.schedule || '').trim();
+        const whenPlayersOnline = data.whenPlayersOnline || 'run';
+        const maxDeferMinutes = data.maxDeferMinutes === undefined || data.maxDeferMinutes === null ? 120 : Number(data.maxDeferMinutes);
+
+        if (!this.handlers[type]) {
+            throw new Error(`Unknown task type "${type}" (expected one of: ${this.types.join(', ')})`);
+        }
+        parseCron(schedule); // throws CronError
+        if (!PLAYER_POLICIES.includes(whenPlayersOnline)) {
+            throw new Error(`whenPlayersOnline must be one of: ${PLAYER_POLICIES.join(', ')}`);
+        }
+        if (!Number.isInteger(maxDeferMinutes) || maxDeferMinutes < 0) {
+            throw new Error('maxDeferMinutes must be a whole number of minutes');
+        }
+        const options = data.options && typeof data.options === 'object' ? data.options : {};
+
+        return {
+            name: name || type,
+            type,
+            schedule,
+            options,
+            enabled: data.enabled === undefined ? true : Boolean(data.enabled),
+            whenPlayersOnline,
+            maxDeferMinutes
+        };
+    }
+
+    _reschedule(task, from, { keepDeferred = true } = {}) {
+        let next = null;
+        if (task.enabled) {
+            try {
+                next = nextRun(task.schedule, from);
+            } catch (err) {
+                if (!(err instanceof CronError)) throw err;
+                console.error(`[Scheduler] Task ${task.id} has an invalid schedule: ${err.message}`);
+            }
+        }
+        this.db.prepare(`
+            UPDATE scheduled_tasks SET next_run = ?, deferred_since = CASE WHEN ? THEN deferred_since ELSE NULL END WHERE id = ?
+        `).run(next ? next.toISOString() : null, keepDeferred ? 1 : 0, task.id);
+    }
+
+    _tick() {
+        const now = new Date();
+        const due = this.db.prepare(`
+            SELECT * FROM scheduled_tasks WHERE enabled = 1 AND next_run IS NOT NULL AND next_run <= ?
+        `).all(now.toISOString());
+
+        for (const task of due) {
+            if (this.running.has(task.id)) continue;
+            this._runDue(task, now).catch(err => {
+                console.error(`[Scheduler] Task ${task.id} failed:`, err.message);
+            });
+        }
+    }
+
+    async _runDue(task, now) {
+        const players = this.playersOnline();
+        if (players > 0 && task.when_players_online !== 'run') {
+            if (task.when_players_online === 'skip') {
+                this._record(task, { trigger: 'schedule', status: 'skipped', result: `${players} player(s) online` });
+                this._finishOccurrence(task, now);
+                return;
+            }
+
+            const deferredSince = task.deferred_since ? new Date(task.deferred_since) : now;
+            if (now - deferredSince < task.max_defer_minutes * 60 * 1000) {
+                if (!task.deferred_since) {
+                    this._record(task, { trigger: 'schedule', status: 'deferred', result: `${players} player(s) online, waiting` });
+                }
+                this.db.prepare('UPDATE scheduled_tasks SET deferred_since = ?, next_run = ? WHERE id = ?')
+                    .run(deferredSince.toISOString(), new Date(now.getTime() + DEFER_RETRY_MS).toISOString(), task.id);
+                return;
+            }
+            // Waited long enough; run with players online
+        }
+
+        await this._execute(task, { trigger: 'schedule' });
+        this._finishOccurrence(task, new Date());
+    }
+
+    // Move past the occurrence that just ran; one-shot tasks switch themselves off
+    _finishOccurrence(task, now) {
+        const cron = parseCron(task.schedule);
+        if (cron.once) {
+            this.db.prepare('UPDATE scheduled_tasks SET enabled = 0, next_run = NULL, deferred_since = NULL WHERE id = ?').run(task.id);
+            return;
+        }
+        this._reschedule(task, now, { keepDeferred: false });
+    }
+
+    async _execute(task, { trigger, userId = null }) {
+        this.running.add(task.id);
+        const startedAt = new Date();
+        let status = 'success';
+        let result;
+        try {
+            const options = JSON.parse(task.options || '{}');
+            result = await this.handlers[task.type](options, this._format(task));
+            if (result && typeof result === 'object' && result.skipped) {
+                status = 'skipped';
+                result = result.message;
+            }
+        } catch (err) {
+            status = 'failed';
+            result = err.message;
+        } finally {
+            this.running.delete(task.id);
+        }
+        return this._record(task, { trigger, userId, status, result, startedAt });
+    }
+
+    _record(task, { trigger, userId = null, status, result, startedAt = new Date() }) {
+        const finishedAt = new Date();
+        const text = result === undefined || result === null ? null : String(result);
+        const runResult = this.db.prepare(`
+            INSERT INTO scheduled_task_runs (task_id, trigger, triggered_by, status, result, started_at, finished_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?)
+        `).run(task.id, trigger, userId, status, text, startedAt.toISOString(), finishedAt.toISOString());
+
+        // Deferrals are not runs; keep last_run pointing at the last real attempt
+        if (status !== 'deferred') {
+            this.db.prepare('UPDATE scheduled_tasks SET last_run = ?, last_status = ?, last_result = ? WHERE id = ?')
+                .run(startedAt.toISOString(), status, text, task.id);
+        }
+
+        const run = this.db.prepare('SELECT * FROM scheduled_task_runs WHERE id = ?').get(runResult.lastInsertRowid);
+        this.emit('run', { task: this._format(task), run });
+        return run;
+    }
+
+    _format(task) {
+        let options = {};
+        try { options = JSON.parse(task.options || '{}'); } catch (e) { /* keep empty */ }
+        return {
+            id: task.id,
+            name: task.name || task.type,
+            type: task.type,
+            schedule: task.schedule,
+            options,
+            enabled: Boolean(task.enabled),
+            whenPlayersOnline: task.when_players_online || 'run',
+            maxDeferMinutes: task.max_defer_minutes ?? 120,
+            deferredSince: task.deferred_since || null,
+            nextRun: task.next_run,
+            lastRun: task.last_run,
+            lastStatus: task.last_status || null,
+            lastResult: task.last_result || null,
+            running: this.running.has(task.id),
+            createdBy: task.created_by_username || null,
+            createdAt: task.created_at
+        };
+    }
+}
+
+module.exports = { TaskScheduler, SchedulerError, PLAYER_POLICIES };
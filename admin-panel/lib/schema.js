@@ -0,0 +1,209 @@
+/**
+ * Database tables of a game server instance
+ * Created in the panel database for the default instance, in each additional
+ * instance's own database and in a node agent's database (agent.js), so the services
+ * built on them (backups, bans, scheduler, saves, event cursor...) work the same
+ * everywhere. Columns added since a table was first released are migrated in place.
+ */
+
+function createInstanceTables(database) {
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS server_config (
+            key TEXT PRIMARY KEY,
+            value TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            updated_by INTEGER
+        );
+
+        CREATE TABLE IF NOT EXISTS backups (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            filename TEXT NOT NULL,
+            size INTEGER,
+            type TEXT DEFAULT 'manual',
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            notes TEXT,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS scheduled_tasks (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            type TEXT NOT NULL,
+            schedule TEXT NOT NULL,
+            enabled INTEGER DEFAULT 1,
+            last_run DATETIME,
+            next_run DATETIME,
+            created_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS scheduled_task_runs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            task_id INTEGER NOT NULL,
+            trigger TEXT NOT NULL,
+            triggered_by INTEGER,
+            status TEXT NOT NULL,
+            result TEXT,
+            started_at TEXT NOT NULL,
+            finished_at TEXT,
+            FOREIGN KEY (task_id) REFERENCES scheduled_tasks(id),
+            FOREIGN KEY (triggered_by) REFERENCES users(id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_scheduled_task_runs_task ON scheduled_task_runs(task_id);
+
+        CREATE TABLE IF NOT EXISTS bans (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            player_name TEXT,
+            address TEXT,
+            reason TEXT,
+            issued_by INTEGER,
+            created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+            expires_at DATETIME,
+            revoked_at DATETIME,
+            revoked_by INTEGER,
+            FOREIGN KEY (issued_by) REFERENCES users(id),
+            FOREIGN KEY (revoked_by) REFERENCES users(id)
+        );
+        CREATE INDEX IF NOT EXISTS idx_bans_player_name ON bans(player_name);
+        CREATE INDEX IF NOT EXISTS idx_bans_address ON bans(address);
+
+        CREATE TABLE IF NOT EXISTS player_sessions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            connection_id TEXT NOT NULL,
+            player_name TEXT,
+            address TEXT,
+            connected_at TEXT NOT NULL,
+            identified_at TEXT,
+            disconnected_at TEXT,
+            duration_seconds INTEGER,
+            end_reason TEXT,
+            UNIQUE (connection_id, connected_at)
+        );
+        CREATE INDEX IF NOT EXISTS idx_player_sessions_name ON player_sessions(player_name);
+        CREATE INDEX IF NOT EXISTS idx_player_sessions_connected ON player_sessions(connected_at);
+        CREATE INDEX IF NOT EXISTS idx_player_sessions_open ON player_sessions(disconnected_at);
+
+        CREATE TABLE IF NOT EXISTS event_cursors (
+            name TEXT PRIMARY KEY,
+            inode TEXT,
+            offset INTEGER NOT NULL DEFAULT 0,
+            head_hash TEXT,
+            last_timestamp TEXT,
+            updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS save_meta (
+            name TEXT PRIMARY KEY,
+            notes TEXT,
+            tags TEXT,
+            updated_by INTEGER,
+            updated_at TEXT,
+            FOREIGN KEY (updated_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS save_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            save_name TEXT NOT NULL,
+            sha256 TEXT NOT NULL,
+            size INTEGER,
+            mtime TEXT,
+            source TEXT DEFAULT 'detected',
+            created_by INTEGER,
+            created_at TEXT,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_save_versions_name ON save_versions(save_name, id);
+
+        CREATE TABLE IF NOT EXISTS save_uploads (
+            id TEXT PRIMARY KEY,
+            filename TEXT NOT NULL,
+            size INTEGER NOT NULL,
+            sha256 TEXT,
+            on_conflict TEXT DEFAULT 'reject',
+            created_by INTEGER,
+            created_at TEXT,
+            updated_at TEXT,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS config_versions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            content TEXT NOT NULL,
+            sha256 TEXT NOT NULL,
+            source TEXT DEFAULT 'external',
+            summary TEXT,
+            created_by INTEGER,
+            created_at TEXT,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS server_profiles (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+            description TEXT,
+            settings TEXT DEFAULT '{}',
+            save_path TEXT,
+            launch TEXT DEFAULT '{}',
+            last_activated_at TEXT,
+            created_by INTEGER,
+            created_at TEXT,
+            updated_at TEXT,
+            FOREIGN KEY (created_by) REFERENCES users(id)
+        );
+
+        CREATE TABLE IF NOT EXISTS metrics_samples (
+            resolution TEXT NOT NULL,
+            ts INTEGER NOT NULL,
+            samples INTEGER NOT NULL DEFAULT 1,
+            up REAL,
+            cpu REAL,
+            cpu_max REAL,
+            memory_percent REAL,
+            memory_bytes REAL,
+            memory_bytes_max REAL,
+            players REAL,
+            players_max INTEGER,
+            host_load REAL,
+            host_memory_percent REAL,
+            PRIMARY KEY (resolution, ts)
+        );
+    `);
+
+    // Migrate backups - integrity columns written by the backup engine
+    ['sha256 TEXT', 'manifest TEXT', 'file_count INTEGER', 'verified_at TEXT', 'verify_status TEXT', 'verify_error TEXT'].forEach(column => {
+        try {
+            database.exec(`ALTER TABLE backups ADD COLUMN ${column}`);
+        } catch (e) { /* Column already exists */ }
+    });
+
+    // Migrate backups - id of the master key an encrypted archive is wrapped with
+    try {
+        database.exec(`ALTER TABLE backups ADD COLUMN encryption_key TEXT`);
+    } catch (e) { /* Column already exists */ }
+
+    // Migrate backups - off-site copy tracking
+    ['remote_key TEXT', 'remote_status TEXT', 'remote_error TEXT', 'remote_uploaded_at TEXT'].forEach(column => {
+        try {
+            database.exec(`ALTER TABLE backups ADD COLUMN ${column}`);
+        } catch (e) { /* Column already exists */ }
+    });
+
+    // Migrate scheduled_tasks - columns used by the task scheduler
+    [
+        'name TEXT',
+        'options TEXT',
+        "when_players_online TEXT DEFAULT 'run'",
+        'max_defer_minutes INTEGER DEFAULT 120',
+        'deferred_since TEXT',
+        'last_status TEXT',
+        'last_result TEXT'
+    ].forEach(column => {
+        try {
+            database.exec(`ALTER TABLE scheduled_tasks ADD COLUMN ${column}`);
+        } catch (e) { /* Column already exists */ }
+    });
+}
+
+module.exports = { createInstanceTables };
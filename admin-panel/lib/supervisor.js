@@ -0,0 +1,487 @@
+/**
+ * Game process supervisor
+ * Starts and stops the game through its process-control backend (lib/processBackends.js),
+ * tracks its lifecycle and restarts it with exponential backoff when it exits unexpectedly.
+ *
+ * States: stopped -> starting -> loading -> running -> stopping -> stopped
+ *         any active state -> crashed (unexpected exit) -> starting (auto-restart)
+ *
+ * A graceful stop from 'running' warns players during a countdown, asks the mod to
+ * save and shut down, waits for its server_stop event and only then falls back to
+ * a hard kill. A save the mod does not confirm abandons the stop unless the caller
+ * passes forceUnsaved. Each step is reported through 'shutdownPhase' events.
+ */
+
+const EventEmitter = require('events');
+const fs = require('fs');
+const { createBackend, findGameProcess } = require('./processBackends');
+
+const STATES = ['stopped', 'starting', 'loading', 'running', 'stopping', 'crashed'];
+const ACTIVE_STATES = ['starting', 'loading', 'running', 'stopping'];
+
+// BepInEx log lines that mean the game has booted and is loading the world
+const LOADING_MARKERS = ['Chainloader startup complete', '[AutoLoad]'];
+
+const DEFAULTS = {
+    autoRestart: true,
+    backoffBaseMs: 5000,
+    backoffMaxMs: 5 * 60 * 1000,
+    crashLoopLimit: 5,
+    crashLoopWindowMs: 15 * 60 * 1000,
+    stableAfterMs: 10 * 60 * 1000,
+    pollIntervalMs: 5000,
+    saveWaitMs: 15000,
+    shutdownTimeoutMs: 120000,
+    exitGraceMs: 10000
+};
+
+// Seconds-left marks at which players are warned during a stop countdown
+const WARNING_MARKS = [900, 600, 300, 120, 60, 30, 10, 5, 4, 3, 2, 1];
+
+function describeSeconds(seconds) {
+    if (seconds >= 60 && seconds % 60 === 0) {
+        const minutes = seconds / 60;
+        return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+    }
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+}
+
+class GameSupervisor extends EventEmitter {
+    /**
+     * launchOptions: () => { args, env }, extra Techtonica.exe arguments and Wine
+     *                environment read at every launch (the active server profile's)
+     * backend:       process-control backend; by default the one config.processBackend names
+     */
+    constructor(config, options = {}, { commands = null, launchOptions = null, backend = null } = {}) {
+        super();
+        this.config = config;
+        this.options = { ...DEFAULTS, ...options };
+        this.commands = commands;
+        this.launchOptions = launchOptions || (() => ({ args: [], env: {} }));
+        this.backend = backend || createBackend(config);
+        this.launching = null;
+        this.run = null;
+        this.shutdown = null;
+        this.eventWaiters = [];
+        this.state = 'stopped';
+        this.stateSince = new Date();
+        this.child = null;
+        this.pid = null;
+        this.startedAt = null;
+        this.lastExit = null;
+        this.crashes = [];
+        this.restarts = 0;
+        this.restartTimer = null;
+        this.nextRestartAt = null;
+        this.pollTimer = null;
+        this.pollError = null;
+    }
+
+    // Adopt a game process that was already running when the panel started
+    async attach() {
+        const existing = await this._findProcess().catch((err) => {
+            console.error(`[Supervisor] Cannot check ${this.backend.describe()}:`, err.message);
+            return null;
+        });
+        if (existing) {
+            this.pid = existing.pid;
+            this.startedAt = new Date(Date.now() - existing.uptime * 1000);
+            this._setState('running', { reason: 'adopted existing process' });
+        }
+        this.pollTimer = setInterval(() => this._poll().then(() => {
+            this.pollError = null;
+        }).catch((err) => {
+            // An unreachable backend is reported once, not on every poll
+            if (err.message !== this.pollError) console.error('[Supervisor] Poll error:', err.message);
+            this.pollError = err.message;
+        }), this.options.pollIntervalMs);
+        this.pollTimer.unref();
+    }
+
+    // Stop watching the game (the process itself is left alone)
+    detach() {
+        if (this.pollTimer) clearInterval(this.pollTimer);
+        this.pollTimer = null;
+        this._clearRestartTimer();
+    }
+
+    isActive() {
+        return ACTIVE_STATES.includes(this.state);
+    }
+
+    getStatus() {
+        const uptime = this.startedAt && this.pid ? Math.floor((Date.now() - this.startedAt.getTime()) / 1000) : 0;
+        return {
+            state: this.state,
+            stateSince: this.stateSince.toISOString(),
+            backend: this.backend.name,
+            running: Boolean(this.pid),
+            pid: this.pid,
+            uptime,
+            startedAt: this.startedAt ? this.startedAt.toISOString() : null,
+            restarts: this.restarts,
+            recentCrashes: this.crashes.length,
+            nextRestartAt: this.nextRestartAt ? this.nextRestartAt.toISOString() : null,
+            autoRestart: this.options.autoRestart,
+            shutdown: this.shutdown ? { phase: this.shutdown.phase, secondsLeft: this.shutdown.secondsLeft, reason: this.shutdown.reason } : null,
+            lastExit: this.lastExit
+        };
+    }
+
+    /**
+     * Launch the game. Returns once the launch has been handed to the backend;
+     * progress through loading/running is reported via 'state' events, and a launch
+     * the backend fails is reported as a crash.
+     */
+    start({ reason = 'manual' } = {}) {
+        if (this.isActive()) {
+            throw new Error(`Server is already ${this.state}`);
+        }
+        this._clearRestartTimer();
+
+        // Clear debug log for fresh start
+        try { fs.writeFileSync(this.config.debugLog, ''); } catch (e) { /* ignore */ }
+        // Commands left over from the previous run (e.g. an unanswered ds.shutdown) must not hit the new one
+        if (this.commands) this.commands.purge();
+
+        const launch = this.launchOptions();
+        if (!this.backend.launchOptions && (launch.args.length || Object.keys(launch.env).length)) {
+            console.warn(`[Supervisor] Launch options are ignored with ${this.backend.describe()}; set them where it starts the game`);
+        }
+        // Each launch gets its own token so late callbacks of an earlier run are ignored
+        const run = {};
+        this.run = run;
+        this.startedAt = new Date();
+        this.launching = this.backend.launch({
+            ...launch,
+            onExit: (code, signal, error = null) => {
+                if (this.run !== run) return;
+                if (error) console.error('[Supervisor] Failed to launch game:', error);
+                this._onExit(code, signal, error);
+            }
+        }).then(({ pid, child }) => {
+            if (this.run !== run) return;
+            this.child = child;
+            this.pid = pid;
+        }).catch((err) => {
+            console.error(`[Supervisor] Failed to launch game through ${this.backend.describe()}:`, err.message);
+            if (this.run === run) this._onExit(null, null, err.message);
+        }).finally(() => {
+            if (this.run === run) this.launching = null;
+        });
+
+        this._setState('starting', { reason });
+        return this.getStatus();
+    }
+
+    /**
+     * Stop the game and wait until it is gone.
+     *   countdown: seconds of player warnings before saving (graceful stops only)
+     *   force:     skip warnings and saving, kill immediately
+     *   forceUnsaved: carry on when the mod does not confirm the world save; otherwise
+     *              the stop is abandoned and the server keeps running
+     *   action:    wording used in player warnings ("shutting down", "restarting")
+     * Resolves to { stopped: true }, { cancelled: true } if cancelStop() was called, or
+     * { aborted: true, reason } if the save was not confirmed.
+     */
+    async stop({ reason = 'manual', countdown = 0, force = false, forceUnsaved = false, action = 'shutting down' } = {}) {
+        if (this.state === 'stopping' || this.shutdown) {
+            throw new Error('Server is already stopping');
+        }
+        const previousState = this.state;
+        const graceful = Boolean(!force && previousState === 'running' && this.commands);
+        this.shutdown = { phase: null, secondsLeft: 0, reason, cancelled: false, graceful, forceUnsaved };
+        this._clearRestartTimer();
+
+        try {
+            if (this.launching) await this.launching;
+            if (!this.pid && !(await this._findProcess())) {
+                this._setState('stopped', { reason });
+                return { stopped: true };
+            }
+            this._setState('stopping', { reason });
+
+            if (graceful) {
+                const outcome = await this._gracefulShutdown(countdown, action);
+                if (outcome === 'cancelled') {
+                    this._phase('cancelled', { message: 'Shutdown cancelled' });
+                    this._setState(previousState, { reason: 'stop cancelled' });
+                    return { cancelled: true };
+                }
+                if (outcome === 'save_timeout') {
+                    this._setState(previousState, { reason: 'stop abandoned: world save not confirmed' });
+                    return { aborted: true, reason: this.shutdown.abortReason };
+                }
+            }
+
+            if (this.pid || await this._findProcess()) {
+                this._phase('killing', { message: graceful ? 'Game did not exit in time, forcing shutdown' : 'Force stopping game process' });
+                try {
+                    await this.kill();
+                } catch (err) {
+                    // The backend could not stop it, so as far as we know it still runs
+                    this._setState(previousState, { reason: `stop failed: ${err.message}` });
+                    throw err;
+                }
+            }
+            this._markStopped(reason);
+            this._phase('stopped', { message: 'Server stopped' });
+            return { stopped: true };
+        } finally {
+            this.shutdown = null;
+        }
+    }
+
+    // Abort a stop that is still counting down; returns false once saving has begun
+    cancelStop() {
+        if (!this.shutdown || this.shutdown.phase !== 'countdown') return false;
+        this.shutdown.cancelled = true;
+        if (this.shutdown.wake) this.shutdown.wake();
+        return true;
+    }
+
+    // beforeStart runs between stop and start (e.g. to rewrite the mod config)
+    async restart({ reason = 'manual', countdown = 0, force = false, forceUnsaved = false, beforeStart = null } = {}) {
+        if (this.pid || this.state !== 'stopped') {
+            const result = await this.stop({ reason, countdown, force, forceUnsaved, action: 'restarting' });
+            if (result.cancelled || result.aborted) return result;
+        }
+        if (beforeStart) beforeStart();
+        return this.start({ reason });
+    }
+
+    async _gracefulShutdown(countdown, action) {
+        const total = Math.max(0, Math.floor(countdown) || 0);
+        for (let left = total; left > 0; left--) {
+            if (this.shutdown.cancelled) return 'cancelled';
+            this._phase('countdown', { secondsLeft: left });
+            if (left === total || WARNING_MARKS.includes(left)) {
+                this._sendCommand(`ds.say Server ${action} in ${describeSeconds(left)}`);
+            }
+            // Sleep one tick, but let cancelStop() wake us so the state flips back immediately
+            await new Promise((resolve) => {
+                const timer = setTimeout(resolve, 1000);
+                this.shutdown.wake = () => { clearTimeout(timer); resolve(); };
+            });
+            this.shutdown.wake = null;
+            if (!this.pid) return 'exited';
+        }
+        if (this.shutdown.cancelled) return 'cancelled';
+
+        this._phase('saving', { message: 'Saving world' });
+        if (total > 0) this._sendCommand(`ds.say Server ${action} now - saving world`);
+        this._sendCommand('ds.save');
+        const saved = await this._waitForGameEvent(['server_save', 'server_save_failed'], this.options.saveWaitMs);
+        if (saved === 'exit') return 'exited';
+        if (saved !== 'server_save') {
+            const problem = saved === 'timeout'
+                ? `World save not confirmed within ${describeSeconds(Math.ceil(this.options.saveWaitMs / 1000))}`
+                : 'The mod could not save the world';
+            if (!this.shutdown.forceUnsaved) {
+                this.shutdown.abortReason = problem;
+                this._phase('save_timeout', { message: `${problem}; shutdown abandoned` });
+                this._sendCommand(`ds.say ${action === 'restarting' ? 'Restart' : 'Shutdown'} called off - the world could not be saved`);
+                return 'save_timeout';
+            }
+            this._phase('save_timeout', { message: `${problem}; shutting down anyway` });
+        }
+
+        this._phase('shutting_down', { message: 'Waiting for server_stop event' });
+        this._sendCommand('ds.shutdown');
+        const stopped = await this._waitForGameEvent(['server_stop'], this.options.shutdownTimeoutMs);
+        if (stopped === 'exit') return 'exited';
+        if (stopped === 'timeout') return 'timeout';
+
+        // The mod has saved and stopped hosting; give Wine a moment to exit on its own
+        this._phase('exiting', { message: 'Server stopped hosting, waiting for process exit' });
+        await this._waitForGameEvent([], this.options.exitGraceMs);
+        return 'clean';
+    }
+
+    _sendCommand(command) {
+        try {
+            this.commands.send(command);
+        } catch (err) {
+            console.error(`[Supervisor] Failed to queue "${command}":`, err.message);
+        }
+    }
+
+    // Resolves with the event type, 'exit' if the process ends, or 'timeout'
+    _waitForGameEvent(types, timeoutMs) {
+        return new Promise((resolve) => {
+            const waiter = { types, resolve: null };
+            const timer = setTimeout(() => waiter.resolve('timeout'), timeoutMs);
+            waiter.resolve = (result) => {
+                clearTimeout(timer);
+                this.eventWaiters = this.eventWaiters.filter(w => w !== waiter);
+                resolve(result);
+            };
+            this.eventWaiters.push(waiter);
+        });
+    }
+
+    _phase(phase, { secondsLeft = 0, message = null } = {}) {
+        if (this.shutdown) {
+            this.shutdown.phase = phase;
+            this.shutdown.secondsLeft = secondsLeft;
+        }
+        this.emit('shutdownPhase', {
+            phase,
+            secondsLeft,
+            message,
+            reason: this.shutdown ? this.shutdown.reason : null,
+            graceful: this.shutdown ? this.shutdown.graceful : false,
+            forceUnsaved: this.shutdown ? this.shutdown.forceUnsaved : false
+        });
+    }
+
+    // Hard kill through the backend; resolves once the game is gone
+    async kill() {
+        await this.backend.kill(this.pid);
+    }
+
+    // Feed parsed events.log entries so the supervisor knows when hosting begins and ends
+    handleGameEvent(event) {
+        if (event.type === 'server_start' && (this.state === 'starting' || this.state === 'loading')) {
+            this._setState('running', { reason: 'server_start event' });
+        }
+        for (const waiter of [...this.eventWaiters]) {
+            if (waiter.types.includes(event.type)) waiter.resolve(event.type);
+        }
+    }
+
+    _findProcess() {
+        return this.backend.find();
+    }
+
+    _markStopped(reason) {
+        this.run = null;
+        this.launching = null;
+        this.child = null;
+        this.pid = null;
+        this.startedAt = null;
+        if (this.state !== 'stopped') this._setState('stopped', { reason });
+    }
+
+    _onExit(code, signal, error = null) {
+        this.run = null;
+        this.launching = null;
+        this.child = null;
+        this.pid = null;
+        this.startedAt = null;
+        this.lastExit = { code, signal, error, state: this.state, at: new Date().toISOString() };
+        for (const waiter of [...this.eventWaiters]) waiter.resolve('exit');
+
+        if (this.state === 'stopping' || this.state === 'stopped') {
+            this._setState('stopped', { reason: 'process exited' });
+            return;
+        }
+
+        const now = Date.now();
+        this.crashes = this.crashes.filter(t => now - t < this.options.crashLoopWindowMs);
+        this.crashes.push(now);
+        this._setState('crashed', { reason: error || `exit code ${code}${signal ? `, signal ${signal}` : ''}` });
+        this.emit('crash', { ...this.lastExit, recentCrashes: this.crashes.length });
+
+        if (!this.options.autoRestart) return;
+
+        if (this.crashes.length >= this.options.crashLoopLimit) {
+            console.error(`[Supervisor] ${this.crashes.length} crashes within ${Math.round(this.options.crashLoopWindowMs / 60000)} minutes - giving up on auto-restart`);
+            this.emit('crashLoop', { crashes: this.crashes.length, windowMs: this.options.crashLoopWindowMs });
+            return;
+        }
+
+        const delay = Math.min(this.options.backoffBaseMs * Math.pow(2, this.crashes.length - 1), this.options.backoffMaxMs);
+        this.nextRestartAt = new Date(now + delay);
+        console.log(`[Supervisor] Restarting game in ${Math.round(delay / 1000)}s (crash ${this.crashes.length}/${this.options.crashLoopLimit})`);
+        this.restartTimer = setTimeout(() => {
+            this.restartTimer = null;
+            this.nextRestartAt = null;
+            if (this.state !== 'crashed') return;
+            try {
+                this.restarts++;
+                this.start({ reason: 'auto-restart' });
+                this.emit('autoRestart', { attempt: this.crashes.length });
+            } catch (err) {
+                console.error('[Supervisor] Auto-restart failed:', err.message);
+            }
+        }, delay);
+        this._emitState();
+    }
+
+    _clearRestartTimer() {
+        if (this.restartTimer) clearTimeout(this.restartTimer);
+        this.restartTimer = null;
+        this.nextRestartAt = null;
+    }
+
+    async _poll() {
+        // Processes we adopted (and those of supervisord or Docker) have no 'exit' event,
+        // so check liveness ourselves
+        if (this.pid && !this.child && this.state !== 'stopping') {
+            const pid = this.pid;
+            if (!(await this.backend.isAlive(pid)) && this.pid === pid && this.state !== 'stopping') {
+                this._onExit(null, null, 'process disappeared');
+            }
+            return;
+        }
+
+        // Pick up a game that was started outside the panel
+        if (!this.pid && !this.launching && (this.state === 'stopped' || (this.state === 'crashed' && !this.restartTimer))) {
+            const existing = await this._findProcess();
+            if (existing) {
+                this.pid = existing.pid;
+                this.startedAt = new Date(Date.now() - existing.uptime * 1000);
+                this._setState('running', { reason: 'detected external process' });
+            }
+            return;
+        }
+
+        if (this.state === 'starting' && this._bepinexShowsLoading()) {
+            this._setState('loading', { reason: 'BepInEx loaded' });
+        }
+
+        // A long clean run forgives earlier crashes
+        if (this.state === 'running' && this.crashes.length &&
+            Date.now() - this.stateSince.getTime() > this.options.stableAfterMs) {
+            this.crashes = [];
+        }
+    }
+
+    // Check the tail of this run's BepInEx log for boot progress
+    _bepinexShowsLoading() {
+        try {
+            const stat = fs.statSync(this.config.bepinexLog);
+            if (!this.startedAt || stat.mtime < this.startedAt) return false;
+            const length = Math.min(stat.size, 64 * 1024);
+            const buffer = Buffer.alloc(length);
+            const fd = fs.openSync(this.config.bepinexLog, 'r');
+            try {
+                fs.readSync(fd, buffer, 0, length, stat.size - length);
+            } finally {
+                fs.closeSync(fd);
+            }
+            const text = buffer.toString('utf8');
+            return LOADING_MARKERS.some(marker => text.includes(marker));
+        } catch (err) {
+            return false;
+        }
+    }
+
+    _setState(state, { reason } = {}) {
+        if (!STATES.includes(state)) throw new Error(`Unknown state: ${state}`);
+        const previous = this.state;
+        this.state = state;
+        this.stateSince = new Date();
+        if (previous !== state) {
+            console.log(`[Supervisor] ${previous} -> ${state}${reason ? ` (${reason})` : ''}`);
+        }
+        this._emitState(previous, reason);
+    }
+
+    _emitState(previous = this.state, reason = null) {
+        this.emit('state', { ...this.getStatus(), previous, reason });
+    }
+}
+
+module.exports = { GameSupervisor, STATES, findGameProcess };
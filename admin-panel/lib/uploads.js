@@ -0,0 +1,358 @@
+/**
+ * Save file uploads
+ * Saves arrive either as one streamed multipart POST (small saves, scripts) or as a
+ * resumable chunked upload for large worlds over slow links. A chunked upload is a
+ * row in `save_uploads` plus a .part file in uploadsDir; the .part file's length is
+ * the authoritative offset, so a chunk cut off halfway resumes from whatever arrived.
+ *
+ * Either way the finished file is checked before it reaches the saves directory.
+ * The save format is not documented, so the check is deliberately loose: it rejects
+ * empty files and things that are plainly something else (archives, executables,
+ * images, an HTML error page saved as .dat) rather than parsing the save.
+ *
+ * When a save of the same name already exists the conflict policy decides:
+ *   reject    - refuse the upload (the default)
+ *   overwrite - replace it, after a 'pre-restore' backup of the current saves (and a
+ *               version of the replaced save, see saveLibrary.js)
+ *   rename    - keep both, storing the upload as "name-2.dat"
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+const CONFLICT_POLICIES = ['reject', 'overwrite', 'rename'];
+const MIN_SAVE_BYTES = 64;
+
+// Leading bytes of files that are sometimes uploaded by mistake
+const FOREIGN_FORMATS = [
+    [Buffer.from('PK\x03\x04'), 'a zip archive (use Import Zip on the Backups page for those)'],
+    [Buffer.from('TTBKENC1'), 'an encrypted panel backup'],
+    [Buffer.from('Rar!'), 'a RAR archive'],
+    [Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), 'a 7-Zip archive'],
+    [Buffer.from('MZ'), 'a Windows executable'],
+    [Buffer.from('\x7fELF'), 'a Linux executable'],
+    [Buffer.from('%PDF'), 'a PDF document'],
+    [Buffer.from([0x89, 0x50, 0x4e, 0x47]), 'a PNG image'],
+    [Buffer.from([0xff, 0xd8, 0xff]), 'a JPEG image'],
+    [Buffer.from('GIF8'), 'a GIF image']
+];
+
+class UploadError extends Error {
+    // details are merged into the JSON error response (e.g. { conflict } or { received })
+    constructor(message, status = 400, details = {}) {
+        super(message);
+        this.name = 'UploadError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const sha = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => sha.update(chunk))
+            .on('error', reject)
+            .on('end', () => resolve(sha.digest('hex')));
+    });
+}
+
+// Client-supplied name -> safe file name in the saves directory, always ending in .dat
+function sanitizeSaveName(name) {
+    let safe = path.basename(String(name || '')).replace(/[^a-zA-Z0-9_.-]/g, '_').replace(/^\.+/, '');
+    if (!safe.endsWith('.dat')) safe += '.dat';
+    return safe === '.dat' ? 'upload.dat' : safe;
+}
+
+// Rejects (UploadError 422) files that cannot be a Techtonica save
+async function validateSaveFile(filePath) {
+    const handle = await fs.promises.open(filePath, 'r');
+    let head;
+    let size;
+    try {
+        size = (await handle.stat()).size;
+        head = Buffer.alloc(Math.min(size, 512));
+        await handle.read(head, 0, head.length, 0);
+    } finally {
+        await handle.close();
+    }
+
+    if (size === 0) throw new UploadError('The uploaded file is empty', 422);
+    if (size < MIN_SAVE_BYTES) throw new UploadError(`The uploaded file is only ${size} bytes, too small to be a save`, 422);
+    const foreign = FOREIGN_FORMATS.find(([magic]) => head.subarray(0, magic.length).equals(magic));
+    if (foreign) throw new UploadError(`The uploaded file is ${foreign[1]}, not a Techtonica save`, 422);
+    const text = head.toString('utf8').replace(/^\uFEFF/, '').trimStart().toLowerCase();
+    if (text.startsWith('<!doctype html') || text.startsWith('<html')) {
+        throw new UploadError('The uploaded file is a web page, not a Techtonica save', 422);
+    }
+}
+
+// rename(), falling back to copy + rename when the directories are on different disks
+async function moveFile(src, dest) {
+    try {
+        await fs.promises.rename(src, dest);
+    } catch (err) {
+        if (err.code !== 'EXDEV') throw err;
+        const partial = `${dest}.partial`;
+        try {
+            await fs.promises.copyFile(src, partial);
+            await fs.promises.rename(partial, dest);
+        } catch (copyErr) {
+            await fs.promises.rm(partial, { force: true });
+            throw copyErr;
+        }
+        await fs.promises.rm(src, { force: true });
+    }
+}
+
+class UploadManager {
+    /**
+     * options:
+     *   uploadsDir:      where uploads collect until they are complete
+     *   savesDir:        the game's saves directory
+     *   backups:         BackupManager, for the snapshot taken before a save is replaced
+     *   library:         SaveLibrary, which records uploaded saves in their version history
+     *   maxBytes:        largest save accepted
+     *   chunkBytes:      chunk size suggested to clients
+     *   expireMs:        chunked uploads untouched this long are discarded
+     *   isServerActive:  () => boolean; saves are not replaced while the game may have them open
+     */
+    constructor(db, { uploadsDir, savesDir, backups, library = null, maxBytes, chunkBytes, expireMs, isServerActive = () => false }) {
+        this.db = db;
+        this.uploadsDir = uploadsDir;
+        this.savesDir = savesDir;
+        this.backups = backups;
+        this.library = library;
+        this.maxBytes = maxBytes;
+        this.chunkBytes = chunkBytes;
+        this.expireMs = expireMs;
+        this.isServerActive = isServerActive;
+        this.busy = new Set();
+    }
+
+    // Scratch path for a single-request upload (removed by the caller)
+    tempPath() {
+        return path.join(this.uploadsDir, `${crypto.randomBytes(8).toString('hex')}.upload`);
+    }
+
+    // Existing save that an upload named `name` would collide with, or null
+    conflict(name) {
+        try {
+            const stat = fs.statSync(path.join(this.savesDir, name));
+            return { name, size: stat.size, modified: stat.mtime.toISOString() };
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Start a chunked upload. Conflicts are checked now (so nobody sends a large world
+     * only to have it refused) and again when the upload completes.
+     */
+    create({ filename, size, sha256 = null, onConflict = 'reject' }, userId = null) {
+        if (!filename) throw new UploadError('filename is required');
+        if (!Number.isInteger(size) || size < MIN_SAVE_BYTES) throw new UploadError('size must be the file size in bytes');
+        if (size > this.maxBytes) {
+            throw new UploadError(`Save is larger than the ${Math.round(this.maxBytes / (1024 * 1024))} MB upload limit`, 413);
+        }
+        if (sha256 && !/^[0-9a-f]{64}$/i.test(sha256)) throw new UploadError('sha256 must be a hex SHA-256 digest');
+        this._checkConflict(sanitizeSaveName(filename), onConflict);
+
+        this.expire();
+        fs.mkdirSync(this.uploadsDir, { recursive: true });
+        const id = crypto.randomBytes(16).toString('hex');
+        fs.writeFileSync(this._partPath(id), '', { flag: 'wx' });
+        const now = new Date().toISOString();
+        this.db.prepare(`
+            INSERT INTO save_uploads (id, filename, size, sha256, on_conflict, created_by, created_at, updated_at)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `).run(id, String(filename), size, sha256 ? sha256.toLowerCase() : null, onConflict, userId, now, now);
+        return this.get(id);
+    }
+
+    get(id) {
+        const row = this.db.prepare('SELECT * FROM save_uploads WHERE id = ?').get(id);
+        if (!row) throw new UploadError('Upload not found (it may have expired)', 404);
+        return this._format(row);
+    }
+
+    /**
+     * Append a chunk read from `source`. offset must equal the bytes received so far
+     * (409 with { received } otherwise, so the client can resume from there) and the
+     * chunk must not run past the declared size. The last chunk completes the upload.
+     * Resolves to the upload, with `save` set once it is complete.
+     */
+    async appendChunk(id, offset, length, source) {
+        const upload = this.get(id);
+        if (this.busy.has(id)) throw new UploadError('A chunk of this upload is already being received', 409, { received: upload.received });
+        if (offset !== upload.received) {
+            throw new UploadError(`Upload is at offset ${upload.received}, not ${offset}`, 409, { received: upload.received });
+        }
+        if (offset + length > upload.size) {
+            throw new UploadError(`Chunk runs past the declared size of ${upload.size} bytes`, 413, { received: upload.received });
+        }
+
+        this.busy.add(id);
+        try {
+            let received = offset;
+            await pipeline(source, async function* (chunks) {
+                for await (const chunk of chunks) {
+                    received += chunk.length;
+                    if (received > upload.size) throw new UploadError(`Chunk runs past the declared size of ${upload.size} bytes`, 413);
+                    yield chunk;
+                }
+            }, fs.createWriteStream(this._partPath(id), { flags: 'a' }));
+        } finally {
+            this.busy.delete(id);
+            this.db.prepare('UPDATE save_uploads SET updated_at = ? WHERE id = ?').run(new Date().toISOString(), id);
+        }
+
+        const current = this.get(id);
+        return current.received === current.size ? this.complete(id) : current;
+    }
+
+    /**
+     * Install a fully received upload. Called by appendChunk for the last chunk; call
+     * it directly to retry with a different conflict policy after a 409. Uploads that
+     * fail validation are discarded.
+     */
+    async complete(id, { onConflict } = {}) {
+        const upload = this.get(id);
+        if (upload.received !== upload.size) {
+            throw new UploadError(`Upload is incomplete (${upload.received} of ${upload.size} bytes)`, 409, { received: upload.received });
+        }
+        if (this.busy.has(id)) throw new UploadError('This upload is already being completed', 409);
+
+        this.busy.add(id);
+        try {
+            const save = await this.install(this._partPath(id), upload.filename, {
+                onConflict: onConflict || upload.onConflict,
+                sha256: upload.sha256,
+                userId: upload.createdBy
+            });
+            this.db.prepare('DELETE FROM save_uploads WHERE id = ?').run(id);
+            return { ...upload, complete: true, save };
+        } catch (err) {
+            if (err instanceof UploadError && err.status === 422) this.cancel(id);
+            throw err;
+        } finally {
+            this.busy.delete(id);
+        }
+    }
+
+    cancel(id) {
+        fs.rmSync(this._partPath(id), { force: true });
+        return this.db.prepare('DELETE FROM save_uploads WHERE id = ?').run(id).changes > 0;
+    }
+
+    // Discard chunked uploads and stray scratch files untouched for expireMs
+    expire() {
+        const cutoff = Date.now() - this.expireMs;
+        for (const row of this.db.prepare('SELECT id, updated_at FROM save_uploads').all()) {
+            if (Date.parse(row.updated_at) < cutoff) this.cancel(row.id);
+        }
+        let files = [];
+        try {
+            files = fs.readdirSync(this.uploadsDir);
+        } catch (err) {
+            return;
+        }
+        for (const file of files) {
+            const filePath = path.join(this.uploadsDir, file);
+            try {
+                if (fs.statSync(filePath).mtimeMs < cutoff) fs.rmSync(filePath, { force: true });
+            } catch (err) { /* Removed meanwhile */ }
+        }
+    }
+
+    /**
+     * Validate a received file and move it into the saves directory under the
+     * conflict policy. tempPath is consumed on success.
+     * Resolves to { name, path, size, replaced, renamedFrom, backup }.
+     */
+    async install(tempPath, filename, { onConflict = 'reject', sha256 = null, userId = null } = {}) {
+        await validateSaveFile(tempPath);
+        if (sha256 && (await hashFile(tempPath)) !== sha256.toLowerCase()) {
+            throw new UploadError('The uploaded file does not match its SHA-256 (it was damaged in transit)', 422);
+        }
+
+        const requested = sanitizeSaveName(filename);
+        const existing = this._checkConflict(requested, onConflict);
+        const name = existing && onConflict === 'rename' ? this._freeName(requested) : requested;
+        let backup = null;
+        if (existing && onConflict === 'overwrite') {
+            backup = await this.backups.create({ type: 'pre-restore', userId, notes: `Before an upload replaced ${requested}` });
+            if (this.library) await this.library.capture(requested, { userId });
+        }
+
+        await fs.promises.mkdir(this.savesDir, { recursive: true });
+        const dest = path.join(this.savesDir, name);
+        await moveFile(tempPath, dest);
+        const { size } = await fs.promises.stat(dest);
+        if (this.library) await this.library.capture(name, { source: 'upload', userId });
+        return {
+            name,
+            path: dest,
+            size,
+            replaced: Boolean(backup),
+            renamedFrom: name !== requested ? requested : null,
+            backup
+        };
+    }
+
+    // The existing save `name` collides with (null if none); throws if the policy refuses it
+    _checkConflict(name, onConflict) {
+        if (!CONFLICT_POLICIES.includes(onConflict)) {
+            throw new UploadError(`onConflict must be one of: ${CONFLICT_POLICIES.join(', ')}`);
+        }
+        const existing = this.conflict(name);
+        if (!existing) return null;
+        if (onConflict === 'reject') throw new UploadError(`A save named ${name} already exists`, 409, { conflict: existing });
+        if (onConflict === 'overwrite' && this.isServerActive()) {
+            throw new UploadError(`Stop the server before replacing ${name}`, 409, { conflict: existing });
+        }
+        return existing;
+    }
+
+    _freeName(name) {
+        const base = name.slice(0, -'.dat'.length);
+        for (let n = 2; ; n++) {
+            const candidate = `${base}-${n}.dat`;
+            if (!this.conflict(candidate)) return candidate;
+        }
+    }
+
+    _partPath(id) {
+        return path.join(this.uploadsDir, `${id}.part`);
+    }
+
+    _format(row) {
+        let received = 0;
+        try {
+            received = fs.statSync(this._partPath(row.id)).size;
+        } catch (err) { /* Nothing received yet */ }
+        return {
+            id: row.id,
+            filename: row.filename,
+            name: sanitizeSaveName(row.filename),
+            size: row.size,
+            received,
+            sha256: row.sha256,
+            onConflict: row.on_conflict,
+            chunkSize: this.chunkBytes,
+            createdBy: row.created_by,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+}
+
+module.exports = {
+    UploadManager,
+    UploadError,
+    CONFLICT_POLICIES,
+    sanitizeSaveName,
+    validateSaveFile
+};
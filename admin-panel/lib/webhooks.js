@@ -0,0 +1,349 @@
+/**
+ * Webhook delivery queue
+ * Outgoing webhook posts are written to `webhook_deliveries` first and sent from there,
+ * so a receiver that is down, slow or rate limiting does not lose them, and deliveries
+ * still pending when the panel stops are sent after it starts again.
+ *
+ * A delivery is retried with exponential backoff (honouring Retry-After up to
+ * `retryMaxMs`) on network errors, timeouts, 408, 429 and 5xx answers, up to
+ * `maxAttempts`; any other answer outside 2xx fails it at once. Each delivery keeps its
+ * last status code, error and latency, which is the delivery log the dashboard shows. A
+ * webhook whose deliveries fail `disableAfterFailures` times in a row is disabled until
+ * someone enables it again.
+ *
+ * Webhooks with a secret get their body signed for receivers that check it:
+ *   X-Techtonica-Timestamp: <unix seconds>
+ *   X-Techtonica-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>" with the secret>
+ * Every post also carries X-Techtonica-Event and X-Techtonica-Delivery (the delivery id).
+ *
+ * Events: 'delivered' and 'failed' ({ webhook, delivery }), 'disabled' (webhook, reason).
+ */
+
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+
+const USER_AGENT = 'Techtonica-Admin-Panel';
+// Kept in the log so a failing receiver's answer can be read, not stored whole
+const MAX_ERROR_LENGTH = 500;
+
+class WebhookError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'WebhookError';
+        this.status = status;
+    }
+}
+
+// Header value for a body: sha256=<hex HMAC of "<timestamp>.<body>">
+function sign(secret, timestamp, body) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+function newSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+function isRetryable(statusCode) {
+    return statusCode === 408 || statusCode === 429 || statusCode >= 500;
+}
+
+// Retry-After in seconds or as an HTTP date, in milliseconds from now
+function retryAfterMs(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+class WebhookQueue extends EventEmitter {
+    /**
+     * options:
+     *   timeoutMs:            how long one attempt may take
+     *   maxAttempts:          attempts before a delivery fails for good
+     *   retryBaseMs, retryMaxMs: backoff after the first failure, doubling up to the max
+     *   disableAfterFailures: failed deliveries in a row that disable a webhook (0 = never)
+     *   keepDays:             how long finished deliveries stay in the log
+     *   concurrency:          deliveries sent at the same time
+     */
+    constructor(db, options = {}) {
+        super();
+        this.db = db;
+        this.options = {
+            timeoutMs: 10000,
+            maxAttempts: 6,
+            retryBaseMs: 10000,
+            retryMaxMs: 60 * 60 * 1000,
+            disableAfterFailures: 10,
+            keepDays: 14,
+            concurrency: 2,
+            ...options
+        };
+        this.active = new Set();
+        this.timer = null;
+        this.pruneTimer = null;
+        this.stopped = true;
+    }
+
+    // Send what is due (including deliveries left over from the last run) and keep going
+    start() {
+        this.stopped = false;
+        // A test send cut short by a shutdown has no retries to come back to
+        this.db.prepare(`
+            UPDATE webhook_deliveries SET status = 'failed', error = 'Interrupted by a panel restart', finished_at = ? WHERE status = 'sending'
+        `).run(new Date().toISOString());
+        this.prune();
+        this.pruneTimer = setInterval(() => this.prune(), 60 * 60 * 1000);
+        this._schedule(0);
+    }
+
+    stop() {
+        this.stopped = true;
+        if (this.timer) clearTimeout(this.timer);
+        if (this.pruneTimer) clearInterval(this.pruneTimer);
+        this.timer = null;
+        this.pruneTimer = null;
+    }
+
+    /**
+     * Queue a post of `payload` (an object, sent as JSON) to a webhook row.
+     * Returns the delivery id.
+     */
+    enqueue(webhook, event, payload) {
+        const now = new Date().toISOString();
+        const result = this.db.prepare(`
+            INSERT INTO webhook_deliveries (webhook_id, event, payload, status, attempts, next_attempt_at, created_at)
+            VALUES (?, ?, ?, 'pending', 0, ?, ?)
+        `).run(webhook.id, event, JSON.stringify(payload), now, now);
+        this._schedule(0);
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Send a post once, now, without retries (the "send test" button). Works on a
+     * disabled webhook too, so it can be checked before it is enabled again; the
+     * result does not count towards disabling it. Resolves to the logged delivery.
+     */
+    async sendNow(webhook, event, payload) {
+        const now = new Date().toISOString();
+        const id = this.db.prepare(`
+            INSERT INTO webhook_deliveries (webhook_id, event, payload, status, attempts, next_attempt_at, created_at)
+            VALUES (?, ?, ?, 'sending', 0, NULL, ?)
+        `).run(webhook.id, event, JSON.stringify(payload), now).lastInsertRowid;
+        const result = await this._post(webhook, this._row(id));
+        this.db.prepare(`
+            UPDATE webhook_deliveries SET status = ?, attempts = 1, status_code = ?, error = ?, latency_ms = ?, finished_at = ? WHERE id = ?
+        `).run(result.ok ? 'delivered' : 'failed', result.statusCode, result.error, result.latencyMs, new Date().toISOString(), id);
+        return this.getDelivery(id);
+    }
+
+    // Put a failed delivery back in the queue for another round of attempts
+    retry(id) {
+        const delivery = this.getDelivery(id);
+        if (delivery.status !== 'failed') throw new WebhookError('Only failed deliveries can be retried', 409);
+        this.db.prepare(`
+            UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, finished_at = NULL WHERE id = ?
+        `).run(new Date().toISOString(), id);
+        this._schedule(0);
+        return this.getDelivery(id);
+    }
+
+    getDelivery(id) {
+        const row = this._row(id);
+        if (!row) throw new WebhookError('Delivery not found', 404);
+        return this._format(row);
+    }
+
+    // A webhook's deliveries, newest first
+    list(webhookId, { limit = 50, offset = 0 } = {}) {
+        const rows = this.db.prepare(`
+            SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY id DESC LIMIT ? OFFSET ?
+        `).all(webhookId, limit, offset);
+        const total = this.db.prepare('SELECT COUNT(*) as count FROM webhook_deliveries WHERE webhook_id = ?').get(webhookId).count;
+        return { deliveries: rows.map(row => this._format(row)), total };
+    }
+
+    // Deliveries still to be sent, per webhook id
+    pendingCounts() {
+        const counts = {};
+        for (const row of this.db.prepare("SELECT webhook_id, COUNT(*) as count FROM webhook_deliveries WHERE status = 'pending' GROUP BY webhook_id").all()) {
+            counts[row.webhook_id] = row.count;
+        }
+        return counts;
+    }
+
+    prune() {
+        const cutoff = new Date(Date.now() - this.options.keepDays * 24 * 60 * 60 * 1000).toISOString();
+        this.db.prepare("DELETE FROM webhook_deliveries WHERE status IN ('delivered', 'failed') AND created_at < ?").run(cutoff);
+    }
+
+    // Wake up in `delayMs`, or sooner if something is already scheduled sooner
+    _schedule(delayMs) {
+        if (this.stopped) return;
+        const at = Date.now() + delayMs;
+        if (this.timer && this.timerAt <= at) return;
+        if (this.timer) clearTimeout(this.timer);
+        this.timerAt = at;
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this._drain();
+        }, delayMs);
+    }
+
+    _drain() {
+        if (this.stopped) return;
+        const now = new Date().toISOString();
+        const free = this.options.concurrency - this.active.size;
+        if (free > 0) {
+            const due = this.db.prepare(`
+                SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at, id LIMIT ?
+            `).all(now, free + this.active.size).filter(row => !this.active.has(row.id)).slice(0, free);
+            for (const row of due) {
+                this.active.add(row.id);
+                this._attempt(row).catch((err) => {
+                    console.error(`[Webhooks] Delivery ${row.id} failed unexpectedly:`, err.message);
+                }).finally(() => {
+                    this.active.delete(row.id);
+                    this._schedule(0);
+                });
+            }
+        }
+        // Then sleep until the next retry is due
+        const next = this.db.prepare(`
+            SELECT MIN(next_attempt_at) as at FROM webhook_deliveries WHERE status = 'pending'
+        `).get().at;
+        if (next && this.active.size < this.options.concurrency) {
+            this._schedule(Math.max(0, Date.parse(next) - Date.now()));
+        }
+    }
+
+    async _attempt(row) {
+        const webhook = this.db.prepare('SELECT * FROM webhooks WHERE id = ?').get(row.webhook_id);
+        if (!webhook) {
+            this.db.prepare('DELETE FROM webhook_deliveries WHERE id = ?').run(row.id);
+            return;
+        }
+        if (!webhook.enabled) {
+            this._finish(row.id, 'failed', { attempts: row.attempts, error: 'Webhook is disabled' });
+            return;
+        }
+
+        const result = await this._post(webhook, row);
+        const attempts = row.attempts + 1;
+
+        if (result.ok) {
+            this._finish(row.id, 'delivered', { ...result, attempts });
+            this.db.prepare('UPDATE webhooks SET consecutive_failures = 0 WHERE id = ?').run(webhook.id);
+            this.emit('delivered', { webhook, delivery: this.getDelivery(row.id) });
+            return;
+        }
+
+        const retryable = result.statusCode === null || isRetryable(result.statusCode);
+        if (retryable && attempts < this.options.maxAttempts) {
+            const backoff = Math.min(this.options.retryMaxMs, this.options.retryBaseMs * 2 ** (attempts - 1));
+            // Up to a fifth of random spread, so retries to one receiver do not bunch up
+            const delay = Math.min(this.options.retryMaxMs, Math.max(result.retryAfterMs ?? 0, backoff + Math.random() * backoff / 5));
+            this.db.prepare(`
+                UPDATE webhook_deliveries SET attempts = ?, status_code = ?, error = ?, latency_ms = ?, next_attempt_at = ? WHERE id = ?
+            `).run(attempts, result.statusCode, result.error, result.latencyMs, new Date(Date.now() + delay).toISOString(), row.id);
+            return;
+        }
+
+        this._finish(row.id, 'failed', { ...result, attempts });
+        const failures = this.db.prepare('SELECT consecutive_failures FROM webhooks WHERE id = ?').get(webhook.id).consecutive_failures + 1;
+        this.db.prepare('UPDATE webhooks SET consecutive_failures = ? WHERE id = ?').run(failures, webhook.id);
+        this.emit('failed', { webhook, delivery: this.getDelivery(row.id) });
+
+        const limit = this.options.disableAfterFailures;
+        if (limit > 0 && failures >= limit) {
+            const reason = `${failures} deliveries in a row failed (last: ${result.error || `HTTP ${result.statusCode}`})`;
+            this.db.prepare('UPDATE webhooks SET enabled = 0, disabled_reason = ? WHERE id = ?').run(reason, webhook.id);
+            // Nothing more will go out to it until it is enabled again
+            this.db.prepare(`
+                UPDATE webhook_deliveries SET status = 'failed', error = 'Webhook was disabled', finished_at = ? WHERE webhook_id = ? AND status = 'pending'
+            `).run(new Date().toISOString(), webhook.id);
+            this.emit('disabled', webhook, reason);
+        }
+    }
+
+    _finish(id, status, { attempts, statusCode = null, error = null, latencyMs = null }) {
+        this.db.prepare(`
+            UPDATE webhook_deliveries SET status = ?, attempts = ?, status_code = ?, error = ?, latency_ms = ?, next_attempt_at = NULL, finished_at = ?
+            WHERE id = ?
+        `).run(status, attempts, statusCode, error, latencyMs, new Date().toISOString(), id);
+    }
+
+    // One POST. Resolves to { ok, statusCode, error, latencyMs, retryAfterMs }; never rejects.
+    _post(webhook, row) {
+        const started = Date.now();
+        const done = (result) => ({ ok: false, statusCode: null, error: null, retryAfterMs: null, ...result, latencyMs: Date.now() - started });
+        let url;
+        try {
+            url = new URL(webhook.url);
+            if (!['http:', 'https:'].includes(url.protocol)) throw new Error(`Unsupported protocol ${url.protocol}`);
+        } catch (err) {
+            return Promise.resolve(done({ error: `Invalid URL: ${err.message}` }));
+        }
+
+        const body = row.payload;
+        const headers = {
+            'Content-Type': 'application/json',
+            'Content-Length': Buffer.byteLength(body),
+            'User-Agent': USER_AGENT,
+            'X-Techtonica-Event': row.event,
+            'X-Techtonica-Delivery': String(row.id)
+        };
+        if (webhook.secret) {
+            const timestamp = Math.floor(Date.now() / 1000);
+            headers['X-Techtonica-Timestamp'] = String(timestamp);
+            headers['X-Techtonica-Signature'] = sign(webhook.secret, timestamp, body);
+        }
+
+        return new Promise((resolve) => {
+            const req = (url.protocol === 'https:' ? https : http).request(url, { method: 'POST', headers }, (res) => {
+                let text = '';
+                res.setEncoding('utf8');
+                res.on('data', (chunk) => {
+                    if (text.length < MAX_ERROR_LENGTH) text += chunk;
+                });
+                res.on('end', () => {
+                    const ok = res.statusCode >= 200 && res.statusCode < 300;
+                    resolve(done({
+                        ok,
+                        statusCode: res.statusCode,
+                        error: ok ? null : (text.trim() || `HTTP ${res.statusCode}`).slice(0, MAX_ERROR_LENGTH),
+                        retryAfterMs: retryAfterMs(res.headers['retry-after'])
+                    }));
+                });
+                res.on('error', err => resolve(done({ statusCode: res.statusCode, error: err.message })));
+            });
+            req.setTimeout(this.options.timeoutMs, () => req.destroy(new Error(`No answer within ${Math.round(this.options.timeoutMs / 1000)}s`)));
+            req.on('error', err => resolve(done({ error: err.message })));
+            req.end(body);
+        });
+    }
+
+    _row(id) {
+        return this.db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(id);
+    }
+
+    _format(row) {
+        return {
+            id: row.id,
+            webhookId: row.webhook_id,
+            event: row.event,
+            status: row.status,
+            attempts: row.attempts,
+            statusCode: row.status_code,
+            error: row.error,
+            latencyMs: row.latency_ms,
+            nextAttemptAt: row.next_attempt_at,
+            createdAt: row.created_at,
+            finishedAt: row.finished_at
+        };
+    }
+}
+
+module.exports = { WebhookQueue, WebhookError, sign, newSecret };
@@ -0,0 +1,373 @@
+/**
+ * Minimal zip support
+ * Just enough of the format for save backups: a streaming writer (deflate, UTF-8
+ * names, sizes in trailing data descriptors) and a reader that lists the central
+ * directory and streams entries back out with their CRC-32 checked.
+ *
+ * Not supported: ZIP64 (archives or entries over 4 GB, more than 65535 entries),
+ * encryption, and compression methods other than store/deflate.
+ */
+
+const fs = require('fs');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { pipeline } = require('stream/promises');
+const { Readable, Transform, Writable } = require('stream');
+
+const LOCAL_HEADER = 0x04034b50;
+const DATA_DESCRIPTOR = 0x08074b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_DATA_DESCRIPTOR = 0x0008;
+const FLAG_UTF8 = 0x0800;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const MAX_32 = 0xffffffff;
+const MAX_ENTRIES = 0xffff;
+
+class ZipError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ZipError';
+    }
+}
+
+const CRC_TABLE = new Uint32Array(256);
+for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    CRC_TABLE[n] = c >>> 0;
+}
+
+function crc32(buf, previous = 0) {
+    let crc = previous ^ 0xffffffff;
+    for (let i = 0; i < buf.length; i++) {
+        crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Zip stores local time with two-second resolution
+function toDosTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+function fromDosTime(time, date) {
+    return new Date(1980 + (date >> 9), ((date >> 5) & 0x0f) - 1, date & 0x1f, time >> 11, (time >> 5) & 0x3f, (time & 0x1f) * 2);
+}
+
+/**
+ * True for relative paths that stay inside the extraction directory.
+ */
+function isSafePath(name) {
+    if (!name || name.startsWith('/') || /^[a-zA-Z]:/.test(name)) return false;
+    return !name.split('/').some(part => part === '..');
+}
+
+/**
+ * Streaming zip writer. Entries are added one at a time; close() writes the
+ * central directory. The SHA-256 of every entry and of the whole archive is
+ * computed on the way through, so callers never need a second pass.
+ */
+class ZipWriter {
+    constructor(outPath) {
+        this.outPath = outPath;
+        this.out = fs.createWriteStream(outPath, { flags: 'wx' });
+        this.error = null;
+        this.out.on('error', (err) => { this.error = err; });
+        this.hash = crypto.createHash('sha256');
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    /**
+     * Add a file from disk. Resolves to { name, size, crc32, sha256, mtime }.
+     */
+    async addFile(name, sourcePath) {
+        const stat = await fs.promises.stat(sourcePath);
+        return this._addEntry(name, fs.createReadStream(sourcePath), stat.mtime);
+    }
+
+    async addBuffer(name, data, mtime = new Date()) {
+        return this._addEntry(name, Readable.from([Buffer.from(data)]), mtime);
+    }
+
+    /**
+     * Finish the archive. Resolves to { size, sha256, entries }.
+     */
+    async close() {
+        const start = this.offset;
+        for (const entry of this.entries) {
+            const name = Buffer.from(entry.name, 'utf8');
+            const header = Buffer.alloc(46);
+            header.writeUInt32LE(CENTRAL_HEADER, 0);
+            header.writeUInt16LE((3 << 8) | 20, 4); // made by: Unix, zip 2.0
+            header.writeUInt16LE(20, 6);
+            header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 8);
+            header.writeUInt16LE(METHOD_DEFLATE, 10);
+            header.writeUInt16LE(entry.dos.time, 12);
+            header.writeUInt16LE(entry.dos.date, 14);
+            header.writeUInt32LE(entry.crc32, 16);
+            header.writeUInt32LE(entry.compressedSize, 20);
+            header.writeUInt32LE(entry.size, 24);
+            header.writeUInt16LE(name.length, 28);
+            header.writeUInt32LE((0o100644 << 16) >>> 0, 38); // regular file, rw-r--r--
+            header.writeUInt32LE(entry.offset, 42);
+            await this._write(Buffer.concat([header, name]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+        end.writeUInt16LE(this.entries.length, 8);
+        end.writeUInt16LE(this.entries.length, 10);
+        end.writeUInt32LE(this.offset - start, 12);
+        end.writeUInt32LE(start, 16);
+        await this._write(end);
+
+        await new Promise((resolve, reject) => {
+            this.out.end((err) => (err || this.error ? reject(err || this.error) : resolve()));
+        });
+        return {
+            size: this.offset,
+            sha256: this.hash.digest('hex'),
+            entries: this.entries.map(({ name, size, crc32: crc, sha256, mtime }) => ({ name, size, crc32: crc, sha256, mtime }))
+        };
+    }
+
+    // Give up on a half-written archive and remove it
+    async abort() {
+        this.out.destroy();
+        await fs.promises.unlink(this.outPath).catch(() => {});
+    }
+
+    async _addEntry(name, source, mtime) {
+        name = name.replace(/\\/g, '/');
+        if (!isSafePath(name)) throw new ZipError(`Unsafe entry name "${name}"`);
+        if (this.entries.length >= MAX_ENTRIES) throw new ZipError('Too many files for a zip archive');
+
+        const offset = this.offset;
+        const nameBytes = Buffer.from(name, 'utf8');
+        const dos = toDosTime(mtime);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(LOCAL_HEADER, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(FLAG_DATA_DESCRIPTOR | FLAG_UTF8, 6);
+        header.writeUInt16LE(METHOD_DEFLATE, 8);
+        header.writeUInt16LE(dos.time, 10);
+        header.writeUInt16LE(dos.date, 12);
+        // CRC and sizes are zero here and follow the data in the descriptor
+        header.writeUInt16LE(nameBytes.length, 26);
+        await this._write(Buffer.concat([header, nameBytes]));
+
+        const sha = crypto.createHash('sha256');
+        let crc = 0;
+        let size = 0;
+        let compressedSize = 0;
+        const writer = this;
+        await pipeline(
+            source,
+            new Transform({
+                transform(chunk, encoding, callback) {
+                    crc = crc32(chunk, crc);
+                    sha.update(chunk);
+                    size += chunk.length;
+                    callback(null, chunk);
+                }
+            }),
+            zlib.createDeflateRaw(),
+            new Writable({
+                write(chunk, encoding, callback) {
+                    compressedSize += chunk.length;
+                    writer._write(chunk).then(() => callback(), callback);
+                }
+            })
+        );
+        if (size > MAX_32 || compressedSize > MAX_32 || this.offset > MAX_32) {
+            throw new ZipError(`${name} is too large for a zip archive (4 GB limit)`);
+        }
+
+        const descriptor = Buffer.alloc(16);
+        descriptor.writeUInt32LE(DATA_DESCRIPTOR, 0);
+        descriptor.writeUInt32LE(crc, 4);
+        descriptor.writeUInt32LE(compressedSize, 8);
+        descriptor.writeUInt32LE(size, 12);
+        await this._write(descriptor);
+
+        const entry = { name, offset, dos, crc32: crc, size, compressedSize, sha256: sha.digest('hex'), mtime: new Date(mtime).toISOString() };
+        this.entries.push(entry);
+        return { name, size, crc32: crc, sha256: entry.sha256, mtime: entry.mtime };
+    }
+
+    _write(buf) {
+        if (this.error) return Promise.reject(this.error);
+        this.hash.update(buf);
+        this.offset += buf.length;
+        return new Promise((resolve, reject) => {
+            if (this.out.write(buf)) return resolve();
+            const onDrain = () => { this.out.off('error', onError); resolve(); };
+            const onError = (err) => { this.out.off('drain', onDrain); reject(err); };
+            this.out.once('drain', onDrain);
+            this.out.once('error', onError);
+        });
+    }
+}
+
+/**
+ * List the entries of an archive from its central directory.
+ * Returns [{ name, size, compressedSize, crc32, method, mtime, isDirectory, offset, flags }].
+ */
+async function readZipEntries(zipPath) {
+    const fd = await fs.promises.open(zipPath, 'r');
+    try {
+        const { size } = await fd.stat();
+        // The end record is 22 bytes plus a comment of up to 64 KB
+        const tailLength = Math.min(size, 22 + 0xffff);
+        const tail = Buffer.alloc(tailLength);
+        await fd.read(tail, 0, tailLength, size - tailLength);
+
+        let end = -1;
+        for (let i = tailLength - 22; i >= 0; i--) {
+            if (tail.readUInt32LE(i) === END_OF_CENTRAL_DIR) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) throw new ZipError('Not a zip archive (no end of central directory record)');
+
+        const count = tail.readUInt16LE(end + 10);
+        const directorySize = tail.readUInt32LE(end + 12);
+        const directoryOffset = tail.readUInt32LE(end + 16);
+        if (count === MAX_ENTRIES || directoryOffset === MAX_32) throw new ZipError('ZIP64 archives are not supported');
+        if (directoryOffset + directorySize > size) throw new ZipError('Archive is truncated');
+
+        const directory = Buffer.alloc(directorySize);
+        await fd.read(directory, 0, directorySize, directoryOffset);
+
+        const entries = [];
+        let pos = 0;
+        for (let i = 0; i < count; i++) {
+            if (pos + 46 > directory.length || directory.readUInt32LE(pos) !== CENTRAL_HEADER) {
+                throw new ZipError('Corrupt central directory');
+            }
+            const flags = directory.readUInt16LE(pos + 8);
+            const nameLength = directory.readUInt16LE(pos + 28);
+            const extraLength = directory.readUInt16LE(pos + 30);
+            const commentLength = directory.readUInt16LE(pos + 32);
+            // Names without the UTF-8 flag are officially CP437; latin1 is close enough for file names
+            const name = directory.toString(flags & FLAG_UTF8 ? 'utf8' : 'latin1', pos + 46, pos + 46 + nameLength).replace(/\\/g, '/');
+            entries.push({
+                name,
+                flags,
+                method: directory.readUInt16LE(pos + 10),
+                mtime: fromDosTime(directory.readUInt16LE(pos + 12), directory.readUInt16LE(pos + 14)).toISOString(),
+                crc32: directory.readUInt32LE(pos + 16),
+                compressedSize: directory.readUInt32LE(pos + 20),
+                size: directory.readUInt32LE(pos + 24),
+                offset: directory.readUInt32LE(pos + 42),
+                isDirectory: name.endsWith('/')
+            });
+            pos += 46 + nameLength + extraLength + commentLength;
+        }
+        return entries;
+    } finally {
+        await fd.close();
+    }
+}
+
+/**
+ * Stream one entry's contents. The stream errors if the data does not match the
+ * CRC-32 and size recorded in the archive.
+ */
+async function openZipEntry(zipPath, entry) {
+    if (entry.flags & FLAG_ENCRYPTED) throw new ZipError(`${entry.name} is encrypted`);
+    if (entry.method !== METHOD_STORE && entry.method !== METHOD_DEFLATE) {
+        throw new ZipError(`${entry.name} uses unsupported compression method ${entry.method}`);
+    }
+
+    const fd = await fs.promises.open(zipPath, 'r');
+    let header;
+    try {
+        header = Buffer.alloc(30);
+        await fd.read(header, 0, 30, entry.offset);
+    } finally {
+        await fd.close();
+    }
+    if (header.readUInt32LE(0) !== LOCAL_HEADER) throw new ZipError(`Corrupt local header for ${entry.name}`);
+    const start = entry.offset + 30 + header.readUInt16LE(26) + header.readUInt16LE(28);
+
+    const raw = entry.compressedSize > 0
+        ? fs.createReadStream(zipPath, { start, end: start + entry.compressedSize - 1 })
+        : Readable.from([]);
+
+    let crc = 0;
+    let size = 0;
+    const check = new Transform({
+        transform(chunk, encoding, callback) {
+            crc = crc32(chunk, crc);
+            size += chunk.length;
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (size !== entry.size) return callback(new ZipError(`${entry.name}: expected ${entry.size} bytes, got ${size}`));
+            if (crc !== entry.crc32) return callback(new ZipError(`${entry.name}: CRC mismatch`));
+            callback();
+        }
+    });
+
+    const stages = entry.method === METHOD_DEFLATE ? [raw, zlib.createInflateRaw(), check] : [raw, check];
+    pipeline(...stages).catch(err => check.destroy(err));
+    return check;
+}
+
+/**
+ * Extract one entry to destPath (written to a temp file first, then renamed).
+ * Resolves to { size, sha256 }.
+ */
+async function extractZipEntry(zipPath, entry, destPath) {
+    const tmpPath = `${destPath}.extracting`;
+    const sha = crypto.createHash('sha256');
+    let size = 0;
+    try {
+        await pipeline(
+            await openZipEntry(zipPath, entry),
+            new Transform({
+                transform(chunk, encoding, callback) {
+                    sha.update(chunk);
+                    size += chunk.length;
+                    callback(null, chunk);
+                }
+            }),
+            fs.createWriteStream(tmpPath)
+        );
+        await fs.promises.rename(tmpPath, destPath);
+    } catch (err) {
+        await fs.promises.unlink(tmpPath).catch(() => {});
+        throw err;
+    }
+    const mtime = new Date(entry.mtime);
+    await fs.promises.utimes(destPath, mtime, mtime).catch(() => {});
+    return { size, sha256: sha.digest('hex') };
+}
+
+/**
+ * SHA-256 of one entry's contents (also checks its CRC).
+ */
+async function hashZipEntry(zipPath, entry) {
+    const sha = crypto.createHash('sha256');
+    let size = 0;
+    for await (const chunk of await openZipEntry(zipPath, entry)) {
+        sha.update(chunk);
+        size += chunk.length;
+    }
+    return { size, sha256: sha.digest('hex') };
+}
+
+module.exports = { ZipWriter, ZipError, readZipEntries, openZipEntry, extractZipEntry, hashZipEntry, isSafePath, crc32 };
@@ -10,41 +10,50 @@ const http = require('http');
 const https = require('https');
 const fs = require('fs');
 const path = require('path');
-const { exec, spawn } = require('child_process');
+const { exec, execFileSync, spawn } = require('child_process');
 const Database = require('better-sqlite3');
 const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
 
-// Configuration
 const passport = require('passport');
 const DiscordStrategy = require('passport-discord').Strategy;
-
-const CONFIG = {
-    gameDir: '/home/death/techtonica-server/game/Techtonica',
-    winePrefix: '/home/death/techtonica-server/wine',
-    display: ':98',
-    bepinexLog: '/home/death/techtonica-server/game/Techtonica/BepInEx/LogOutput.log',
-    debugLog: '/home/death/techtonica-server/debug.log',
-    gameLog: '/home/death/techtonica-server/game/Techtonica/game.log',
-    eventLog: '/home/death/techtonica-server/events.log',
-    modConfig: '/home/death/techtonica-server/game/Techtonica/BepInEx/config/com.community.techtonicadedicatedserver.cfg',
-    savesDir: '/home/death/techtonica-server/saves',
-    backupsDir: '/home/death/techtonica-server/backups',
-    dbFile: '/home/death/techtonica-server/admin-panel/data/admin.db',
-    port: 6969,
-    basePath: '/techtonica-admin',
-    sslCert: '/etc/letsencrypt/live/certifriedmultitool.com/fullchain.pem',
-    sslKey: '/etc/letsencrypt/live/certifriedmultitool.com/privkey.pem',
-    // Discord OAuth2 (shared with CertiFriedUtility)
-    discord: {
-        clientId: '1409904443125665875',
-        clientSecret: 'hYOmKvMb9HTcbDQO825GF9LKAZwQf6fv',
-        callbackUrl: 'https://certifriedmultitool.com/techtonica-admin/auth/discord/callback',
-        scopes: ['identify']
-    }
-};
-
-// Track last processed event for webhook notifications
-let lastEventTimestamp = new Date().toISOString();
+const { loadConfig, prepareConfig, ConfigError } = require('./lib/config');
+const { GameSupervisor, STATES: SERVER_STATES, findGameProcess } = require('./lib/supervisor');
+const { GameCommandQueue } = require('./lib/gameCommands');
+const { BanList } = require('./lib/bans');
+const { PlayerSessions } = require('./lib/playerSessions');
+const { EventLogTailer } = require('./lib/eventTail');
+const { TaskScheduler, SchedulerError } = require('./lib/scheduler');
+const { upcomingRuns, CronError } = require('./lib/cron');
+const { BackupManager, BackupError } = require('./lib/backups');
+const { isSafePath } = require('./lib/zip');
+const { S3Client } = require('./lib/s3');
+const { BackupReplicator, ReplicationError } = require('./lib/replication');
+const { KeyRing, EncryptionError, encryptBuffer, createDecryptStream, rewrapFile, fileKeyId } = require('./lib/encryption');
+const { UploadManager, UploadError } = require('./lib/uploads');
+const { SaveLibrary, SaveLibraryError } = require('./lib/saveLibrary');
+const { receiveMultipart, MultipartError } = require('./lib/multipart');
+const { ModConfigFile, BepInExConfig, ModConfigError, MOD_CONFIG_SCHEMA, checkSetting } = require('./lib/modConfig');
+const { ConfigHistory, ConfigHistoryError } = require('./lib/configHistory');
+const { ProfileManager, ProfileError } = require('./lib/profiles');
+const { InstanceRegistry, InstanceError, DEFAULT_INSTANCE } = require('./lib/instances');
+const { createInstanceTables } = require('./lib/schema');
+const { NodeHub, NodeError } = require('./lib/nodes');
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require('./lib/metrics');
+const { MetricsHistory, MetricsHistoryError } = require('./lib/metricsHistory');
+const { AlertManager, AlertError, METRICS: ALERT_METRICS } = require('./lib/alerts');
+const { WebhookQueue, WebhookError, newSecret } = require('./lib/webhooks');
+
+// Configuration (defaults < config.json < environment, see lib/config.js)
+let CONFIG;
+try {
+    CONFIG = loadConfig();
+    prepareConfig(CONFIG).forEach(warning => console.warn(`[Config] ${warning}`));
+} catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    console.error(err.message);
+    process.exit(1);
+}
 
 // Ensure directories exist
 ['data', 'public/css', 'public/js'].forEach(dir => {
@@ -54,51 +63,59 @@ let lastEventTimestamp = new Date().toISOString();
     }
 });
 
-if (!fs.existsSync(CONFIG.backupsDir)) {
-    fs.mkdirSync(CONFIG.backupsDir, { recursive: true });
-}
-
 // Database backup directory
-const DB_BACKUP_DIR = path.join(__dirname, 'data', 'backups');
-if (!fs.existsSync(DB_BACKUP_DIR)) {
-    fs.mkdirSync(DB_BACKUP_DIR, { recursive: true });
+const DB_BACKUP_DIR = CONFIG.dbBackupDir;
+
+// Encryption of save backups and database snapshots (enabled by backups.encryption.keyFile)
+let keyring = null;
+if (CONFIG.backups.encryption.keyFile) {
+    try {
+        const opened = KeyRing.open(CONFIG.backups.encryption.keyFile);
+        keyring = opened.keyring;
+        if (opened.created) {
+            console.warn(`[Backups] Created encryption key file ${keyring.keyFile}. Keep a copy somewhere safe: encrypted backups cannot be restored without it.`);
+        }
+    } catch (err) {
+        if (!(err instanceof EncryptionError)) throw err;
+        console.error(err.message);
+        process.exit(1);
+    }
 }
 
 // Initialize database
 const db = new Database(CONFIG.dbFile);
 
-// Function to create database backup
+// Function to create database backup (resolves to the backup path)
 function backupDatabase(reason = 'scheduled') {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const backupPath = path.join(DB_BACKUP_DIR, `admin-${timestamp}-${reason}.db`);
-    try {
+    // With a key file the snapshot is encrypted straight from memory, so no plain copy touches disk
+    const backupPath = path.join(DB_BACKUP_DIR, `admin-${timestamp}-${reason}.db${keyring ? '.enc' : ''}`);
+    const snapshot = keyring
+        ? Promise.resolve().then(() => encryptBuffer(db.serialize(), backupPath, keyring))
         // Use SQLite backup API with file path string
-        db.backup(backupPath).then(() => {
-            console.log(`Database backup created: ${backupPath}`);
-            // Clean old backups - keep last 20
-            const backups = fs.readdirSync(DB_BACKUP_DIR)
-                .filter(f => f.endsWith('.db'))
-                .map(f => ({ name: f, time: fs.statSync(path.join(DB_BACKUP_DIR, f)).mtime }))
-                .sort((a, b) => b.time - a.time);
-            if (backups.length > 20) {
-                backups.slice(20).forEach(b => {
-                    fs.unlinkSync(path.join(DB_BACKUP_DIR, b.name));
-                    console.log(`Deleted old backup: ${b.name}`);
-                });
-            }
-        }).catch(err => {
-            console.error('Database backup failed:', err);
-        });
-    } catch (err) {
-        console.error('Database backup error:', err);
-        // Fallback: simple file copy
-        try {
-            fs.copyFileSync(CONFIG.dbFile, backupPath);
-            console.log(`Database backup (copy) created: ${backupPath}`);
-        } catch (copyErr) {
-            console.error('Database copy backup failed:', copyErr);
+        : db.backup(backupPath);
+    return snapshot.then(() => {
+        console.log(`Database backup created: ${backupPath}`);
+        // Clean old backups - keep last 20
+        const backups = fs.readdirSync(DB_BACKUP_DIR)
+            .filter(f => f.endsWith('.db') || f.endsWith('.db.enc'))
+            .map(f => ({ name: f, time: fs.statSync(path.join(DB_BACKUP_DIR, f)).mtime }))
+            .sort((a, b) => b.time - a.time);
+        if (backups.length > 20) {
+            backups.slice(20).forEach(b => {
+                fs.unlinkSync(path.join(DB_BACKUP_DIR, b.name));
+                console.log(`Deleted old backup: ${b.name}`);
+            });
         }
-    }
+        return backupPath;
+    }).catch(err => {
+        console.error('Database backup failed:', err);
+        // Fallback: simple file copy (never for encrypted snapshots)
+        if (keyring) throw err;
+        fs.copyFileSync(CONFIG.dbFile, backupPath);
+        console.log(`Database backup (copy) created: ${backupPath}`);
+        return backupPath;
+    });
 }
 
 // Create startup backup if database has content
@@ -106,17 +123,14 @@ setTimeout(() => {
     try {
         const stats = fs.statSync(CONFIG.dbFile);
         if (stats.size > 0) {
-            backupDatabase('startup');
+            backupDatabase('startup').catch(err => console.error('Database copy backup failed:', err));
         }
     } catch (e) { /* ignore */ }
 }, 2000);
 
-// Schedule periodic backups every hour
-setInterval(() => {
-    backupDatabase('hourly');
-}, 60 * 60 * 1000);
+// Periodic database backups are a scheduled task (seeded below, editable in the Scheduler tab)
 
-// Create tables
+// Create tables (the panel's own; each game server instance has its own set, see createInstanceTables)
 db.exec(`
     CREATE TABLE IF NOT EXISTS users (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -175,37 +189,110 @@ db.exec(`
         updated_by INTEGER
     );
 
-    CREATE TABLE IF NOT EXISTS backups (
+    CREATE TABLE IF NOT EXISTS webhooks (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        filename TEXT NOT NULL,
-        size INTEGER,
-        type TEXT DEFAULT 'manual',
+        name TEXT NOT NULL,
+        url TEXT NOT NULL,
+        events TEXT NOT NULL,
+        enabled INTEGER DEFAULT 1,
         created_by INTEGER,
         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-        notes TEXT,
         FOREIGN KEY (created_by) REFERENCES users(id)
     );
 
-    CREATE TABLE IF NOT EXISTS scheduled_tasks (
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
-        type TEXT NOT NULL,
-        schedule TEXT NOT NULL,
-        enabled INTEGER DEFAULT 1,
-        last_run DATETIME,
-        next_run DATETIME,
+        webhook_id INTEGER NOT NULL,
+        event TEXT NOT NULL,
+        payload TEXT NOT NULL,
+        status TEXT NOT NULL,
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at TEXT,
+        status_code INTEGER,
+        error TEXT,
+        latency_ms INTEGER,
+        created_at TEXT NOT NULL,
+        finished_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_pending ON webhook_deliveries(status, next_attempt_at);
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, id);
+
+    CREATE TABLE IF NOT EXISTS instances (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        settings TEXT DEFAULT '{}',
+        restricted INTEGER DEFAULT 0,
         created_by INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at TEXT,
+        updated_at TEXT,
         FOREIGN KEY (created_by) REFERENCES users(id)
     );
 
-    CREATE TABLE IF NOT EXISTS webhooks (
+    CREATE TABLE IF NOT EXISTS instance_roles (
+        instance_id TEXT NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL,
+        PRIMARY KEY (instance_id, user_id),
+        FOREIGN KEY (instance_id) REFERENCES instances(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+    );
+
+    CREATE TABLE IF NOT EXISTS nodes (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL UNIQUE COLLATE NOCASE,
+        description TEXT,
+        token_hash TEXT NOT NULL,
+        agent TEXT,
+        last_address TEXT,
+        last_seen_at TEXT,
+        created_by INTEGER,
+        created_at TEXT,
+        updated_at TEXT,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS alert_rules (
         id INTEGER PRIMARY KEY AUTOINCREMENT,
         name TEXT NOT NULL,
-        url TEXT NOT NULL,
-        events TEXT NOT NULL,
+        type TEXT NOT NULL,
+        instance_id TEXT,
+        metric TEXT,
+        operator TEXT,
+        threshold REAL,
+        for_minutes INTEGER DEFAULT 0,
+        severity TEXT DEFAULT 'warning',
+        webhook_ids TEXT DEFAULT '[]',
+        repeat_minutes INTEGER DEFAULT 0,
         enabled INTEGER DEFAULT 1,
         created_by INTEGER,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        created_at TEXT,
+        updated_at TEXT,
+        FOREIGN KEY (created_by) REFERENCES users(id)
+    );
+
+    CREATE TABLE IF NOT EXISTS alerts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER NOT NULL,
+        instance_id TEXT,
+        state TEXT NOT NULL,
+        value REAL,
+        message TEXT,
+        started_at TEXT NOT NULL,
+        resolved_at TEXT,
+        notified_at TEXT
+    );
+    CREATE INDEX IF NOT EXISTS idx_alerts_open ON alerts(state, rule_id);
+
+    CREATE TABLE IF NOT EXISTS alert_silences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER,
+        instance_id TEXT,
+        reason TEXT,
+        starts_at TEXT NOT NULL,
+        ends_at TEXT NOT NULL,
+        created_by INTEGER,
+        created_at TEXT,
         FOREIGN KEY (created_by) REFERENCES users(id)
     );
 `);
@@ -218,6 +305,21 @@ try {
     db.exec(`ALTER TABLE users ADD COLUMN discord_username TEXT`);
 } catch (e) { /* Column already exists */ }
 
+// Migrate audit_log - the instance an entry belongs to (null for panel-wide actions)
+try {
+    db.exec(`ALTER TABLE audit_log ADD COLUMN instance_id TEXT`);
+} catch (e) { /* Column already exists */ }
+
+// Migrate webhooks - signing secret and the failure streak that disables a webhook
+for (const column of ['secret TEXT', 'consecutive_failures INTEGER DEFAULT 0', 'disabled_reason TEXT']) {
+    try {
+        db.exec(`ALTER TABLE webhooks ADD COLUMN ${column}`);
+    } catch (e) { /* Column already exists */ }
+}
+
+// Tables of each game server instance (see lib/schema.js)
+createInstanceTables(db);
+
 // Role hierarchy
 const ROLES = {
     owner: { level: 100, name: 'Owner', color: '#fbbf24', icon: 'fa-crown' },
@@ -240,14 +342,41 @@ const PERMISSIONS = {
     'backups.create': ['owner', 'admin'],
     'backups.restore': ['owner', 'admin'],
     'backups.delete': ['owner'],
+    'scheduler.view': ['owner', 'admin', 'moderator'],
+    'scheduler.manage': ['owner', 'admin'],
     'users.view': ['owner', 'admin'],
     'users.create': ['owner', 'admin'],
     'users.edit': ['owner', 'admin'],
     'users.delete': ['owner'],
     'webhooks.manage': ['owner', 'admin'],
+    'alerts.view': ['owner', 'admin', 'moderator'],
+    'alerts.manage': ['owner', 'admin'],
     'audit.view': ['owner', 'admin'],
     'settings.view': ['owner', 'admin', 'moderator', 'viewer'],
-    'settings.edit': ['owner']
+    'settings.edit': ['owner'],
+    'instances.manage': ['owner'],
+    'nodes.manage': ['owner']
+};
+
+// Permissions checked against the user's role on the instance a request is for (see
+// lib/instances.js); the rest are panel-wide
+const INSTANCE_PERMISSIONS = ['server.', 'players.', 'backups.', 'scheduler.'];
+
+// Permission required for each ds.* command accepted by /api/server/command (which
+// itself requires server.console). ds.shutdown is left out on purpose: the supervisor
+// would treat the exit as a crash, so stops go through /api/server/stop instead.
+const COMMAND_PERMISSIONS = {
+    'ds.help': 'server.console',
+    'ds.status': 'server.console',
+    'ds.say': 'server.console',
+    'ds.save': 'server.console',
+    'ds.players': 'players.view',
+    'ds.kick': 'players.kick',
+    'ds.host': 'server.start',
+    'ds.server': 'server.start',
+    'ds.connect': 'server.start',
+    'ds.stop': 'server.stop',
+    'ds.disconnect': 'server.stop'
 };
 
 // Check if user exists, create default owner if not
@@ -277,14 +406,112 @@ app.use((req, res, next) => {
     next();
 });
 
+// Prometheus metrics. Counters and the request histogram are updated as things happen;
+// the gauges are filled in at scrape time by the collector below.
+const metrics = new MetricsRegistry();
+const httpRequestDuration = metrics.histogram('techtonica_http_request_duration_seconds', 'Time taken to answer panel HTTP requests', ['method', 'route', 'status']);
+const gameEventsTotal = metrics.counter('techtonica_game_events_total', 'Game events read from the event log', ['server', 'type']);
+const serverCrashesTotal = metrics.counter('techtonica_server_crashes_total', 'Unexpected exits of the game process', ['server']);
+const webhookDeliveriesTotal = metrics.counter('techtonica_webhook_deliveries_total', 'Webhook deliveries by result (delivered or failed)', ['webhook', 'result']);
+const serverUp = metrics.gauge('techtonica_server_up', 'Whether the game server is running and hosting (1) or not (0)', ['server']);
+const serverState = metrics.gauge('techtonica_server_state', 'Lifecycle state of the game server (1 for the current state)', ['server', 'state']);
+const serverUptime = metrics.gauge('techtonica_server_uptime_seconds', 'Seconds since the game process started', ['server']);
+const gameCpuSeconds = metrics.counter('techtonica_process_cpu_seconds_total', 'CPU time used by the game process', ['server'], { collected: true });
+const gameResidentMemory = metrics.gauge('techtonica_process_resident_memory_bytes', 'Resident memory of the game process', ['server']);
+const playersOnline = metrics.gauge('techtonica_players_online', 'Players connected to the game server', ['server']);
+const backupCount = metrics.gauge('techtonica_backups', 'Save backups kept, by type', ['server', 'type']);
+const backupBytes = metrics.gauge('techtonica_backup_bytes', 'Disk space taken by save backups', ['server']);
+const backupNewestAge = metrics.gauge('techtonica_backup_newest_age_seconds', 'Seconds since the newest save backup was made', ['server']);
+const hostLoad = metrics.gauge('techtonica_host_load_average', 'Host load average', ['period']);
+const hostMemoryTotal = metrics.gauge('techtonica_host_memory_total_bytes', 'Host memory');
+const hostMemoryUsed = metrics.gauge('techtonica_host_memory_used_bytes', 'Host memory in use');
+const hostDiskTotal = metrics.gauge('techtonica_host_disk_total_bytes', 'Size of the host root filesystem');
+const hostDiskUsed = metrics.gauge('techtonica_host_disk_used_bytes', 'Space used on the host root filesystem');
+const panelCpuSeconds = metrics.counter('process_cpu_seconds_total', 'CPU time used by the admin panel process', [], { collected: true });
+const panelResidentMemory = metrics.gauge('process_resident_memory_bytes', 'Resident memory of the admin panel process');
+const panelStartTime = metrics.gauge('process_start_time_seconds', 'Start time of the admin panel process since the Unix epoch');
+
+metrics.addCollector(async () => {
+    const system = await getSystemStats();
+    for (const [period, value] of [['1m', system.cpu.load1], ['5m', system.cpu.load5], ['15m', system.cpu.load15]]) {
+        hostLoad.set({ period }, value);
+    }
+    hostMemoryTotal.set({}, system.memory.total);
+    hostMemoryUsed.set({}, system.memory.used);
+    hostDiskTotal.set({}, system.disk.total);
+    hostDiskUsed.set({}, system.disk.used);
+
+    const cpu = process.cpuUsage();
+    panelCpuSeconds.set({}, (cpu.user + cpu.system) / 1e6);
+    panelResidentMemory.set({}, process.memoryUsage().rss);
+    panelStartTime.set({}, Math.round(Date.now() / 1000 - process.uptime()));
+
+    for (const instance of instances.values()) {
+        const labels = { server: instance.id };
+        const status = instance.supervisor.getStatus();
+        serverUp.set(labels, status.state === 'running' ? 1 : 0);
+        for (const state of SERVER_STATES) serverState.set({ ...labels, state }, status.state === state ? 1 : 0);
+        serverUptime.set(labels, status.uptime);
+        playersOnline.set(labels, instance.playerSessions.online().length);
+
+        const usage = getProcessUsage(instance);
+        if (usage) {
+            gameCpuSeconds.set(labels, usage.cpuSeconds);
+            gameResidentMemory.set(labels, usage.residentBytes);
+        }
+
+        let bytes = 0;
+        let newest = null;
+        for (const stats of instance.backupManager.stats()) {
+            backupCount.set({ ...labels, type: stats.type }, stats.count);
+            bytes += stats.bytes;
+            if (!newest || stats.newest > newest) newest = stats.newest;
+        }
+        backupBytes.set(labels, bytes);
+        if (newest) backupNewestAge.set(labels, Math.max(0, Math.round((Date.now() - newest.getTime()) / 1000)));
+    }
+});
+
+// Time every request, labelled by the route that answered it (not the raw URL, which
+// would give each backup id or player name a series of its own)
+app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.on('finish', () => {
+        const route = req.route ? req.route.path : 'other';
+        httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, Number(process.hrtime.bigint() - started) / 1e9);
+    });
+    next();
+});
+
+// Prometheus scrape endpoint: Authorization: Bearer <metrics.token>. Registered ahead of
+// the session middleware so scrapes do not create sessions; disabled without a token.
+app.get('/metrics', async (req, res) => {
+    if (!CONFIG.metrics.token) {
+        return res.status(404).json({ error: 'Metrics are disabled (metrics.token is not set)' });
+    }
+    const header = req.get('authorization') || '';
+    const given = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    if (!given || !crypto.timingSafeEqual(digest(given), digest(CONFIG.metrics.token))) {
+        res.set('WWW-Authenticate', 'Bearer realm="metrics"');
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+    try {
+        res.type(METRICS_CONTENT_TYPE).send(await metrics.render());
+    } catch (err) {
+        console.error('[Metrics] Scrape failed:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
+
 // Fixed session secret (persists across restarts)
-const SESSION_SECRET = process.env.SESSION_SECRET || 'techtonica-admin-secret-2024-fixed';
+const SESSION_SECRET = CONFIG.sessionSecret;
 
 // Temporary store for Discord linking (survives OAuth redirect)
 const pendingDiscordLinks = new Map();
 
-// Session configuration
-app.use(session({
+// Session configuration (shared with Socket.IO, which checks instance access with it)
+const sessionMiddleware = session({
     secret: SESSION_SECRET,
     resave: true,
     saveUninitialized: true,
@@ -294,7 +521,8 @@ app.use(session({
         maxAge: 7 * 24 * 60 * 60 * 1000, // 7 days
         sameSite: 'lax'
     }
-}));
+});
+app.use(sessionMiddleware);
 
 // Initialize Passport for Discord OAuth
 app.use(passport.initialize());
@@ -304,16 +532,19 @@ app.use(passport.session());
 passport.serializeUser((user, done) => done(null, user));
 passport.deserializeUser((obj, done) => done(null, obj));
 
-// Discord OAuth2 Strategy
-passport.use(new DiscordStrategy({
-    clientID: CONFIG.discord.clientId,
-    clientSecret: CONFIG.discord.clientSecret,
-    callbackURL: CONFIG.discord.callbackUrl,
-    scope: CONFIG.discord.scopes
-}, (accessToken, refreshToken, profile, done) => {
-    // Return Discord profile for login processing
-    return done(null, profile);
-}));
+// Discord OAuth2 Strategy (only when credentials are configured)
+const DISCORD_ENABLED = Boolean(CONFIG.discord.clientId && CONFIG.discord.clientSecret);
+if (DISCORD_ENABLED) {
+    passport.use(new DiscordStrategy({
+        clientID: CONFIG.discord.clientId,
+        clientSecret: CONFIG.discord.clientSecret,
+        callbackURL: CONFIG.discord.callbackUrl,
+        scope: CONFIG.discord.scopes
+    }, (accessToken, refreshToken, profile, done) => {
+        // Return Discord profile for login processing
+        return done(null, profile);
+    }));
+}
 
 // Static files
 app.use('/css', express.static(path.join(__dirname, 'public/css')));
@@ -326,6 +557,29 @@ function hasPermission(userRole, permission) {
     return allowedRoles.includes(userRole);
 }
 
+function isInstancePermission(permission) {
+    return INSTANCE_PERMISSIONS.some(prefix => permission.startsWith(prefix));
+}
+
+// Role that decides a permission for the request's user: their role on the request's
+// instance for instance permissions, their panel role otherwise
+function roleFor(req, permission) {
+    if (req.instance && isInstancePermission(permission)) {
+        return instanceRegistry.roleFor(req.user, req.instance.id);
+    }
+    return req.user.role;
+}
+
+// Everything a user may do on an instance
+function permissionsFor(user, instanceId) {
+    const instanceRole = instanceRegistry.roleFor(user, instanceId);
+    return Object.keys(PERMISSIONS).filter(p => hasPermission(isInstancePermission(p) ? instanceRole : user.role, p));
+}
+
+function userCan(req, permission) {
+    return hasPermission(roleFor(req, permission), permission);
+}
+
 function requireAuth(req, res, next) {
     if (!req.session.userId) {
         if (req.xhr || req.path.startsWith('/api/')) {
@@ -343,40 +597,372 @@ function requireAuth(req, res, next) {
         return res.redirect(CONFIG.basePath + '/login');
     }
 
+    // Instances the user may not see are reported as missing
+    if (req.instance && !instanceRegistry.roleFor(user, req.instance.id)) {
+        return res.status(404).json({ error: 'Instance not found' });
+    }
+
     req.user = user;
     next();
 }
 
 function requirePermission(permission) {
     return (req, res, next) => {
-        if (!req.user || !hasPermission(req.user.role, permission)) {
+        if (!req.user || !userCan(req, permission)) {
             return res.status(403).json({ error: 'Permission denied' });
         }
         next();
     };
 }
 
-function auditLog(userId, action, details, ipAddress) {
-    db.prepare('INSERT INTO audit_log (user_id, action, details, ip_address) VALUES (?, ?, ?, ?)')
-        .run(userId, action, details, ipAddress);
+function auditLog(userId, action, details, ipAddress, instance = null) {
+    db.prepare('INSERT INTO audit_log (user_id, action, details, ip_address, instance_id) VALUES (?, ?, ?, ?, ?)')
+        .run(userId, action, details, ipAddress, instance ? instance.id : null);
 }
 
-// Server status tracking
-async function checkServerRunning() {
-    return new Promise((resolve) => {
-        // Check for Techtonica.exe process (excluding defunct/zombie processes)
-        exec('ps -eo pid,etimes,args | grep "Techtonica.exe" | grep -v grep | grep -v defunct | head -1', (err, stdout) => {
-            const line = stdout.trim();
-            if (!line) {
-                resolve({ running: false, pid: null, uptime: 0 });
-                return;
+// Game server instances; the services of each running one are kept here by id
+const instanceRegistry = new InstanceRegistry(db, { baseConfig: CONFIG, roles: Object.keys(ROLES) });
+const instances = new Map();
+
+// Remote nodes: game servers on other hosts, managed through the agent running next to
+// each (agent.js). Agents connect to <basePath>/agent; a proxy may strip the base path.
+const nodeHub = new NodeHub(db, {
+    paths: [...new Set([`${CONFIG.basePath}/agent`, '/agent'])],
+    callTimeoutMs: CONFIG.nodes.callTimeoutSeconds * 1000
+});
+// Backups and restores on a node take as long as the saves are big
+const NODE_BACKUP_TIMEOUT_MS = 30 * 60 * 1000;
+
+// Alert rules over the instances' metrics and state, notified through the webhooks
+const alertManager = new AlertManager(db, { instanceExists: id => instances.has(id) });
+
+// Outgoing webhook posts, queued in the database and retried until the receiver takes them
+const webhookQueue = new WebhookQueue(db, {
+    timeoutMs: CONFIG.webhooks.timeoutSeconds * 1000,
+    maxAttempts: CONFIG.webhooks.maxAttempts,
+    retryBaseMs: CONFIG.webhooks.retryBaseSeconds * 1000,
+    retryMaxMs: CONFIG.webhooks.retryMaxSeconds * 1000,
+    disableAfterFailures: CONFIG.webhooks.disableAfterFailures,
+    keepDays: CONFIG.webhooks.keepDeliveryDays
+});
+
+// Off-site storage for save backups (shared by every instance)
+const remoteConfig = CONFIG.backups.remote;
+
+// Helper: An additional instance's own database. The panel database is attached so the
+// users table (and the names every listing joins from it) resolves as usual; foreign
+// keys cannot point across databases, so they are not enforced here.
+function openInstanceDatabase(id) {
+    const dir = path.join(path.dirname(CONFIG.dbFile), 'instances');
+    fs.mkdirSync(dir, { recursive: true });
+    const database = new Database(path.join(dir, `${id}.db`));
+    database.pragma('foreign_keys = OFF');
+    database.prepare('ATTACH DATABASE ? AS panel').run(CONFIG.dbFile);
+    createInstanceTables(database);
+    return database;
+}
+
+/**
+ * Build and start the services of one game server instance (game process, mod config
+ * and its history, bans, backups, saves, profiles, uploads, player sessions, event log
+ * and scheduled tasks). Returns the object routes see as req.instance.
+ */
+function startInstance(record) {
+    const config = instanceRegistry.configFor(record);
+    if (!record.isDefault) {
+        prepareConfig(config, { instance: true }).forEach(warning => console.warn(`[Instance ${record.id}] ${warning}`));
+    }
+    const database = record.isDefault ? db : openInstanceDatabase(record.id);
+    const instance = { id: record.id, name: record.name, isDefault: record.isDefault, config, db: database, timers: [] };
+
+    // Command queue polled by the dedicated server mod (ds.* console commands)
+    instance.gameCommands = new GameCommandQueue(config.commandDir);
+    instance.modConfig = new ModConfigFile(config.modConfig);
+    // Every state of the mod config, so changes can be compared and rolled back
+    instance.configHistory = new ConfigHistory(database, { configFile: instance.modConfig, keepVersions: CONFIG.configHistory.keepVersions });
+    try {
+        instance.configHistory.capture();
+    } catch (err) {
+        console.error('[Config] Could not record the mod config:', err.message);
+    }
+
+    // Player bans (mirrored to the ban file the mod checks on connect)
+    instance.bans = new BanList(database, config.banFile);
+    try {
+        instance.bans.writeFile();
+    } catch (err) {
+        console.error('Failed to write ban file:', err.message);
+    }
+
+    // Save backups (zipped in-process, checksummed, pruned by retention policy)
+    instance.backupManager = new BackupManager(database, {
+        backupsDir: config.backupsDir,
+        savesDir: config.wineSavesDir,
+        retention: {
+            hourly: CONFIG.backups.keepHourly,
+            daily: CONFIG.backups.keepDaily,
+            weekly: CONFIG.backups.keepWeekly,
+            preRestore: CONFIG.backups.keepPreRestore
+        },
+        minFreeBytes: CONFIG.backups.minFreeMb * 1024 * 1024,
+        keyring
+    });
+
+    // Sampled process, host and player metrics for the dashboard charts, with rollups
+    instance.metricsHistory = new MetricsHistory(database, {
+        sampleSeconds: CONFIG.metrics.sampleSeconds,
+        keepRawHours: CONFIG.metrics.keepRawHours,
+        keepFiveMinuteDays: CONFIG.metrics.keepFiveMinuteDays,
+        keepHourlyDays: CONFIG.metrics.keepHourlyDays
+    });
+
+    // Off-site copies of save backups in S3-compatible storage (optional); additional
+    // instances keep theirs in a folder of their own under the prefix
+    instance.replicator = new BackupReplicator(database, {
+        backups: instance.backupManager,
+        client: remoteConfig.enabled ? new S3Client(remoteConfig) : null,
+        prefix: record.isDefault ? remoteConfig.prefix : `${remoteConfig.prefix}${record.id}/`,
+        keepDays: remoteConfig.keepDays
+    });
+    instance.replicator.on('uploaded', backup => console.log(`[Replication] Uploaded ${backup.filename} to ${backup.remoteKey}`));
+    instance.replicator.on('failed', ({ backup, error }) => {
+        console.error(`[Replication] Upload of ${backup.filename} failed:`, error.message);
+        triggerWebhook('backup_replication_failed', { filename: backup.filename, reason: error.message }, instance);
+    });
+    instance.replicator.resume();
+
+    // Game process supervisor (owns the Wine process and its lifecycle state)
+    instance.supervisor = new GameSupervisor(config, {
+        ...CONFIG.supervisor,
+        saveWaitMs: CONFIG.shutdown.saveWaitMs,
+        shutdownTimeoutMs: CONFIG.shutdown.timeoutMs
+    }, { commands: instance.gameCommands, launchOptions: () => instance.profileManager.launchOptions() });
+
+    // Save notes, tags and per-save version history
+    instance.saveLibrary = new SaveLibrary(database, {
+        savesDir: config.wineSavesDir,
+        versionsDir: config.saveVersionsDir,
+        keepVersions: CONFIG.saves.keepVersions
+    });
+
+    // Named presets of mod config values, active save and launch options
+    instance.profileManager = new ProfileManager(database, {
+        applySettings: (settings, { profile, userId }) => {
+            saveModConfig(instance, settings, { source: 'profile', userId, summary: `Activated profile "${profile.name}"` });
+        },
+        saveExists: savePath => fs.existsSync(savePath)
+    });
+
+    // Save uploads: streamed single-request and resumable chunked
+    instance.uploadManager = new UploadManager(database, {
+        uploadsDir: config.uploadsDir,
+        savesDir: config.wineSavesDir,
+        backups: instance.backupManager,
+        library: instance.saveLibrary,
+        maxBytes: CONFIG.uploads.maxSaveMb * 1024 * 1024,
+        chunkBytes: CONFIG.uploads.chunkMb * 1024 * 1024,
+        expireMs: CONFIG.uploads.expireHours * 60 * 60 * 1000,
+        isServerActive: () => instance.supervisor.isActive()
+    });
+    instance.uploadManager.expire();
+
+    // Saves are polled for changes, so every state the game writes is kept as a version
+    if (instance.saveLibrary.versioning) {
+        const scanSaves = () => instance.saveLibrary.scan().catch(err => console.error('[Saves] Version scan failed:', err.message));
+        scanSaves();
+        instance.timers.push(setInterval(scanSaves, CONFIG.saves.versionPollSeconds * 1000));
+    }
+
+    // Player session history, fed from the mod's events
+    instance.playerSessions = new PlayerSessions(database);
+
+    // Incremental reader for the mod's events.log (cursor kept in the database)
+    instance.eventTail = new EventLogTailer(database, config.eventLog, {
+        catchUpMs: CONFIG.events.catchUpMinutes * 60 * 1000
+    });
+
+    // Scheduled tasks: each type's handler resolves to a short result message
+    const handlers = {
+        backup: async (options, task) => {
+            const backup = await createSaveBackup(instance, { type: 'scheduled', notes: options.notes || `Scheduled: ${task.name}` });
+            triggerWebhook('backup_created', { user: 'Scheduler', filename: backup.filename, size: formatBytes(backup.size), task: task.name }, instance);
+            return `Created ${backup.filename} (${backup.fileCount} files, ${formatBytes(backup.size)})`;
+        },
+        restart: async (options, task) => {
+            return scheduledRestart(instance, task, options.countdown ?? CONFIG.shutdown.defaultCountdown);
+        },
+        announcement: async (options) => {
+            if (instance.supervisor.state !== 'running') {
+                return { skipped: true, message: 'Server is not running' };
             }
-            const parts = line.trim().split(/\s+/);
-            const pid = parseInt(parts[0]) || null;
-            const uptime = parseInt(parts[1]) || 0;
-            resolve({ running: true, pid, uptime });
-        });
+            instance.gameCommands.say(options.message);
+            return `Announced: ${options.message}`;
+        },
+        config_switch: async (options, task) => {
+            const changes = { ...(options.settings || {}) };
+            if (options.save) {
+                changes['Server'] = { ...(changes['Server'] || {}), AutoLoadSave: options.save };
+            }
+            const { changed } = saveModConfig(instance, changes, { source: 'scheduler' });
+            const summary = `Updated ${changed.join(', ') || 'nothing'}`;
+            if (!options.restart) return summary;
+
+            const restart = await scheduledRestart(instance, task, options.countdown ?? CONFIG.shutdown.defaultCountdown);
+            return `${summary}; ${restart.skipped ? `not restarted (${restart.message})` : 'server restarted'}`;
+        }
+    };
+    // The panel database belongs to no instance in particular; its backups are the default's tasks
+    if (record.isDefault) {
+        handlers.db_backup = async () => {
+            const backupPath = await backupDatabase('scheduled');
+            return `Created ${path.basename(backupPath)}`;
+        };
+    }
+    instance.scheduler = new TaskScheduler(database, {
+        playersOnline: () => instance.playerSessions.online().length,
+        handlers
+    });
+
+    instance.scheduler.on('run', ({ task, run }) => {
+        const details = `${task.name} (${task.type}) [${run.status}]${run.result ? ': ' + run.result : ''}`;
+        auditLog(run.triggered_by, 'scheduled_task_run', details, null, instance);
+        emitToInstance(instance, 'scheduleRun', { task: instance.scheduler.get(task.id), run });
+        if (run.status === 'failed') {
+            triggerWebhook('scheduled_task_failed', { task: task.name, type: task.type, reason: run.result }, instance);
+        }
+    });
+
+    // The old hard-coded hourly database backup becomes an ordinary task the first time through
+    if (record.isDefault && !db.prepare("SELECT 1 FROM server_config WHERE key = 'scheduler.seeded'").get()) {
+        instance.scheduler.create({ name: 'Panel database backup', type: 'db_backup', schedule: '@hourly' });
+        db.prepare("INSERT INTO server_config (key, value) VALUES ('scheduler.seeded', '1')").run();
+    }
+
+    // Push supervisor lifecycle changes to dashboards, audit log and webhooks
+    const { supervisor } = instance;
+    supervisor.on('state', (status) => {
+        emitToInstance(instance, 'serverState', status);
+        // The game is gone, so are its players (covers crashes, which log no server_stop)
+        if (status.state === 'stopped' || status.state === 'crashed') {
+            instance.playerSessions.closeAll(new Date().toISOString(), `server_${status.state}`);
+        }
+    });
+    supervisor.on('shutdownPhase', (phase) => emitToInstance(instance, 'shutdownPhase', phase));
+
+    supervisor.on('crash', (info) => {
+        serverCrashesTotal.inc({ server: instance.id });
+        const reason = info.error || `exit code ${info.code}${info.signal ? `, signal ${info.signal}` : ''}`;
+        auditLog(null, 'server_crash', `Game process exited unexpectedly while ${info.state} (${reason})`, null, instance);
+        triggerWebhook('server_crash', { reason, 'Recent crashes': info.recentCrashes }, instance);
+    });
+
+    supervisor.on('autoRestart', ({ attempt }) => {
+        auditLog(null, 'server_auto_restart', `Auto-restart attempt ${attempt}`, null, instance);
+    });
+
+    supervisor.on('crashLoop', ({ crashes, windowMs }) => {
+        const reason = `${crashes} crashes within ${Math.round(windowMs / 60000)} minutes; auto-restart disabled until the server is started manually`;
+        auditLog(null, 'server_crash_loop', reason, null, instance);
+        triggerWebhook('server_crash_loop', { reason }, instance);
+    });
+
+    supervisor.attach().then(() => {
+        if (instances.get(instance.id) !== instance) return;
+        // With no cursor yet, read the whole log once if there is no session history to lose
+        instance.eventTail.start({ fromStart: instance.playerSessions.isEmpty() });
+        processGameEvents(instance);
+
+        // Sessions left open while the panel was down can't still be live if the game isn't
+        if (!supervisor.isActive()) {
+            instance.playerSessions.closeAll(new Date().toISOString(), 'server_stop');
+        }
+        instance.timers.push(setInterval(() => processGameEvents(instance), CONFIG.events.pollIntervalMs));
+        instance.timers.push(setInterval(() => sampleMetrics(instance), CONFIG.metrics.sampleSeconds * 1000));
+
+        // Start after the first event pass so the players-online check sees current sessions
+        instance.scheduler.start();
+    }).catch((err) => {
+        // Left without its event tail, timers or schedules; the instance list shows why
+        instance.startError = err.message;
+        console.error(`[Instance ${instance.id}] Could not be started:`, err.message);
+        auditLog(null, 'instance_start_failed', `Instance ${instance.name} could not be started: ${err.message}`, null, instance);
     });
+
+    instances.set(instance.id, instance);
+    return instance;
+}
+
+// Stop watching an instance and close its database. Its game must already be stopped;
+// its files are left where they are.
+function stopInstance(instance) {
+    instances.delete(instance.id);
+    instance.timers.forEach(timer => clearInterval(timer));
+    instance.scheduler.stop();
+    instance.supervisor.detach();
+    instance.supervisor.removeAllListeners();
+    instance.replicator.removeAllListeners();
+    if (!instance.isDefault) instance.db.close();
+}
+
+// Helper: Push an instance's event to the dashboards watching it
+function emitToInstance(instance, event, payload) {
+    io.to(`instance:${instance.id}`).emit(event, { ...payload, instance: instance.id });
+}
+
+// Helper: Restart for a scheduled task, warning players with the usual countdown
+async function scheduledRestart(instance, task, countdown) {
+    const { supervisor, backupManager } = instance;
+    if (backupManager.restoring) {
+        return { skipped: true, message: 'A backup is being restored' };
+    }
+    if (!supervisor.isActive()) {
+        return { skipped: true, message: 'Server is not running' };
+    }
+    if (supervisor.state === 'stopping') {
+        return { skipped: true, message: 'Server is already stopping' };
+    }
+    const result = await supervisor.restart({ reason: `scheduled task "${task.name}"`, countdown, beforeStart: () => applyAutoStartConfig(instance) });
+    if (result.aborted) {
+        throw new Error(`Restart abandoned: ${result.reason}`);
+    }
+    if (result.cancelled) {
+        return { skipped: true, message: 'Restart cancelled during countdown' };
+    }
+    const config = parseConfig(instance);
+    triggerWebhook('server_restart', { user: 'Scheduler', task: task.name, 'Connect Address': config['Server']?.PublicAddress || instance.config.publicAddress }, instance);
+    return 'Server restarted';
+}
+
+// Check a task's options for its type; returns an error message or null
+function validateTaskOptions(type, options = {}) {
+    if (options.countdown !== undefined) {
+        if (!Number.isInteger(options.countdown) || options.countdown < 0 || options.countdown > 3600) {
+            return 'Countdown must be between 0 and 3600 seconds';
+        }
+    }
+    switch (type) {
+        case 'announcement':
+            if (typeof options.message !== 'string' || !options.message.trim()) return 'Announcement message required';
+            if (/[\r\n]/.test(options.message) || options.message.length > 200) return 'Announcement must be a single line of at most 200 characters';
+            break;
+        case 'config_switch': {
+            const settings = options.settings || {};
+            if (typeof settings !== 'object' || Array.isArray(settings)) return 'settings must be an object of { Section: { Key: value } }';
+            for (const [section, values] of Object.entries(settings)) {
+                if (!values || typeof values !== 'object' || Array.isArray(values)) return `settings.${section} must be an object`;
+                for (const [key, value] of Object.entries(values)) {
+                    if (/[\r\n\[\]=]/.test(section + key) || /[\r\n]/.test(String(value))) return `Invalid setting ${section}.${key}`;
+                    const problem = checkSetting(section, key, value);
+                    if (problem) return problem;
+                }
+            }
+            if (options.save !== undefined && (typeof options.save !== 'string' || /[\r\n]/.test(options.save))) return 'save must be a save file path';
+            if (options.save && checkSetting('Server', 'AutoLoadSave', options.save)) return 'save must be the path of a .dat save file';
+            if (!Object.keys(settings).length && !options.save) return 'Config switch needs settings or a save to load';
+            break;
+        }
+    }
+    return null;
 }
 
 async function getSystemStats() {
@@ -403,13 +989,14 @@ async function getSystemStats() {
     });
 }
 
-// Read game events from the mod's event log file
-function readGameEvents(sinceTimestamp = null) {
+// Read game events from an instance's event log file
+function readGameEvents(instance, sinceTimestamp = null) {
     const events = [];
+    const eventLog = instance.config.eventLog;
     try {
-        if (!fs.existsSync(CONFIG.eventLog)) return events;
+        if (!fs.existsSync(eventLog)) return events;
 
-        const content = fs.readFileSync(CONFIG.eventLog, 'utf8');
+        const content = fs.readFileSync(eventLog, 'utf8');
         const lines = content.split('\n').filter(l => l.trim());
 
         for (const line of lines) {
@@ -427,11 +1014,16 @@ function readGameEvents(sinceTimestamp = null) {
     return events;
 }
 
-// Get process-specific metrics for Techtonica
-async function getProcessMetrics() {
+// Get process-specific metrics for an instance's Techtonica
+async function getProcessMetrics(instance) {
+    const game = await findGameProcess(instance.config.winePrefix);
     return new Promise((resolve) => {
-        exec('ps -eo pid,%cpu,%mem,rss,args | grep "Techtonica.exe" | grep -v grep | head -1', (err, stdout) => {
-            const line = stdout.trim();
+        if (!game) {
+            resolve({ cpu: 0, memory: 0, memoryMB: 0, totalMemoryMB: 0 });
+            return;
+        }
+        exec(`ps -o pid=,%cpu=,%mem=,rss= -p ${game.pid}`, (err, stdout) => {
+            const line = (stdout || '').trim();
             if (!line) {
                 resolve({ cpu: 0, memory: 0, memoryMB: 0, totalMemoryMB: 0 });
                 return;
@@ -456,6 +1048,57 @@ async function getProcessMetrics() {
     });
 }
 
+// Record one metrics history sample for an instance
+async function sampleMetrics(instance) {
+    try {
+        const [game, system] = await Promise.all([getProcessMetrics(instance), getSystemStats()]);
+        // The instance may have been removed while we were measuring
+        if (instances.get(instance.id) !== instance) return;
+        instance.metricsHistory.record({
+            up: instance.supervisor.getStatus().state === 'running',
+            cpu: game.cpu,
+            memoryPercent: game.memory,
+            memoryBytes: game.memoryMB * 1024 * 1024,
+            players: instance.playerSessions.online().length,
+            hostLoad: system.cpu.load1,
+            hostMemoryPercent: Number(system.memory.percent)
+        });
+    } catch (err) {
+        console.error(`[Metrics] Sampling ${instance.id} failed:`, err.message);
+    }
+}
+
+// Helper: A system value from getconf, or the fallback where getconf is missing
+function readSystemConstant(name, fallback) {
+    try {
+        const value = parseInt(execFileSync('getconf', [name], { encoding: 'utf8', timeout: 5000 }));
+        return value > 0 ? value : fallback;
+    } catch (err) {
+        return fallback;
+    }
+}
+
+// /proc/<pid>/stat units: clock ticks per second and page size
+const CLOCK_TICKS = readSystemConstant('CLK_TCK', 100);
+const PAGE_SIZE = readSystemConstant('PAGESIZE', 4096);
+
+// CPU time and resident memory of an instance's game process from /proc, or null
+// when it isn't running (or runs where the panel can't see it)
+function getProcessUsage(instance) {
+    const { pid } = instance.supervisor;
+    if (!pid) return null;
+    try {
+        // Fields after the command name, which is in parentheses and may contain spaces
+        const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const ticks = parseInt(fields[11]) + parseInt(fields[12]); // utime + stime
+        const pages = parseInt(fields[21]); // rss
+        return { cpuSeconds: ticks / CLOCK_TICKS, residentBytes: pages * PAGE_SIZE };
+    } catch (err) {
+        return null;
+    }
+}
+
 function formatBytes(bytes) {
     if (bytes === 0) return '0 B';
     const k = 1024;
@@ -477,50 +1120,77 @@ function formatUptime(seconds) {
     return parts.join(' ');
 }
 
-function parseConfig() {
-    try {
-        if (!fs.existsSync(CONFIG.modConfig)) return {};
-        const content = fs.readFileSync(CONFIG.modConfig, 'utf-8');
-        const config = {};
-        let currentSection = '';
-        content.split('\n').forEach(line => {
-            line = line.trim();
-            if (line.startsWith('[') && line.endsWith(']')) {
-                currentSection = line.slice(1, -1);
-                config[currentSection] = {};
-            } else if (line && !line.startsWith('#') && !line.startsWith(';') && line.includes('=')) {
-                const [key, ...valueParts] = line.split('=');
-                const value = valueParts.join('=').trim();
-                if (currentSection) {
-                    config[currentSection][key.trim()] = value;
-                }
-            }
-        });
-        return config;
+// Mod config of an instance as { section: { key: value } }; empty if it cannot be read
+function parseConfig(instance) {
+    if (!instance) throw new Error('parseConfig needs the instance whose mod config to read');
+    try {
+        return instance.modConfig.read().toObject();
     } catch (err) {
         return {};
     }
 }
 
-function saveModConfig(config) {
-    try {
-        let content = `## Settings file was created by plugin Techtonica Dedicated Server\n\n`;
-        for (const section in config) {
-            content += `[${section}]\n\n`;
-            for (const key in config[section]) {
-                content += `${key} = ${config[section][key]}\n`;
-            }
-            content += '\n';
-        }
-        fs.writeFileSync(CONFIG.modConfig, content);
-        return true;
-    } catch (err) {
-        return false;
+// Apply { section: { key: value } } to the mod config, keeping its comments and the
+// settings not mentioned, and record the result as a config version. Edits made
+// outside the panel since the last version are recorded first. Throws ModConfigError
+// if a value is invalid; returns { changed: ["Section.Key"], version } (version is
+// null when nothing changed).
+function saveModConfig(instance, changes, { source = 'panel', userId = null, summary = null } = {}) {
+    const { modConfig, configHistory } = instance;
+    configHistory.capture();
+    const changed = modConfig.update(changes);
+    const version = changed.length
+        ? configHistory.capture({ source, userId, summary: `${summary ? `${summary}: changed` : 'Changed'} ${changed.join(', ')}` })
+        : null;
+    return { changed, version };
+}
+
+// Helper: Audit details for a config write
+function describeConfigUpdate({ changed, version }) {
+    const versionText = version ? ` (version ${version.id})` : '';
+    return `Server configuration updated${versionText}${changed && changed.length ? `: ${changed.join(', ')}` : ''}`;
+}
+
+// Helper: Send a mod config error (400 with the validation problems)
+function configErrorResponse(res, err) {
+    if (err instanceof ModConfigError) {
+        return res.status(err.status).json({ error: err.message, problems: err.problems });
+    }
+    if (err instanceof ConfigHistoryError) {
+        return res.status(err.status).json({ error: err.message });
     }
+    console.error('Mod config update failed:', err);
+    res.status(500).json({ error: err.message });
 }
 
 // Routes
 
+// Routes of one game server instance: /api/instances/<id>/server/status is
+// /api/server/status for that instance. Without the prefix they are the default
+// instance's, as they were before there were instances.
+const INSTANCE_ROUTE = /^\/api\/(server|status|metrics|players|bans|logs|config|profiles|backups|schedules|saves|events)(\/|\?|$)/;
+app.use((req, res, next) => {
+    const match = req.url.match(/^\/api\/instances\/([^/?]+)(\/.*)$/);
+    const url = match ? `/api${match[2]}` : req.url;
+    if (!INSTANCE_ROUTE.test(url)) return next();
+
+    let id = DEFAULT_INSTANCE;
+    if (match) {
+        try {
+            id = decodeURIComponent(match[1]);
+        } catch (err) {
+            id = null; // Malformed escapes name no instance
+        }
+    }
+    const instance = id === null ? null : instances.get(id);
+    if (!instance) {
+        return res.status(404).json({ error: 'Instance not found' });
+    }
+    req.url = url;
+    req.instance = instance;
+    next();
+});
+
 // Login page
 app.get('/login', (req, res) => {
     if (req.session.userId) {
@@ -530,13 +1200,18 @@ app.get('/login', (req, res) => {
 });
 
 // Discord OAuth Login - initiate
-app.get('/auth/discord', passport.authenticate('discord'));
+app.get('/auth/discord', (req, res, next) => {
+    if (!DISCORD_ENABLED) {
+        return res.redirect(CONFIG.basePath + '/login?error=discord_disabled');
+    }
+    passport.authenticate('discord')(req, res, next);
+});
 
 // Discord OAuth Callback - handle both login and linking
 app.get('/auth/discord/callback', async (req, res) => {
     const { code, state } = req.query;
 
-    if (!code) {
+    if (!DISCORD_ENABLED || !code) {
         return res.redirect(CONFIG.basePath + '/login?error=discord_failed');
     }
 
@@ -631,6 +1306,9 @@ app.get('/auth/discord/callback', async (req, res) => {
 
 // Discord OAuth Link (for logged-in users to link their account)
 app.get('/auth/discord/link', requireAuth, (req, res) => {
+    if (!DISCORD_ENABLED) {
+        return res.redirect(CONFIG.basePath + '/?error=discord_disabled');
+    }
     console.log('[Discord Link] User', req.session.userId, 'starting link flow');
     // Store linking info in memory map
     const linkToken = crypto.randomBytes(16).toString('hex');
@@ -882,17 +1560,16 @@ app.post('/api/auth/link-discord', requireAuth, async (req, res) => {
 
 // API: Server status
 app.get('/api/server/status', requireAuth, async (req, res) => {
-    const serverStatus = await checkServerRunning();
+    const { supervisor } = req.instance;
+    const serverStatus = supervisor.getStatus();
     const systemStats = await getSystemStats();
-    const config = parseConfig();
+    const config = parseConfig(req.instance);
 
     res.json({
         server: {
-            running: serverStatus.running,
-            pid: serverStatus.pid,
-            uptime: serverStatus.uptime,
+            ...serverStatus,
             uptimeFormatted: formatUptime(serverStatus.uptime),
-            address: 'techtonica.certifriedmultitool.com:6968'
+            address: req.instance.config.publicAddress
         },
         system: {
             memory: { ...systemStats.memory, totalFormatted: formatBytes(systemStats.memory.total), usedFormatted: formatBytes(systemStats.memory.used) },
@@ -905,67 +1582,64 @@ app.get('/api/server/status', requireAuth, async (req, res) => {
 
 // API: Simple status endpoint for dashboard
 app.get('/api/status', requireAuth, async (req, res) => {
-    const serverStatus = await checkServerRunning();
-    const config = parseConfig();
+    const { supervisor } = req.instance;
+    const serverStatus = supervisor.getStatus();
+    const config = parseConfig(req.instance);
 
     res.json({
-        status: serverStatus.running ? 'running' : 'stopped',
+        status: serverStatus.state,
         uptime: serverStatus.uptime,
-        serverAddress: 'techtonica.certifriedmultitool.com:6968',
+        nextRestartAt: serverStatus.nextRestartAt,
+        serverAddress: req.instance.config.publicAddress,
+        gamePort: req.instance.config.gamePort,
         config
     });
 });
 
 // API: Process metrics for performance charts
 app.get('/api/metrics', requireAuth, async (req, res) => {
-    const metrics = await getProcessMetrics();
+    const metrics = await getProcessMetrics(req.instance);
     res.json(metrics);
 });
 
-// API: Get players (parse from game events)
-app.get('/api/players', requireAuth, (req, res) => {
-    const players = [];
-    const playerMap = new Map(); // connectionId -> player info
-
+// API: Sampled metrics between ?from= and ?to= (default: the last day) at
+// ?resolution= raw, 5m, 1h or auto (the finest that keeps the chart readable)
+app.get('/api/metrics/history', requireAuth, (req, res) => {
+    const range = parseRange(req.query, 1);
+    if (range.error) {
+        return res.status(400).json({ error: range.error });
+    }
     try {
-        // Read all events and track connect/disconnect
-        const events = readGameEvents();
-
-        for (const event of events) {
-            if (event.type === 'player_connect') {
-                playerMap.set(event.connectionId, {
-                    connectionId: event.connectionId,
-                    name: `Player_${event.connectionId}`,
-                    address: event.address,
-                    connectedAt: event.timestamp
-                });
-            } else if (event.type === 'player_identified') {
-                const player = playerMap.get(event.connectionId);
-                if (player) {
-                    player.name = event.name;
-                }
-            } else if (event.type === 'player_disconnect') {
-                playerMap.delete(event.connectionId);
-            } else if (event.type === 'server_stop') {
-                // Clear all players on server stop
-                playerMap.clear();
-            }
+        res.json(req.instance.metricsHistory.query({ ...range, resolution: String(req.query.resolution || 'auto') }));
+    } catch (err) {
+        if (err instanceof MetricsHistoryError) {
+            return res.status(err.status).json({ error: err.message });
         }
+        console.error('Error reading metrics history:', err);
+        res.status(500).json({ error: err.message });
+    }
+});
 
-        // Convert to array
-        for (const [id, player] of playerMap) {
-            const connectedAt = new Date(player.connectedAt);
-            const now = new Date();
-            const duration = Math.floor((now - connectedAt) / 1000);
-            const minutes = Math.floor(duration / 60);
-            const seconds = duration % 60;
-
-            players.push({
-                ...player,
-                connectedTime: `${minutes}m ${seconds}s`
-            });
-        }
+// API: Get players (parse from game events)
+// Currently connected players (open sessions)
+function getOnlinePlayers(instance) {
+    return instance.playerSessions.online().map(session => {
+        const minutes = Math.floor(session.durationSeconds / 60);
+        const seconds = session.durationSeconds % 60;
+        return {
+            connectionId: session.connectionId,
+            name: session.name || `Player_${session.connectionId}`,
+            identified: Boolean(session.name),
+            address: session.address,
+            connectedAt: session.connectedAt,
+            connectedTime: `${minutes}m ${seconds}s`
+        };
+    });
+}
 
+app.get('/api/players', requireAuth, (req, res) => {
+    try {
+        const players = getOnlinePlayers(req.instance);
         res.json({ players, count: players.length });
     } catch (err) {
         console.error('Error getting players:', err);
@@ -973,290 +1647,1187 @@ app.get('/api/players', requireAuth, (req, res) => {
     }
 });
 
-// API: Simple logs endpoint for dashboard
-app.get('/api/logs', requireAuth, (req, res) => {
-    const type = req.query.type || 'bepinex';
-    const lines = parseInt(req.query.lines) || 200;
-
-    let logFile;
-    switch(type) {
-        case 'debug': logFile = CONFIG.debugLog; break;
-        case 'game': logFile = CONFIG.gameLog; break;
-        case 'bepinex':
-        default: logFile = CONFIG.bepinexLog; break;
+// Date range from ?from=&to= (ISO dates); defaults to the last `defaultDays` days
+function parseRange(query, defaultDays = 30) {
+    const to = query.to ? new Date(query.to) : new Date();
+    const from = query.from ? new Date(query.from) : new Date(to.getTime() - defaultDays * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+        return { error: 'from and to must be valid dates' };
     }
+    if (from >= to) {
+        return { error: 'from must be before to' };
+    }
+    if (to - from > 366 * 24 * 60 * 60 * 1000) {
+        return { error: 'Range can be at most 366 days' };
+    }
+    return { from, to };
+}
 
-    exec(`tail -n ${lines} "${logFile}" 2>/dev/null || echo "Log file not found"`, (err, stdout) => {
+function parsePaging(query, defaultLimit = 50) {
+    const limit = Math.min(Math.max(parseInt(query.limit) || defaultLimit, 1), 500);
+    const offset = Math.max(parseInt(query.offset) || 0, 0);
+    return { limit, offset };
+}
+
+// API: Everyone who has played, with total playtime and first/last seen
+app.get('/api/players/history', requireAuth, requirePermission('players.view'), (req, res) => {
+    const { playerSessions } = req.instance;
+    const { limit, offset } = parsePaging(req.query);
+    const search = String(req.query.search || '').trim();
+    res.json(playerSessions.players({ search, sort: req.query.sort, limit, offset }));
+});
+
+// API: One player's totals and recent sessions
+app.get('/api/players/history/:name', requireAuth, requirePermission('players.view'), (req, res) => {
+    const { playerSessions } = req.instance;
+    const { limit } = parsePaging(req.query);
+    const player = playerSessions.player(req.params.name, { limit });
+    if (!player) {
+        return res.status(404).json({ error: 'Player not found' });
+    }
+    res.json({ player });
+});
+
+// API: Sessions overlapping a date range, optionally for one player
+app.get('/api/players/sessions', requireAuth, requirePermission('players.view'), (req, res) => {
+    const { playerSessions } = req.instance;
+    const { from, to, error } = parseRange(req.query, 7);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const { limit, offset } = parsePaging(req.query, 100);
+    res.json(playerSessions.sessions({ from, to, player: req.query.player || null, limit, offset }));
+});
+
+// API: Unique players, peak concurrency and playtime over a date range
+app.get('/api/players/stats', requireAuth, requirePermission('players.view'), (req, res) => {
+    const { playerSessions } = req.instance;
+    const { from, to, error } = parseRange(req.query, 30);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    res.json(playerSessions.stats({ from, to }));
+});
+
+// Ban duration in minutes from the request body; null means permanent
+function parseBanDuration(body) {
+    const value = body.duration;
+    if (value === undefined || value === null || value === '' || value === 0 || value === '0') {
+        return { duration: null };
+    }
+    const duration = Number(value);
+    if (!Number.isInteger(duration) || duration < 1 || duration > 10 * 365 * 24 * 60) {
+        return { error: 'Duration must be a whole number of minutes (omit for a permanent ban)' };
+    }
+    return { duration };
+}
+
+function describeBan(ban) {
+    const who = [ban.playerName, ban.address].filter(Boolean).join(' / ');
+    const length = ban.permanent ? 'permanently' : `until ${ban.expiresAt}`;
+    return `${who} banned ${length}${ban.reason ? `: ${ban.reason}` : ''}`;
+}
+
+// Disconnect a player through the mod; resolves to the command result
+async function kickConnection(instance, connectionId) {
+    if (!instance.supervisor.isActive()) {
+        return { status: 'not_running', output: [] };
+    }
+    return instance.gameCommands.execute(`ds.kick ${connectionId}`);
+}
+
+// Kick everyone online who matches a ban; returns the names that were kicked
+async function kickBannedPlayers(instance, ban) {
+    const kicked = [];
+    for (const player of getOnlinePlayers(instance)) {
+        const nameMatch = ban.playerName && player.identified && player.name.toLowerCase() === ban.playerName.toLowerCase();
+        const addressMatch = ban.address && player.address === ban.address;
+        if (nameMatch || addressMatch) {
+            const result = await kickConnection(instance, player.connectionId);
+            if (result.status === 'ok') kicked.push(player.name);
+        }
+    }
+    return kicked;
+}
+
+function findOnlinePlayer(instance, connectionId) {
+    return getOnlinePlayers(instance).find(p => String(p.connectionId) === String(connectionId));
+}
+
+// API: Kick an online player
+app.post('/api/players/:connectionId/kick', requireAuth, requirePermission('players.kick'), async (req, res) => {
+    const player = findOnlinePlayer(req.instance, req.params.connectionId);
+    if (!player) {
+        return res.status(404).json({ error: 'Player is not online' });
+    }
+    const reason = String(req.body.reason || '').trim();
+
+    const result = await kickConnection(req.instance, player.connectionId);
+    if (result.status !== 'ok') {
+        return res.status(result.status === 'not_running' ? 409 : 502).json({ error: `Kick failed (${result.status})`, output: result.output });
+    }
+
+    auditLog(req.user.id, 'player_kick', `${player.name} (${player.address})${reason ? `: ${reason}` : ''}`, req.ip, req.instance);
+    res.json({ success: true, player: player.name });
+});
+
+// API: Ban an online player by name and address, then kick them
+app.post('/api/players/:connectionId/ban', requireAuth, requirePermission('players.ban'), async (req, res) => {
+    const { bans } = req.instance;
+    const player = findOnlinePlayer(req.instance, req.params.connectionId);
+    if (!player) {
+        return res.status(404).json({ error: 'Player is not online' });
+    }
+    const { duration, error } = parseBanDuration(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    let ban;
+    try {
+        ban = bans.add({
+            // Placeholder names (Player_<id>) are not worth banning
+            playerName: player.identified ? player.name : null,
+            address: player.address,
+            reason: req.body.reason,
+            durationMinutes: duration,
+            issuedBy: req.user.id
+        });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    auditLog(req.user.id, 'player_ban', describeBan(ban), req.ip, req.instance);
+    const result = await kickConnection(req.instance, player.connectionId);
+    res.json({ success: true, ban, kicked: result.status === 'ok' });
+});
+
+// API: List bans (active only unless ?all=1)
+app.get('/api/bans', requireAuth, requirePermission('players.kick'), (req, res) => {
+    const { bans } = req.instance;
+    res.json({ bans: bans.list({ includeInactive: req.query.all === '1' }) });
+});
+
+// API: Ban a player by name and/or address (whether or not they are online)
+app.post('/api/bans', requireAuth, requirePermission('players.ban'), async (req, res) => {
+    const { bans } = req.instance;
+    const { duration, error } = parseBanDuration(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    let ban;
+    try {
+        ban = bans.add({
+            playerName: req.body.playerName,
+            address: req.body.address,
+            reason: req.body.reason,
+            durationMinutes: duration,
+            issuedBy: req.user.id
+        });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    auditLog(req.user.id, 'player_ban', describeBan(ban), req.ip, req.instance);
+    const kicked = await kickBannedPlayers(req.instance, ban);
+    res.json({ success: true, ban, kicked });
+});
+
+// API: Lift a ban
+app.delete('/api/bans/:id', requireAuth, requirePermission('players.ban'), (req, res) => {
+    const { bans } = req.instance;
+    const ban = bans.get(req.params.id);
+    if (!ban) {
+        return res.status(404).json({ error: 'Ban not found' });
+    }
+    if (!bans.revoke(ban.id, req.user.id)) {
+        return res.status(409).json({ error: 'Ban is no longer active' });
+    }
+    auditLog(req.user.id, 'player_unban', [ban.playerName, ban.address].filter(Boolean).join(' / '), req.ip, req.instance);
+    res.json({ success: true });
+});
+
+// API: Simple logs endpoint for dashboard
+app.get('/api/logs', requireAuth, (req, res) => {
+    const type = req.query.type || 'bepinex';
+    const lines = parseInt(req.query.lines) || 200;
+
+    let logFile;
+    switch(type) {
+        case 'debug': logFile = req.instance.config.debugLog; break;
+        case 'game': logFile = req.instance.config.gameLog; break;
+        case 'bepinex':
+        default: logFile = req.instance.config.bepinexLog; break;
+    }
+
+    exec(`tail -n ${lines} "${logFile}" 2>/dev/null || echo "Log file not found"`, (err, stdout) => {
         const logLines = stdout.split('\n').filter(l => l.trim());
         res.json({ logs: logLines });
     });
 });
 
 // API: Simple config save for dashboard
-app.post('/api/config', requireAuth, (req, res) => {
+app.post('/api/config', requireAuth, requirePermission('server.config'), (req, res) => {
     const config = req.body;
     if (!config) {
         return res.status(400).json({ error: 'Config required' });
     }
-    if (saveModConfig(config)) {
-        auditLog(req.user.id, 'config_update', 'Server configuration updated', req.ip);
-        res.json({ success: true });
-    } else {
-        res.status(500).json({ error: 'Failed to save config' });
+    try {
+        const result = saveModConfig(req.instance, config, { source: 'dashboard', userId: req.user.id });
+        if (result.version) {
+            auditLog(req.user.id, 'config_update', describeConfigUpdate(result), req.ip, req.instance);
+        }
+        res.json({ success: true, changed: result.changed, version: result.version });
+    } catch (err) {
+        configErrorResponse(res, err);
     }
 });
 
+// Helper: Force the mod config into headless auto-start mode before launching
+function applyAutoStartConfig(instance, savePath, { source = 'auto_start', userId = null } = {}) {
+    // Also the last check before a restart starts the game: a restore may have begun during its stop
+    if (instance.backupManager.restoring) {
+        throw new Error('A backup is being restored');
+    }
+    // Every instance, the default one included, listens on its own port and talks to the panel through its own files
+    const server = { AutoStartServer: true, HeadlessMode: true, AutoLoadSlot: -1, Port: instance.config.gamePort };
+    const changes = {
+        Server: server,
+        General: { EnableDirectConnect: true },
+        Admin: { CommandDirectory: instance.config.commandDir, BanFile: instance.config.banFile, EventLog: instance.config.eventLog }
+    };
+
+    // Set save path if provided
+    if (savePath) {
+        server.AutoLoadSave = savePath;
+    }
+
+    saveModConfig(instance, changes, { source, userId });
+}
+
 // API: Start server
 app.post('/api/server/start', requireAuth, requirePermission('server.start'), async (req, res) => {
-    const serverStatus = await checkServerRunning();
-
-    if (serverStatus.running) {
-        return res.status(400).json({ error: 'Server is already running' });
+    const { supervisor, backupManager } = req.instance;
+    if (supervisor.isActive()) {
+        return res.status(400).json({ error: `Server is already ${supervisor.state}` });
+    }
+    if (backupManager.restoring) {
+        return res.status(409).json({ error: 'A backup is being restored' });
     }
 
     // Get save path from request or use configured default
     const { savePath } = req.body || {};
 
-    const config = parseConfig();
-    config['Server'] = config['Server'] || {};
-    config['Server']['AutoStartServer'] = 'true';
-    config['Server']['HeadlessMode'] = 'true';
-    config['Server']['AutoLoadSlot'] = '-1';
-    config['General'] = config['General'] || {};
-    config['General']['EnableDirectConnect'] = 'true';
+    try {
+        applyAutoStartConfig(req.instance, savePath, { userId: req.user.id });
+    } catch (err) {
+        return configErrorResponse(res, err);
+    }
 
-    // Set save path if provided
-    if (savePath) {
-        config['Server']['AutoLoadSave'] = savePath;
+    try {
+        supervisor.start({ reason: `started by ${req.user.username}` });
+    } catch (err) {
+        auditLog(req.user.id, 'server_start_failed', err.message, req.ip, req.instance);
+        return res.status(500).json({ error: 'Failed to start server' });
     }
 
-    saveModConfig(config);
+    auditLog(req.user.id, 'server_start', `Server started${savePath ? ' with save: ' + savePath : ''}`, req.ip, req.instance);
+    const config = parseConfig(req.instance);
+    const serverAddress = config['Server']?.PublicAddress || req.instance.config.publicAddress;
+    const webhookData = { user: req.user.username, 'Connect Address': serverAddress };
+    if (savePath) webhookData.savePath = savePath;
+    triggerWebhook('server_start', webhookData, req.instance);
+    res.json({ success: true, state: supervisor.state, message: 'Server starting... Auto-load may take a few minutes.' });
+});
+
+// Helper: Read stop options shared by stop and restart
+function parseStopOptions(body = {}) {
+    const countdown = body.countdown === undefined ? CONFIG.shutdown.defaultCountdown : parseInt(body.countdown);
+    if (!Number.isInteger(countdown) || countdown < 0 || countdown > 3600) {
+        return { error: 'Countdown must be between 0 and 3600 seconds' };
+    }
+    const flag = value => value === true || value === 'true';
+    return { countdown, force: flag(body.force), forceUnsaved: flag(body.forceUnsaved) };
+}
+
+// API: Stop server (runs in the background; phases are pushed via Socket.IO 'shutdownPhase')
+app.post('/api/server/stop', requireAuth, requirePermission('server.stop'), async (req, res) => {
+    const { supervisor } = req.instance;
+    if (!supervisor.isActive() && supervisor.state !== 'crashed') {
+        return res.status(400).json({ error: 'Server is not running' });
+    }
+    if (supervisor.state === 'stopping') {
+        return res.status(409).json({ error: 'Server is already stopping' });
+    }
 
-    // Clear debug log for fresh start
-    try { fs.writeFileSync(CONFIG.debugLog, ''); } catch(e) {}
+    const { countdown, force, forceUnsaved, error } = parseStopOptions(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-    const startScript = `
-        cd ${CONFIG.gameDir} &&
-        WINEPREFIX=${CONFIG.winePrefix} \\
-        WINEDLLOVERRIDES="winhttp=n,b" \\
-        DISPLAY=${CONFIG.display} \\
-        wine Techtonica.exe -batchmode -logfile ${CONFIG.gameLog} > /home/death/techtonica-server/wine-output.log 2>&1 &
-    `;
+    auditLog(req.user.id, 'server_stop_requested', `Stop requested${force ? ' (force)' : forceUnsaved ? ' (even without a confirmed save)' : ''}${countdown ? ` with ${countdown}s countdown` : ''}`, req.ip, req.instance);
 
-    exec(startScript, (err) => {
-        if (err) {
-            auditLog(req.user.id, 'server_start_failed', err.message, req.ip);
+    supervisor.stop({ reason: `stopped by ${req.user.username}`, countdown, force, forceUnsaved }).then((result) => {
+        if (result.aborted) {
+            auditLog(req.user.id, 'server_stop_aborted', `Stop abandoned: ${result.reason}`, req.ip, req.instance);
+            return;
+        }
+        if (result.cancelled) return;
+        auditLog(req.user.id, 'server_stop', 'Server stopped', req.ip, req.instance);
+        triggerWebhook('server_stop', { user: req.user.username }, req.instance);
+    }).catch((err) => {
+        auditLog(req.user.id, 'server_stop_failed', err.message, req.ip, req.instance);
+    });
+
+    res.status(202).json({ success: true, state: 'stopping', countdown, message: countdown ? `Server stopping in ${countdown}s` : 'Server stopping...' });
+});
+
+// API: Cancel a pending stop/restart countdown
+app.post('/api/server/stop/cancel', requireAuth, requirePermission('server.stop'), (req, res) => {
+    const { supervisor, gameCommands } = req.instance;
+    if (!supervisor.cancelStop()) {
+        return res.status(400).json({ error: 'No stop countdown in progress' });
+    }
+    gameCommands.say('Scheduled shutdown cancelled');
+    auditLog(req.user.id, 'server_stop_cancelled', 'Stop countdown cancelled', req.ip, req.instance);
+    res.json({ success: true });
+});
+
+// API: Restart server (runs in the background like stop)
+app.post('/api/server/restart', requireAuth, requirePermission('server.restart'), async (req, res) => {
+    const { supervisor, backupManager } = req.instance;
+    if (supervisor.state === 'stopping') {
+        return res.status(409).json({ error: 'Server is already stopping' });
+    }
+    if (backupManager.restoring) {
+        return res.status(409).json({ error: 'A backup is being restored' });
+    }
+
+    const { countdown, force, forceUnsaved, error } = parseStopOptions(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    // A stopped server has nothing to stop, so restart() starts it straight away
+    const coldStart = !supervisor.pid && supervisor.state === 'stopped';
+    supervisor.restart({ reason: `restarted by ${req.user.username}`, countdown, force, forceUnsaved, beforeStart: () => applyAutoStartConfig(req.instance, null, { userId: req.user.id }) }).then((result) => {
+        if (result.aborted) {
+            auditLog(req.user.id, 'server_restart_aborted', `Restart abandoned: ${result.reason}`, req.ip, req.instance);
+            return;
+        }
+        if (result.cancelled) return;
+        auditLog(req.user.id, 'server_restart', 'Server restarted', req.ip, req.instance);
+        const config = parseConfig(req.instance);
+        const serverAddress = config['Server']?.PublicAddress || req.instance.config.publicAddress;
+        triggerWebhook('server_restart', { user: req.user.username, 'Connect Address': serverAddress }, req.instance);
+    }).catch((err) => {
+        auditLog(req.user.id, 'server_restart_failed', err.message, req.ip, req.instance);
+    });
+
+    if (coldStart) {
+        if (supervisor.state === 'stopped') {
             return res.status(500).json({ error: 'Failed to start server' });
         }
-        auditLog(req.user.id, 'server_start', `Server started${savePath ? ' with save: ' + savePath : ''}`, req.ip);
-        const config = parseConfig();
-        const serverAddress = config['Server']?.PublicAddress || 'certifriedmultitool.com:6968';
-        const webhookData = { user: req.user.username, 'Connect Address': serverAddress };
-        if (savePath) webhookData.savePath = savePath;
-        triggerWebhook('server_start', webhookData);
-        res.json({ success: true, message: 'Server starting... Auto-load may take a few minutes.' });
+        return res.status(202).json({ success: true, state: supervisor.state, message: 'Server was not running; starting it... Auto-load may take a few minutes.' });
+    }
+    res.status(202).json({ success: true, state: 'stopping', countdown, message: 'Server restarting... Auto-load may take a few minutes.' });
+});
+
+// API: ds.* commands the current user may run
+app.get('/api/server/commands', requireAuth, requirePermission('server.console'), (req, res) => {
+    const commands = Object.keys(COMMAND_PERMISSIONS).filter(cmd => userCan(req, COMMAND_PERMISSIONS[cmd]));
+    res.json({ commands });
+});
+
+// API: Run a ds.* command in the game and wait for its output
+app.post('/api/server/command', requireAuth, requirePermission('server.console'), async (req, res) => {
+    const { supervisor, gameCommands } = req.instance;
+    const command = String(req.body.command || '').replace(/[\r\n]+/g, ' ').trim();
+    if (!command) {
+        return res.status(400).json({ error: 'Command required' });
+    }
+    if (command.length > 500) {
+        return res.status(400).json({ error: 'Command too long' });
+    }
+
+    const name = command.split(/\s+/)[0].toLowerCase();
+    const permission = COMMAND_PERMISSIONS[name];
+    if (!permission) {
+        auditLog(req.user.id, 'server_command_denied', `${command} (not allowed from the panel)`, req.ip, req.instance);
+        return res.status(400).json({ error: `Unknown or unsupported command: ${name}` });
+    }
+    if (!userCan(req, permission)) {
+        auditLog(req.user.id, 'server_command_denied', `${command} (requires ${permission})`, req.ip, req.instance);
+        return res.status(403).json({ error: `Permission denied: ${name} requires ${permission}` });
+    }
+    if (!supervisor.isActive()) {
+        return res.status(409).json({ error: 'Server is not running' });
+    }
+
+    try {
+        const result = await gameCommands.execute(command);
+        auditLog(req.user.id, 'server_command', `${command} [${result.status}]`, req.ip, req.instance);
+        res.json({ success: result.status === 'ok', ...result });
+    } catch (err) {
+        auditLog(req.user.id, 'server_command', `${command} [failed: ${err.message}]`, req.ip, req.instance);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// API: Get console logs
+app.get('/api/server/logs', requireAuth, requirePermission('server.console'), (req, res) => {
+    const logFile = req.query.type === 'bepinex' ? req.instance.config.bepinexLog : req.instance.config.gameLog;
+    const lines = parseInt(req.query.lines) || 100;
+
+    exec(`tail -n ${lines} "${logFile}" 2>/dev/null || echo "Log file not found"`, (err, stdout) => {
+        res.json({ logs: stdout });
     });
 });
 
-// Helper: Force kill all server processes
-async function killServerProcesses() {
-    return new Promise((resolve) => {
-        // Kill all Techtonica.exe processes forcefully
-        exec(`pkill -9 -f "Techtonica.exe" 2>/dev/null; sleep 1; pkill -9 -f "wineserver" 2>/dev/null`, (err) => {
-            // Wait for port to be released
-            const checkPort = () => {
-                exec('ss -ulnp | grep 6968', (err, stdout) => {
-                    if (!stdout.trim()) {
-                        resolve(true);
-                    } else {
-                        setTimeout(checkPort, 500);
-                    }
-                });
-            };
-            setTimeout(checkPort, 1000);
-        });
+// API: Get server config: the raw file, its settings, the mod's settings schema and
+// any problems with the current values
+app.get('/api/server/config', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { modConfig } = req.instance;
+    if (!modConfig.exists()) {
+        return res.json({ config: null, settings: {}, schema: MOD_CONFIG_SCHEMA, problems: [] });
+    }
+    const doc = modConfig.read();
+    res.json({ config: doc.toString(), settings: doc.toObject(), schema: MOD_CONFIG_SCHEMA, problems: doc.validate() });
+});
+
+// API: Check raw config text without saving it { config }
+app.post('/api/server/config/validate', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { config } = req.body;
+    if (typeof config !== 'string') {
+        return res.status(400).json({ error: 'Config required' });
+    }
+    const problems = new BepInExConfig(config).validate();
+    res.json({ valid: !problems.some(problem => problem.severity === 'error'), problems });
+});
+
+// API: Save server config: raw text { config } replaces the file, or settings
+// { settings: { section: { key: value } } } are changed in place. Nothing is written
+// if a value is invalid (400 with problems).
+app.post('/api/server/config', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { modConfig, configHistory } = req.instance;
+    const { config, settings } = req.body;
+    if (!config && !settings) {
+        return res.status(400).json({ error: 'Config required' });
+    }
+    try {
+        if (settings) {
+            const result = saveModConfig(req.instance, settings, { source: 'api', userId: req.user.id });
+            if (result.version) {
+                auditLog(req.user.id, 'config_update', describeConfigUpdate(result), req.ip, req.instance);
+            }
+            return res.json({ success: true, changed: result.changed, version: result.version });
+        }
+        configHistory.capture();
+        const problems = modConfig.replace(config);
+        const version = configHistory.capture({ source: 'editor', userId: req.user.id, summary: 'Edited the config file' });
+        if (version) {
+            auditLog(req.user.id, 'config_update', describeConfigUpdate({ version }), req.ip, req.instance);
+        }
+        res.json({ success: true, problems, version });
+    } catch (err) {
+        configErrorResponse(res, err);
+    }
+});
+
+// API: Mod config versions, newest first
+app.get('/api/server/config/versions', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { configHistory } = req.instance;
+    try {
+        configHistory.capture();
+    } catch (err) {
+        console.error('[Config] Could not record the mod config:', err.message);
+    }
+    res.json({ versions: configHistory.list(), keepVersions: configHistory.keepVersions });
+});
+
+// API: One config version with its full text
+app.get('/api/server/config/versions/:id', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { configHistory } = req.instance;
+    try {
+        res.json({ version: configHistory.get(parseInt(req.params.id)) });
+    } catch (err) {
+        configErrorResponse(res, err);
+    }
+});
+
+// API: Diff two config versions (?from=<id>&to=<id>|current; to defaults to the file on disk)
+app.get('/api/server/config/diff', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { configHistory } = req.instance;
+    const parseId = value => (value === undefined || value === 'current' ? 'current' : parseInt(value));
+    const from = parseId(req.query.from);
+    const to = parseId(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to) || from === 'current' && to === 'current') {
+        return res.status(400).json({ error: 'from must be a version id; to a version id or "current"' });
+    }
+    try {
+        res.json(configHistory.diff(from, to));
+    } catch (err) {
+        configErrorResponse(res, err);
+    }
+});
+
+// API: Roll the mod config back to a version (recorded as a new version)
+app.post('/api/server/config/versions/:id/rollback', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { supervisor, configHistory } = req.instance;
+    const id = parseInt(req.params.id);
+    try {
+        const version = configHistory.rollback(id, { userId: req.user.id });
+        auditLog(req.user.id, 'config_rollback', `Server configuration rolled back to version ${id} (now version ${version.id})`, req.ip, req.instance);
+        res.json({ success: true, version, restartRequired: supervisor.isActive() });
+    } catch (err) {
+        configErrorResponse(res, err);
+    }
+});
+
+// Helper: Send a profile error
+function profileErrorResponse(res, err) {
+    if (err instanceof ProfileError) return res.status(err.status).json({ error: err.message });
+    configErrorResponse(res, err);
+}
+
+// Helper: The current mod config as profile settings (the active save and the
+// panel's own Admin paths are left out)
+function currentProfileSettings(instance) {
+    const config = parseConfig(instance);
+    const settings = {};
+    for (const field of MOD_CONFIG_SCHEMA) {
+        if (field.section === 'Admin' || field.key === 'AutoLoadSave') continue;
+        const value = config[field.section]?.[field.key];
+        if (value === undefined) continue;
+        settings[field.section] = { ...(settings[field.section] || {}), [field.key]: value };
+    }
+    return { settings, save: config['Server']?.AutoLoadSave || null };
+}
+
+// API: List server profiles
+app.get('/api/profiles', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { profileManager } = req.instance;
+    res.json({ profiles: profileManager.list() });
+});
+
+// API: Create a profile { name, description?, settings?, save?, launch?: { args, env } },
+// or { name, fromCurrent: true } to capture the current config and active save
+app.post('/api/profiles', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { profileManager } = req.instance;
+    const data = req.body.fromCurrent ? { ...currentProfileSettings(req.instance), ...req.body } : req.body;
+    try {
+        const profile = profileManager.create(data, req.user.id);
+        auditLog(req.user.id, 'profile_create', `Created profile "${profile.name}"`, req.ip, req.instance);
+        res.status(201).json({ success: true, profile });
+    } catch (err) {
+        profileErrorResponse(res, err);
+    }
+});
+
+// API: One profile
+app.get('/api/profiles/:id', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { profileManager } = req.instance;
+    try {
+        res.json({ profile: profileManager.get(parseInt(req.params.id)) });
+    } catch (err) {
+        profileErrorResponse(res, err);
+    }
+});
+
+// API: Update a profile (fields not given are kept)
+app.put('/api/profiles/:id', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { profileManager } = req.instance;
+    try {
+        const profile = profileManager.update(parseInt(req.params.id), req.body);
+        auditLog(req.user.id, 'profile_update', `Updated profile "${profile.name}"${profile.active ? ' (active; applies on next activation)' : ''}`, req.ip, req.instance);
+        res.json({ success: true, profile });
+    } catch (err) {
+        profileErrorResponse(res, err);
+    }
+});
+
+// API: Copy a profile under a new name { name }
+app.post('/api/profiles/:id/clone', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { profileManager } = req.instance;
+    try {
+        const profile = profileManager.clone(parseInt(req.params.id), req.body.name, req.user.id);
+        auditLog(req.user.id, 'profile_create', `Cloned profile "${profile.name}"`, req.ip, req.instance);
+        res.status(201).json({ success: true, profile });
+    } catch (err) {
+        profileErrorResponse(res, err);
+    }
+});
+
+// API: Delete a profile
+app.delete('/api/profiles/:id', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { profileManager } = req.instance;
+    try {
+        const profile = profileManager.get(parseInt(req.params.id));
+        profileManager.remove(profile.id);
+        auditLog(req.user.id, 'profile_delete', `Deleted profile "${profile.name}"`, req.ip, req.instance);
+        res.json({ success: true });
+    } catch (err) {
+        profileErrorResponse(res, err);
+    }
+});
+
+// API: Activate a profile { restart?, countdown?, force? }. Its values are written to
+// the mod config now; with restart the server is (re)started in the background so
+// they take effect.
+app.post('/api/profiles/:id/activate', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { supervisor, backupManager, profileManager } = req.instance;
+    const restart = req.body.restart === true || req.body.restart === 'true';
+    let stopOptions = {};
+    if (restart) {
+        if (!userCan(req, 'server.restart')) {
+            return res.status(403).json({ error: 'Permission denied' });
+        }
+        if (supervisor.state === 'stopping') {
+            return res.status(409).json({ error: 'Server is already stopping' });
+        }
+        if (backupManager.restoring) {
+            return res.status(409).json({ error: 'A backup is being restored' });
+        }
+        stopOptions = parseStopOptions(req.body);
+        if (stopOptions.error) {
+            return res.status(400).json({ error: stopOptions.error });
+        }
+    }
+
+    let profile;
+    try {
+        profile = profileManager.activate(parseInt(req.params.id), { userId: req.user.id });
+    } catch (err) {
+        return profileErrorResponse(res, err);
+    }
+    auditLog(req.user.id, 'profile_activate', `Activated profile "${profile.name}"${restart ? ' with restart' : ''}`, req.ip, req.instance);
+    emitToInstance(req.instance, 'profileActivated', { profile, user: req.user.username });
+    if (!restart) {
+        return res.json({ success: true, profile, restartRequired: supervisor.isActive() });
+    }
+
+    const { countdown, force, forceUnsaved } = stopOptions;
+    const coldStart = !supervisor.pid && supervisor.state === 'stopped';
+    supervisor.restart({
+        reason: `profile "${profile.name}" activated by ${req.user.username}`,
+        countdown,
+        force,
+        forceUnsaved,
+        beforeStart: () => applyAutoStartConfig(req.instance, null, { userId: req.user.id })
+    }).then((result) => {
+        if (result.aborted) {
+            auditLog(req.user.id, 'server_restart_aborted', `Restart for profile "${profile.name}" abandoned: ${result.reason}`, req.ip, req.instance);
+            return;
+        }
+        if (result.cancelled) return;
+        auditLog(req.user.id, 'server_restart', `Server restarted for profile "${profile.name}"`, req.ip, req.instance);
+        const serverAddress = parseConfig(req.instance)['Server']?.PublicAddress || req.instance.config.publicAddress;
+        triggerWebhook('server_restart', { user: req.user.username, profile: profile.name, 'Connect Address': serverAddress }, req.instance);
+    }).catch((err) => {
+        auditLog(req.user.id, 'server_restart_failed', err.message, req.ip, req.instance);
     });
+    if (coldStart) {
+        if (supervisor.state === 'stopped') {
+            return res.status(500).json({ error: `Profile "${profile.name}" activated, but the server failed to start` });
+        }
+        return res.status(202).json({ success: true, profile, state: supervisor.state, message: `Profile "${profile.name}" activated; starting server...` });
+    }
+    res.status(202).json({ success: true, profile, state: 'stopping', countdown, message: `Profile "${profile.name}" activated; restarting server...` });
+});
+
+// API: List backups
+app.get('/api/backups', requireAuth, requirePermission('backups.view'), (req, res) => {
+    const { backupManager, replicator } = req.instance;
+    const remote = replicator.enabled
+        ? { enabled: true, endpoint: remoteConfig.endpoint, bucket: remoteConfig.bucket, prefix: replicator.prefix, keepDays: remoteConfig.keepDays }
+        : { enabled: false };
+    res.json({ backups: backupManager.list(), retention: backupManager.retention, disk: backupManager.diskUsage(), remote });
+});
+
+// Helper: Encrypted database snapshots, with the key each is wrapped with
+async function encryptedDatabaseBackups() {
+    const files = fs.readdirSync(DB_BACKUP_DIR).filter(f => f.endsWith('.db.enc'));
+    return Promise.all(files.map(async name => ({ name, keyId: await fileKeyId(path.join(DB_BACKUP_DIR, name)).catch(() => null) })));
 }
 
-// API: Stop server
-app.post('/api/server/stop', requireAuth, requirePermission('server.stop'), async (req, res) => {
-    const serverStatus = await checkServerRunning();
+// API: Encryption status - keys and how many backups each one protects (the key is
+// shared, so backups of every instance are counted)
+app.get('/api/backups/encryption', requireAuth, requirePermission('backups.view'), async (req, res) => {
+    if (!keyring) {
+        return res.json({ enabled: false });
+    }
+    const saveCounts = {};
+    for (const instance of instances.values()) {
+        instance.db.prepare('SELECT encryption_key, COUNT(*) as count FROM backups GROUP BY encryption_key').all().forEach(row => {
+            saveCounts[row.encryption_key] = (saveCounts[row.encryption_key] || 0) + row.count;
+        });
+    }
+    const dbSnapshots = await encryptedDatabaseBackups();
+    const keys = keyring.list().map(key => ({
+        ...key,
+        backups: saveCounts[key.id] || 0,
+        databaseBackups: dbSnapshots.filter(file => file.keyId === key.id).length
+    }));
+    res.json({ enabled: true, keyFile: keyring.keyFile, keys, plainBackups: saveCounts[null] || 0 });
+});
+
+// API: Rotate the master key and re-wrap every encrypted backup (of every instance) and
+// database snapshot with it
+// Set while a rotation re-wraps the backups, so a second one cannot run over the same files
+let keyRotationRunning = false;
+
+app.post('/api/backups/encryption/rotate', requireAuth, requirePermission('settings.edit'), async (req, res) => {
+    if (!keyring) {
+        return res.status(400).json({ error: 'Backup encryption is not enabled (set backups.encryption.keyFile)' });
+    }
+    if (keyRotationRunning) {
+        return res.status(409).json({ error: 'A key rotation is already running' });
+    }
+    const restoring = [...instances.values()].find(instance => instance.backupManager.restoring);
+    if (restoring) {
+        return res.status(409).json({ error: `Wait for the restore on ${restoring.name} to finish` });
+    }
+    keyRotationRunning = true;
+    const previous = keyring.currentId;
+    let keyId;
+    const saves = { rewrapped: 0, current: 0, failed: [] };
+    const database = { rewrapped: 0, current: 0, failed: [] };
+    try {
+        keyId = keyring.rotate();
+        for (const instance of instances.values()) {
+            try {
+                const result = await instance.backupManager.rewrapAll();
+                saves.rewrapped += result.rewrapped;
+                saves.current += result.current;
+                saves.failed.push(...result.failed);
+            } catch (err) {
+                // A restore started on it in the meantime; its backups keep the old key for now
+                saves.failed.push({ filename: `${instance.name} backups`, error: err.message });
+            }
+        }
+        for (const file of await encryptedDatabaseBackups()) {
+            try {
+                database[await rewrapFile(path.join(DB_BACKUP_DIR, file.name), keyring) ? 'rewrapped' : 'current']++;
+            } catch (err) {
+                database.failed.push({ filename: file.name, error: err.message });
+            }
+        }
+    } finally {
+        keyRotationRunning = false;
+    }
+
+    const failed = [...saves.failed, ...database.failed];
+    auditLog(req.user.id, 'backup_key_rotate',
+        `Rotated backup encryption key ${previous} -> ${keyId}; re-wrapped ${saves.rewrapped} backup(s) and ${database.rewrapped} database snapshot(s)` +
+        (failed.length ? `; ${failed.length} failed: ${failed.map(f => f.filename).join(', ')}` : ''), req.ip);
+    res.json({ success: true, keyId, previous, backups: saves, databaseBackups: database });
+});
+
+// API: Off-site copies in the bucket (including ones whose local backup is gone)
+app.get('/api/backups/remote', requireAuth, requirePermission('backups.view'), async (req, res) => {
+    const { replicator } = req.instance;
+    if (!replicator.enabled) {
+        return res.status(400).json({ error: 'Off-site replication is not configured' });
+    }
+    try {
+        res.json({ objects: await replicator.listRemote() });
+    } catch (err) {
+        res.status(502).json({ error: err.message });
+    }
+});
+
+// API: Apply remote retention now
+app.post('/api/backups/remote/prune', requireAuth, requirePermission('backups.delete'), async (req, res) => {
+    const { replicator } = req.instance;
+    if (!replicator.enabled) {
+        return res.status(400).json({ error: 'Off-site replication is not configured' });
+    }
+    try {
+        const removed = await replicator.prune();
+        if (removed.length) {
+            auditLog(req.user.id, 'backup_remote_prune', `Remote retention removed ${removed.length} copy(ies): ${removed.map(o => o.key).join(', ')}`, req.ip, req.instance);
+        }
+        res.json({ success: true, removed: removed.map(o => o.key) });
+    } catch (err) {
+        res.status(502).json({ error: err.message });
+    }
+});
+
+// API: Restore from an off-site copy (downloaded first if the local file is gone)
+app.post('/api/backups/remote/restore', requireAuth, requirePermission('backups.restore'), async (req, res) => {
+    const { supervisor, backupManager, replicator } = req.instance;
+    const { key, files } = req.body || {};
+    if (typeof key !== 'string' || !key) {
+        return res.status(400).json({ error: 'key is required' });
+    }
+    if (files !== undefined && (!Array.isArray(files) || files.some(f => typeof f !== 'string'))) {
+        return res.status(400).json({ error: 'files must be a list of paths' });
+    }
+    if (supervisor.isActive()) {
+        return res.status(400).json({ error: 'Please stop the server before restoring a backup' });
+    }
+
+    let backup;
+    try {
+        backup = await replicator.fetch(key, { userId: req.user.id });
+    } catch (err) {
+        const status = err instanceof ReplicationError || err instanceof BackupError ? 400 : 502;
+        return res.status(status).json({ error: err.message });
+    }
+    try {
+        const result = await backupManager.restore(backup.id, { files: files || null, userId: req.user.id });
+        const snapshot = result.snapshot ? `snapshot ${result.snapshot.filename}` : 'no snapshot, saves were empty';
+        auditLog(req.user.id, 'backup_restore', `Restored off-site copy ${key} (${result.restored.length} file(s)); ${snapshot}`, req.ip, req.instance);
+        backupManager.prune().catch(err => console.error('[Backups] Retention failed:', err.message));
+        res.json({ success: true, backup, ...result });
+    } catch (err) {
+        auditLog(req.user.id, 'backup_restore_failed', `Restore of off-site copy ${key} failed: ${err.message}`, req.ip, req.instance);
+        if (!(err instanceof BackupError)) console.error('Restore failed:', err);
+        res.status(err instanceof BackupError ? 400 : 500).json({ error: err.message });
+    }
+});
+
+// API: One backup with its file manifest
+app.get('/api/backups/:id', requireAuth, requirePermission('backups.view'), (req, res) => {
+    const { backupManager } = req.instance;
+    const backup = backupManager.get(req.params.id);
+    if (!backup) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+    res.json({ backup });
+});
 
-    if (!serverStatus.running) {
-        return res.status(400).json({ error: 'Server is not running' });
+// API: Download a backup archive (supports Range requests for resuming)
+app.get('/api/backups/:id/download', requireAuth, requirePermission('backups.view'), async (req, res) => {
+    const { backupManager } = req.instance;
+    const backup = backupManager.get(req.params.id);
+    if (!backup || !backup.exists) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+    // Range requests resume a download; only log the first request
+    if (!req.headers.range) {
+        auditLog(req.user.id, 'backup_download', `Downloaded backup: ${backup.filename}`, req.ip, req.instance);
+    }
+    if (!backup.encryptionKey) {
+        return res.download(path.basename(backup.filename), backup.filename, { root: req.instance.config.backupsDir, dotfiles: 'allow' });
     }
 
+    // Encrypted archives are decrypted on the fly (no Range support: GCM is checked end to end)
+    if (!keyring) {
+        return res.status(400).json({ error: 'Backup is encrypted but no encryption key file is configured' });
+    }
+    let stream;
     try {
-        await killServerProcesses();
-        auditLog(req.user.id, 'server_stop', 'Server stopped', req.ip);
-        triggerWebhook('server_stop', { user: req.user.username });
-        res.json({ success: true, message: 'Server stopped' });
+        stream = await createDecryptStream(backupManager.filePath(backup), keyring);
     } catch (err) {
-        auditLog(req.user.id, 'server_stop_failed', err.message, req.ip);
-        return res.status(500).json({ error: 'Failed to stop server' });
+        if (!(err instanceof EncryptionError)) throw err;
+        return res.status(400).json({ error: err.message });
     }
+    res.attachment(backup.filename.replace(/\.enc$/, ''));
+    res.type('application/zip');
+    // A failed authentication tag surfaces at the end; cut the download short so it is not mistaken for complete
+    stream.on('error', err => {
+        console.error(`[Backups] Download of ${backup.filename} aborted:`, err.message);
+        res.destroy(err);
+    });
+    stream.pipe(res);
 });
 
-// API: Restart server
-app.post('/api/server/restart', requireAuth, requirePermission('server.restart'), async (req, res) => {
-    const serverStatus = await checkServerRunning();
-
-    const startServer = () => {
-        const config = parseConfig();
-        config['Server'] = config['Server'] || {};
-        config['Server']['AutoStartServer'] = 'true';
-        config['Server']['HeadlessMode'] = 'true';
-        config['Server']['AutoLoadSlot'] = '-1';
-        config['General'] = config['General'] || {};
-        config['General']['EnableDirectConnect'] = 'true';
-        saveModConfig(config);
-
-        // Clear debug log for fresh start
-        try { fs.writeFileSync(CONFIG.debugLog, ''); } catch(e) {}
-
-        const startScript = `
-            cd ${CONFIG.gameDir} &&
-            WINEPREFIX=${CONFIG.winePrefix} \\
-            WINEDLLOVERRIDES="winhttp=n,b" \\
-            DISPLAY=${CONFIG.display} \\
-            wine Techtonica.exe -batchmode -logfile ${CONFIG.gameLog} > /home/death/techtonica-server/wine-output.log 2>&1 &
-        `;
-
-        exec(startScript, (err) => {
-            if (err) {
-                return res.status(500).json({ error: 'Failed to start server' });
+// API: Import a zip of saves as a backup (mode=install also restores it straight away)
+// The body is the raw archive (Content-Type: application/zip).
+app.post('/api/backups/import', requireAuth, requirePermission('backups.create'), async (req, res) => {
+    const { supervisor, backupManager } = req.instance;
+    const install = req.query.mode === 'install';
+    if (install && !userCan(req, 'backups.restore')) {
+        return res.status(403).json({ error: 'Insufficient permissions' });
+    }
+    if (install && supervisor.isActive()) {
+        return res.status(400).json({ error: 'Please stop the server before installing saves' });
+    }
+    const contentType = req.headers['content-type'] || '';
+    if (!/^application\/(zip|x-zip-compressed|octet-stream)/.test(contentType)) {
+        return res.status(400).json({ error: 'Send the archive as application/zip' });
+    }
+
+    const maxBytes = CONFIG.backups.importMaxMb * 1024 * 1024;
+    if (parseInt(req.headers['content-length'] || '0') > maxBytes) {
+        return res.status(413).json({ error: `Archive is larger than ${CONFIG.backups.importMaxMb} MB` });
+    }
+
+    const originalName = path.basename(String(req.query.filename || 'upload.zip'));
+    const tempPath = path.join(req.instance.config.backupsDir, `.upload-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.zip`);
+    try {
+        let received = 0;
+        await pipeline(req, async function* (source) {
+            for await (const chunk of source) {
+                received += chunk.length;
+                if (received > maxBytes) throw new BackupError(`Archive is larger than ${CONFIG.backups.importMaxMb} MB`);
+                yield chunk;
             }
-            auditLog(req.user.id, 'server_restart', 'Server restarted', req.ip);
-            const config = parseConfig();
-            const serverAddress = config['Server']?.PublicAddress || 'certifriedmultitool.com:6968';
-            triggerWebhook('server_restart', { user: req.user.username, 'Connect Address': serverAddress });
-            res.json({ success: true, message: 'Server restarting... Auto-load may take a few minutes.' });
+        }, fs.createWriteStream(tempPath));
+
+        const { backup, layout, ignored } = await backupManager.importArchive(tempPath, {
+            userId: req.user.id,
+            notes: `Imported from ${originalName}`
         });
-    };
+        auditLog(req.user.id, 'backup_import', `Imported ${originalName} as ${backup.filename} (${backup.fileCount} file(s), ${layout} layout)`, req.ip, req.instance);
 
-    if (serverStatus.running) {
-        try {
-            await killServerProcesses();
-            startServer();
-        } catch (err) {
-            return res.status(500).json({ error: 'Failed to stop server for restart' });
+        let restore = null;
+        if (install) {
+            restore = await backupManager.restore(backup.id, { files: backup.manifest.map(file => file.path), userId: req.user.id });
+            auditLog(req.user.id, 'backup_restore', `Installed imported saves from ${backup.filename}: ${restore.restored.join(', ')}`, req.ip, req.instance);
+            backupManager.prune().catch(err => console.error('[Backups] Retention failed:', err.message));
         }
-    } else {
-        startServer();
+        res.json({ success: true, backup, layout, ignored, restore });
+    } catch (err) {
+        if (!(err instanceof BackupError)) console.error('Import failed:', err);
+        res.status(err instanceof BackupError ? 400 : 500).json({ error: err.message });
+    } finally {
+        fs.promises.rm(tempPath, { force: true }).catch(() => { });
     }
 });
 
-// API: Get console logs
-app.get('/api/server/logs', requireAuth, requirePermission('server.console'), (req, res) => {
-    const logFile = req.query.type === 'bepinex' ? CONFIG.bepinexLog : CONFIG.gameLog;
-    const lines = parseInt(req.query.lines) || 100;
+// Helper: Back up the saves, queue the off-site copy, then apply retention (failures to prune are only logged)
+async function createSaveBackup(instance, options) {
+    const { backupManager, replicator } = instance;
+    const backup = await backupManager.create(options);
+    replicator.queue(backup.id);
+    try {
+        const removed = await backupManager.prune();
+        removed.forEach(old => console.log(`[Backups] Retention removed ${old.filename}`));
+    } catch (err) {
+        console.error('[Backups] Retention failed:', err.message);
+    }
+    return backup;
+}
 
-    exec(`tail -n ${lines} "${logFile}" 2>/dev/null || echo "Log file not found"`, (err, stdout) => {
-        res.json({ logs: stdout });
-    });
+// API: Create backup
+app.post('/api/backups', requireAuth, requirePermission('backups.create'), async (req, res) => {
+    const { notes } = req.body;
+    try {
+        const backup = await createSaveBackup(req.instance, { type: 'manual', userId: req.user.id, notes });
+        auditLog(req.user.id, 'backup_create', `Created backup: ${backup.filename}`, req.ip, req.instance);
+        triggerWebhook('backup_created', { user: req.user.username, filename: backup.filename, size: formatBytes(backup.size) }, req.instance);
+        res.json({ success: true, filename: backup.filename, backup });
+    } catch (err) {
+        if (!(err instanceof BackupError)) console.error('Backup failed:', err);
+        res.status(err instanceof BackupError ? 400 : 500).json({ error: err.message });
+    }
 });
 
-// API: Get server config
-app.get('/api/server/config', requireAuth, requirePermission('server.config'), (req, res) => {
-    if (!fs.existsSync(CONFIG.modConfig)) {
-        return res.json({ config: null });
+// API: Upload (or re-upload) a backup's off-site copy now
+app.post('/api/backups/:id/replicate', requireAuth, requirePermission('backups.create'), async (req, res) => {
+    const { backupManager, replicator } = req.instance;
+    if (!replicator.enabled) {
+        return res.status(400).json({ error: 'Off-site replication is not configured' });
+    }
+    const backup = backupManager.get(req.params.id);
+    if (!backup) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+    try {
+        const uploaded = await replicator.replicate(backup.id);
+        auditLog(req.user.id, 'backup_replicate', `Uploaded ${backup.filename} to ${uploaded.remoteKey}`, req.ip, req.instance);
+        res.json({ success: true, backup: uploaded });
+    } catch (err) {
+        res.status(err instanceof ReplicationError ? 400 : 502).json({ error: err.message });
     }
-    const config = fs.readFileSync(CONFIG.modConfig, 'utf8');
-    res.json({ config });
 });
 
-// API: Save server config
-app.post('/api/server/config', requireAuth, requirePermission('server.config'), (req, res) => {
-    const { config } = req.body;
-    if (!config) {
-        return res.status(400).json({ error: 'Config required' });
+// API: Re-check a backup archive against its checksums
+app.post('/api/backups/:id/verify', requireAuth, requirePermission('backups.create'), async (req, res) => {
+    const { backupManager } = req.instance;
+    const backup = backupManager.get(req.params.id);
+    if (!backup) {
+        return res.status(404).json({ error: 'Backup not found' });
     }
-    fs.writeFileSync(CONFIG.modConfig, config);
-    auditLog(req.user.id, 'config_update', 'Server configuration updated', req.ip);
-    res.json({ success: true });
+    const result = await backupManager.verify(backup.id);
+    auditLog(req.user.id, 'backup_verify', `Verified backup ${backup.filename}: ${result.ok ? 'ok' : result.errors.join('; ')}`, req.ip, req.instance);
+    res.json({ success: true, ...result });
 });
 
-// API: List backups
-app.get('/api/backups', requireAuth, requirePermission('backups.view'), (req, res) => {
-    const backups = db.prepare(`
-        SELECT b.*, u.username as created_by_username
-        FROM backups b LEFT JOIN users u ON b.created_by = u.id
-        ORDER BY b.created_at DESC
-    `).all();
-    res.json({ backups });
+// API: Apply the retention policy now
+app.post('/api/backups/prune', requireAuth, requirePermission('backups.delete'), async (req, res) => {
+    const { backupManager } = req.instance;
+    const removed = await backupManager.prune();
+    if (removed.length) {
+        auditLog(req.user.id, 'backup_prune', `Retention removed ${removed.length} backup(s): ${removed.map(b => b.filename).join(', ')}`, req.ip, req.instance);
+    }
+    res.json({ success: true, removed: removed.map(b => b.filename) });
 });
 
-// API: Create backup
-app.post('/api/backups', requireAuth, requirePermission('backups.create'), async (req, res) => {
-    const { notes } = req.body;
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `backup-${timestamp}.zip`;
-    const filepath = path.join(CONFIG.backupsDir, filename);
-
-    const wineSavesDir = path.join(CONFIG.winePrefix, 'drive_c/users/death/AppData/LocalLow/Fire Hose Games/Techtonica/saves');
-
-    exec(`cd "${wineSavesDir}" && zip -r "${filepath}" . 2>/dev/null || echo "No saves found"`, (err, stdout) => {
-        if (err || stdout.includes('No saves found')) {
-            return res.status(500).json({ error: 'Failed to create backup or no saves found' });
-        }
-
-        const stats = fs.statSync(filepath);
-        db.prepare('INSERT INTO backups (filename, size, type, created_by, notes) VALUES (?, ?, ?, ?, ?)')
-            .run(filename, stats.size, 'manual', req.user.id, notes || null);
-
-        auditLog(req.user.id, 'backup_create', `Created backup: ${filename}`, req.ip);
-        triggerWebhook('backup_created', { user: req.user.username, filename });
-        res.json({ success: true, filename });
-    });
+// API: Compare a backup with the current saves (what a restore would change)
+app.get('/api/backups/:id/preview', requireAuth, requirePermission('backups.view'), async (req, res) => {
+    const { backupManager } = req.instance;
+    if (!backupManager.get(req.params.id)) {
+        return res.status(404).json({ error: 'Backup not found' });
+    }
+    try {
+        res.json(await backupManager.preview(req.params.id));
+    } catch (err) {
+        if (!(err instanceof BackupError)) throw err;
+        res.status(400).json({ error: err.message });
+    }
 });
 
-// API: Restore backup
+// API: Restore backup (all files, or only body.files), after snapshotting the current saves
 app.post('/api/backups/:id/restore', requireAuth, requirePermission('backups.restore'), async (req, res) => {
-    const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(req.params.id);
-
+    const { supervisor, backupManager } = req.instance;
+    const backup = backupManager.get(req.params.id);
     if (!backup) {
         return res.status(404).json({ error: 'Backup not found' });
     }
 
-    const filepath = path.join(CONFIG.backupsDir, backup.filename);
-    if (!fs.existsSync(filepath)) {
-        return res.status(404).json({ error: 'Backup file not found' });
+    const { files } = req.body || {};
+    if (files !== undefined && (!Array.isArray(files) || files.some(f => typeof f !== 'string'))) {
+        return res.status(400).json({ error: 'files must be a list of paths' });
     }
 
-    const serverStatus = await checkServerRunning();
-    if (serverStatus.running) {
+    if (supervisor.isActive()) {
         return res.status(400).json({ error: 'Please stop the server before restoring a backup' });
     }
 
-    const wineSavesDir = path.join(CONFIG.winePrefix, 'drive_c/users/death/AppData/LocalLow/Fire Hose Games/Techtonica/saves');
-
-    exec(`rm -rf "${wineSavesDir}"/* && unzip -o "${filepath}" -d "${wineSavesDir}"`, (err) => {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to restore backup' });
-        }
-        auditLog(req.user.id, 'backup_restore', `Restored backup: ${backup.filename}`, req.ip);
-        res.json({ success: true });
-    });
+    try {
+        const result = await backupManager.restore(backup.id, { files: files || null, userId: req.user.id });
+        const scope = files ? `${result.restored.length} file(s): ${result.restored.join(', ')}` : `all files (${result.restored.length} restored, ${result.removed.length} removed)`;
+        const snapshot = result.snapshot ? `snapshot ${result.snapshot.filename}` : 'no snapshot, saves were empty';
+        auditLog(req.user.id, 'backup_restore', `Restored backup ${backup.filename}, ${scope}; ${snapshot}`, req.ip, req.instance);
+        backupManager.prune().catch(err => console.error('[Backups] Retention failed:', err.message));
+        res.json({ success: true, ...result });
+    } catch (err) {
+        auditLog(req.user.id, 'backup_restore_failed', `Restore of ${backup.filename} failed: ${err.message}`, req.ip, req.instance);
+        if (!(err instanceof BackupError)) console.error('Restore failed:', err);
+        res.status(err instanceof BackupError ? 400 : 500).json({ error: err.message });
+    }
 });
 
 // API: Delete backup
-app.delete('/api/backups/:id', requireAuth, requirePermission('backups.delete'), (req, res) => {
-    const backup = db.prepare('SELECT * FROM backups WHERE id = ?').get(req.params.id);
-
+app.delete('/api/backups/:id', requireAuth, requirePermission('backups.delete'), async (req, res) => {
+    const { backupManager } = req.instance;
+    const backup = await backupManager.remove(req.params.id);
     if (!backup) {
         return res.status(404).json({ error: 'Backup not found' });
     }
+    auditLog(req.user.id, 'backup_delete', `Deleted backup: ${backup.filename}`, req.ip, req.instance);
+    res.json({ success: true });
+});
+
+// Helper: Read a scheduled task from a request body (options arrive as an object)
+function readTaskBody(body = {}) {
+    const task = {};
+    ['name', 'type', 'schedule', 'whenPlayersOnline'].forEach(key => {
+        if (body[key] !== undefined) task[key] = String(body[key]);
+    });
+    if (body.enabled !== undefined) task.enabled = body.enabled === true || body.enabled === 'true';
+    if (body.maxDeferMinutes !== undefined) task.maxDeferMinutes = parseInt(body.maxDeferMinutes);
+    if (body.options !== undefined) {
+        if (!body.options || typeof body.options !== 'object' || Array.isArray(body.options)) {
+            return { error: 'options must be an object' };
+        }
+        task.options = body.options;
+    }
+    return { task };
+}
+
+// API: List scheduled tasks
+app.get('/api/schedules', requireAuth, requirePermission('scheduler.view'), (req, res) => {
+    const { scheduler } = req.instance;
+    res.json({ tasks: scheduler.list(), types: scheduler.types });
+});
+
+// API: Next run times for a cron expression (for the schedule editor)
+app.get('/api/schedules/preview', requireAuth, requirePermission('scheduler.view'), (req, res) => {
+    const count = Math.min(Math.max(parseInt(req.query.count) || 5, 1), 20);
+    try {
+        const runs = upcomingRuns(String(req.query.schedule || ''), count);
+        res.json({ runs: runs.map(date => date.toISOString()) });
+    } catch (err) {
+        if (!(err instanceof CronError)) throw err;
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// API: Create scheduled task
+app.post('/api/schedules', requireAuth, requirePermission('scheduler.manage'), (req, res) => {
+    const { scheduler } = req.instance;
+    const { task, error } = readTaskBody(req.body);
+    const optionsError = error || validateTaskOptions(task.type, task.options);
+    if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+    }
+    try {
+        const created = scheduler.create(task, req.user.id);
+        auditLog(req.user.id, 'schedule_create', `Created scheduled task ${created.name} (${created.type}, ${created.schedule})`, req.ip, req.instance);
+        res.json({ success: true, task: created });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-    const filepath = path.join(CONFIG.backupsDir, backup.filename);
-    if (fs.existsSync(filepath)) {
-        fs.unlinkSync(filepath);
+// API: Update scheduled task (partial; e.g. { enabled: false })
+app.put('/api/schedules/:id', requireAuth, requirePermission('scheduler.manage'), (req, res) => {
+    const { scheduler } = req.instance;
+    const existing = scheduler.get(req.params.id);
+    if (!existing) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+    const { task, error } = readTaskBody(req.body);
+    const optionsError = error || validateTaskOptions(task.type || existing.type, task.options || existing.options);
+    if (optionsError) {
+        return res.status(400).json({ error: optionsError });
+    }
+    try {
+        const updated = scheduler.update(existing.id, task);
+        auditLog(req.user.id, 'schedule_update', `Updated scheduled task ${updated.name} (${updated.enabled ? updated.schedule : 'disabled'})`, req.ip, req.instance);
+        res.json({ success: true, task: updated });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
     }
+});
 
-    db.prepare('DELETE FROM backups WHERE id = ?').run(req.params.id);
-    auditLog(req.user.id, 'backup_delete', `Deleted backup: ${backup.filename}`, req.ip);
+// API: Delete scheduled task
+app.delete('/api/schedules/:id', requireAuth, requirePermission('scheduler.manage'), (req, res) => {
+    const { scheduler } = req.instance;
+    const task = scheduler.get(req.params.id);
+    if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+    scheduler.remove(task.id);
+    auditLog(req.user.id, 'schedule_delete', `Deleted scheduled task ${task.name}`, req.ip, req.instance);
     res.json({ success: true });
 });
 
+// API: Run a scheduled task now (runs in the background; the result arrives via scheduleRun)
+app.post('/api/schedules/:id/run', requireAuth, requirePermission('scheduler.manage'), (req, res) => {
+    const { scheduler } = req.instance;
+    const task = scheduler.get(req.params.id);
+    if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+    // Refused while a run of the task (manual or scheduled) is still going
+    try {
+        scheduler.runNow(task.id, req.user.id).catch(err => {
+            console.error(`[Scheduler] Manual run of task ${task.id} failed:`, err.message);
+        });
+    } catch (err) {
+        if (err instanceof SchedulerError) return res.status(err.status).json({ error: err.message });
+        throw err;
+    }
+    res.status(202).json({ success: true, message: `Running ${task.name}` });
+});
+
+// API: Run history for a scheduled task
+app.get('/api/schedules/:id/runs', requireAuth, requirePermission('scheduler.view'), (req, res) => {
+    const { scheduler } = req.instance;
+    const task = scheduler.get(req.params.id);
+    if (!task) {
+        return res.status(404).json({ error: 'Task not found' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    res.json({ task, runs: scheduler.runs(task.id, limit) });
+});
+
 // API: List users
 app.get('/api/users', requireAuth, requirePermission('users.view'), (req, res) => {
     const users = db.prepare(`
@@ -1397,15 +2968,369 @@ app.delete('/api/invites/:id', requireAuth, requirePermission('users.create'), (
     res.json({ success: true });
 });
 
+// Helper: Send an instance error (with the settings problems, if any)
+function instanceErrorResponse(res, err) {
+    if (err instanceof InstanceError) {
+        return res.status(err.status).json({ error: err.message, ...(err.problems.length ? { problems: err.problems } : {}) });
+    }
+    console.error('Instance operation failed:', err);
+    res.status(500).json({ error: err.message });
+}
+
+// Helper: An instance as the dashboard sees it; its settings only for those who manage instances
+function describeInstance(record, user) {
+    const instance = instances.get(record.id);
+    const { settings, resolved, ...summary } = record;
+    return {
+        ...summary,
+        ...(hasPermission(user.role, 'instances.manage') ? { settings, resolved } : {}),
+        running: Boolean(instance),
+        state: instance ? instance.supervisor.state : null,
+        startError: instance ? instance.startError || null : null,
+        role: instanceRegistry.roleFor(user, record.id),
+        permissions: permissionsFor(user, record.id)
+    };
+}
+
+// API: Instances the current user can see, with their role and permissions on each
+app.get('/api/instances', requireAuth, (req, res) => {
+    const list = instanceRegistry.list().filter(record => instanceRegistry.roleFor(req.user, record.id));
+    res.json({ instances: list.map(record => describeInstance(record, req.user)), canManage: hasPermission(req.user.role, 'instances.manage') });
+});
+
+// API: Add an instance { id, name, description?, restricted?, settings: { rootDir, gamePort, ... } }
+app.post('/api/instances', requireAuth, requirePermission('instances.manage'), (req, res) => {
+    let record;
+    try {
+        record = instanceRegistry.create(req.body, req.user.id);
+    } catch (err) {
+        return instanceErrorResponse(res, err);
+    }
+    let startError = null;
+    try {
+        startInstance(record);
+    } catch (err) {
+        startError = err.message;
+        console.error(`[Instance ${record.id}] Could not be started:`, err.message);
+    }
+    auditLog(req.user.id, 'instance_create', `Created instance ${record.name} (${record.id}) in ${record.resolved?.rootDir}`, req.ip, record);
+    res.status(201).json({ success: true, instance: describeInstance(record, req.user), ...(startError ? { startError } : {}) });
+});
+
+// API: Change an instance (fields not given are kept). Settings can only be changed while
+// its game is stopped; its services are restarted with them.
+app.put('/api/instances/:id', requireAuth, requirePermission('instances.manage'), (req, res) => {
+    const running = instances.get(req.params.id);
+    if (req.body.settings !== undefined && running && running.supervisor.isActive()) {
+        return res.status(409).json({ error: 'Stop the server before changing its instance settings' });
+    }
+    let record;
+    try {
+        record = instanceRegistry.update(req.params.id, req.body);
+    } catch (err) {
+        return instanceErrorResponse(res, err);
+    }
+
+    let startError = null;
+    if (req.body.settings !== undefined) {
+        if (running) stopInstance(running);
+        try {
+            startInstance(record);
+        } catch (err) {
+            startError = err.message;
+            console.error(`[Instance ${record.id}] Could not be started:`, err.message);
+        }
+    } else if (running) {
+        running.name = record.name;
+    }
+    auditLog(req.user.id, 'instance_update', `Updated instance ${record.name} (${record.id})`, req.ip, record);
+    res.json({ success: true, instance: describeInstance(record, req.user), ...(startError ? { startError } : {}) });
+});
+
+// API: Remove an instance. Its game must be stopped; its files and database stay on disk.
+app.delete('/api/instances/:id', requireAuth, requirePermission('instances.manage'), (req, res) => {
+    const running = instances.get(req.params.id);
+    if (running && running.supervisor.isActive()) {
+        return res.status(409).json({ error: 'Stop the server before removing its instance' });
+    }
+    let record;
+    try {
+        record = instanceRegistry.remove(req.params.id);
+    } catch (err) {
+        return instanceErrorResponse(res, err);
+    }
+    if (running) stopInstance(running);
+    auditLog(req.user.id, 'instance_delete', `Removed instance ${record.name} (${record.id}); its files were left in ${record.resolved?.rootDir}`, req.ip, record);
+    res.json({ success: true });
+});
+
+// API: Users given a role for an instance
+app.get('/api/instances/:id/members', requireAuth, requirePermission('instances.manage'), (req, res) => {
+    try {
+        res.json({ members: instanceRegistry.members(req.params.id), roles: ROLES });
+    } catch (err) {
+        instanceErrorResponse(res, err);
+    }
+});
+
+// API: Give a user a role on an instance { role } ('none' keeps them out of it)
+app.put('/api/instances/:id/members/:userId', requireAuth, requirePermission('instances.manage'), (req, res) => {
+    try {
+        const record = instanceRegistry.get(req.params.id);
+        instanceRegistry.setRole(record.id, parseInt(req.params.userId), String(req.body.role || ''));
+        const member = instanceRegistry.members(record.id).find(m => m.userId === parseInt(req.params.userId));
+        auditLog(req.user.id, 'instance_role', `${member.username} is ${member.role} on instance ${record.name}`, req.ip, record);
+        res.json({ success: true, member });
+    } catch (err) {
+        instanceErrorResponse(res, err);
+    }
+});
+
+// API: Remove a user's instance role (their panel role applies again)
+app.delete('/api/instances/:id/members/:userId', requireAuth, requirePermission('instances.manage'), (req, res) => {
+    try {
+        const record = instanceRegistry.get(req.params.id);
+        instanceRegistry.setRole(record.id, parseInt(req.params.userId), null);
+        auditLog(req.user.id, 'instance_role', `Removed the role of user ${req.params.userId} on instance ${record.name}`, req.ip, record);
+        res.json({ success: true });
+    } catch (err) {
+        instanceErrorResponse(res, err);
+    }
+});
+
+// Helper: JSON error response for a node operation
+function nodeErrorResponse(res, err) {
+    if (err instanceof NodeError) return res.status(err.status).json({ error: err.message });
+    console.error('Node operation failed:', err);
+    res.status(500).json({ error: err.message });
+}
+
+// API: Remote nodes with their connection and the state their game last reported
+app.get('/api/nodes', requireAuth, (req, res) => {
+    res.json({ nodes: nodeHub.list(), canManage: hasPermission(req.user.role, 'nodes.manage') });
+});
+
+// API: Add a node; the token is returned once, for the node's agent config
+app.post('/api/nodes', requireAuth, requirePermission('nodes.manage'), (req, res) => {
+    const { id, name, description } = req.body || {};
+    try {
+        const { node, token } = nodeHub.create({ id, name, description }, req.user.id);
+        auditLog(req.user.id, 'node_create', `Added node "${node.name}" (${node.id})`, req.ip);
+        res.status(201).json({ success: true, node, token });
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+app.put('/api/nodes/:id', requireAuth, requirePermission('nodes.manage'), (req, res) => {
+    const { name, description } = req.body || {};
+    try {
+        const node = nodeHub.update(req.params.id, { name, description });
+        auditLog(req.user.id, 'node_update', `Updated node "${node.name}" (${node.id})`, req.ip);
+        res.json({ success: true, node });
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+// API: Remove a node (its agent is disconnected; the game keeps running on its host)
+app.delete('/api/nodes/:id', requireAuth, requirePermission('nodes.manage'), (req, res) => {
+    try {
+        const node = nodeHub.remove(req.params.id);
+        auditLog(req.user.id, 'node_delete', `Removed node "${node.name}" (${node.id})`, req.ip);
+        res.json({ success: true });
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+// API: Issue a new token for a node (the agent using the old one is disconnected)
+app.post('/api/nodes/:id/token', requireAuth, requirePermission('nodes.manage'), (req, res) => {
+    try {
+        const token = nodeHub.rotateToken(req.params.id);
+        const node = nodeHub.get(req.params.id);
+        auditLog(req.user.id, 'node_token_rotate', `Issued a new token for node "${node.name}" (${node.id})`, req.ip);
+        res.json({ success: true, node, token });
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+// API: A node's game server and host, as its agent reports them now
+app.get('/api/nodes/:id/status', requireAuth, async (req, res) => {
+    try {
+        const status = await nodeHub.call(req.params.id, 'status');
+        const { memory, cpu, disk } = status.system;
+        res.json({
+            ...status,
+            server: { ...status.server, uptimeFormatted: formatUptime(status.server.uptime) },
+            system: {
+                memory: { ...memory, percent: memory.total ? (memory.used / memory.total * 100).toFixed(1) : 0, totalFormatted: formatBytes(memory.total), usedFormatted: formatBytes(memory.used) },
+                cpu,
+                disk: { ...disk, percent: disk.total ? (disk.used / disk.total * 100).toFixed(1) : 0, totalFormatted: formatBytes(disk.total), usedFormatted: formatBytes(disk.used) }
+            }
+        });
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+// API: Start a node's game server
+app.post('/api/nodes/:id/server/start', requireAuth, requirePermission('server.start'), async (req, res) => {
+    const { savePath } = req.body || {};
+    try {
+        const node = nodeHub.get(req.params.id);
+        const result = await nodeHub.call(node.id, 'server.start', { savePath: savePath || null, user: req.user.username });
+        auditLog(req.user.id, 'node_server_start', `Started the server on node "${node.name}"${savePath ? ' with save: ' + savePath : ''}`, req.ip);
+        triggerWebhook('server_start', { user: req.user.username, node: node.name });
+        res.json({ success: true, ...result, message: 'Server starting... Auto-load may take a few minutes.' });
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+// API: Stop or restart a node's game server (runs in the background on the node; its
+// progress arrives through Socket.IO 'nodeEvent')
+['stop', 'restart'].forEach((action) => {
+    app.post(`/api/nodes/:id/server/${action}`, requireAuth, requirePermission(`server.${action}`), async (req, res) => {
+        const { countdown, force, forceUnsaved, error } = parseStopOptions(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        try {
+            const node = nodeHub.get(req.params.id);
+            const result = await nodeHub.call(node.id, `server.${action}`, { countdown, force, forceUnsaved, user: req.user.username });
+            const what = action === 'stop' ? 'Stop' : 'Restart';
+            auditLog(req.user.id, `node_server_${action}`, `${what} requested on node "${node.name}"${force ? ' (force)' : ''}${countdown ? ` with ${countdown}s countdown` : ''}`, req.ip);
+            triggerWebhook(`server_${action}`, { user: req.user.username, node: node.name });
+            res.status(202).json({ success: true, ...result });
+        } catch (err) {
+            nodeErrorResponse(res, err);
+        }
+    });
+});
+
+app.post('/api/nodes/:id/server/stop/cancel', requireAuth, requirePermission('server.stop'), async (req, res) => {
+    try {
+        const node = nodeHub.get(req.params.id);
+        await nodeHub.call(node.id, 'server.cancelStop');
+        auditLog(req.user.id, 'node_server_stop_cancelled', `Stop countdown cancelled on node "${node.name}"`, req.ip);
+        res.json({ success: true });
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+// API: Tail of one of a node's logs (type: bepinex, game or debug)
+app.get('/api/nodes/:id/logs', requireAuth, requirePermission('server.console'), async (req, res) => {
+    try {
+        const result = await nodeHub.call(req.params.id, 'logs', { type: req.query.type || 'bepinex', lines: parseInt(req.query.lines) || 200 });
+        res.json(result);
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+app.get('/api/nodes/:id/saves', requireAuth, async (req, res) => {
+    try {
+        const result = await nodeHub.call(req.params.id, 'saves.list');
+        res.json({ ...result, saves: result.saves.map(save => ({ ...save, sizeFormatted: formatBytes(save.size) })) });
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+// Helper: Relay a file a node's agent sends into the response
+async function sendNodeFile(req, res, method, params) {
+    const node = nodeHub.get(req.params.id);
+    const file = await nodeHub.download(node.id, method, params);
+    res.attachment(file.filename);
+    if (file.size !== null) res.setHeader('Content-Length', file.size);
+    // A download the node breaks off is cut short so it is not mistaken for complete
+    file.stream.on('error', (err) => {
+        console.error(`[Nodes] Download of ${file.filename} from ${node.id} aborted:`, err.message);
+        res.destroy(err);
+    });
+    res.on('close', () => file.stream.destroy());
+    file.stream.pipe(res);
+    return { node, file };
+}
+
+app.get('/api/nodes/:id/saves/:name/download', requireAuth, requirePermission('backups.view'), async (req, res) => {
+    try {
+        const { node, file } = await sendNodeFile(req, res, 'saves.download', { name: req.params.name });
+        auditLog(req.user.id, 'node_save_download', `Downloaded save ${file.filename} from node "${node.name}"`, req.ip);
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+app.get('/api/nodes/:id/backups', requireAuth, requirePermission('backups.view'), async (req, res) => {
+    try {
+        const result = await nodeHub.call(req.params.id, 'backups.list');
+        res.json({ ...result, backups: result.backups.map(backup => ({ ...backup, sizeFormatted: formatBytes(backup.size) })) });
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+app.post('/api/nodes/:id/backups', requireAuth, requirePermission('backups.create'), async (req, res) => {
+    const { notes } = req.body || {};
+    try {
+        const node = nodeHub.get(req.params.id);
+        const { backup } = await nodeHub.call(node.id, 'backups.create', { notes: notes || `Created by ${req.user.username}` }, { timeoutMs: NODE_BACKUP_TIMEOUT_MS });
+        auditLog(req.user.id, 'node_backup_create', `Created backup ${backup.filename} on node "${node.name}"`, req.ip);
+        triggerWebhook('backup_created', { user: req.user.username, filename: backup.filename, size: formatBytes(backup.size), node: node.name });
+        res.json({ success: true, backup });
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
+app.post('/api/nodes/:id/backups/:backupId/restore', requireAuth, requirePermission('backups.restore'), async (req, res) => {
+    const { files } = req.body || {};
+    if (files !== undefined && (!Array.isArray(files) || files.some(f => typeof f !== 'string'))) {
+        return res.status(400).json({ error: 'files must be a list of paths' });
+    }
+    let node;
+    try {
+        node = nodeHub.get(req.params.id);
+        const result = await nodeHub.call(node.id, 'backups.restore', { id: parseInt(req.params.backupId), files: files || null }, { timeoutMs: NODE_BACKUP_TIMEOUT_MS });
+        auditLog(req.user.id, 'node_backup_restore', `Restored backup ${result.backup.filename} on node "${node.name}" (${result.restored.length} file(s) restored)`, req.ip);
+        res.json({ success: true, ...result });
+    } catch (err) {
+        if (node) auditLog(req.user.id, 'node_backup_restore_failed', `Restore on node "${node.name}" failed: ${err.message}`, req.ip);
+        nodeErrorResponse(res, err);
+    }
+});
+
+app.get('/api/nodes/:id/backups/:backupId/download', requireAuth, requirePermission('backups.view'), async (req, res) => {
+    try {
+        const { node, file } = await sendNodeFile(req, res, 'backups.download', { id: parseInt(req.params.backupId) });
+        auditLog(req.user.id, 'node_backup_download', `Downloaded backup ${file.filename} from node "${node.name}"`, req.ip);
+    } catch (err) {
+        nodeErrorResponse(res, err);
+    }
+});
+
 // API: Get recent activity (for dashboard - accessible by all authenticated users)
+// ?instance=<id> limits it to that instance (and panel-wide entries such as logins)
 app.get('/api/activity', requireAuth, (req, res) => {
     const limit = parseInt(req.query.limit) || 10;
+    const instanceId = req.query.instance ? String(req.query.instance) : null;
+    if (instanceId && !instanceRegistry.roleFor(req.user, instanceId)) {
+        return res.status(404).json({ error: 'Instance not found' });
+    }
+    // Entries of instances the user cannot see are left out
+    const hidden = hiddenInstanceIds(req.user);
     const logs = db.prepare(`
-        SELECT a.action, a.details, a.created_at, a.ip_address, u.username
-        FROM audit_log a LEFT JOIN users u ON a.user_id = u.id
-        WHERE a.action IN ('server_start', 'server_stop', 'server_restart', 'login', 'config_update', 'backup_create')
+        SELECT a.action, a.details, a.created_at, a.ip_address, a.instance_id, i.name as instance_name, u.username
+        FROM audit_log a LEFT JOIN users u ON a.user_id = u.id LEFT JOIN instances i ON a.instance_id = i.id
+        WHERE a.action IN ('server_start', 'server_stop', 'server_restart', 'server_crash', 'server_auto_restart', 'player_kick', 'player_ban', 'login', 'config_update', 'backup_create')
+          AND (? IS NULL OR a.instance_id IS NULL OR a.instance_id = ?)
+          AND (a.instance_id IS NULL OR a.instance_id NOT IN (SELECT value FROM json_each(?)))
         ORDER BY a.created_at DESC LIMIT ?
-    `).all(limit);
+    `).all(instanceId, instanceId, JSON.stringify(hidden), limit);
     res.json({ logs });
 });
 
@@ -1414,19 +3339,25 @@ app.get('/api/audit', requireAuth, requirePermission('audit.view'), (req, res) =
     const limit = parseInt(req.query.limit) || 100;
     const offset = parseInt(req.query.offset) || 0;
 
+    const instanceId = req.query.instance ? String(req.query.instance) : null;
+
     const logs = db.prepare(`
-        SELECT a.*, u.username
-        FROM audit_log a LEFT JOIN users u ON a.user_id = u.id
+        SELECT a.*, i.name as instance_name, u.username
+        FROM audit_log a LEFT JOIN users u ON a.user_id = u.id LEFT JOIN instances i ON a.instance_id = i.id
+        WHERE ? IS NULL OR a.instance_id = ?
         ORDER BY a.created_at DESC LIMIT ? OFFSET ?
-    `).all(limit, offset);
+    `).all(instanceId, instanceId, limit, offset);
 
-    const total = db.prepare('SELECT COUNT(*) as count FROM audit_log').get();
+    const total = db.prepare('SELECT COUNT(*) as count FROM audit_log WHERE ? IS NULL OR instance_id = ?').get(instanceId, instanceId);
     res.json({ logs, total: total.count });
 });
 
 // API: Webhooks
+// The signing secret is only shown once, when it is generated
 app.get('/api/webhooks', requireAuth, requirePermission('webhooks.manage'), (req, res) => {
-    const webhooks = db.prepare('SELECT * FROM webhooks ORDER BY created_at DESC').all();
+    const pending = webhookQueue.pendingCounts();
+    const webhooks = db.prepare('SELECT * FROM webhooks ORDER BY created_at DESC').all()
+        .map(({ secret, ...webhook }) => ({ ...webhook, has_secret: !!secret, pending: pending[webhook.id] || 0 }));
     res.json({ webhooks });
 });
 
@@ -1444,49 +3375,219 @@ app.post('/api/webhooks', requireAuth, requirePermission('webhooks.manage'), (re
     res.json({ success: true });
 });
 
+// Update in place, so alert rules routed to the webhook keep pointing at it
+app.put('/api/webhooks/:id', requireAuth, requirePermission('webhooks.manage'), (req, res) => {
+    const { name, url, events } = req.body;
+
+    if (!name || !url || !events) {
+        return res.status(400).json({ error: 'Name, URL, and events required' });
+    }
+
+    const result = db.prepare('UPDATE webhooks SET name = ?, url = ?, events = ? WHERE id = ?')
+        .run(name, url, JSON.stringify(events), req.params.id);
+    if (!result.changes) {
+        return res.status(404).json({ error: 'Webhook not found' });
+    }
+    // Enabling a webhook (again) starts its failure streak over
+    if (req.body.enabled !== undefined) {
+        db.prepare('UPDATE webhooks SET enabled = ?, consecutive_failures = CASE WHEN ? THEN 0 ELSE consecutive_failures END, disabled_reason = NULL WHERE id = ?')
+            .run(req.body.enabled ? 1 : 0, req.body.enabled ? 1 : 0, req.params.id);
+    }
+
+    auditLog(req.user.id, 'webhook_update', `Updated webhook: ${name}`, req.ip);
+    res.json({ success: true });
+});
+
 app.delete('/api/webhooks/:id', requireAuth, requirePermission('webhooks.manage'), (req, res) => {
     db.prepare('DELETE FROM webhooks WHERE id = ?').run(req.params.id);
+    db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').run(req.params.id);
+    // Rules left without webhooks of their own go to those subscribed to alert events
+    for (const rule of alertManager.forgetWebhook(Number(req.params.id))) {
+        auditLog(req.user.id, 'alert_rule_update', `Removed deleted webhook #${req.params.id} from alert rule "${rule.name}"`, req.ip);
+    }
     res.json({ success: true });
 });
 
-// API: Get save files
-app.get('/api/saves', requireAuth, (req, res) => {
-    const wineSavesDir = path.join(CONFIG.winePrefix, 'drive_c/users/death/AppData/LocalLow/Fire Hose Games/Techtonica/saves');
+// Helper: The webhook of a route, or answer 404
+function findWebhook(req, res) {
+    const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(req.params.id);
+    if (!webhook) res.status(404).json({ error: 'Webhook not found' });
+    return webhook;
+}
 
-    // Get current active save from config
-    const config = parseConfig();
-    const activeSave = config['Server']?.AutoLoadSave || '';
+// Helper: Answer a failed webhook call
+function sendWebhookError(res, err) {
+    if (err instanceof WebhookError) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    console.error('[Webhooks] Request failed:', err);
+    res.status(500).json({ error: 'Webhook request failed' });
+}
 
-    if (!fs.existsSync(wineSavesDir)) {
-        return res.json({ saves: [], activeSave });
+// Post a test notification right away and report what the receiver answered
+app.post('/api/webhooks/:id/test', requireAuth, requirePermission('webhooks.manage'), async (req, res) => {
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+    try {
+        const delivery = await webhookQueue.sendNow(webhook, 'test', buildWebhookPayload('test', { user: req.user.username }));
+        auditLog(req.user.id, 'webhook_test', `Tested webhook ${webhook.name}: ${delivery.status === 'delivered' ? `HTTP ${delivery.statusCode}` : delivery.error}`, req.ip);
+        res.json({ delivery });
+    } catch (err) {
+        sendWebhookError(res, err);
     }
+});
 
-    const saves = [];
-    const walkSync = (dir, base = '') => {
-        try {
-            fs.readdirSync(dir).forEach(file => {
-                const fullPath = path.join(dir, file);
-                const relPath = base ? `${base}/${file}` : file;
-                const stat = fs.statSync(fullPath);
-                if (stat.isDirectory()) {
-                    walkSync(fullPath, relPath);
-                } else if (file.endsWith('.dat')) {
-                    saves.push({
-                        name: relPath,
-                        path: fullPath,
-                        size: stat.size,
-                        sizeFormatted: formatBytes(stat.size),
-                        modified: stat.mtime,
-                        isActive: fullPath === activeSave
-                    });
-                }
-            });
-        } catch (err) { }
-    };
+app.get('/api/webhooks/:id/deliveries', requireAuth, requirePermission('webhooks.manage'), (req, res) => {
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+    res.json(webhookQueue.list(webhook.id, parsePaging(req.query, 50)));
+});
+
+app.post('/api/webhooks/:id/deliveries/:deliveryId/retry', requireAuth, requirePermission('webhooks.manage'), (req, res) => {
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+    try {
+        if (webhookQueue.getDelivery(req.params.deliveryId).webhookId !== webhook.id) {
+            throw new WebhookError('Delivery not found', 404);
+        }
+        if (!webhook.enabled) throw new WebhookError('Enable the webhook before retrying its deliveries', 409);
+        const delivery = webhookQueue.retry(req.params.deliveryId);
+        auditLog(req.user.id, 'webhook_retry', `Retrying delivery ${delivery.id} (${delivery.event}) of webhook ${webhook.name}`, req.ip);
+        res.json({ delivery });
+    } catch (err) {
+        sendWebhookError(res, err);
+    }
+});
+
+// A new signing secret replaces the old one at once; receivers need the new value
+app.post('/api/webhooks/:id/secret', requireAuth, requirePermission('webhooks.manage'), (req, res) => {
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+    const secret = newSecret();
+    db.prepare('UPDATE webhooks SET secret = ? WHERE id = ?').run(secret, webhook.id);
+    auditLog(req.user.id, 'webhook_secret', `Generated a signing secret for webhook ${webhook.name}`, req.ip);
+    res.json({ secret });
+});
+
+app.delete('/api/webhooks/:id/secret', requireAuth, requirePermission('webhooks.manage'), (req, res) => {
+    const webhook = findWebhook(req, res);
+    if (!webhook) return;
+    db.prepare('UPDATE webhooks SET secret = NULL WHERE id = ?').run(webhook.id);
+    auditLog(req.user.id, 'webhook_secret', `Removed the signing secret of webhook ${webhook.name}`, req.ip);
+    res.json({ success: true });
+});
+
+// Helper: Ids of the instances a user cannot see
+function hiddenInstanceIds(user) {
+    return instanceRegistry.list().filter(record => !instanceRegistry.roleFor(user, record.id)).map(record => record.id);
+}
+
+// Helper: Refuse an alert change that names an instance, or a rule of one, the user cannot see
+function checkAlertScope(req, { instanceId = null, ruleId = null } = {}) {
+    const hidden = hiddenInstanceIds(req.user);
+    if (instanceId && hidden.includes(String(instanceId))) throw new AlertError(`Unknown instance: ${instanceId}`);
+    if (ruleId !== null && ruleId !== undefined && ruleId !== '' && hidden.includes(alertManager.getRule(ruleId).instanceId)) {
+        throw new AlertError('Alert rule not found', 404);
+    }
+}
+
+// Helper: Answer a failed alert call
+function sendAlertError(res, err) {
+    if (err instanceof AlertError) {
+        return res.status(err.status).json({ error: err.message });
+    }
+    console.error('[Alerts] Request failed:', err);
+    res.status(500).json({ error: err.message });
+}
+
+// API: Alerts, firing first (?state=firing|resolved|all), with the metrics rules can watch
+app.get('/api/alerts', requireAuth, requirePermission('alerts.view'), (req, res) => {
+    const state = ['firing', 'resolved'].includes(req.query.state) ? req.query.state : 'all';
+    const { limit } = parsePaging(req.query, 100);
+    const metrics = Object.entries(ALERT_METRICS).map(([id, metric]) => ({ id, label: metric.label, unit: metric.unit.trim(), host: Boolean(metric.host) }));
+    res.json({ alerts: alertManager.listAlerts({ state, limit, hiddenInstances: hiddenInstanceIds(req.user) }), metrics });
+});
+
+// API: Alert rules
+app.get('/api/alerts/rules', requireAuth, requirePermission('alerts.view'), (req, res) => {
+    res.json({ rules: alertManager.listRules({ hiddenInstances: hiddenInstanceIds(req.user) }) });
+});
+
+app.post('/api/alerts/rules', requireAuth, requirePermission('alerts.manage'), (req, res) => {
+    try {
+        checkAlertScope(req, { instanceId: req.body?.instanceId });
+        const rule = alertManager.createRule(req.body || {}, req.user.id);
+        auditLog(req.user.id, 'alert_rule_create', `Created alert rule "${rule.name}"`, req.ip);
+        res.json({ success: true, rule });
+    } catch (err) {
+        sendAlertError(res, err);
+    }
+});
+
+app.put('/api/alerts/rules/:id', requireAuth, requirePermission('alerts.manage'), (req, res) => {
+    try {
+        checkAlertScope(req, { ruleId: req.params.id, instanceId: req.body?.instanceId });
+        const rule = alertManager.updateRule(req.params.id, req.body || {});
+        auditLog(req.user.id, 'alert_rule_update', `Updated alert rule "${rule.name}"${rule.enabled ? '' : ' (disabled)'}`, req.ip);
+        res.json({ success: true, rule });
+    } catch (err) {
+        sendAlertError(res, err);
+    }
+});
+
+app.delete('/api/alerts/rules/:id', requireAuth, requirePermission('alerts.manage'), (req, res) => {
+    try {
+        checkAlertScope(req, { ruleId: req.params.id });
+        const rule = alertManager.deleteRule(req.params.id);
+        auditLog(req.user.id, 'alert_rule_delete', `Deleted alert rule "${rule.name}"`, req.ip);
+        res.json({ success: true });
+    } catch (err) {
+        sendAlertError(res, err);
+    }
+});
+
+// API: Silences (?all=1 includes those that are over)
+app.get('/api/alerts/silences', requireAuth, requirePermission('alerts.view'), (req, res) => {
+    res.json({ silences: alertManager.listSilences({ includeExpired: req.query.all === '1', hiddenInstances: hiddenInstanceIds(req.user) }) });
+});
+
+app.post('/api/alerts/silences', requireAuth, requirePermission('alerts.manage'), (req, res) => {
+    try {
+        checkAlertScope(req, { instanceId: req.body?.instanceId, ruleId: req.body?.ruleId });
+        const silence = alertManager.createSilence(req.body || {}, req.user.id);
+        const scope = [silence.ruleName && `rule "${silence.ruleName}"`, silence.instanceId && `instance ${silence.instanceId}`].filter(Boolean).join(', ') || 'all alerts';
+        auditLog(req.user.id, 'alert_silence_create', `Silenced ${scope} until ${silence.endsAt}${silence.reason ? `: ${silence.reason}` : ''}`, req.ip);
+        res.json({ success: true, silence });
+    } catch (err) {
+        sendAlertError(res, err);
+    }
+});
+
+app.delete('/api/alerts/silences/:id', requireAuth, requirePermission('alerts.manage'), (req, res) => {
+    try {
+        const visible = alertManager.listSilences({ hiddenInstances: hiddenInstanceIds(req.user) });
+        if (!visible.some(silence => silence.id === Number(req.params.id))) throw new AlertError('Silence not found or already over', 404);
+        alertManager.expireSilence(req.params.id);
+        auditLog(req.user.id, 'alert_silence_expire', `Ended alert silence #${req.params.id}`, req.ip);
+        res.json({ success: true });
+    } catch (err) {
+        sendAlertError(res, err);
+    }
+});
 
-    walkSync(wineSavesDir);
-    saves.sort((a, b) => new Date(b.modified) - new Date(a.modified));
-    res.json({ saves, activeSave });
+// API: Get save files (with notes, tags and version counts)
+app.get('/api/saves', requireAuth, (req, res) => {
+    const { saveLibrary } = req.instance;
+    // Get current active save from config
+    const config = parseConfig(req.instance);
+    const activeSave = config['Server']?.AutoLoadSave || '';
+
+    const saves = saveLibrary.list().map(save => ({
+        ...save,
+        sizeFormatted: formatBytes(save.size),
+        isActive: save.path === activeSave
+    }));
+    res.json({ saves, activeSave, versioning: saveLibrary.versioning });
 });
 
 // API: Set active save file
@@ -1501,119 +3602,256 @@ app.post('/api/saves/set-active', requireAuth, requirePermission('server.config'
         return res.status(404).json({ error: 'Save file not found' });
     }
 
-    const config = parseConfig();
-    config['Server'] = config['Server'] || {};
-    config['Server']['AutoLoadSave'] = savePath;
-
-    if (saveModConfig(config)) {
-        auditLog(req.user.id, 'save_set_active', `Set active save: ${path.basename(savePath)}`, req.ip);
-        res.json({ success: true, message: 'Active save updated' });
-    } else {
-        res.status(500).json({ error: 'Failed to update config' });
+    try {
+        saveModConfig(req.instance, { Server: { AutoLoadSave: savePath } }, { source: 'save_active', userId: req.user.id });
+    } catch (err) {
+        return configErrorResponse(res, err);
     }
+    auditLog(req.user.id, 'save_set_active', `Set active save: ${path.basename(savePath)}`, req.ip, req.instance);
+    res.json({ success: true, message: 'Active save updated' });
 });
 
-// API: Upload save file
-app.post('/api/saves/upload', requireAuth, requirePermission('server.config'), (req, res) => {
-    const wineSavesDir = path.join(CONFIG.winePrefix, 'drive_c/users/death/AppData/LocalLow/Fire Hose Games/Techtonica/saves');
+// Helper: Audit log line for an installed upload
+function describeUpload(save) {
+    if (save.replaced) return `Uploaded save: ${save.name} (replaced the existing save, backed up as ${save.backup.filename})`;
+    if (save.renamedFrom) return `Uploaded save: ${save.name} (${save.renamedFrom} already existed)`;
+    return `Uploaded save: ${save.name}`;
+}
+
+// Helper: JSON error response for a failed upload
+function uploadErrorResponse(res, err) {
+    if (err instanceof UploadError) return res.status(err.status).json({ error: err.message, ...err.details });
+    if (err instanceof MultipartError) return res.status(err.status).json({ error: err.message });
+    if (err instanceof BackupError) return res.status(400).json({ error: err.message });
+    // The client went away mid-upload; what arrived is kept for resuming
+    if (err.code === 'ECONNRESET') return;
+    console.error('Upload error:', err);
+    res.status(500).json({ error: 'Upload failed: ' + err.message });
+}
 
-    // Ensure saves directory exists
-    if (!fs.existsSync(wineSavesDir)) {
-        fs.mkdirSync(wineSavesDir, { recursive: true });
+// API: Upload save file in one request (multipart/form-data, streamed to disk).
+// ?onConflict=reject|overwrite|rename, or an onConflict form field
+app.post('/api/saves/upload', requireAuth, requirePermission('server.config'), async (req, res) => {
+    const { uploadManager } = req.instance;
+    const maxBytes = uploadManager.maxBytes;
+    // Allow some room for the multipart framing around the file
+    if (parseInt(req.headers['content-length'] || '0') > maxBytes + 64 * 1024) {
+        return res.status(413).json({ error: `Save is larger than the ${CONFIG.uploads.maxSaveMb} MB upload limit` });
     }
 
-    // Handle multipart form data manually (simple implementation)
-    let body = Buffer.alloc(0);
-
-    req.on('data', chunk => {
-        body = Buffer.concat([body, chunk]);
-    });
+    const tempPath = uploadManager.tempPath();
+    try {
+        const { file, fields } = await receiveMultipart(req, { destPath: tempPath, maxFileBytes: maxBytes });
+        if (!file) {
+            return res.status(400).json({ error: 'No file found in upload' });
+        }
+        const save = await uploadManager.install(tempPath, file.filename, {
+            onConflict: req.query.onConflict || fields.onConflict || 'reject',
+            sha256: fields.sha256 || null,
+            userId: req.user.id
+        });
+        auditLog(req.user.id, 'save_upload', describeUpload(save), req.ip, req.instance);
+        res.json({ success: true, message: `Save uploaded: ${save.name}`, path: save.path, save });
+    } catch (err) {
+        uploadErrorResponse(res, err);
+    } finally {
+        fs.promises.rm(tempPath, { force: true }).catch(() => { });
+    }
+});
 
-    req.on('end', () => {
-        try {
-            const contentType = req.headers['content-type'] || '';
+// API: Start a resumable chunked upload { filename, size, sha256?, onConflict? }
+app.post('/api/saves/uploads', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { uploadManager } = req.instance;
+    const { filename, size, sha256, onConflict } = req.body;
+    try {
+        res.status(201).json({ upload: uploadManager.create({ filename, size, sha256, onConflict }, req.user.id) });
+    } catch (err) {
+        uploadErrorResponse(res, err);
+    }
+});
 
-            if (!contentType.includes('multipart/form-data')) {
-                return res.status(400).json({ error: 'Must be multipart/form-data' });
-            }
+// API: Chunked upload status (received is the offset to resume from)
+app.get('/api/saves/uploads/:id', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { uploadManager } = req.instance;
+    try {
+        res.json({ upload: uploadManager.get(req.params.id) });
+    } catch (err) {
+        uploadErrorResponse(res, err);
+    }
+});
 
-            // Extract boundary
-            const boundaryMatch = contentType.match(/boundary=(.+)$/);
-            if (!boundaryMatch) {
-                return res.status(400).json({ error: 'No boundary found' });
-            }
-            const boundary = boundaryMatch[1];
+// API: Send the next chunk (raw body, Upload-Offset header). The last chunk installs the save.
+app.put('/api/saves/uploads/:id', requireAuth, requirePermission('server.config'), async (req, res) => {
+    const { uploadManager } = req.instance;
+    const offset = Number(req.headers['upload-offset']);
+    const length = Number(req.headers['content-length']);
+    if (!Number.isInteger(offset) || offset < 0) {
+        return res.status(400).json({ error: 'Upload-Offset header required' });
+    }
+    if (!Number.isInteger(length)) {
+        return res.status(411).json({ error: 'Content-Length header required' });
+    }
 
-            // Parse multipart data
-            const parts = body.toString('binary').split('--' + boundary);
+    try {
+        const upload = await uploadManager.appendChunk(req.params.id, offset, length, req);
+        if (upload.complete) {
+            auditLog(req.user.id, 'save_upload', describeUpload(upload.save), req.ip, req.instance);
+        }
+        res.json({ success: true, upload });
+    } catch (err) {
+        if (err instanceof UploadError) req.resume();
+        uploadErrorResponse(res, err);
+    }
+});
 
-            for (const part of parts) {
-                if (part.includes('filename=')) {
-                    // Extract filename
-                    const filenameMatch = part.match(/filename="([^"]+)"/);
-                    if (!filenameMatch) continue;
+// API: Retry installing a fully received upload, e.g. with another conflict policy { onConflict }
+app.post('/api/saves/uploads/:id/complete', requireAuth, requirePermission('server.config'), async (req, res) => {
+    const { uploadManager } = req.instance;
+    try {
+        const upload = await uploadManager.complete(req.params.id, { onConflict: req.body.onConflict });
+        auditLog(req.user.id, 'save_upload', describeUpload(upload.save), req.ip, req.instance);
+        res.json({ success: true, upload });
+    } catch (err) {
+        uploadErrorResponse(res, err);
+    }
+});
 
-                    let filename = filenameMatch[1];
+// API: Abandon a chunked upload
+app.delete('/api/saves/uploads/:id', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { uploadManager } = req.instance;
+    if (!uploadManager.cancel(req.params.id)) {
+        return res.status(404).json({ error: 'Upload not found' });
+    }
+    res.json({ success: true });
+});
 
-                    // Sanitize filename
-                    filename = path.basename(filename).replace(/[^a-zA-Z0-9_.-]/g, '_');
-                    if (!filename.endsWith('.dat')) {
-                        filename += '.dat';
-                    }
+// API: Download a save file
+app.get('/api/saves/:filename/download', requireAuth, requirePermission('backups.view'), (req, res) => {
+    const filename = req.params.filename;
+    if (!isSafePath(filename)) {
+        return res.status(403).json({ error: 'Invalid path' });
+    }
+    if (!fs.existsSync(path.join(req.instance.config.wineSavesDir, filename))) {
+        return res.status(404).json({ error: 'Save file not found' });
+    }
+    if (!req.headers.range) {
+        auditLog(req.user.id, 'save_download', `Downloaded save: ${filename}`, req.ip, req.instance);
+    }
+    res.download(filename, path.basename(filename), { root: req.instance.config.wineSavesDir, dotfiles: 'allow' });
+});
 
-                    // Extract file content (after double CRLF)
-                    const contentStart = part.indexOf('\r\n\r\n');
-                    if (contentStart === -1) continue;
+// Helper: JSON error response for a save library operation
+function saveErrorResponse(res, err) {
+    if (err instanceof SaveLibraryError) return res.status(err.status).json({ error: err.message });
+    console.error('Save operation failed:', err);
+    res.status(500).json({ error: err.message });
+}
 
-                    let fileContent = part.substring(contentStart + 4);
-                    // Remove trailing boundary markers
-                    fileContent = fileContent.replace(/\r\n--$/, '').replace(/--\r\n$/, '').replace(/\r\n$/, '');
+// Helper: True if the save is the one the server loads and the server is running
+function isSaveInUse(instance, savePath) {
+    return instance.supervisor.isActive() && (parseConfig(instance)['Server']?.AutoLoadSave || '') === savePath;
+}
 
-                    // Write file
-                    const savePath = path.join(wineSavesDir, filename);
-                    fs.writeFileSync(savePath, fileContent, 'binary');
+// API: Set a save's notes and tags { notes?, tags? }
+app.put('/api/saves/:filename/meta', requireAuth, requirePermission('server.config'), (req, res) => {
+    const { saveLibrary } = req.instance;
+    try {
+        const meta = saveLibrary.setMeta(req.params.filename, { notes: req.body.notes, tags: req.body.tags }, req.user.id);
+        auditLog(req.user.id, 'save_meta', `Updated notes/tags of save: ${meta.name}`, req.ip, req.instance);
+        res.json({ success: true, meta });
+    } catch (err) {
+        saveErrorResponse(res, err);
+    }
+});
 
-                    auditLog(req.user.id, 'save_upload', `Uploaded save: ${filename}`, req.ip);
-                    return res.json({ success: true, message: `Save uploaded: ${filename}`, path: savePath });
-                }
-            }
+// API: Rename a save { newName }; the active save setting follows it
+app.post('/api/saves/:filename/rename', requireAuth, requirePermission('server.config'), async (req, res) => {
+    const { saveLibrary } = req.instance;
+    const filename = req.params.filename;
+    try {
+        const oldPath = saveLibrary.resolve(filename);
+        if (isSaveInUse(req.instance, oldPath)) {
+            return res.status(400).json({ error: 'Please stop the server before renaming the active save' });
+        }
+        const renamed = await saveLibrary.rename(filename, String(req.body.newName || ''));
 
-            res.status(400).json({ error: 'No file found in upload' });
-        } catch (err) {
-            console.error('Upload error:', err);
-            res.status(500).json({ error: 'Upload failed: ' + err.message });
+        if (parseConfig(req.instance)['Server']?.AutoLoadSave === oldPath) {
+            saveModConfig(req.instance, { Server: { AutoLoadSave: renamed.path } }, { source: 'save_rename', userId: req.user.id });
         }
-    });
+        auditLog(req.user.id, 'save_rename', `Renamed save: ${filename} -> ${renamed.name}`, req.ip, req.instance);
+        res.json({ success: true, save: renamed });
+    } catch (err) {
+        saveErrorResponse(res, err);
+    }
 });
 
-// API: Delete save file
-app.delete('/api/saves/:filename', requireAuth, requirePermission('server.config'), (req, res) => {
-    const wineSavesDir = path.join(CONFIG.winePrefix, 'drive_c/users/death/AppData/LocalLow/Fire Hose Games/Techtonica/saves');
-    const filename = decodeURIComponent(req.params.filename);
-    const savePath = path.join(wineSavesDir, filename);
+// API: Copy a save under a new name { newName }
+app.post('/api/saves/:filename/clone', requireAuth, requirePermission('server.config'), async (req, res) => {
+    const { saveLibrary } = req.instance;
+    const filename = req.params.filename;
+    try {
+        const clone = await saveLibrary.clone(filename, String(req.body.newName || ''), { userId: req.user.id });
+        auditLog(req.user.id, 'save_clone', `Cloned save: ${filename} -> ${clone.name}`, req.ip, req.instance);
+        res.json({ success: true, save: clone });
+    } catch (err) {
+        saveErrorResponse(res, err);
+    }
+});
 
-    // Security check - ensure path is within saves directory
-    if (!savePath.startsWith(wineSavesDir)) {
-        return res.status(403).json({ error: 'Invalid path' });
+// API: Version history of one save, newest first
+app.get('/api/saves/:filename/versions', requireAuth, requirePermission('backups.view'), (req, res) => {
+    const { saveLibrary } = req.instance;
+    try {
+        saveLibrary.resolve(req.params.filename);
+        res.json({ versions: saveLibrary.history(req.params.filename), keepVersions: saveLibrary.keepVersions });
+    } catch (err) {
+        saveErrorResponse(res, err);
     }
+});
 
-    if (!fs.existsSync(savePath)) {
-        return res.status(404).json({ error: 'Save file not found' });
+// API: Download one version of a save
+app.get('/api/saves/:filename/versions/:versionId/download', requireAuth, requirePermission('backups.view'), (req, res) => {
+    const { saveLibrary } = req.instance;
+    try {
+        const version = saveLibrary.getVersion(req.params.filename, req.params.versionId);
+        const stamp = version.createdAt.replace(/[:.]/g, '-');
+        res.download(saveLibrary.versionPath(version), `${path.basename(version.name, '.dat')}-${stamp}.dat`);
+    } catch (err) {
+        saveErrorResponse(res, err);
     }
+});
 
+// API: Roll one save back to an earlier version (the current state is kept as a version first)
+app.post('/api/saves/:filename/versions/:versionId/restore', requireAuth, requirePermission('backups.restore'), async (req, res) => {
+    const { saveLibrary } = req.instance;
+    const filename = req.params.filename;
     try {
-        fs.unlinkSync(savePath);
-        auditLog(req.user.id, 'save_delete', `Deleted save: ${filename}`, req.ip);
-        res.json({ success: true, message: 'Save deleted' });
+        if (isSaveInUse(req.instance, saveLibrary.resolve(filename))) {
+            return res.status(400).json({ error: 'Please stop the server before rolling back the active save' });
+        }
+        const { restored, version } = await saveLibrary.rollback(filename, req.params.versionId, { userId: req.user.id });
+        auditLog(req.user.id, 'save_rollback', `Rolled back save ${filename} to the version of ${restored.createdAt}`, req.ip, req.instance);
+        res.json({ success: true, restored, version });
     } catch (err) {
-        res.status(500).json({ error: 'Failed to delete save' });
+        saveErrorResponse(res, err);
     }
 });
 
-// Webhook trigger function with rich Discord embeds
-async function triggerWebhook(event, data) {
-    const webhooks = db.prepare('SELECT * FROM webhooks WHERE enabled = 1').all();
+// API: Delete save file (with its notes, tags and version history)
+app.delete('/api/saves/:filename', requireAuth, requirePermission('server.config'), async (req, res) => {
+    const { saveLibrary } = req.instance;
+    const filename = req.params.filename;
+    try {
+        await saveLibrary.remove(filename);
+        auditLog(req.user.id, 'save_delete', `Deleted save: ${filename}`, req.ip, req.instance);
+        res.json({ success: true, message: 'Save deleted' });
+    } catch (err) {
+        saveErrorResponse(res, err);
+    }
+});
 
+// Helper: The Discord embed posted for an event
+function buildWebhookPayload(event, data) {
     // Event configurations for rich formatting
     const eventConfig = {
         server_start: {
@@ -1631,11 +3869,31 @@ async function triggerWebhook(event, data) {
             color: 0xf59e0b,  // Amber
             description: 'The Techtonica dedicated server has been restarted.'
         },
+        server_crash: {
+            title: '💥 Server Crashed',
+            color: 0xef4444,  // Red
+            description: 'The Techtonica dedicated server exited unexpectedly.'
+        },
+        server_crash_loop: {
+            title: '🛑 Server Crash Loop',
+            color: 0x991b1b,  // Dark red
+            description: 'The server keeps crashing. Automatic restarts have been paused.'
+        },
         backup_created: {
             title: '💾 Backup Created',
             color: 0x3b82f6,  // Blue
             description: 'A new server backup has been created.'
         },
+        backup_replication_failed: {
+            title: '☁️ Off-site Backup Failed',
+            color: 0xef4444,  // Red
+            description: 'A backup could not be copied to off-site storage.'
+        },
+        scheduled_task_failed: {
+            title: '⏰ Scheduled Task Failed',
+            color: 0xef4444,  // Red
+            description: 'A scheduled task did not complete.'
+        },
         player_join: {
             title: '👋 Player Joined',
             color: 0x22c55e,  // Green
@@ -1661,6 +3919,21 @@ async function triggerWebhook(event, data) {
             color: 0x22c55e,  // Green
             description: 'A player has joined the game world.'
         },
+        alert_firing: {
+            title: '🚨 Alert Firing',
+            color: 0xf59e0b,  // Amber
+            description: 'An alert rule has fired.'
+        },
+        alert_resolved: {
+            title: '✅ Alert Resolved',
+            color: 0x22c55e,  // Green
+            description: 'An alert has cleared.'
+        },
+        test: {
+            title: '🧪 Test Notification',
+            color: 0xa78bfa,  // Purple
+            description: 'This is a test from the Techtonica Admin Panel. If you can read this, the webhook works.'
+        },
         default: {
             title: '📢 Server Event',
             color: 0xa78bfa,  // Purple (CertiFried theme)
@@ -1668,84 +3941,95 @@ async function triggerWebhook(event, data) {
         }
     };
 
-    for (const webhook of webhooks) {
-        try {
-            const events = JSON.parse(webhook.events || '[]');
-            if (!events.includes(event) && !events.includes('all')) continue;
-
-            const config = eventConfig[event] || eventConfig.default;
-
-            // Build fields from data
-            const fields = [];
-            if (data.user) {
-                // Check if user has linked Discord
-                const userInfo = db.prepare('SELECT discord_id, discord_username FROM users WHERE username = ?').get(data.user);
-                const userDisplay = userInfo?.discord_id
-                    ? `<@${userInfo.discord_id}>`
-                    : data.user;
-                fields.push({ name: '👤 Triggered By', value: userDisplay, inline: true });
-            }
-            if (data.filename) {
-                fields.push({ name: '📁 File', value: `\`${data.filename}\``, inline: true });
-            }
-            if (data.player) {
-                fields.push({ name: '🎮 Player', value: data.player, inline: true });
-            }
-            if (data.reason) {
-                fields.push({ name: '📝 Reason', value: data.reason, inline: false });
-            }
+    let config = eventConfig[event] || eventConfig.default;
+    if (event === 'alert_firing' && data.severity === 'critical') {
+        config = { ...config, color: 0xef4444 };  // Red
+    }
 
-            // Add any extra data as fields
-            Object.keys(data).forEach(key => {
-                if (!['user', 'filename', 'player', 'reason'].includes(key)) {
-                    fields.push({
-                        name: key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' '),
-                        value: String(data[key]),
-                        inline: true
-                    });
-                }
-            });
+    // Build fields from data
+    const fields = [];
+    if (data.user) {
+        // Check if user has linked Discord
+        const userInfo = db.prepare('SELECT discord_id, discord_username FROM users WHERE username = ?').get(data.user);
+        const userDisplay = userInfo?.discord_id
+            ? `<@${userInfo.discord_id}>`
+            : data.user;
+        fields.push({ name: '👤 Triggered By', value: userDisplay, inline: true });
+    }
+    if (data.filename) {
+        fields.push({ name: '📁 File', value: `\`${data.filename}\``, inline: true });
+    }
+    if (data.player) {
+        fields.push({ name: '🎮 Player', value: data.player, inline: true });
+    }
+    if (data.reason) {
+        fields.push({ name: '📝 Reason', value: data.reason, inline: false });
+    }
 
-            const payload = {
-                embeds: [{
-                    title: config.title,
-                    description: config.description,
-                    color: config.color,
-                    fields: fields,
-                    thumbnail: {
-                        url: 'https://cdn.thunderstore.io/live/repository/icons/CertiFried-TechtonicaDirectConnect-1.0.11.png'
-                    },
-                    footer: {
-                        text: 'Techtonica Dedicated Server • CertiFried',
-                        icon_url: 'https://cdn.thunderstore.io/live/repository/icons/CertiFried-TechtonicaDirectConnect-1.0.11.png'
-                    },
-                    timestamp: new Date().toISOString()
-                }]
-            };
+    // Add any extra data as fields
+    Object.keys(data).forEach(key => {
+        if (!['user', 'filename', 'player', 'reason'].includes(key)) {
+            fields.push({
+                name: key.charAt(0).toUpperCase() + key.slice(1).replace(/_/g, ' '),
+                value: String(data[key]),
+                inline: true
+            });
+        }
+    });
 
-            const url = new URL(webhook.url);
-            const reqModule = url.protocol === 'https:' ? https : http;
+    return {
+        embeds: [{
+            title: config.title,
+            description: config.description,
+            color: config.color,
+            fields: fields,
+            thumbnail: {
+                url: 'https://cdn.thunderstore.io/live/repository/icons/CertiFried-TechtonicaDirectConnect-1.0.11.png'
+            },
+            footer: {
+                text: 'Techtonica Dedicated Server • CertiFried',
+                icon_url: 'https://cdn.thunderstore.io/live/repository/icons/CertiFried-TechtonicaDirectConnect-1.0.11.png'
+            },
+            timestamp: new Date().toISOString()
+        }]
+    };
+}
 
-            const req = reqModule.request({
-                hostname: url.hostname,
-                port: url.port,
-                path: url.pathname + url.search,
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' }
-            });
+// Webhook trigger function with rich Discord embeds. Events of additional instances
+// name the instance, so one channel can follow several servers. With webhookIds, the
+// event goes to those webhooks whatever events they subscribe to (alert routing).
+// Posts go through the delivery queue, which retries them and logs each attempt.
+// Returns how many webhooks the event was queued for.
+function triggerWebhook(event, data, instance = null, { webhookIds = [] } = {}) {
+    const webhooks = db.prepare('SELECT * FROM webhooks WHERE enabled = 1').all()
+        .filter(webhook => !webhookIds.length || webhookIds.includes(webhook.id));
+    if (instance && !instance.isDefault) {
+        data = { ...data, instance: instance.name };
+    }
 
-            req.write(JSON.stringify(payload));
-            req.end();
+    let payload = null;
+    let queued = 0;
+    for (const webhook of webhooks) {
+        try {
+            const events = JSON.parse(webhook.events || '[]');
+            if (!webhookIds.length && !events.includes(event) && !events.includes('all')) continue;
+            payload = payload || buildWebhookPayload(event, data);
+            webhookQueue.enqueue(webhook, event, payload);
+            queued++;
         } catch (err) {
             console.error(`Webhook error for ${webhook.name}:`, err.message);
         }
     }
+    return queued;
 }
 
 // Start server
 let server;
 
 try {
+    if (!CONFIG.sslCert || !CONFIG.sslKey) {
+        throw new Error('sslCert/sslKey not configured');
+    }
     const sslOptions = {
         key: fs.readFileSync(CONFIG.sslKey),
         cert: fs.readFileSync(CONFIG.sslCert)
@@ -1764,18 +4048,88 @@ const io = new Server(server, {
     cors: { origin: '*' }
 });
 
+// Accept Socket.IO requests that still carry the reverse proxy base path
+// (registered after Socket.IO so it runs before its request/upgrade handlers)
+if (CONFIG.basePath) {
+    const stripBasePath = (req) => {
+        if (req.url.startsWith(CONFIG.basePath + '/socket.io')) {
+            req.url = req.url.slice(CONFIG.basePath.length);
+        }
+    };
+    server.prependListener('request', stripBasePath);
+    server.prependListener('upgrade', stripBasePath);
+}
+
+io.engine.use(sessionMiddleware);
+
+// Remote node agents connect over the same server
+nodeHub.attach(server);
+
+nodeHub.on('connected', (node) => {
+    console.log(`[Nodes] ${node.name} connected from ${node.address}`);
+    auditLog(null, 'node_connected', `Node "${node.name}" connected from ${node.address} (agent ${node.agent?.version || 'unknown'} on ${node.agent?.hostname || 'unknown host'})`, node.address);
+    io.to('nodes').emit('nodeState', node);
+});
+
+nodeHub.on('disconnected', (node, reason) => {
+    console.log(`[Nodes] ${node.name} disconnected: ${reason}`);
+    auditLog(null, 'node_disconnected', `Node "${node.name}" disconnected (${reason})`, node.address);
+    io.to('nodes').emit('nodeState', node);
+});
+
+// A node's game reports the same lifecycle events as the panel's own servers
+nodeHub.on('event', ({ node, event, data }) => {
+    io.to('nodes').emit('nodeEvent', { node: node.id, event, data });
+    if (event === 'crash') {
+        const reason = data.error || `exit code ${data.code}${data.signal ? `, signal ${data.signal}` : ''}`;
+        auditLog(null, 'node_server_crash', `Game on node "${node.name}" exited unexpectedly while ${data.state} (${reason})`, null);
+        triggerWebhook('server_crash', { reason, 'Recent crashes': data.recentCrashes, node: node.name });
+    } else if (event === 'crashLoop') {
+        const reason = `${data.crashes} crashes within ${Math.round(data.windowMs / 60000)} minutes; auto-restart disabled until the server is started manually`;
+        auditLog(null, 'node_server_crash_loop', `Node "${node.name}": ${reason}`, null);
+        triggerWebhook('server_crash_loop', { reason, node: node.name });
+    }
+});
+
 io.on('connection', (socket) => {
     console.log('Client connected');
 
+    // Node states go to signed-in dashboards only
+    const sessionUserId = socket.request.session?.userId;
+    if (sessionUserId && db.prepare('SELECT 1 FROM users WHERE id = ? AND is_active = 1').get(sessionUserId)) {
+        socket.join('nodes');
+    }
+
+    // Each dashboard watches one instance (the default until it selects another)
+    let watching = instances.get(DEFAULT_INSTANCE);
+    const watch = (instance) => {
+        socket.leave(`instance:${watching.id}`);
+        watching = instance;
+        socket.join(`instance:${instance.id}`);
+        // Send the current lifecycle state immediately; changes are pushed via 'serverState'
+        socket.emit('serverState', { ...instance.supervisor.getStatus(), instance: instance.id });
+    };
+    watch(watching);
+
+    socket.on('selectInstance', (id) => {
+        const userId = socket.request.session?.userId;
+        const user = userId && db.prepare('SELECT * FROM users WHERE id = ? AND is_active = 1').get(userId);
+        const instance = instances.get(String(id));
+        if (!user || !instance || !instanceRegistry.roleFor(user, instance.id)) {
+            socket.emit('instanceError', { instance: id, error: 'Instance not found' });
+            return;
+        }
+        watch(instance);
+    });
+
     const statusInterval = setInterval(async () => {
-        const serverStatus = await checkServerRunning();
+        const serverStatus = watching.supervisor.getStatus();
         const systemStats = await getSystemStats();
 
         socket.emit('status', {
+            instance: watching.id,
             server: {
-                running: serverStatus.running,
-                pid: serverStatus.pid,
-                uptime: serverStatus.uptime,
+                ...serverStatus,
                 uptimeFormatted: formatUptime(serverStatus.uptime)
             },
             system: {
@@ -1792,14 +4146,37 @@ io.on('connection', (socket) => {
     });
 });
 
-// Process new game events and trigger webhooks
-function processGameEvents() {
-    const events = readGameEvents(lastEventTimestamp);
+// Process an instance's new game events and trigger webhooks
+function processGameEvents(instance) {
+    const { supervisor, gameCommands, bans, playerSessions, eventTail } = instance;
+    let entries;
+    try {
+        entries = eventTail.poll();
+    } catch (err) {
+        console.error('[Events] Failed to read event log:', err.message);
+        return;
+    }
 
-    for (const event of events) {
-        // Update last timestamp
-        if (new Date(event.timestamp) > new Date(lastEventTimestamp)) {
-            lastEventTimestamp = event.timestamp;
+    for (const { event, stale } of entries) {
+        playerSessions.ingest(event);
+        // Events from before the catch-up window only update history; alerts would be long out of date
+        if (stale) continue;
+        instance.lastEventAt = Date.now();
+        gameEventsTotal.inc({ server: instance.id, type: String(event.type || 'unknown').slice(0, 64) });
+
+        supervisor.handleGameEvent(event);
+
+        // The mod rejects banned players itself; this catches builds that predate the ban file
+        if (event.type === 'player_connect' || event.type === 'player_identified') {
+            const ban = bans.findActive({ name: event.type === 'player_identified' ? event.name : null, address: event.address });
+            if (ban) {
+                console.log(`[Bans] Kicking banned player on connection ${event.connectionId}`);
+                try {
+                    gameCommands.send(`ds.kick ${event.connectionId}`);
+                } catch (err) {
+                    console.error('[Bans] Failed to queue kick:', err.message);
+                }
+            }
         }
 
         // Map game event types to webhook events
@@ -1823,26 +4200,23 @@ function processGameEvents() {
 
             // Replace player IP with server address for Discord webhooks (privacy)
             if (webhookEvent === 'player_connect' && data.address) {
-                data.address = 'techtonica.certifriedmultitool.com:6968';
+                data.address = instance.config.publicAddress;
             }
 
-            triggerWebhook(webhookEvent, data);
+            triggerWebhook(webhookEvent, data, instance);
         }
 
-        // Emit to connected Socket.IO clients
-        io.emit('gameEvent', event);
+        // Emit to the dashboards watching this instance
+        emitToInstance(instance, 'gameEvent', event);
     }
 }
 
-// Start event watcher (check every 5 seconds)
-setInterval(processGameEvents, 5000);
-
 // API: Get game events
 app.get('/api/events', requireAuth, (req, res) => {
     const limit = parseInt(req.query.limit) || 50;
     const since = req.query.since || null;
 
-    let events = readGameEvents(since);
+    let events = readGameEvents(req.instance, since);
 
     // Sort by newest first and limit
     events.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
@@ -1851,8 +4225,93 @@ app.get('/api/events', requireAuth, (req, res) => {
     res.json({ events });
 });
 
-server.listen(CONFIG.port, '0.0.0.0', () => {
-    console.log(`Techtonica Server Admin Panel running on http://0.0.0.0:${CONFIG.port}`);
-    console.log(`Access via: https://certifriedmultitool.com${CONFIG.basePath}`);
-    console.log(`Or: http://51.81.155.59:${CONFIG.port}`);
+// Check the alert rules against fresh metrics of the host and every instance
+async function evaluateAlerts() {
+    try {
+        const system = await getSystemStats();
+        const snapshot = {
+            host: {
+                host_load: system.cpu.load1,
+                host_memory_percent: Number(system.memory.percent),
+                host_disk_percent: Number(system.disk.percent)
+            },
+            instances: []
+        };
+        for (const instance of [...instances.values()]) {
+            const status = instance.supervisor.getStatus();
+            const game = await getProcessMetrics(instance);
+            const newest = instance.backupManager.stats().reduce((latest, stats) => (!latest || stats.newest > latest ? stats.newest : latest), null);
+            // Quiet since the last event, or since the game came up if it has sent none since
+            const since = Math.max(instance.lastEventAt || 0, new Date(status.stateSince).getTime());
+            snapshot.instances.push({
+                id: instance.id,
+                name: instance.name,
+                state: status.state,
+                startSeconds: status.startedAt ? Math.floor((Date.now() - new Date(status.startedAt).getTime()) / 1000) : 0,
+                quietSeconds: Math.floor((Date.now() - since) / 1000),
+                values: {
+                    cpu: game.cpu,
+                    memory_percent: game.memory,
+                    memory_mb: game.memoryMB,
+                    players: instance.playerSessions.online().length,
+                    backup_age_hours: newest ? (Date.now() - newest.getTime()) / 3600000 : undefined
+                }
+            });
+        }
+        // Instances removed while we were measuring are left out
+        snapshot.instances = snapshot.instances.filter(entry => instances.has(entry.id));
+        alertManager.evaluate(snapshot);
+    } catch (err) {
+        console.error('[Alerts] Evaluation failed:', err.message);
+    }
+}
+
+alertManager.on('change', ({ kind, rule, alert }) => {
+    console.log(`[Alerts] ${rule.name} ${kind}: ${alert.message}`);
+    auditLog(null, `alert_${kind}`, `Alert "${rule.name}" ${kind}: ${alert.message}`, null, instances.get(alert.instanceId) || null);
+});
+
+alertManager.on('notify', ({ kind, rule, alert }) => {
+    const data = { reason: alert.message, rule: rule.name, severity: rule.severity, 'Firing since': alert.startedAt };
+    if (alert.resolvedAt) data['Resolved at'] = alert.resolvedAt;
+    const instance = instances.get(alert.instanceId) || null;
+    if (!triggerWebhook(kind === 'resolved' ? 'alert_resolved' : 'alert_firing', data, instance, { webhookIds: rule.webhookIds })) {
+        const why = rule.webhookIds.length ? 'the webhooks of the rule are disabled' : 'no enabled webhook is subscribed to alert events';
+        console.warn(`[Alerts] ${rule.name} ${kind} was not sent: ${why}`);
+        auditLog(null, 'alert_not_sent', `Alert "${rule.name}" ${kind} was not sent: ${why}`, null, instance);
+    }
+});
+
+setInterval(evaluateAlerts, CONFIG.alerts.evaluateSeconds * 1000);
+
+webhookQueue.on('delivered', ({ webhook }) => {
+    webhookDeliveriesTotal.inc({ webhook: webhook.name, result: 'delivered' });
+});
+
+webhookQueue.on('failed', ({ webhook, delivery }) => {
+    console.error(`Webhook ${webhook.name} gave up on delivery ${delivery.id} after ${delivery.attempts} attempt(s): ${delivery.error}`);
+    webhookDeliveriesTotal.inc({ webhook: webhook.name, result: 'failed' });
+});
+
+webhookQueue.on('disabled', (webhook, reason) => {
+    console.warn(`[Webhooks] Disabled ${webhook.name}: ${reason}`);
+    auditLog(null, 'webhook_disabled', `Disabled webhook ${webhook.name}: ${reason}`, null);
+});
+
+webhookQueue.start();
+
+// Start every instance's services (after Socket.IO, which they push events through)
+for (const record of instanceRegistry.list()) {
+    try {
+        startInstance(record);
+    } catch (err) {
+        if (record.isDefault) throw err;
+        console.error(`[Instance ${record.id}] Could not be started:`, err.message);
+    }
+}
+
+server.listen(CONFIG.port, CONFIG.host, () => {
+    console.log(`Techtonica Server Admin Panel running on http://${CONFIG.host}:${CONFIG.port}`);
+    console.log(`Config: ${fs.existsSync(CONFIG.configFile) ? CONFIG.configFile : 'built-in defaults + environment'}`);
+    if (CONFIG.basePath) console.log(`Reverse proxy base path: ${CONFIG.basePath}`);
 });
@@ -0,0 +1,204 @@
+using System;
+using System.Collections.Generic;
+using System.IO;
+using System.Text;
+using BepInEx.Logging;
+
+namespace TechtonicaDedicatedServer
+{
+    /// <summary>
+    /// Runs ds.* commands queued by the web admin panel.
+    /// The panel writes one small JSON file per command ({"id":"...","command":"ds.say hi"})
+    /// named &lt;id&gt;.cmd into the command directory; we poll it from the main thread.
+    /// Everything logged while a command runs is written back to responses/&lt;id&gt;.json
+    /// so the panel can show the result next to the command that produced it.
+    /// </summary>
+    public static class AdminCommandQueue
+    {
+        private const double PollIntervalSeconds = 1.0;
+        private static DateTime _nextPoll = DateTime.MinValue;
+
+        /// <summary>
+        /// Called every frame; only touches the filesystem once per poll interval.
+        /// </summary>
+        public static void Poll()
+        {
+            if (DateTime.UtcNow < _nextPoll) return;
+            _nextPoll = DateTime.UtcNow.AddSeconds(PollIntervalSeconds);
+
+            var dir = Plugin.CommandDirectory?.Value;
+            if (string.IsNullOrEmpty(dir) || !Directory.Exists(dir)) return;
+
+            string[] files;
+            try
+            {
+                files = Directory.GetFiles(dir, "*.cmd");
+            }
+            catch (Exception ex)
+            {
+                Plugin.Log.LogWarning($"[AdminCommands] Cannot read {dir}: {ex.Message}");
+                return;
+            }
+
+            // Ids start with a millisecond timestamp, so name order is issue order
+            Array.Sort(files, StringComparer.Ordinal);
+
+            foreach (var file in files)
+            {
+                // The file name is the command id the panel waits on
+                var id = Path.GetFileNameWithoutExtension(file);
+                string command;
+                try
+                {
+                    var json = File.ReadAllText(file);
+                    command = ReadJsonString(json, "command");
+                    File.Delete(file);
+                }
+                catch (Exception ex)
+                {
+                    Plugin.Log.LogWarning($"[AdminCommands] Skipping {Path.GetFileName(file)}: {ex.Message}");
+                    continue;
+                }
+
+                if (string.IsNullOrWhiteSpace(command)) continue;
+
+                Plugin.Log.LogInfo($"[AdminCommands] > {command}");
+
+                string status;
+                var capture = new OutputCapture();
+                Logger.Listeners.Add(capture);
+                try
+                {
+                    status = ConsoleCommands.ProcessCommand(command) ? "ok" : "unknown";
+                }
+                finally
+                {
+                    Logger.Listeners.Remove(capture);
+                }
+
+                if (status == "unknown")
+                {
+                    Plugin.Log.LogWarning($"[AdminCommands] Unknown command: {command}");
+                }
+                else if (capture.HadErrors)
+                {
+                    status = "error";
+                }
+
+                WriteResponse(dir, id, command, status, capture.Lines);
+            }
+        }
+
+        private static void WriteResponse(string dir, string id, string command, string status, List<string> output)
+        {
+            try
+            {
+                var responseDir = Path.Combine(dir, "responses");
+                Directory.CreateDirectory(responseDir);
+
+                var sb = new StringBuilder();
+                sb.Append("{\"id\":").Append(JsonString(id));
+                sb.Append(",\"command\":").Append(JsonString(command));
+                sb.Append(",\"status\":").Append(JsonString(status));
+                sb.Append(",\"output\":[");
+                for (int i = 0; i < output.Count; i++)
+                {
+                    if (i > 0) sb.Append(',');
+                    sb.Append(JsonString(output[i]));
+                }
+                sb.Append("],\"finishedAt\":").Append(JsonString(DateTime.UtcNow.ToString("o")));
+                sb.Append('}');
+
+                // Same write-then-rename dance as the panel uses for commands
+                var tmpPath = Path.Combine(responseDir, id + ".tmp");
+                File.WriteAllText(tmpPath, sb.ToString());
+                File.Move(tmpPath, Path.Combine(responseDir, id + ".json"));
+            }
+            catch (Exception ex)
+            {
+                Plugin.Log.LogWarning($"[AdminCommands] Could not write response for {id}: {ex.Message}");
+            }
+        }
+
+        private static string JsonString(string value)
+        {
+            if (value == null) return "null";
+
+            var sb = new StringBuilder("\"");
+            foreach (var c in value)
+            {
+                switch (c)
+                {
+                    case '"': sb.Append("\\\""); break;
+                    case '\\': sb.Append("\\\\"); break;
+                    case '\n': sb.Append("\\n"); break;
+                    case '\r': sb.Append("\\r"); break;
+                    case '\t': sb.Append("\\t"); break;
+                    default:
+                        if (c < ' ') sb.Append($"\\u{(int)c:x4}");
+                        else sb.Append(c);
+                        break;
+                }
+            }
+            return sb.Append('"').ToString();
+        }
+
+        /// <summary>
+        /// Collects log lines written while a single command runs.
+        /// </summary>
+        private class OutputCapture : ILogListener
+        {
+            public readonly List<string> Lines = new List<string>();
+            public bool HadErrors { get; private set; }
+
+            public void LogEvent(object sender, LogEventArgs eventArgs)
+            {
+                if ((eventArgs.Level & (LogLevel.Error | LogLevel.Fatal)) != 0) HadErrors = true;
+                Lines.Add(eventArgs.Data?.ToString() ?? string.Empty);
+            }
+
+            public void Dispose() { }
+        }
+
+        /// <summary>
+        /// Minimal reader for a top-level string property in the panel's JSON.
+        /// </summary>
+        private static string ReadJsonString(string json, string key)
+        {
+            var marker = $"\"{key}\":\"";
+            var start = json.IndexOf(marker, StringComparison.Ordinal);
+            if (start < 0) return null;
+
+            var sb = new StringBuilder();
+            for (int i = start + marker.Length; i < json.Length; i++)
+            {
+                var c = json[i];
+                if (c == '"') return sb.ToString();
+                if (c != '\\' || i + 1 >= json.Length)
+                {
+                    sb.Append(c);
+                    continue;
+                }
+
+                var next = json[++i];
+                switch (next)
+                {
+                    case 'n': sb.Append('\n'); break;
+                    case 'r': sb.Append('\r'); break;
+                    case 't': sb.Append('\t'); break;
+                    case 'b': sb.Append('\b'); break;
+                    case 'f': sb.Append('\f'); break;
+                    case 'u':
+                        if (i + 4 < json.Length)
+                        {
+                            sb.Append((char)Convert.ToInt32(json.Substring(i + 1, 4), 16));
+                            i += 4;
+                        }
+                        break;
+                    default: sb.Append(next); break;
+                }
+            }
+            return null;
+        }
+    }
+}
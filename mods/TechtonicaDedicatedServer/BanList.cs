@@ -0,0 +1,107 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.IO;
+
+namespace TechtonicaDedicatedServer
+{
+    /// <summary>
+    /// Bans written by the web admin panel. The file has one ban per line,
+    /// tab separated: name, address, expiry (ISO 8601 UTC, empty = permanent), reason.
+    /// Lines starting with # are comments. The file is re-read whenever it changes.
+    /// </summary>
+    public static class BanList
+    {
+        private class Ban
+        {
+            public string Name;
+            public string Address;
+            public DateTime? ExpiresAt;
+            public string Reason;
+        }
+
+        private static List<Ban> _bans = new List<Ban>();
+        private static DateTime _loadedWriteTime = DateTime.MinValue;
+        private static string _loadedPath;
+
+        /// <summary>
+        /// Checks a connecting or identified player against the ban file.
+        /// Pass null for whichever of name/address is not known yet.
+        /// </summary>
+        public static bool IsBanned(string name, string address, out string reason)
+        {
+            reason = null;
+            Reload();
+
+            var now = DateTime.UtcNow;
+            foreach (var ban in _bans)
+            {
+                if (ban.ExpiresAt.HasValue && ban.ExpiresAt.Value <= now) continue;
+
+                var nameMatch = !string.IsNullOrEmpty(name) && !string.IsNullOrEmpty(ban.Name) &&
+                                string.Equals(ban.Name, name, StringComparison.OrdinalIgnoreCase);
+                var addressMatch = !string.IsNullOrEmpty(address) && !string.IsNullOrEmpty(ban.Address) &&
+                                   ban.Address == address;
+
+                if (nameMatch || addressMatch)
+                {
+                    reason = string.IsNullOrEmpty(ban.Reason) ? "Banned" : ban.Reason;
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+        private static void Reload()
+        {
+            var path = Plugin.BanFile?.Value;
+            if (string.IsNullOrEmpty(path) || !File.Exists(path))
+            {
+                _bans = new List<Ban>();
+                _loadedPath = null;
+                return;
+            }
+
+            try
+            {
+                var writeTime = File.GetLastWriteTimeUtc(path);
+                if (path == _loadedPath && writeTime == _loadedWriteTime) return;
+
+                var bans = new List<Ban>();
+                foreach (var line in File.ReadAllLines(path))
+                {
+                    if (string.IsNullOrWhiteSpace(line) || line.StartsWith("#")) continue;
+
+                    var fields = line.Split('\t');
+                    var ban = new Ban
+                    {
+                        Name = fields.Length > 0 ? fields[0].Trim() : "",
+                        Address = fields.Length > 1 ? fields[1].Trim() : "",
+                        // The reason ends up in events.log, and WriteEvent does not escape JSON
+                        Reason = fields.Length > 3 ? fields[3].Trim().Replace('"', '\'').Replace('\\', '/') : ""
+                    };
+
+                    if (fields.Length > 2 && !string.IsNullOrWhiteSpace(fields[2]) &&
+                        DateTime.TryParse(fields[2].Trim(), CultureInfo.InvariantCulture,
+                            DateTimeStyles.AdjustToUniversal | DateTimeStyles.AssumeUniversal, out var expires))
+                    {
+                        ban.ExpiresAt = expires;
+                    }
+
+                    bans.Add(ban);
+                }
+
+                _bans = bans;
+                _loadedPath = path;
+                _loadedWriteTime = writeTime;
+                Plugin.Log.LogInfo($"[Bans] Loaded {bans.Count} ban(s) from {path}");
+            }
+            catch (Exception ex)
+            {
+                // Keep the previous list rather than letting everyone in
+                Plugin.Log.LogWarning($"[Bans] Could not read {path}: {ex.Message}");
+            }
+        }
+    }
+}
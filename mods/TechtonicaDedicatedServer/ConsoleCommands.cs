@@ -29,6 +29,8 @@ namespace TechtonicaDedicatedServer
             Commands["ds.players"] = CmdPlayers;
             Commands["ds.kick"] = CmdKick;
             Commands["ds.say"] = CmdSay;
+            Commands["ds.save"] = CmdSave;
+            Commands["ds.shutdown"] = CmdShutdown;
 
             _isRegistered = true;
 
@@ -124,6 +126,8 @@ namespace TechtonicaDedicatedServer
             Plugin.Log.LogInfo("ds.players           - List connected players");
             Plugin.Log.LogInfo("ds.kick <player>     - Kick a player");
             Plugin.Log.LogInfo("ds.say <message>     - Broadcast a message");
+            Plugin.Log.LogInfo("ds.save              - Save the world now");
+            Plugin.Log.LogInfo("ds.shutdown          - Stop hosting and quit (run ds.save first)");
         }
 
         private static void CmdHost(string[] args)
@@ -282,6 +286,80 @@ namespace TechtonicaDedicatedServer
 
             // TODO: Broadcast to game chat when chat system is hooked
         }
+
+        private static void CmdSave(string[] args)
+        {
+            // The save API is internal to the game, so probe the likely entry points
+            var candidates = new[]
+            {
+                ("SaveState", "SaveToFile"),
+                ("SaveState", "Save"),
+                ("FlowManager", "SaveGame"),
+                ("GameState", "SaveGame")
+            };
+
+            foreach (var (typeName, methodName) in candidates)
+            {
+                try
+                {
+                    // Lookups throw too (e.g. an ambiguous overload), so they count as a failed candidate
+                    var type = AccessTools.TypeByName(typeName);
+                    if (type == null) continue;
+                    var method = AccessTools.Method(type, methodName);
+                    if (method == null) continue;
+
+                    object target = null;
+                    if (!method.IsStatic)
+                    {
+                        var instanceProp = type.GetProperty("instance",
+                            System.Reflection.BindingFlags.Static | System.Reflection.BindingFlags.Public | System.Reflection.BindingFlags.NonPublic);
+                        var instanceField = type.GetField("instance",
+                            System.Reflection.BindingFlags.Static | System.Reflection.BindingFlags.Public | System.Reflection.BindingFlags.NonPublic);
+                        target = instanceProp?.GetValue(null) ?? instanceField?.GetValue(null);
+                        if (target == null) continue;
+                    }
+
+                    var parameters = method.GetParameters();
+                    var callArgs = new object[parameters.Length];
+                    for (int i = 0; i < parameters.Length; i++)
+                    {
+                        callArgs[i] = parameters[i].HasDefaultValue ? parameters[i].DefaultValue : null;
+                    }
+
+                    method.Invoke(target, callArgs);
+                    Plugin.Log.LogInfo($"[Commands] World saved via {typeName}.{methodName}");
+                    DirectConnectManager.WriteEvent("server_save", "World saved", new Dictionary<string, string>
+                    {
+                        { "method", $"{typeName}.{methodName}" }
+                    });
+                    return;
+                }
+                catch (Exception ex)
+                {
+                    Plugin.Log.LogWarning($"[Commands] {typeName}.{methodName} failed: {ex.InnerException?.Message ?? ex.Message}");
+                }
+            }
+
+            Plugin.Log.LogError("[Commands] Could not save - no usable save method found");
+            DirectConnectManager.WriteEvent("server_save_failed", "No usable save method found");
+        }
+
+        private static void CmdShutdown(string[] args)
+        {
+            Plugin.Log.LogInfo("[Commands] Shutdown requested");
+
+            if (DirectConnectManager.IsServer)
+            {
+                // Writes the server_stop event the admin panel waits for
+                DirectConnectManager.Stop();
+            }
+            else
+            {
+                DirectConnectManager.WriteEvent("server_stop", "Shutdown requested while not hosting");
+            }
+
+            Application.Quit();
+        }
     }
 
     /// <summary>
@@ -24,7 +24,6 @@ namespace TechtonicaDedicatedServer.Networking
         private static bool _isDirectConnectActive;
         private static DirectConnectLobbyConnector _directConnectLobby;
         private static Dictionary<int, PlayerInfo> _connectedPlayers = new Dictionary<int, PlayerInfo>();
-        private static string _eventLogPath = "/home/death/techtonica-server/events.log";
 
         public static bool IsDirectConnectActive => _isDirectConnectActive;
         public static bool IsServer => NetworkServer.active;
@@ -75,7 +74,7 @@ namespace TechtonicaDedicatedServer.Networking
                 }
 
                 var logLine = $"{{\"timestamp\":\"{timestamp}\",\"type\":\"{eventType}\",\"message\":\"{message}\"{(dataStr.Length > 0 ? "," + dataStr : "")}}}\n";
-                File.AppendAllText(_eventLogPath, logLine);
+                File.AppendAllText(Plugin.EventLogPath, logLine);
                 Plugin.Log.LogInfo($"[Events] {eventType}: {message}");
             }
             catch (Exception ex)
@@ -1358,6 +1357,19 @@ namespace TechtonicaDedicatedServer.Networking
                 var address = conn.address ?? "unknown";
                 Plugin.Log.LogInfo($"[DirectConnect] Client connected: {conn.connectionId} from {address}");
 
+                if (BanList.IsBanned(null, address, out var banReason))
+                {
+                    Plugin.Log.LogInfo($"[DirectConnect] Rejecting banned address {address}: {banReason}");
+                    WriteEvent("player_rejected", $"Banned address {address} rejected", new Dictionary<string, string>
+                    {
+                        { "connectionId", conn.connectionId.ToString() },
+                        { "address", address },
+                        { "reason", banReason }
+                    });
+                    conn.Disconnect();
+                    return;
+                }
+
                 // Track player
                 var playerInfo = new PlayerInfo
                 {
@@ -1453,6 +1465,23 @@ namespace TechtonicaDedicatedServer.Networking
         {
             if (_connectedPlayers.TryGetValue(connectionId, out var playerInfo))
             {
+                if (BanList.IsBanned(name, playerInfo.Address, out var banReason))
+                {
+                    Plugin.Log.LogInfo($"[DirectConnect] Rejecting banned player {name}: {banReason}");
+                    WriteEvent("player_rejected", $"Banned player {name} rejected", new Dictionary<string, string>
+                    {
+                        { "connectionId", connectionId.ToString() },
+                        { "name", name },
+                        { "address", playerInfo.Address },
+                        { "reason", banReason }
+                    });
+                    if (NetworkServer.connections.TryGetValue(connectionId, out var conn))
+                    {
+                        conn.Disconnect();
+                    }
+                    return;
+                }
+
                 var oldName = playerInfo.Name;
                 playerInfo.Name = name;
                 Plugin.Log.LogInfo($"[DirectConnect] Player {connectionId} identified as: {name}");
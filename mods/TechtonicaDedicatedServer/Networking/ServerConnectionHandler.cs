@@ -1265,8 +1265,6 @@ namespace TechtonicaDedicatedServer.Networking
                 return $"{duration.Seconds}s";
         }
 
-        private static readonly string _eventLogPath = "/home/death/techtonica-server/events.log";
-
         private void LogPlayerConnect(int connectionId, string address, int playerCount)
         {
             Plugin.Log.LogInfo($"[ServerConnectionHandler] Player connected: connId={connectionId}, address={address}, playerCount={playerCount}");
@@ -1274,7 +1272,7 @@ namespace TechtonicaDedicatedServer.Networking
             try
             {
                 string json = $"{{\"timestamp\":\"{DateTime.UtcNow:O}\",\"type\":\"player_connect\",\"message\":\"Player connected\",\"connectionId\":\"{connectionId}\",\"address\":\"{address}\",\"playerCount\":\"{playerCount}\"}}";
-                System.IO.File.AppendAllText(_eventLogPath, json + "\n");
+                System.IO.File.AppendAllText(Plugin.EventLogPath, json + "\n");
             }
             catch (Exception ex)
             {
@@ -1289,7 +1287,7 @@ namespace TechtonicaDedicatedServer.Networking
             try
             {
                 string json = $"{{\"timestamp\":\"{DateTime.UtcNow:O}\",\"type\":\"player_disconnect\",\"message\":\"Player disconnected\",\"connectionId\":\"{connectionId}\",\"connectedFor\":\"{connectedFor}\",\"playerCount\":\"{playerCount}\"}}";
-                System.IO.File.AppendAllText(_eventLogPath, json + "\n");
+                System.IO.File.AppendAllText(Plugin.EventLogPath, json + "\n");
             }
             catch (Exception ex)
             {
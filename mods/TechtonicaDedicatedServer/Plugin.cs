@@ -40,6 +40,17 @@ namespace TechtonicaDedicatedServer
         public static ConfigEntry<int> AutoLoadSlot;
         public static ConfigEntry<string> ConnectAddress;
         public static ConfigEntry<string> PublicAddress;
+        public static ConfigEntry<string> CommandDirectory;
+        public static ConfigEntry<string> BanFile;
+        public static ConfigEntry<string> EventLog;
+
+        // Admin files default to BepInEx/admin; the web admin panel writes the real paths before it starts the game
+        private static string AdminPath(string name) => Path.Combine(Paths.BepInExRootPath, "admin", name);
+
+        // Where events are written when [Admin] EventLog is empty
+        public static string DefaultEventLogPath => AdminPath("events.log");
+
+        public static string EventLogPath => string.IsNullOrEmpty(EventLog?.Value) ? DefaultEventLogPath : EventLog.Value;
 
         private void Awake()
         {
@@ -140,6 +151,9 @@ namespace TechtonicaDedicatedServer
 
             // Check for player connections and send save data (InvokeRepeating doesn't work under Wine)
             Networking.ServerConnectionHandler.CheckFromCallback();
+
+            // Run commands queued by the admin panel
+            AdminCommandQueue.Poll();
         }
 
         private void Start()
@@ -499,6 +513,30 @@ namespace TechtonicaDedicatedServer
                 "certifriedmultitool.com:6968",
                 "Public address shown in logs and Discord webhooks. Set to your domain or public IP."
             );
+
+            CommandDirectory = Config.Bind(
+                "Admin",
+                "CommandDirectory",
+                AdminPath("commands"),
+                "Directory polled for ds.* commands queued by the web admin panel. Leave empty to disable."
+            );
+
+            BanFile = Config.Bind(
+                "Admin",
+                "BanFile",
+                AdminPath("bans.txt"),
+                "Ban list written by the web admin panel. Banned players are disconnected on connect. Leave empty to disable."
+            );
+
+            EventLog = Config.Bind(
+                "Admin",
+                "EventLog",
+                DefaultEventLogPath,
+                "File server events (starts, stops, player connects) are appended to for the web admin panel. Give each server on a host its own file."
+            );
+
+            // Unlike a path the panel writes, the default folder may not exist yet
+            if (EventLogPath == DefaultEventLogPath) Directory.CreateDirectory(Path.GetDirectoryName(DefaultEventLogPath));
         }
 
         private void OnDestroy()
@@ -597,6 +635,9 @@ namespace TechtonicaDedicatedServer
                 ConsoleCommands.ProcessHeadlessInput();
             }
 
+            // Run commands queued by the admin panel
+            AdminCommandQueue.Poll();
+
             // Keyboard shortcuts (works in-game, no console needed)
             // F8 = Connect to server (client mode)
             if (UnityEngine.Input.GetKeyDown(KeyCode.F8))